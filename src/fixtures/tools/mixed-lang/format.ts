@@ -0,0 +1,9 @@
+import { legacyRound } from './legacy';
+
+export interface TotalOptions {
+  digits: number;
+}
+
+export function formatTotal(value: number, options: TotalOptions = { digits: 2 }): string {
+  return legacyRound(value, options.digits).toFixed(options.digits);
+}
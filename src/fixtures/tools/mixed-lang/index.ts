@@ -0,0 +1,6 @@
+import { buildReport } from './report.js';
+import { formatTotal } from './format.js';
+
+export function printReport(rows: Array<{ label: string; value: number }>): string {
+  return `${buildReport(rows)}\nTotal: ${formatTotal(rows.reduce((sum, row) => sum + row.value, 0))}`;
+}
@@ -0,0 +1,8 @@
+'use strict';
+
+function legacyRound(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { legacyRound };
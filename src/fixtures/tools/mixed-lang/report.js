@@ -0,0 +1,9 @@
+'use strict';
+
+const { formatTotal } = require('./format');
+
+function buildReport(rows) {
+  return rows.map((row) => `${row.label}: ${formatTotal(row.value)}`).join('\n');
+}
+
+module.exports = { buildReport };
@@ -0,0 +1,3 @@
+export function formatLabel(label: string): string {
+  return label.trim();
+}
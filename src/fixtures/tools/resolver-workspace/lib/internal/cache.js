@@ -0,0 +1,7 @@
+'use strict';
+
+function createCache() {
+  return new Map();
+}
+
+module.exports = { createCache };
@@ -0,0 +1,7 @@
+'use strict';
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+module.exports = { capitalize };
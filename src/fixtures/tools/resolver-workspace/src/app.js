@@ -0,0 +1,15 @@
+'use strict';
+
+const fs = require('fs');
+const { createCache } = require('#internal/cache');
+const config = require('#config');
+const { shared } = require('@acme/shared');
+const { capitalize } = require('@acme/shared/utils/strings');
+const missing = require('missing-package');
+const nope = require('./nope');
+
+function startApp() {
+  return { cache: createCache(), config, shared, title: capitalize('app'), fs, missing, nope };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,8 @@
+import { mode } from '#config';
+import { shared } from '@acme/shared';
+import { formatLabel } from '@app/format';
+import { createCache } from 'lib/internal/cache';
+
+export function renderView(label: string): string {
+  return `${formatLabel(label)} ${mode} ${shared} ${createCache().size}`;
+}
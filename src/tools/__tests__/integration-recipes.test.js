@@ -120,6 +120,7 @@ describe('Recipe Integration Tests', () => {
             action: 'rename',
             oldName: '${oldName}',
             newName: '${newName}',
+            scope: '${scope}',
             condition: '${ripple_report.safetyAssertions.canRename} == true',
             emit: 'rename_result'
           },
@@ -157,11 +158,27 @@ describe('Recipe Integration Tests', () => {
       const rippleStep = results.stepResults.find(stepResult => stepResult.stepName === 'Verify can rename');
       expect(rippleStep).toBeDefined();
       expect(rippleStep.results.safetyAssertions.canRename).toBe(true);
+
+      const renameStep = results.stepResults.find(stepResult => stepResult.stepName === 'Rename globally');
+      expect(renameStep.results.result.filesChanged).toBe(1);
+      expect(fs.readFileSync(targetFile, 'utf8')).toContain('export function constructQuery()');
     });
   });
 
   describe('Move and update recipe workflow', () => {
     it('should execute move-and-update recipe', async () => {
+      const workspaceRoot = path.join(recipeDir, 'move-workspace');
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'src/utils.js'), [
+        'function buildQuery(table) {',
+        '  return `SELECT * FROM ${table}`;',
+        '}',
+        '',
+        'module.exports = { buildQuery };',
+        ''
+      ].join('\n'));
+
       const recipe = {
         version: '1.0',
         name: 'Move function and update imports',
@@ -169,7 +186,8 @@ describe('Recipe Integration Tests', () => {
         parameters: {
           functionName: { type: 'string', required: true },
           sourceFile: { type: 'string', required: true },
-          targetFile: { type: 'string', required: true }
+          targetFile: { type: 'string', required: true },
+          scope: { type: 'string', required: true }
         },
         steps: [
           {
@@ -187,6 +205,7 @@ describe('Recipe Integration Tests', () => {
             file: '${sourceFile}',
             functionName: '${functionName}',
             targetFile: '${targetFile}',
+            scope: '${scope}',
             emit: 'extraction_result'
           },
           {
@@ -213,11 +232,15 @@ describe('Recipe Integration Tests', () => {
         params: {
           functionName: 'buildQuery',
           sourceFile: 'src/utils.js',
-          targetFile: 'src/db/query-builder.js'
+          targetFile: 'src/db/query-builder.js',
+          scope: workspaceRoot
         }
       });
 
       expect(results.stepResults.length).toBeGreaterThan(0);
+      const extractStep = results.stepResults.find(stepResult => stepResult.stepName === 'Extract to module');
+      expect(extractStep.results.result.targetFile).toBe('src/db/query-builder.js');
+      expect(extractStep.results.result.importsUpdated).toBe(1);
     });
   });
 
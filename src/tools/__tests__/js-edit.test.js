@@ -115,6 +115,12 @@ describe('swcAst helpers', () => {
     expect(() => parseModule('export function broken() {', 'broken.js')).toThrow();
   });
 
+  test('parseModule starts every module at position 1', () => {
+    parseModule('const first = "é";\n', 'first.js');
+    const second = parseModule('const second = 2;\n', 'second.js');
+    expect(second.body[0].span).toMatchObject({ start: 1, end: 18 });
+  });
+
   test('collectFunctions annotates class scopes and guardrail metadata', () => {
     const render = nestedFunctions.find((fn) => fn.canonicalName === 'exports.NewsSummary > #render');
     expect(render).toBeDefined();
@@ -2521,6 +2527,760 @@ describe('swcAst helpers', () => {
     });
   });
 
+  describe('Insert operations (--insert-before, --insert-after, --append-to-class, --append-to-module)', () => {
+    let tempDir;
+    let targetFile;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-insert-'));
+      targetFile = path.join(tempDir, 'sample.js');
+      fs.copyFileSync(fixturePath, targetFile);
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('--insert-after adds a sibling function with guard and plan metadata', () => {
+      const beta = functions.find((fn) => fn.name === 'beta');
+      const planPath = path.join(tempDir, 'insert-plan.json');
+      const result = runJsEdit([
+        '--file',
+        targetFile,
+        '--insert-after',
+        'beta',
+        '--with-code',
+        'function delta() {\n    return "delta";\n}',
+        '--expect-hash',
+        beta.hash,
+        '--emit-plan',
+        planPath,
+        '--json',
+        '--fix'
+      ]);
+
+      if (result.status !== 0) {
+        throw new Error(`insert-after failed: ${result.stderr || result.stdout}`);
+      }
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.operation).toBe('insert-after');
+      expect(payload.anchor.canonicalName).toBe('beta');
+      expect(payload.guard.hash.status).toBe('ok');
+      expect(payload.guard.syntax.status).toBe('ok');
+      expect(payload.guard.path.status).toBe('ok');
+      expect(payload.guard.result.status).toBe('changed');
+      expect(payload.applied).toBe(true);
+
+      const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+      expect(plan.operation).toBe('insert-after');
+      expect(plan.insertion.position).toBe('after');
+
+      const updated = fs.readFileSync(targetFile, 'utf8');
+      expect(updated).toContain("  return inner();\n}\n\nfunction delta() {\n    return \"delta\";\n}\n\nexport default function");
+    });
+
+    test('--insert-before and --append-to-class re-indent snippets to the surrounding members', () => {
+      const before = runJsEdit([
+        '--file',
+        targetFile,
+        '--insert-before',
+        'MissionController#launch',
+        '--with-code',
+        'ready = true;',
+        '--fix'
+      ]);
+      if (before.status !== 0) {
+        throw new Error(`insert-before failed: ${before.stderr || before.stdout}`);
+      }
+
+      const append = runJsEdit([
+        '--file',
+        targetFile,
+        '--append-to-class',
+        'LaunchSequence',
+        '--with-code',
+        'abort() {\n  return false;\n}',
+        '--fix'
+      ]);
+      if (append.status !== 0) {
+        throw new Error(`append-to-class failed: ${append.stderr || append.stdout}`);
+      }
+
+      const updated = fs.readFileSync(targetFile, 'utf8');
+      expect(updated).toContain("  ready = true;\n\n  launch() {");
+      expect(updated).toContain("    return this.launch();\n  }\n\n  abort() {\n    return false;\n  }\n}");
+    });
+
+    test('--append-to-module lands ahead of a trailing module.exports assignment', () => {
+      fs.writeFileSync(targetFile, "'use strict';\n\nfunction one() {\n  return 1;\n}\n\nmodule.exports = { one };\n");
+      const result = runJsEdit([
+        '--file',
+        targetFile,
+        '--append-to-module',
+        '--with-code',
+        'const TWO = 2;',
+        '--fix'
+      ]);
+
+      if (result.status !== 0) {
+        throw new Error(`append-to-module failed: ${result.stderr || result.stdout}`);
+      }
+
+      const updated = fs.readFileSync(targetFile, 'utf8');
+      expect(updated).toBe("'use strict';\n\nfunction one() {\n  return 1;\n}\n\nconst TWO = 2;\n\nmodule.exports = { one };\n");
+    });
+
+    test('insert operations reject snippets that break the module and stale hashes', () => {
+      const original = fs.readFileSync(targetFile, 'utf8');
+      const invalid = runJsEdit([
+        '--file',
+        targetFile,
+        '--insert-after',
+        'gamma',
+        '--with-code',
+        'function broken( {',
+        '--fix'
+      ]);
+      expect(invalid.status).not.toBe(0);
+      expect(stripAnsi(invalid.stdout + invalid.stderr)).toContain('Insertion produced invalid JavaScript');
+
+      const stale = runJsEdit([
+        '--file',
+        targetFile,
+        '--insert-before',
+        'gamma',
+        '--with-code',
+        'const zeta = 1;',
+        '--expect-hash',
+        'AAAAAAAAAAA=',
+        '--fix'
+      ]);
+      expect(stale.status).not.toBe(0);
+      expect(stripAnsi(stale.stdout + stale.stderr)).toContain('Hash mismatch');
+      expect(fs.readFileSync(targetFile, 'utf8')).toBe(original);
+    });
+  });
+
+  describe('Delete operations (--delete, --delete-variable)', () => {
+    let tempDir;
+    let libFile;
+
+    const libSource = [
+      "'use strict';",
+      '',
+      'const LIMIT = 3, OTHER = 4;',
+      '',
+      '/**',
+      ' * Adds numbers.',
+      ' */',
+      'function add(a, b) {',
+      '  return a + b;',
+      '}',
+      '',
+      'function unused() {',
+      '  return LIMIT;',
+      '}',
+      '',
+      'class Box {',
+      '  open() {',
+      '    return this.close();',
+      '  }',
+      '',
+      '  close() {',
+      '    return true;',
+      '  }',
+      '}',
+      '',
+      'module.exports = { add, unused, Box, OTHER };',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-delete-'));
+      libFile = path.join(tempDir, 'lib.js');
+      fs.writeFileSync(libFile, libSource);
+      fs.writeFileSync(path.join(tempDir, 'main.js'), "const { add } = require('./lib');\nconsole.log(add(1, 2));\n");
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('--delete removes an unreferenced function and its module.exports entry', () => {
+      const planPath = path.join(tempDir, 'delete-plan.json');
+      const result = runJsEdit([
+        '--file',
+        libFile,
+        '--delete',
+        'unused',
+        '--workspace',
+        tempDir,
+        '--emit-plan',
+        planPath,
+        '--json',
+        '--fix'
+      ]);
+
+      if (result.status !== 0) {
+        throw new Error(`delete failed: ${result.stderr || result.stdout}`);
+      }
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.operation).toBe('delete');
+      expect(payload.exports).toEqual(['unused']);
+      expect(payload.guard.references.status).toBe('ok');
+      expect(payload.guard.syntax.status).toBe('ok');
+      expect(payload.applied).toBe(true);
+      expect(JSON.parse(fs.readFileSync(planPath, 'utf8')).operation).toBe('delete');
+
+      const updated = fs.readFileSync(libFile, 'utf8');
+      expect(updated).not.toContain('function unused');
+      expect(updated).toContain('}\n\nclass Box {');
+      expect(updated).toContain('module.exports = { add, Box, OTHER };');
+    });
+
+    test('--delete is blocked by importer and local references unless --force is given', () => {
+      const blocked = runJsEdit([
+        '--file',
+        libFile,
+        '--delete',
+        'add',
+        '--workspace',
+        tempDir,
+        '--json',
+        '--fix'
+      ]);
+      expect(blocked.status).not.toBe(0);
+      const payload = JSON.parse(blocked.stdout);
+      expect(payload.blocked).toBe(true);
+      expect(payload.guard.references.status).toBe('mismatch');
+      expect(payload.guard.references.entries).toEqual([
+        expect.objectContaining({ file: 'main.js', line: 1, kind: 'require', name: 'add' })
+      ]);
+      expect(fs.readFileSync(libFile, 'utf8')).toBe(libSource);
+
+      const member = runJsEdit(['--file', libFile, '--delete', 'Box#close', '--workspace', tempDir]);
+      expect(member.status).not.toBe(0);
+      const memberOutput = stripAnsi(member.stdout + member.stderr);
+      expect(memberOutput).toContain('References');
+      expect(memberOutput).toContain('lib.js:18:17 member close');
+      expect(memberOutput).toContain('Delete blocked: 1 remaining reference(s) to "Box#close"');
+
+      const forced = runJsEdit([
+        '--file',
+        libFile,
+        '--delete',
+        'add',
+        '--workspace',
+        tempDir,
+        '--force',
+        '--json',
+        '--fix'
+      ]);
+      expect(forced.status).toBe(0);
+      expect(JSON.parse(forced.stdout).guard.references.status).toBe('bypass');
+      const updated = fs.readFileSync(libFile, 'utf8');
+      expect(updated).not.toContain('Adds numbers');
+      expect(updated).toContain("const LIMIT = 3, OTHER = 4;\n\nfunction unused() {");
+      expect(updated).toContain('module.exports = { unused, Box, OTHER };');
+    });
+
+    test('--delete-variable drops one declarator and class members close their gap', () => {
+      const variable = runJsEdit([
+        '--file',
+        libFile,
+        '--delete-variable',
+        'OTHER',
+        '--workspace',
+        tempDir,
+        '--json',
+        '--fix'
+      ]);
+      if (variable.status !== 0) {
+        throw new Error(`delete-variable failed: ${variable.stderr || variable.stdout}`);
+      }
+      expect(JSON.parse(variable.stdout).target.removal).toBe('declarator');
+
+      const method = runJsEdit(['--file', libFile, '--delete', 'Box#open', '--workspace', tempDir, '--json', '--fix']);
+      if (method.status !== 0) {
+        throw new Error(`delete class member failed: ${method.stderr || method.stdout}`);
+      }
+
+      const updated = fs.readFileSync(libFile, 'utf8');
+      expect(updated).toContain("'use strict';\n\nconst LIMIT = 3;\n");
+      expect(updated).toContain('class Box {\n  close() {\n    return true;\n  }\n}');
+      expect(updated).toContain('module.exports = { add, unused, Box };');
+    });
+  });
+
+  describe('Scope-aware rename (--rename)', () => {
+    let tempDir;
+    let targetFile;
+
+    const renameSource = [
+      "'use strict';",
+      '',
+      'function total(items, factor) {',
+      '  return items.map((item) => {',
+      '    const total = item * factor;',
+      '    return total;',
+      '  }).length + helper(factor);',
+      '}',
+      '',
+      'function helper(factor) {',
+      '  return factor;',
+      '}',
+      '',
+      'const limit = 10, other = limit * 2;',
+      '',
+      'class Counter {',
+      '  bump() {',
+      '    return this.#step();',
+      '  }',
+      '',
+      '  #step() {',
+      '    return 1;',
+      '  }',
+      '}',
+      '',
+      'module.exports = { total, helper, limit, other, Counter, compute: total };',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-rename-'));
+      targetFile = path.join(tempDir, 'rename.js');
+      fs.writeFileSync(targetFile, renameSource);
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('renames a function and its references, leaving shadowed names and export keys alone', () => {
+      const result = runJsEdit(['--file', targetFile, '--replace', 'total', '--rename', 'sumItems', '--json', '--fix']);
+      if (result.status !== 0) {
+        throw new Error(`rename failed: ${result.stderr || result.stdout}`);
+      }
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.operation).toBe('rename');
+      expect(payload.guard.rename.count).toBe(3);
+      expect(payload.rename.occurrences.map((entry) => entry.kind)).toEqual(['declaration', 'shorthand-property', 'reference']);
+      expect(payload.guard.syntax.status).toBe('ok');
+
+      const updated = fs.readFileSync(targetFile, 'utf8');
+      expect(updated).toContain('function sumItems(items, factor) {');
+      expect(updated).toContain('    const total = item * factor;\n    return total;');
+      expect(updated).toContain('module.exports = { total: sumItems, helper, limit, other, Counter, compute: sumItems };');
+    });
+
+    test('renames parameters, variables and private class members', () => {
+      const param = runJsEdit(['--file', targetFile, '--replace', 'helper', '--rename-param', 'factor', '--rename', 'value', '--json', '--fix']);
+      if (param.status !== 0) {
+        throw new Error(`rename-param failed: ${param.stderr || param.stdout}`);
+      }
+      expect(JSON.parse(param.stdout).target.entity).toBe('parameter');
+
+      const variable = runJsEdit(['--file', targetFile, '--replace-variable', 'limit', '--rename', 'maxItems', '--json', '--fix']);
+      if (variable.status !== 0) {
+        throw new Error(`variable rename failed: ${variable.stderr || variable.stdout}`);
+      }
+
+      const member = runJsEdit(['--file', targetFile, '--replace', 'Counter#step', '--rename', 'advance']);
+      if (member.status !== 0) {
+        throw new Error(`member rename failed: ${member.stderr || member.stdout}`);
+      }
+      const memberOutput = stripAnsi(member.stdout);
+      expect(memberOutput).toContain('Renamed');
+      expect(memberOutput).toContain('18:17 this-member #step → #advance');
+
+      const applied = runJsEdit(['--file', targetFile, '--replace', 'Counter#step', '--rename', 'advance', '--fix']);
+      expect(applied.status).toBe(0);
+
+      const updated = fs.readFileSync(targetFile, 'utf8');
+      expect(updated).toContain('function helper(value) {\n  return value;\n}');
+      expect(updated).toContain('  }).length + helper(factor);');
+      expect(updated).toContain('const maxItems = 10, other = maxItems * 2;');
+      expect(updated).toContain('return this.#advance();');
+      expect(updated).toContain('  #advance() {');
+      expect(updated).toContain('limit: maxItems,');
+    });
+
+    test('refuses renames that would collide with another binding', () => {
+      const result = runJsEdit(['--file', targetFile, '--replace', 'total', '--rename', 'helper', '--fix']);
+      expect(result.status).not.toBe(0);
+      expect(stripAnsi(result.stdout + result.stderr)).toContain('would change meaning: redeclaration of "helper"');
+      expect(fs.readFileSync(targetFile, 'utf8')).toBe(renameSource);
+    });
+  });
+
+  describe('Change signature (--change-signature)', () => {
+    let tempDir;
+    let reportFile;
+    let cliFile;
+
+    const reportSource = [
+      "'use strict';",
+      '',
+      'function printRippleAnalysis(formatter, result, options) {',
+      '  formatter.header(result.name, options);',
+      '}',
+      '',
+      'function run(fmt, data) {',
+      '  printRippleAnalysis(fmt, data);',
+      '  return [printRippleAnalysis];',
+      '}',
+      '',
+      'module.exports = { printRippleAnalysis, run };',
+      ''
+    ].join('\n');
+
+    const cliSource = [
+      "const { printRippleAnalysis } = require('./report');",
+      "const report = require('./report');",
+      '',
+      'printRippleAnalysis(',
+      '  formatter,',
+      '  result,',
+      '  opts',
+      ');',
+      'report.printRippleAnalysis(f, r, o, ...extra);',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-signature-'));
+      reportFile = path.join(tempDir, 'report.js');
+      cliFile = path.join(tempDir, 'cli.js');
+      fs.writeFileSync(reportFile, reportSource);
+      fs.writeFileSync(cliFile, cliSource);
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('dry-run previews the parameter list and every call site across the workspace', () => {
+      const result = runJsEdit([
+        '--file',
+        reportFile,
+        '--change-signature',
+        'printRippleAnalysis',
+        '--signature',
+        'result, formatter, options, verbose = false',
+        '--workspace',
+        tempDir
+      ]);
+
+      if (result.status !== 0) {
+        throw new Error(`change-signature failed: ${result.stderr || result.stdout}`);
+      }
+
+      const output = stripAnsi(result.stdout);
+      expect(output).toContain('printRippleAnalysis(result, formatter, options, verbose)');
+      expect(output).toContain('+function printRippleAnalysis(result, formatter, options, verbose) {');
+      expect(output).toContain('+  printRippleAnalysis(data, fmt, undefined, false);');
+      expect(output).toContain('--- cli.js (before)');
+      expect(output).toContain('+report.printRippleAnalysis(r, f, o, false, ...extra);');
+      expect(output).toContain('not updated (reference) return [printRippleAnalysis];');
+      expect(fs.readFileSync(reportFile, 'utf8')).toBe(reportSource);
+      expect(fs.readFileSync(cliFile, 'utf8')).toBe(cliSource);
+    });
+
+    test('--fix rewrites each file under its own hash guard', () => {
+      const result = runJsEdit([
+        '--file',
+        reportFile,
+        '--change-signature',
+        'printRippleAnalysis',
+        '--signature',
+        'result, formatter, options',
+        '--workspace',
+        tempDir,
+        '--json',
+        '--fix'
+      ]);
+
+      if (result.status !== 0) {
+        throw new Error(`change-signature failed: ${result.stderr || result.stdout}`);
+      }
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.operation).toBe('change-signature');
+      expect(payload.signature.after).toBe('result, formatter, options');
+      expect(payload.callSites).toHaveLength(3);
+      expect(payload.guard.files.entries.map((entry) => [entry.file, entry.status])).toEqual([
+        ['report.js', 'ok'],
+        ['cli.js', 'ok']
+      ]);
+
+      expect(fs.readFileSync(reportFile, 'utf8')).toContain('function printRippleAnalysis(result, formatter, options) {');
+      expect(fs.readFileSync(cliFile, 'utf8')).toContain('printRippleAnalysis(\n  result,\n  formatter,\n  opts\n);');
+    });
+
+    test('refuses to drop a parameter the body still reads', () => {
+      const result = runJsEdit([
+        '--file',
+        reportFile,
+        '--change-signature',
+        'printRippleAnalysis',
+        '--signature',
+        'formatter, result',
+        '--workspace',
+        tempDir,
+        '--fix'
+      ]);
+
+      expect(result.status).not.toBe(0);
+      expect(stripAnsi(result.stdout + result.stderr)).toContain('Parameter "options" is still used in "printRippleAnalysis" at line 4.');
+      expect(fs.readFileSync(reportFile, 'utf8')).toBe(reportSource);
+    });
+
+    test('leaves calls alone when dropping or reordering arguments would change what runs, unless forced', () => {
+      const logFile = path.join(tempDir, 'log.js');
+      const callerFile = path.join(tempDir, 'caller.js');
+      fs.writeFileSync(logFile, 'function print(fmt, res, extra) {\n  return fmt + res;\n}\n\nmodule.exports = { print };\n');
+      const callerSource = [
+        "const { print } = require('./log');",
+        '',
+        'print(fmt, res, save());',
+        'print(first(), second());',
+        "print(a, 'b', 1);",
+        ''
+      ].join('\n');
+      fs.writeFileSync(callerFile, callerSource);
+      const args = ['--file', logFile, '--change-signature', 'print', '--signature', 'res, fmt', '--workspace', tempDir];
+
+      const guarded = runJsEdit([...args, '--fix']);
+      if (guarded.status !== 0) {
+        throw new Error(`change-signature failed: ${guarded.stderr || guarded.stdout}`);
+      }
+      const output = stripAnsi(guarded.stdout);
+      expect(output).toContain('caller.js:3:1 not updated (side-effect-arguments) print(fmt, res, save());');
+      expect(output).toContain('caller.js:4:1 not updated (side-effect-arguments) print(first(), second());');
+      expect(fs.readFileSync(callerFile, 'utf8')).toBe(callerSource.replace("print(a, 'b', 1);", "print('b', a);"));
+
+      fs.writeFileSync(logFile, 'function print(fmt, res, extra) {\n  return fmt + res;\n}\n\nmodule.exports = { print };\n');
+      fs.writeFileSync(callerFile, callerSource);
+      const forced = runJsEdit([...args, '--fix', '--force']);
+      if (forced.status !== 0) {
+        throw new Error(`change-signature failed: ${forced.stderr || forced.stdout}`);
+      }
+      expect(fs.readFileSync(callerFile, 'utf8')).toContain('print(res, fmt);\nprint(second(), first());');
+    });
+  });
+
+  describe('Multi-file runs (--files, --files-from)', () => {
+    let tempDir;
+
+    const moduleSource = [
+      'const LIMIT = 5;',
+      '',
+      'function helper() {',
+      '  return LIMIT;',
+      '}',
+      '',
+      'module.exports = { helper };',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-files-'));
+      fs.mkdirSync(path.join(tempDir, 'src', 'lib'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'src', 'lib', 'one.js'), moduleSource);
+      fs.writeFileSync(path.join(tempDir, 'src', 'lib', 'two.js'), moduleSource);
+      fs.writeFileSync(path.join(tempDir, 'src', 'other.js'), 'function other() {}\n');
+      fs.writeFileSync(path.join(tempDir, 'files.txt'), 'src/lib/two.js\n# comment\nsrc/other.js\n');
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('--files-from aggregates discovery results into one payload keyed by file', () => {
+      const result = runJsEdit(['--files-from', 'files.txt', '--locate', 'helper', '--json'], { cwd: tempDir });
+      expect(result.status).toBe(1);
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.operation).toBe('locate');
+      expect(payload.summary).toEqual({ files: 2, succeeded: 1, failed: 1, changed: 0 });
+      expect(payload.files['src/lib/two.js'].matches[0].name).toBe('helper');
+      expect(payload.files['src/other.js'].error).toContain('helper');
+    });
+
+    test('--files applies a mutation to every matched file or to none', () => {
+      const blocked = runJsEdit(['--files', 'src/**/*.js', '--replace', 'helper', '--rename', 'assist', '--fix'], { cwd: tempDir });
+      expect(blocked.status).not.toBe(0);
+      expect(stripAnsi(blocked.stdout + blocked.stderr)).toContain('1 of 3 file(s) failed; no files were written.');
+      expect(fs.readFileSync(path.join(tempDir, 'src', 'lib', 'one.js'), 'utf8')).toBe(moduleSource);
+
+      const preview = runJsEdit(['--files', 'src/lib/*.js', '--replace', 'helper', '--rename', 'assist'], { cwd: tempDir });
+      expect(preview.status).toBe(0);
+      const previewOutput = stripAnsi(preview.stdout);
+      expect(previewOutput).toContain('--- src/lib/one.js (before)');
+      expect(previewOutput).toContain('--- src/lib/two.js (before)');
+      expect(previewOutput).toContain('+function assist() {');
+
+      const applied = runJsEdit(['--files', 'src/lib/*.js', '--replace', 'helper', '--rename', 'assist', '--json', '--fix'], { cwd: tempDir });
+      if (applied.status !== 0) {
+        throw new Error(`multi-file rename failed: ${applied.stderr || applied.stdout}`);
+      }
+      const payload = JSON.parse(applied.stdout);
+      expect(payload.applied).toBe(true);
+      expect(payload.guard.map((entry) => entry.status)).toEqual(['ok', 'ok']);
+      expect(payload.files['src/lib/one.js'].applied).toBe(true);
+      ['one.js', 'two.js'].forEach((name) => {
+        expect(fs.readFileSync(path.join(tempDir, 'src', 'lib', name), 'utf8')).toContain('function assist() {');
+      });
+    });
+  });
+
+  describe('Plan replay (--apply-plan)', () => {
+    let tempDir;
+    let targetPath;
+
+    const moduleSource = [
+      'function alpha() {',
+      '  return 1;',
+      '}',
+      '',
+      'const beta = () => 2;',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-apply-plan-'));
+      targetPath = path.join(tempDir, 'sample.js');
+      fs.writeFileSync(targetPath, moduleSource);
+      fs.writeFileSync(path.join(tempDir, 'alpha.js'), 'function alpha() {\n  return 42;\n}\n');
+      const located = runJsEdit(['--file', targetPath, '--locate', 'alpha', '--emit-plan', path.join(tempDir, 'plan.json'), '--json']);
+      if (located.status !== 0) {
+        throw new Error(`locate failed: ${located.stderr || located.stdout}`);
+      }
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('replays an emitted plan at the moved location and reports the drift', () => {
+      fs.writeFileSync(targetPath, `// header\nconst pad = 1;\n\n${moduleSource}`);
+
+      const result = runJsEdit(['--apply-plan', 'plan.json', '--with', 'alpha.js', '--json', '--fix'], { cwd: tempDir });
+      if (result.status !== 0) {
+        throw new Error(`apply-plan failed: ${result.stderr || result.stdout}`);
+      }
+      const payload = JSON.parse(result.stdout);
+      expect(payload.applied).toBe(true);
+      expect(payload.entries[0].status).toBe('moved');
+      expect(payload.entries[0].drift.map((item) => item.check)).toEqual(['span', 'line', 'path']);
+      expect(payload.entries[0].drift[0].offset).toBe(26);
+      expect(fs.readFileSync(targetPath, 'utf8')).toContain('  return 42;');
+    });
+
+    test('blocks changed code and applies multi-entry plans in reverse span order', () => {
+      fs.writeFileSync(targetPath, moduleSource.replace('return 1;', 'return 7;'));
+      const blocked = runJsEdit(['--apply-plan', 'plan.json', '--with', 'alpha.js'], { cwd: tempDir });
+      expect(blocked.status).toBe(1);
+      const blockedOutput = stripAnsi(blocked.stdout + blocked.stderr);
+      expect(blockedOutput).toContain('changed');
+      expect(blockedOutput).toContain('Plan guards failed; no files were written.');
+
+      fs.writeFileSync(targetPath, moduleSource);
+      const plan = JSON.parse(fs.readFileSync(path.join(tempDir, 'plan.json'), 'utf8'));
+      const located = JSON.parse(runJsEdit(['--file', targetPath, '--locate-variable', 'beta', '--json']).stdout);
+      fs.writeFileSync(path.join(tempDir, 'multi.json'), JSON.stringify({
+        version: 1,
+        entries: [
+          { file: 'sample.js', selector: 'alpha', expectedHash: plan.matches[0].expectedHash, with: 'alpha.js' },
+          { file: 'sample.js', selector: 'beta', entity: 'variable', expectedHash: located.matches[0].hash, withCode: 'beta = () => 3;' }
+        ]
+      }));
+
+      const applied = runJsEdit(['--apply-plan', 'multi.json', '--fix'], { cwd: tempDir });
+      if (applied.status !== 0) {
+        throw new Error(`multi-entry apply-plan failed: ${applied.stderr || applied.stdout}`);
+      }
+      const updated = fs.readFileSync(targetPath, 'utf8');
+      expect(updated).toContain('  return 42;');
+      expect(updated).toContain('const beta = () => 3;');
+    });
+  });
+
+  describe('Structural search and replace (--pattern, --rewrite)', () => {
+    let tempDir;
+    let targetPath;
+
+    const moduleSource = [
+      'function report(fmt, stats) {',
+      "  fmt.stat('Files', stats.files);",
+      '  fmt.stat("Lines", stats.lines, { pad: 2 });',
+      "  formatter.stat(label('x'), stats.total);",
+      "  log('done', 'ok', ...rest);",
+      "  log('only');",
+      '}',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-edit-pattern-'));
+      targetPath = path.join(tempDir, 'report.js');
+      fs.writeFileSync(targetPath, moduleSource);
+    });
+
+    afterEach(() => {
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('--pattern matches by shape and reports metavariable bindings', () => {
+      const result = runJsEdit(['--file', targetPath, '--pattern', '$fmt.stat($label, $value)', '--json']);
+      expect(result.status).toBe(0);
+
+      const payload = JSON.parse(result.stdout);
+      expect(payload.matchCount).toBe(2);
+      expect(payload.metavariables).toEqual(['fmt', 'label', 'value']);
+      expect(payload.matches[1].bindings).toEqual({ fmt: 'formatter', label: "label('x')", value: 'stats.total' });
+    });
+
+    test('--rewrite previews a diff and writes the rewritten matches with --fix', () => {
+      const preview = runJsEdit(['--file', targetPath, '--pattern', '$fmt.stat($label, $value)', '--rewrite', '$fmt.dataPair($label, $value)']);
+      expect(preview.status).toBe(0);
+      expect(stripAnsi(preview.stdout)).toContain("+  fmt.dataPair('Files', stats.files);");
+      expect(fs.readFileSync(targetPath, 'utf8')).toBe(moduleSource);
+
+      const applied = runJsEdit(['--file', targetPath, '--pattern', 'log($msg, $$$rest)', '--rewrite', 'logger.info($$$rest, $msg)', '--fix', '--json']);
+      if (applied.status !== 0) {
+        throw new Error(`pattern rewrite failed: ${applied.stderr || applied.stdout}`);
+      }
+      const payload = JSON.parse(applied.stdout);
+      expect(payload.replaced).toBe(2);
+      expect(payload.guard.syntax.status).toBe('ok');
+      const updated = fs.readFileSync(targetPath, 'utf8');
+      expect(updated).toContain("  logger.info('ok', ...rest, 'done');");
+      expect(updated).toContain("  logger.info('only');");
+
+      const unbound = runJsEdit(['--file', targetPath, '--pattern', 'f($a)', '--rewrite', 'g($b)']);
+      expect(unbound.status).toBe(1);
+      expect(stripAnsi(unbound.stderr + unbound.stdout)).toContain('refers to $b');
+    });
+  });
+
   describe('Constructor listing (--list-constructors)', () => {
     test('--list-constructors shows explicit constructors with hashes', () => {
       const classFixturePath = path.join(__dirname, '../../fixtures/tools/js-edit-nested-classes.js');
@@ -7,7 +7,7 @@ const JS_SCAN = path.join(__dirname, '../js-scan.js');
 const FIXTURE_DIR = path.join(__dirname, '../../fixtures/tools/js-scan');
 
 function runCli(...args) {
-  return execFileSync('node', [JS_SCAN, ...args], {
+  return execFileSync('node', [JS_SCAN, '--no-cache', ...args], {
     encoding: 'utf8',
     env: { ...process.env, FORCE_COLOR: '0' }
   });
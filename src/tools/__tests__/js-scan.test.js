@@ -1,5 +1,7 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execFileSync } = require('child_process');
 const { scanWorkspace } = require('../js-scan/shared/scanner');
@@ -8,6 +10,17 @@ const { runHashLookup } = require('../js-scan/operations/hashLookup');
 const { buildIndex } = require('../js-scan/operations/indexing');
 const { runPatternSearch } = require('../js-scan/operations/patterns');
 const { runDependencySummary } = require('../js-scan/operations/dependencies');
+const { runCallQuery } = require('../js-scan/operations/callGraph');
+const { findUnusedExports, findDeadCode } = require('../js-scan/operations/unusedExports');
+const { exportDependencyGraph } = require('../js-scan/operations/graphExport');
+const { checkLayerRules, compileLayerRules } = require('../js-scan/operations/layerRules');
+const { createPatternMatcher } = require('../js-scan/shared/filters');
+const { suggestCycleBreaks, exactFeedbackArcSet, heuristicFeedbackArcSet } = require('../js-scan/operations/cycleBreaks');
+const { measureFunction } = require('../js-scan/lib/complexity');
+const { parseModule } = require('../lib/swcAst');
+const { createWorkspaceScanner } = require('../tsnjs/core/createWorkspaceScanner');
+const { createTsLanguageProvider } = require('../tsnjs/languages/typescript/TsLanguageProvider');
+const { createModuleResolver } = require('../tsnjs/core/moduleResolver');
 const {
   parseTerseFields,
   formatTerseMatch,
@@ -115,6 +128,17 @@ describe('js-scan pattern search', () => {
     const names = result.matches.map((item) => item.function.name);
     expect(names.some((name) => name.includes('handler'))).toBe(true);
   });
+
+  test('pattern matcher handles ** segments, braces and classes, and path mode keeps * in one segment', () => {
+    const names = createPatternMatcher(['*Handler', 'src/**/*.js', 'get{User,Order}', '[a-c]x?']);
+    expect(['clickHandler', 'src/a.js', 'src/a/b.js', 'getorder', 'bxy'].map(names)).toEqual([true, true, true, true, true]);
+    expect(['getUsers', 'dxy', 'lib/a.js'].map(names)).toEqual([false, false, false]);
+    expect(createPatternMatcher(['/^get/'])('getUser')).toBe(true);
+
+    const paths = createPatternMatcher(['/repo/src/*.js', '/repo/**/*.{ts,tsx}'], { paths: true });
+    expect(['/repo/src/a.js', '/repo/x/y.tsx', '/repo/y.ts'].map(paths)).toEqual([true, true, true]);
+    expect(['/repo/src/lib/a.js', '/repo/SRC/a.js', '/repo/y.tsv'].map(paths)).toEqual([false, false, false]);
+  });
 });
 
 describe('js-scan dependency summaries', () => {
@@ -136,6 +160,21 @@ describe('js-scan dependency summaries', () => {
     expect(helperRow.hop).toBe(1);
   });
 
+  test('counts re-exports as import edges', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-reexport-'));
+    try {
+      fs.writeFileSync(path.join(workspace, 'a.js'), 'export function alpha() {}\n');
+      fs.writeFileSync(path.join(workspace, 'barrel.js'), "export { alpha } from './a';\n");
+      const scan = scanWorkspace({ dir: workspace, exclude: [] });
+      const summary = runDependencySummary(scan.files, 'a.js', { rootDir: workspace, depth: 1, limit: 0 });
+      const barrelRow = summary.incoming.find((row) => row.file === 'barrel.js');
+      expect(barrelRow).toBeDefined();
+      expect(barrelRow.importCount).toBe(1);
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+
   test('depth expansion surfaces indirect dependents', () => {
     const summary = runDependencySummary(dependencyScanFollow.files, '../dep-circular/a.js', {
       rootDir: dependencyScanFollow.rootDir,
@@ -341,6 +380,35 @@ describe('js-scan deprecated filtering', () => {
   });
 });
 
+describe('js-scan exclude patterns', () => {
+  test('matches built-in excludes by whole segment and --exclude patterns by substring', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-exclude-'));
+    try {
+      [
+        'build/bundle.js',
+        'src/build-query.js',
+        'src/query-builder.js',
+        'public/assets/app.js',
+        'legacy/old.js',
+        'legacy-v1/older.js',
+        'src/run.js',
+        'src/run.test.js'
+      ].forEach((file) => {
+        fs.mkdirSync(path.join(workspace, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(workspace, file), 'module.exports = function run() {};\n');
+      });
+      const scan = scanWorkspace({ dir: workspace, exclude: ['legacy', '.test.js'] });
+      expect(scan.files.map((record) => record.relativePath).sort()).toEqual([
+        'src/build-query.js',
+        'src/query-builder.js',
+        'src/run.js'
+      ]);
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('js-scan dependency traversal', () => {
   test('follows relative dependencies outside the initial directory', () => {
     const withoutDeps = runSearch(dependencyScanNoFollow.files, ['helperOne'], { limit: 5 });
@@ -375,6 +443,529 @@ describe('js-scan dependency traversal', () => {
   });
 });
 
+describe('js-scan mixed JavaScript and TypeScript workspaces', () => {
+  const mixedDir = path.join(fixtureDir, 'mixed-lang');
+  let mixedScan;
+
+  beforeAll(() => {
+    mixedScan = scanWorkspace({ dir: mixedDir, exclude: [] });
+  });
+
+  const recordFor = (relativePath) => mixedScan.files.find((record) => record.relativePath === relativePath);
+
+  test('dispatches each file to the provider registered for its extension', () => {
+    expect(mixedScan.errors).toHaveLength(0);
+    expect(recordFor('format.ts').language).toBe('typescript');
+    expect(recordFor('format.ts').ts.interfaces.map((entry) => entry.name)).toContain('TotalOptions');
+    expect(recordFor('report.js').language).toBe('javascript');
+    expect(mixedScan.stats.languages).toEqual({ javascript: 2, typescript: 2 });
+
+    const search = runSearch(mixedScan.files, ['formatTotal'], { limit: 5 });
+    expect(search.matches.map((match) => match.file)).toContain('format.ts');
+  });
+
+  test('resolves imports across languages, including .js specifiers for .ts sources', () => {
+    expect(recordFor('format.ts').resolvedDependencies.imports).toEqual(['legacy.js']);
+    expect(recordFor('report.js').resolvedDependencies.requires).toEqual(['format.ts']);
+    expect(recordFor('index.ts').resolvedDependencies.imports).toEqual(['format.ts', 'report.js']);
+
+    const summary = runDependencySummary(mixedScan.files, 'format.ts', {
+      rootDir: mixedScan.rootDir,
+      depth: 1,
+      limit: 0
+    });
+    expect(summary.incoming.map((row) => row.file).sort()).toEqual(['index.ts', 'report.js']);
+    expect(summary.outgoing.map((row) => row.file)).toEqual(['legacy.js']);
+
+    const index = buildIndex(mixedScan.files);
+    expect(index.stats.languages).toEqual({ javascript: 2, typescript: 2 });
+  });
+
+  test('accepts a registry keyed by extension', () => {
+    const { scanWorkspace: scanTypeScript } = createWorkspaceScanner({ '.ts': createTsLanguageProvider() });
+    const tsOnly = scanTypeScript({ dir: mixedDir });
+    expect(tsOnly.files.map((record) => record.relativePath).sort()).toEqual(['format.ts', 'index.ts']);
+    expect(tsOnly.files.find((record) => record.relativePath === 'index.ts').resolvedDependencies.imports).toEqual(['format.ts']);
+  });
+});
+
+describe('js-scan call graph', () => {
+  const mixedDir = path.join(fixtureDir, 'mixed-lang');
+  let mixedScan;
+
+  beforeAll(() => {
+    mixedScan = scanWorkspace({ dir: mixedDir, exclude: [] });
+  });
+
+  test('records call sites and resolves them through imports and requires', () => {
+    const report = mixedScan.files.find((record) => record.relativePath === 'report.js');
+    const formatCall = report.calls.find((call) => call.name === 'formatTotal');
+    expect(formatCall).toMatchObject({ callee: 'formatTotal', object: null, kind: 'call', line: 6, caller: 'buildReport' });
+    expect(report.importBindings).toEqual([{ local: 'formatTotal', imported: 'formatTotal', source: './format', kind: 'destructure' }]);
+
+    const callers = runCallQuery(mixedScan.files, 'legacyRound', { direction: 'callers', depth: 3 });
+    expect(callers.targets.map((target) => target.file)).toEqual(['legacy.js']);
+    expect(callers.entries.map((entry) => [entry.name, entry.file, entry.hop])).toEqual([
+      ['formatTotal', 'format.ts', 1],
+      ['printReport', 'index.ts', 2],
+      ['buildReport', 'report.js', 2]
+    ]);
+    expect(callers.entries[1].via).toBe('exports.formatTotal');
+
+    const direct = runCallQuery(mixedScan.files, callers.entries[0].hash, { direction: 'callers' });
+    expect(direct.entries.map((entry) => entry.name).sort()).toEqual(['buildReport', 'printReport']);
+  });
+
+  test('lists callees with external calls and hashes over the CLI', () => {
+    const callees = runCallQuery(mixedScan.files, 'printReport', { direction: 'callees' });
+    expect(callees.entries.map((entry) => entry.name)).toEqual(['formatTotal', 'buildReport']);
+    expect(callees.external.map((entry) => entry.callee)).toEqual(['rows.reduce']);
+
+    const output = execFileSync(process.execPath, [
+      cliScript,
+      '--dir',
+      mixedDir,
+      '--callers',
+      'formatTotal',
+      '--hashes-only',
+      '--no-cache'
+    ], {
+      cwd: repoRoot,
+      encoding: 'utf8'
+    });
+    const buildReport = mixedScan.files.find((record) => record.relativePath === 'report.js').functions[0];
+    expect(output.trim().split('\n')).toContain(buildReport.hash);
+    expect(() => runCallQuery(mixedScan.files, 'missingFunction', {})).toThrow(/No function matches 'missingFunction'/);
+  });
+});
+
+describe('js-scan unused exports and dead code', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-unused-'));
+    fs.mkdirSync(path.join(workspace, 'lib'));
+    fs.writeFileSync(path.join(workspace, 'lib/math.js'), [
+      "'use strict';",
+      '',
+      'function add(a, b) { return a + b; }',
+      'function sub(a, b) { return a - b; }',
+      'function double(a) { return add(a, a); }',
+      'function orphan() { return 0; }',
+      '',
+      'module.exports = { add, sub, double };',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(workspace, 'lib/index.js'), "module.exports = require('./math');\n");
+    fs.writeFileSync(path.join(workspace, 'app.js'), "const math = require('./lib');\n\nmodule.exports = function total() { return math.add(1, 2); };\n");
+    fs.writeFileSync(path.join(workspace, 'cli.js'), "#!/usr/bin/env node\nconst total = require('./app');\n\nexports.run = function run() { return total(); };\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('joins exports with namespace members, re-exports and entry points', () => {
+    const scan = scanWorkspace({ dir: workspace, exclude: [] });
+    const result = findUnusedExports(scan.files);
+    expect(result.entryPoints).toEqual(['cli.js']);
+    expect(result.candidates.map((candidate) => [candidate.file, candidate.exported, candidate.localReferences])).toEqual([
+      ['lib/math.js', 'sub', 0],
+      ['lib/math.js', 'double', 0]
+    ]);
+    const math = scan.files.find((record) => record.relativePath === 'lib/math.js');
+    expect(result.candidates[0].hash).toBe(math.functions.find((fn) => fn.name === 'sub').hash);
+
+    const mixedScan = scanWorkspace({ dir: path.join(fixtureDir, 'mixed-lang'), exclude: [] });
+    expect(findUnusedExports(mixedScan.files).candidates.map((candidate) => `${candidate.file}:${candidate.exported}`)).toEqual([
+      'format.ts:TotalOptions',
+      'index.ts:printReport'
+    ]);
+  });
+
+  test('reports unreachable functions with hashes over the CLI', () => {
+    const scan = scanWorkspace({ dir: workspace, exclude: [] });
+    const dead = findDeadCode(scan.files);
+    expect(dead.candidates.map((candidate) => [candidate.name, candidate.reason])).toEqual([
+      ['sub', 'unused-export'],
+      ['double', 'unused-export'],
+      ['orphan', 'unreferenced']
+    ]);
+
+    const output = execFileSync(process.execPath, [cliScript, '--dir', workspace, '--dead-code', '--json'], {
+      cwd: repoRoot,
+      encoding: 'utf8'
+    });
+    const payload = JSON.parse(output);
+    expect(payload.operation).toBe('dead-code');
+    expect(payload.candidates.map((candidate) => candidate.hash)).toEqual(dead.candidates.map((candidate) => candidate.hash));
+  });
+});
+
+describe('js-scan incremental scan cache', () => {
+  let workspace;
+  let cacheDir;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-cache-'));
+    cacheDir = path.join(workspace, 'tmp', 'cache');
+    fs.writeFileSync(path.join(workspace, 'app.js'), "const { helper } = require('./helper');\n\nfunction main() { return helper(); }\n\nmodule.exports = { main };\n");
+    fs.writeFileSync(path.join(workspace, 'helper.js'), 'function helper() { return 1; }\n\nmodule.exports = { helper };\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('reuses unchanged records and re-resolves dependents of edited files', () => {
+    const scanOptions = { dir: workspace, exclude: [], cache: { dir: cacheDir } };
+    const first = scanWorkspace(scanOptions);
+    expect(first.stats.cache).toMatchObject({ enabled: true, hits: 0, misses: 2, written: true });
+
+    const second = scanWorkspace(scanOptions);
+    expect(second.stats.cache).toMatchObject({ hits: 2, misses: 0, resolutionHits: 2, invalidated: 0 });
+    const uncached = scanWorkspace({ dir: workspace, exclude: [] });
+    const app = second.files.find((record) => record.relativePath === 'app.js');
+    const uncachedApp = uncached.files.find((record) => record.relativePath === 'app.js');
+    expect(app.functions.map((fn) => fn.hash)).toEqual(uncachedApp.functions.map((fn) => fn.hash));
+    expect(app.resolvedSpecifiers).toEqual({ './helper': 'helper.js' });
+    expect(app.source).toBe(uncachedApp.source);
+    expect(app.mapper).not.toBeNull();
+    expect(Object.keys(app).sort()).toEqual(Object.keys(uncachedApp).sort());
+
+    fs.writeFileSync(path.join(workspace, 'helper.js'), 'function helper() { return 2; }\nfunction extra() {}\n\nmodule.exports = { helper, extra };\n');
+    const third = scanWorkspace(scanOptions);
+    expect(third.stats.cache).toMatchObject({ hits: 1, misses: 1, resolutionHits: 0, invalidated: 1 });
+    const helper = third.files.find((record) => record.relativePath === 'helper.js');
+    expect(helper.functions.map((fn) => fn.name)).toEqual(['helper', 'extra']);
+  });
+
+  test('reports cache stats in --build-index and honours --rebuild-cache and --no-cache', () => {
+    const runIndex = (...flags) => JSON.parse(execFileSync(process.execPath, [
+      cliScript, '--dir', workspace, '--build-index', '--json', '--cache-dir', cacheDir, ...flags
+    ], { cwd: repoRoot, encoding: 'utf8' }));
+
+    expect(runIndex().cache).toMatchObject({ enabled: true, hits: 0, misses: 2 });
+    expect(runIndex().cache).toMatchObject({ hits: 2, misses: 0 });
+    expect(runIndex('--rebuild-cache').cache).toMatchObject({ rebuilt: true, hits: 0, misses: 2 });
+    expect(runIndex('--no-cache').cache).toEqual({ enabled: false });
+    expect(fs.readdirSync(cacheDir)).toHaveLength(1);
+  });
+
+  test('keeps TypeScript metadata on cache hits', () => {
+    const scanOptions = { dir: path.join(fixtureDir, 'mixed-lang'), exclude: [], cache: { dir: cacheDir } };
+    scanWorkspace(scanOptions);
+    const cached = scanWorkspace(scanOptions);
+    expect(cached.stats.cache).toMatchObject({ hits: 4, misses: 0 });
+    const uncached = scanWorkspace({ ...scanOptions, cache: null });
+    const format = cached.files.find((record) => record.relativePath === 'format.ts');
+    const uncachedFormat = uncached.files.find((record) => record.relativePath === 'format.ts');
+    expect(Object.keys(format).sort()).toEqual(Object.keys(uncachedFormat).sort());
+    expect(format.ts).toEqual(uncachedFormat.ts);
+  });
+
+  test('keeps the default cache under --dir and reports it for every operation', () => {
+    const runScan = (...flags) => execFileSync(process.execPath, [cliScript, '--dir', workspace, ...flags], {
+      cwd: repoRoot,
+      encoding: 'utf8'
+    });
+
+    expect(JSON.parse(runScan('--search', 'helper', '--json')).cache).toMatchObject({ enabled: true, hits: 0, misses: 2 });
+    expect(fs.readdirSync(path.join(workspace, 'tmp', 'js-scan-cache'))).toHaveLength(1);
+    expect(JSON.parse(runScan('--deps-of', 'app.js', '--json')).cache).toMatchObject({ hits: 2, misses: 0, resolutionHits: 2 });
+    expect(stripAnsi(runScan('--callers', 'helper'))).toMatch(/Cache\s*:?\s*2 hit\(s\), 0 parsed, 2 resolution\(s\) reused/);
+    expect(runScan('--search', 'helper', '--hashes-only')).not.toMatch(/Cache/);
+  });
+});
+
+describe('js-scan graph export', () => {
+  test('renders cycles and risk levels as Mermaid and DOT', () => {
+    const mermaid = exportDependencyGraph(circularScan.files, { format: 'mermaid', highlightCycles: true, colorRisk: true });
+    expect(mermaid.cycles).toEqual([['a.js', 'b.js', 'a.js']]);
+    expect(mermaid.edges.map((edge) => [edge.from, edge.to, edge.cycle])).toEqual([['a.js', 'b.js', true], ['b.js', 'a.js', true]]);
+    expect(mermaid.nodes.every((node) => node.inCycle && node.risk && node.risk.level)).toBe(true);
+    expect(mermaid.output).toContain('n0 -.->|"require×1"| n1');
+    expect(mermaid.output).toContain('classDef cycle');
+    expect(mermaid.output).toContain('linkStyle 1 stroke:#d32f2f');
+
+    const dot = exportDependencyGraph(circularScan.files, { format: 'DOT' });
+    expect(dot.output.startsWith('digraph dependencies {')).toBe(true);
+    expect(dot.output).toContain('"a.js" -> "b.js" [label="require×1", style=dashed];');
+    expect(dot.output).not.toContain('#d32f2f');
+    expect(() => exportDependencyGraph(circularScan.files, { format: 'png' })).toThrow(/Unknown graph format 'png'/);
+  });
+
+  test('--export-graph limits the graph to --deps-of and collapses directories', () => {
+    const runScan = (...flags) => execFileSync(process.execPath, [
+      cliScript, '--dir', fixtureDir, '--no-cache', ...flags
+    ], { cwd: repoRoot, encoding: 'utf8' });
+
+    const dot = runScan('--export-graph', 'dot', '--deps-of', 'dep-root/entry.js', '--dep-depth', '1');
+    expect(dot).toMatch(/^digraph dependencies \{/);
+    expect(dot).toContain('"dep-root/entry.js" -> "dep-linked/helper.js"');
+    expect(dot).not.toContain('dep-circular');
+
+    const graphml = JSON.parse(runScan('--export-graph', 'graphml', '--deps-of', 'dep-root/entry.js', '--collapse-dirs', '--highlight-cycles', '--json'));
+    expect(graphml.root).toBe('dep-root/entry.js');
+    expect(graphml.nodes.map((node) => node.id)).toEqual(['dep-circular', 'dep-linked', 'dep-root']);
+    expect(graphml.edges.map((edge) => `${edge.from}->${edge.to}`)).toEqual(['dep-linked->dep-circular', 'dep-root->dep-linked']);
+    expect(graphml.cycles).toEqual([]);
+    expect(graphml.output).toContain('<edge id="e0" source="dep-linked" target="dep-circular">');
+  });
+});
+
+describe('js-scan layer rules', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-layers-'));
+    fs.mkdirSync(path.join(workspace, 'src/util'), { recursive: true });
+    fs.mkdirSync(path.join(workspace, 'src/tools'), { recursive: true });
+    fs.mkdirSync(path.join(workspace, 'src/app'), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'src/tools/lexicon.js'), 'module.exports = { label: () => 1 };\n');
+    fs.writeFileSync(path.join(workspace, 'src/util/format.js'), "const path = require('path');\nconst lexicon = require('../tools/lexicon');\n\nmodule.exports = { format: () => lexicon.label(path.sep) };\n");
+    fs.writeFileSync(path.join(workspace, 'src/util/spawn.js'), "import { execSync } from 'node:child_process';\n\nexport const run = () => execSync('true');\n");
+    fs.writeFileSync(path.join(workspace, 'src/app/main.js'), "import { format } from '../util/format';\nimport { run } from '../util/spawn';\nimport { label } from '../tools/lexicon';\n\nexport const main = () => [format(), run(), label()];\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('reports forbidden, non-allowed and banned imports with lines plus fan-out limits', () => {
+    const scan = scanWorkspace({ dir: path.join(workspace, 'src'), exclude: [] });
+    const rules = compileLayerRules({
+      rules: [
+        { name: 'util-is-a-leaf', from: 'src/util/*', forbid: ['src/tools/*'] },
+        { name: 'app-layers', from: 'src/app/*', allow: ['src/util/*'] }
+      ],
+      bannedModules: [{ module: 'child_process', from: 'src/util/*' }],
+      maxFanOut: [{ files: 'src/app/*', max: 2 }]
+    }, workspace);
+    const result = checkLayerRules(scan.files, rules, { rootDir: scan.rootDir });
+
+    expect(result.ok).toBe(false);
+    expect(result.violations.map((violation) => [violation.type, violation.file, violation.line, violation.specifier])).toEqual([
+      ['max-fan-out', 'src/app/main.js', null, null],
+      ['not-allowed', 'src/app/main.js', 3, '../tools/lexicon'],
+      ['forbidden', 'src/util/format.js', 2, '../tools/lexicon'],
+      ['banned-module', 'src/util/spawn.js', 1, 'node:child_process']
+    ]);
+    expect(result.violations[2]).toMatchObject({ target: 'src/tools/lexicon.js', rule: 'util-is-a-leaf' });
+    expect(result.stats.byType).toEqual({ 'max-fan-out': 1, 'not-allowed': 1, forbidden: 1, 'banned-module': 1 });
+    expect(() => compileLayerRules({ rules: [{ from: 'src/*' }] }, workspace)).toThrow(/needs 'allow' or 'forbid'/);
+  });
+
+  test('--layer-rules matches paths relative to the rules file and exits non-zero on violations', () => {
+    const rulesPath = path.join(workspace, 'layers.json');
+    const runRules = (dir) => {
+      try {
+        return { status: 0, stdout: execFileSync(process.execPath, [
+          cliScript, '--dir', dir, '--layer-rules', rulesPath, '--json', '--no-cache'
+        ], { cwd: repoRoot, encoding: 'utf8' }) };
+      } catch (error) {
+        return { status: error.status, stdout: error.stdout };
+      }
+    };
+
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ from: 'src/util/*', forbid: 'src/tools/*' }] }));
+    const failing = runRules(path.join(workspace, 'src/util'));
+    expect(failing.status).toBe(1);
+    expect(JSON.parse(failing.stdout).violations).toEqual([expect.objectContaining({
+      file: 'src/util/format.js',
+      line: 2,
+      target: 'src/tools/lexicon.js',
+      type: 'forbidden'
+    })]);
+
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ from: 'src/tools/*', forbid: 'src/util/*' }] }));
+    const passing = runRules(path.join(workspace, 'src'));
+    expect(passing.status).toBe(0);
+    expect(JSON.parse(passing.stdout)).toMatchObject({ ok: true, violations: [] });
+  });
+});
+
+describe('js-scan cycle breaks', () => {
+  test('cuts one edge of the dep-circular fixture and moves the symbol it carries', () => {
+    const result = suggestCycleBreaks(circularScan.files);
+    expect(result.components).toEqual([{ files: ['a.js', 'b.js'], edges: 2, cut: 1, exact: true }]);
+    expect(result.breaks).toHaveLength(1);
+    const [cut] = result.breaks;
+    expect(cut).toMatchObject({ from: 'a.js', to: 'b.js', kinds: ['require'], specifiers: ['./b'], line: 3, wholeModule: false });
+    expect(cut.symbols).toEqual([expect.objectContaining({
+      name: 'circleB',
+      references: 1,
+      lines: [10],
+      function: expect.objectContaining({ canonicalName: 'exports.circleB', line: 5 })
+    })]);
+    expect(cut.suggestion).toMatchObject({ action: 'move', target: 'a.js', symbols: ['circleB'], caveats: [] });
+
+    const nodes = ['a', 'b', 'c', 'd'];
+    const edges = [['a', 'b'], ['b', 'c'], ['c', 'a'], ['c', 'd'], ['d', 'b'], ['d', 'a']]
+      .map(([from, to]) => ({ from, to, weight: 1 }));
+    const names = (positions, list = edges) => positions.map((position) => `${list[position].from}${list[position].to}`);
+    expect(names(exactFeedbackArcSet(nodes, edges))).toEqual(['bc']);
+    expect(heuristicFeedbackArcSet(nodes, edges).length).toBeGreaterThanOrEqual(1);
+    expect(exactFeedbackArcSet(nodes, edges.slice(0, 2))).toEqual([]);
+    const weighted = [{ from: 'a', to: 'b', weight: 3 }, { from: 'b', to: 'a', weight: 1 }];
+    expect(names(exactFeedbackArcSet(['a', 'b'], weighted), weighted)).toEqual(['ba']);
+  });
+
+  test('--break-cycles extracts shared symbols with their helpers and ripple analysis reuses it', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-cycles-'));
+    try {
+      fs.writeFileSync(path.join(workspace, 'store.js'), "const { format } = require('./view');\n\nfunction save(x) { return format(x); }\nfunction normalize(x) { return x.trim(); }\n\nmodule.exports = { save, normalize };\n");
+      fs.writeFileSync(path.join(workspace, 'view.js'), "const { normalize } = require('./store');\n\nfunction pad(x) { return ` ${x}`; }\nfunction format(x) { return pad(x); }\nfunction render(x) { return normalize(x); }\n\nmodule.exports = { format, render };\n");
+      fs.writeFileSync(path.join(workspace, 'main.js'), "const { render } = require('./view');\nconst { save } = require('./store');\n\nmodule.exports = () => save(render('x'));\n");
+      const runScan = (...flags) => JSON.parse(execFileSync(process.execPath, [
+        cliScript, '--dir', workspace, '--no-cache', '--json', ...flags
+      ], { cwd: repoRoot, encoding: 'utf8' }));
+
+      const result = runScan('--break-cycles');
+      expect(result.stats).toMatchObject({ files: 3, components: 1, filesInCycles: 2, breaks: 1, exact: true });
+      expect(result.breaks[0]).toMatchObject({ from: 'store.js', to: 'view.js', line: 1 });
+      expect(result.breaks[0].suggestion).toMatchObject({
+        action: 'extract',
+        target: 'view-shared.js',
+        symbols: ['format'],
+        carry: ['pad']
+      });
+
+      const ripple = runScan('--ripple-analysis', path.join(workspace, 'view.js'));
+      expect(ripple.cycleBreaks.map((entry) => `${entry.from}->${entry.to}:${entry.suggestion.action}`)).toEqual(['store.js->view.js:extract']);
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('js-scan complexity metrics', () => {
+  const branchy = [
+    'function branchy(a, b) {',
+    '  if (a) {',
+    '    for (const x of b) {',
+    '      if (x && y && z || w) { continue; }',
+    '    }',
+    '  } else if (b) {',
+    '    return a ? 1 : 2;',
+    '  } else {',
+    '    try { g(); } catch (e) { h(() => { if (e) {} }); }',
+    '  }',
+    '  switch (a) { case 1: break; case 2: break; default: }',
+    '}'
+  ].join('\n');
+
+  test('measures cyclomatic and cognitive complexity, nesting and parameters from the AST', () => {
+    expect(measureFunction(parseModule(branchy).body[0])).toEqual({ cyclomatic: 12, cognitive: 19, nesting: 3, params: 2 });
+
+    const record = scanWorkspace({ dir: fixtureDir, exclude: [], includePath: [] }).files
+      .find((file) => file.relativePath === 'dep-circular/a.js');
+    const callB = record.functions.find((fn) => fn.name === 'callB');
+    expect(callB.metrics).toEqual({ cyclomatic: 1, cognitive: 0, nesting: 0, params: 0, lines: 3 });
+  });
+
+  test('--build-index rolls metrics up per module with thresholds and sorting', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'js-scan-complexity-'));
+    try {
+      fs.writeFileSync(path.join(workspace, 'branchy.js'), `${branchy}\n\nfunction tiny() { return 1; }\n\nmodule.exports = { branchy, tiny };\n`);
+      fs.writeFileSync(path.join(workspace, 'long.js'), `function long(a, b, c) {\n${'  a += b;\n'.repeat(30)}  return a || c;\n}\n\nmodule.exports = { long };\n`);
+      const scan = scanWorkspace({ dir: workspace, exclude: [] });
+
+      const index = buildIndex(scan.files, { sort: 'lines' });
+      expect(index.entries.map((entry) => entry.file)).toEqual(['long.js', 'branchy.js']);
+      expect(index.entries[1].complexity).toMatchObject({
+        functions: 3,
+        cyclomatic: 15,
+        averageCyclomatic: 5,
+        maxCyclomatic: 12,
+        maxCognitive: 19,
+        maxNesting: 3,
+        maxParams: 2,
+        maxLines: 12
+      });
+      expect(index.entries[1].complexity.hotspots.map((hotspot) => hotspot.name)).toEqual(['branchy', 'h callback (arg1)', 'tiny']);
+      expect(() => buildIndex(scan.files, { sort: 'size' })).toThrow(/Unknown index sort 'size'/);
+
+      const filtered = JSON.parse(execFileSync(process.execPath, [
+        cliScript, '--dir', workspace, '--build-index', '--json', '--no-cache', '--min-complexity', '10', '--sort', 'cognitive'
+      ], { cwd: repoRoot, encoding: 'utf8' }));
+      expect(filtered.thresholds).toEqual({ cyclomatic: 10, cognitive: null, lines: null });
+      expect(filtered.entries.map((entry) => entry.file)).toEqual(['branchy.js']);
+      expect(filtered.entries[0].complexity.hotspots).toEqual([expect.objectContaining({
+        name: 'branchy',
+        line: 1,
+        cyclomatic: 12,
+        cognitive: 19,
+        lines: 12,
+        hash: expect.any(String)
+      })]);
+      expect(filtered.stats.complexity).toMatchObject({ matchingModules: 1, hotspots: 1 });
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('js-scan module resolution', () => {
+  const resolverDir = path.join(fixtureDir, 'resolver-workspace');
+  let resolverScan;
+
+  beforeAll(() => {
+    resolverScan = scanWorkspace({ dir: resolverDir, exclude: [] });
+  });
+
+  const recordFor = (relativePath) => resolverScan.files.find((record) => record.relativePath === relativePath);
+
+  test('resolves package imports, workspace packages and conditional exports for require', () => {
+    expect(recordFor('src/app.js').resolvedDependencies.requires).toEqual([
+      'lib/config.cjs',
+      'lib/internal/cache.js',
+      'packages/shared/src/index.cjs',
+      'packages/shared/src/utils/strings.js'
+    ]);
+  });
+
+  test('uses import conditions and tsconfig paths/baseUrl for ESM sources', () => {
+    expect(recordFor('src/view.ts').resolvedDependencies.imports).toEqual([
+      'lib/config.mjs',
+      'lib/format.ts',
+      'lib/internal/cache.js',
+      'packages/shared/src/index.mjs'
+    ]);
+    expect(recordFor('src/view.ts').unresolvedDependencies).toEqual([]);
+  });
+
+  test('reports unresolved specifiers instead of dropping them', () => {
+    expect(recordFor('src/app.js').unresolvedDependencies).toEqual([
+      { specifier: './nope', kind: 'require', reason: './nope not found' },
+      { specifier: 'missing-package', kind: 'require', reason: 'package missing-package not found' }
+    ]);
+    expect(resolverScan.stats.unresolvedDependencies).toBe(2);
+
+    const summary = runDependencySummary(resolverScan.files, 'src/app.js', {
+      rootDir: resolverScan.rootDir,
+      depth: 1,
+      limit: 0
+    });
+    expect(summary.stats.unresolved).toBe(2);
+    expect(summary.unresolved.map((entry) => entry.specifier)).toEqual(['./nope', 'missing-package']);
+  });
+
+  test('explains why package specifiers fail to resolve', () => {
+    const resolver = createModuleResolver({ rootDir: resolverDir });
+    const fromApp = path.join(resolverDir, 'src/app.js');
+    const context = { candidateExtensions: ['.js', '.cjs', '.mjs'], kind: 'require' };
+
+    expect(resolver.resolve(fromApp, 'node:path', context).status).toBe('builtin');
+    expect(resolver.resolve(fromApp, '@acme/shared/package.json', context)).toEqual({
+      status: 'unresolved',
+      paths: [],
+      reason: '"./package.json" is not exported by @acme/shared'
+    });
+    expect(resolver.resolve(fromApp, '#private', context).reason).toMatch(/#private is not defined in the "imports" map/);
+  });
+});
+
 describe('js-scan output helpers', () => {
   const stubFormatter = {
     COLORS: {
@@ -44,6 +44,8 @@ jest.mock('../js-scan/operations/rippleAnalysis', () => ({
   }))
 }));
 
+const path = require('path');
+const fs = require('fs');
 const { analyzeRipple } = require('../js-scan/operations/rippleAnalysis');
 const OperationDispatcher = require('../js-edit/recipes/OperationDispatcher');
 
@@ -125,6 +127,102 @@ describe('OperationDispatcher', () => {
       expect(result.safetyAssertions.canRename).toBe(true);
     });
 
+    describe('against a scanned workspace', () => {
+      const workspaceRoot = path.join(__dirname, '../../../tmp/test-jscan-steps');
+
+      beforeAll(() => {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+        fs.mkdirSync(path.join(workspaceRoot, 'db'), { recursive: true });
+        fs.mkdirSync(path.join(workspaceRoot, 'ui'), { recursive: true });
+        fs.writeFileSync(path.join(workspaceRoot, 'db/query.js'), [
+          'function buildQuery(table) {',
+          '  return `SELECT * FROM ${table}`;',
+          '}',
+          '',
+          'async function runQuery(table) {',
+          '  return buildQuery(table);',
+          '}',
+          '',
+          'module.exports = { buildQuery };',
+          ''
+        ].join('\n'));
+        fs.writeFileSync(path.join(workspaceRoot, 'ui/render.js'), [
+          'export function renderQuery(query) {',
+          '  return query;',
+          '}',
+          ''
+        ].join('\n'));
+      });
+
+      afterAll(() => {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      });
+
+      it('should return real search matches with hashes and spans', async () => {
+        const result = await dispatcher.dispatch({
+          operation: 'js-scan',
+          search: 'query',
+          scope: workspaceRoot
+        });
+
+        expect(result.operation).toBe('search');
+        expect(result.matches.map((match) => match.name).sort()).toEqual(['buildQuery', 'renderQuery', 'runQuery']);
+        const match = result.matches.find((entry) => entry.name === 'buildQuery');
+        expect(match).toEqual(expect.objectContaining({ file: 'db/query.js', kind: 'function-declaration', line: 1 }));
+        expect(match.hash).toEqual(expect.any(String));
+        expect(match.span).toEqual(expect.objectContaining({ start: expect.any(Number), end: expect.any(Number) }));
+        expect(match.stars).toBeGreaterThan(0);
+      });
+
+      it('should honour kind, exported and includePaths filters', async () => {
+        const exported = await dispatcher.dispatch({
+          operation: 'js-scan',
+          search: 'query',
+          exported: true,
+          scope: workspaceRoot
+        });
+        expect(exported.matches.map((match) => match.name)).toEqual(['renderQuery']);
+
+        const included = await dispatcher.dispatch({
+          operation: 'js-scan',
+          search: 'query',
+          includePaths: 'db/',
+          scope: workspaceRoot
+        });
+        expect(included.matches.map((match) => match.name).sort()).toEqual(['buildQuery', 'runQuery']);
+
+        const none = await dispatcher.dispatch({
+          operation: 'js-scan',
+          search: 'query',
+          kind: 'class',
+          scope: workspaceRoot
+        });
+        expect(none.count).toBe(0);
+      });
+
+      it('should locate a function by the hash a search emitted', async () => {
+        const search = await dispatcher.dispatch({ operation: 'js-scan', search: 'runQuery', scope: workspaceRoot });
+        const { hash } = search.matches[0];
+
+        const result = await dispatcher.dispatch({ operation: 'js-scan', 'find-hash': hash, scope: workspaceRoot });
+
+        expect(result.found).toBe(true);
+        expect(result.location).toEqual(expect.objectContaining({ file: 'db/query.js', name: 'runQuery', hash }));
+
+        const missing = await dispatcher.dispatch({ operation: 'js-scan', 'find-hash': 'deadbeef', scope: workspaceRoot });
+        expect(missing.found).toBe(false);
+        expect(missing.location).toBeNull();
+      });
+
+      it('should reject scopes that do not exist', async () => {
+        await expect(dispatcher.dispatch({
+          operation: 'js-scan',
+          search: 'query',
+          scope: path.join(workspaceRoot, 'missing')
+        })).rejects.toThrow(/Directory not found/);
+      });
+    });
+
     it('should require search or find-hash or ripple-analysis', async () => {
       const step = {
         operation: 'js-scan'
@@ -162,6 +260,710 @@ describe('OperationDispatcher', () => {
     });
   });
 
+  describe('rename-global operation', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-rename-global');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'lib'), { recursive: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'app'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/query.js'), [
+        'function buildQuery(table) {',
+        '  return `SELECT * FROM ${table}`;',
+        '}',
+        '',
+        'module.exports = { buildQuery };',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/report.js'), [
+        "const { buildQuery } = require('../lib/query');",
+        "const lib = require('../lib/query');",
+        '',
+        'function run() {',
+        '  const options = { buildQuery };',
+        "  return [buildQuery('a'), lib.buildQuery('b'), options];",
+        '}',
+        '',
+        'module.exports = { run };',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/view.mjs'), [
+        "import { buildQuery } from '../lib/query.js';",
+        '',
+        'const constructQuery = 1;',
+        "export const view = () => buildQuery('v') + constructQuery;",
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    const renameStep = {
+      operation: 'js-edit',
+      action: 'rename-global',
+      oldName: 'buildQuery',
+      newName: 'constructQuery',
+      scope: workspaceRoot
+    };
+
+    it('should preview per-file diffs without writing in dry-run mode', async () => {
+      const before = read('app/report.js');
+      const result = await dispatcher.dispatch(renameStep, { dryRun: true });
+
+      expect(result.status).toBe('preview');
+      expect(result.declaration.file).toBe('lib/query.js');
+      expect(result.result.filesChanged).toBe(3);
+      expect(result.result.files.map((entry) => entry.file)).toEqual(['app/report.js', 'app/view.mjs', 'lib/query.js']);
+
+      const report = result.result.files.find((entry) => entry.file === 'app/report.js');
+      expect(report.diff).toContain("+const { constructQuery } = require('../lib/query');");
+      expect(report.beforeHash).toEqual(expect.any(String));
+      expect(read('app/report.js')).toBe(before);
+    });
+
+    it('should rewrite the declaration, destructuring, member accesses and named imports when applied', async () => {
+      const result = await dispatcher.dispatch(renameStep, { dryRun: false });
+
+      expect(result.status).toBe('renamed');
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+      expect(read('lib/query.js')).toContain('function constructQuery(table)');
+      expect(read('lib/query.js')).toContain('module.exports = { constructQuery };');
+
+      const report = read('app/report.js');
+      expect(report).toContain("const { constructQuery } = require('../lib/query');");
+      expect(report).toContain('const options = { buildQuery: constructQuery };');
+      expect(report).toContain("constructQuery('a'), lib.constructQuery('b')");
+
+      // The importer already has a local `constructQuery`, so the import is aliased instead.
+      const view = read('app/view.mjs');
+      expect(view).toContain("import { constructQuery as buildQuery } from '../lib/query.js';");
+      expect(view).toContain("buildQuery('v') + constructQuery");
+    });
+
+    it('should treat barrels that import and re-export the symbol as importers', async () => {
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/index.mjs'), [
+        "import { buildQuery } from './query.js';",
+        '',
+        'export { buildQuery };',
+        'export { buildQuery as bq };',
+        'export default buildQuery;',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/all.js'), [
+        "const { buildQuery } = require('./query');",
+        '',
+        'module.exports = { buildQuery };',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/list.mjs'), [
+        "import { buildQuery, bq } from '../lib/index.mjs';",
+        '',
+        "export const list = () => [buildQuery('l'), bq('m')];",
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/count.js'), [
+        "const { buildQuery } = require('../lib/all');",
+        '',
+        "module.exports = () => buildQuery('c');",
+        ''
+      ].join('\n'));
+
+      const result = await dispatcher.dispatch(renameStep, { dryRun: false });
+
+      expect(result.declaration.file).toBe('lib/query.js');
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+      expect(read('lib/index.mjs')).toBe([
+        "import { constructQuery } from './query.js';",
+        '',
+        'export { constructQuery };',
+        'export { constructQuery as bq };',
+        'export default constructQuery;',
+        ''
+      ].join('\n'));
+      expect(read('lib/all.js')).toContain('module.exports = { constructQuery };');
+      expect(read('app/list.mjs')).toContain("import { constructQuery, bq } from '../lib/index.mjs';");
+      expect(read('app/list.mjs')).toContain("[constructQuery('l'), bq('m')]");
+      expect(read('app/count.js')).toBe("const { constructQuery } = require('../lib/all');\n\nmodule.exports = () => constructQuery('c');\n");
+    });
+
+    it('should refuse renames that collide with an existing declaration', async () => {
+      fs.appendFileSync(path.join(workspaceRoot, 'lib/query.js'), 'const constructQuery = null;\n');
+
+      await expect(dispatcher.dispatch(renameStep, { dryRun: true })).rejects.toThrow(/would change meaning/);
+    });
+
+    it('should report not-found without touching files when the symbol is not exported', async () => {
+      const result = await dispatcher.dispatch({ ...renameStep, oldName: 'missingSymbol' }, { dryRun: false });
+
+      expect(result.status).toBe('not-found');
+      expect(result.result.filesChanged).toBe(0);
+    });
+  });
+
+  describe('move-function operation', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-move-function');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'lib'), { recursive: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'app'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/util.js'), [
+        "'use strict';",
+        '',
+        "const path = require('path');",
+        '',
+        '/**',
+        ' * Join two segments.',
+        ' */',
+        'function joinName(a, b) {',
+        '  return path.join(a, b) + suffix();',
+        '}',
+        '',
+        'function suffix() {',
+        "  return '!';",
+        '}',
+        '',
+        'module.exports = { joinName, suffix };',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/main.js'), [
+        "const { joinName } = require('../lib/util');",
+        "const util = require('../lib/util');",
+        '',
+        "module.exports = () => [joinName('a', 'b'), util.joinName('c', 'd'), util.suffix()];",
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'app/view.mjs'), [
+        "import { joinName, suffix } from '../lib/util.js';",
+        '',
+        "export const view = () => joinName('v', suffix());",
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    const moveStep = {
+      operation: 'js-edit',
+      action: 'move-function',
+      name: 'joinName',
+      from: 'lib/util.js',
+      to: 'lib/paths.js',
+      scope: workspaceRoot
+    };
+
+    it('should preview the move without writing in dry-run mode', async () => {
+      const result = await dispatcher.dispatch(moveStep, { dryRun: true });
+
+      expect(result.status).toBe('preview');
+      expect(result.result.createdTarget).toBe(true);
+      expect(result.result.files.map((entry) => entry.file)).toEqual(['app/main.js', 'app/view.mjs', 'lib/paths.js', 'lib/util.js']);
+      expect(result.result.linesChanged).toBeGreaterThan(0);
+      expect(fs.existsSync(path.join(workspaceRoot, 'lib/paths.js'))).toBe(false);
+    });
+
+    it('should move the function, export it from the target and rewire importers', async () => {
+      const result = await dispatcher.dispatch(moveStep, { dryRun: false });
+
+      expect(result.status).toBe('moved');
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+      expect(result.result.updatedImports.map((entry) => entry.file)).toEqual(['app/main.js', 'app/view.mjs']);
+
+      const target = read('lib/paths.js');
+      expect(target).toContain("const path = require('path');");
+      expect(target).toContain("const { suffix } = require('./util');");
+      expect(target).toContain(' * Join two segments.');
+      expect(target).toContain('module.exports = {\n  joinName\n};');
+
+      const source = read('lib/util.js');
+      expect(source).not.toContain('joinName');
+      expect(source).not.toContain("require('path')");
+      expect(source).toContain('module.exports = { suffix };');
+
+      const main = read('app/main.js');
+      expect(main).toContain("const { joinName } = require('../lib/paths');");
+      expect(main).toContain("joinName('c', 'd'), util.suffix()");
+
+      const view = read('app/view.mjs');
+      expect(view).toContain("import { suffix } from '../lib/util.js';");
+      expect(view).toContain("import { joinName } from '../lib/paths.js';");
+    });
+
+    it('should leave a re-export shim in the source when requested', async () => {
+      await dispatcher.dispatch({ ...moveStep, reexport: true }, { dryRun: false });
+
+      const source = read('lib/util.js');
+      expect(source).toContain("const { joinName } = require('./paths');");
+      expect(source).toContain('module.exports = { joinName, suffix };');
+    });
+
+    it('should verify the located hash before writing', async () => {
+      await expect(dispatcher.dispatch({ ...moveStep, expectHash: 'stale-hash' }, { dryRun: false }))
+        .rejects.toThrow(/Hash mismatch for joinName/);
+      expect(fs.existsSync(path.join(workspaceRoot, 'lib/paths.js'))).toBe(false);
+    });
+
+    it('should refuse to move functions that depend on module-private helpers', async () => {
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/util.js'), [
+        'function inner() { return 1; }',
+        'function outer() { return inner(); }',
+        'module.exports = { outer };',
+        ''
+      ].join('\n'));
+
+      await expect(dispatcher.dispatch({ ...moveStep, name: 'outer' }, { dryRun: true }))
+        .rejects.toThrow(/module-private function "inner"/);
+    });
+  });
+
+  describe('extract-to-module operation', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-extract-to-module');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(workspaceRoot, { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'colors.js'), "module.exports = { red: (s) => s, green: (s) => s };\n");
+      fs.writeFileSync(path.join(workspaceRoot, 'cli.js'), [
+        "'use strict';",
+        '',
+        "const path = require('path');",
+        "const { red, green } = require('./colors');",
+        '',
+        "const PREFIX = '> ';",
+        '',
+        '// Formats a single line.',
+        'function formatLine(text) {',
+        '  return PREFIX + red(text);',
+        '}',
+        '',
+        'function printAll(lines) {',
+        "  return lines.map(formatLine).join(path.sep);",
+        '}',
+        '',
+        'function main(lines) {',
+        "  return printAll(lines) + green('done');",
+        '}',
+        '',
+        'module.exports = { main, printAll };',
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    const extractStep = {
+      operation: 'js-edit',
+      action: 'extract-to-module',
+      functions: ['printAll'],
+      from: 'cli.js',
+      targetModule: 'lib/format.js',
+      scope: workspaceRoot
+    };
+
+    it('should preview the new module without writing in dry-run mode', async () => {
+      const result = await dispatcher.dispatch(extractStep, { dryRun: true });
+
+      expect(result.status).toBe('preview');
+      expect(result.result.helpers).toEqual(['PREFIX', 'formatLine']);
+      expect(result.result.files.map((entry) => entry.file)).toEqual(['cli.js', 'lib/format.js']);
+      expect(fs.existsSync(path.join(workspaceRoot, 'lib/format.js'))).toBe(false);
+    });
+
+    it('should move functions with their helpers and import them back into the source', async () => {
+      const result = await dispatcher.dispatch(extractStep, { dryRun: false });
+
+      expect(result.status).toBe('extracted');
+      expect(result.result.importsUpdated).toBe(3);
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+
+      const target = read('lib/format.js');
+      expect(target).toContain("const path = require('path');");
+      expect(target).toContain("const { red } = require('../colors');");
+      expect(target).toContain("const PREFIX = '> ';");
+      expect(target).toContain('// Formats a single line.\nfunction formatLine(text)');
+      expect(target).toContain('module.exports = {\n  printAll\n};');
+
+      const source = read('cli.js');
+      expect(source).toContain("const { green } = require('./colors');");
+      expect(source).toContain("const { printAll } = require('./lib/format');");
+      expect(source).not.toContain('function formatLine');
+      expect(source).not.toContain("require('path')");
+      expect(source).toContain('module.exports = { main, printAll };');
+    });
+
+    it('should accept a comma-separated function list from recipe parameters', async () => {
+      const result = await dispatcher.dispatch({ ...extractStep, functions: 'formatLine, printAll' }, { dryRun: true });
+
+      expect(result.functions).toEqual(['formatLine', 'printAll']);
+      expect(result.result.exports).toEqual(['formatLine', 'printAll']);
+    });
+
+    it('should refuse to overwrite an existing module', async () => {
+      fs.mkdirSync(path.join(workspaceRoot, 'lib'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'lib/format.js'), 'module.exports = {};\n');
+
+      await expect(dispatcher.dispatch(extractStep, { dryRun: true })).rejects.toThrow(/already exists/);
+    });
+  });
+
+  describe('batch operation', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-batch-transform');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(workspaceRoot, { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'log.js'), 'module.exports = { log: console.log };\n');
+      fs.writeFileSync(path.join(workspaceRoot, 'handlers.js'), [
+        "const { log } = require('./log');",
+        '',
+        'async function handleUser(opts) {',
+        '  const { id } = opts;',
+        "  log('user', id);",
+        '  return opts.id;',
+        '}',
+        '',
+        'const handleAdmin = (opts) => opts;',
+        '',
+        'function helper(opts) {',
+        '  return opts;',
+        '}',
+        '',
+        'module.exports = { handleUser, handleAdmin, helper };',
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    const batchStep = {
+      operation: 'js-edit',
+      action: 'batch',
+      pattern: 'handle*',
+      scope: workspaceRoot
+    };
+
+    it('should preview a combined diff and pending guard summary in dry-run mode', async () => {
+      const before = read('handlers.js');
+      const result = await dispatcher.dispatch({
+        ...batchStep,
+        transformation: { type: 'rename-parameter', from: 'opts', to: 'options' }
+      }, { dryRun: true });
+
+      expect(result.status).toBe('preview');
+      expect(result.filesMatched).toBe(1);
+      expect(result.result.functionsMatched).toBe(2);
+      expect(result.result.diff).toContain('+async function handleUser(options) {');
+      expect(result.result.diff).toContain('+const handleAdmin = (options) => options;');
+      expect(result.result.guard).toEqual([expect.objectContaining({ file: 'handlers.js', status: 'pending' })]);
+      expect(read('handlers.js')).toBe(before);
+    });
+
+    it('should rename parameters only inside matching functions when applied', async () => {
+      const result = await dispatcher.dispatch({
+        ...batchStep,
+        'rename-parameter': { from: 'opts', to: 'options' }
+      }, { dryRun: false });
+
+      expect(result.status).toBe('applied');
+      expect(result.result.guard[0].status).toBe('ok');
+      const source = read('handlers.js');
+      expect(source).toContain('const { id } = options;');
+      expect(source).toContain('function helper(opts) {');
+    });
+
+    it('should add an import once per matching file', async () => {
+      const step = { ...batchStep, 'add-import': './metrics', named: 'track' };
+      await dispatcher.dispatch(step, { dryRun: false });
+      const second = await dispatcher.dispatch(step, { dryRun: false });
+
+      expect(read('handlers.js')).toContain("const { log } = require('./log');\nconst { track } = require('./metrics');");
+      expect(second.filesChanged).toBe(0);
+    });
+
+    it('should wrap function expressions and report declarations as skipped', async () => {
+      const result = await dispatcher.dispatch({ ...batchStep, 'wrap-call': 'withRetry' }, { dryRun: false });
+
+      expect(read('handlers.js')).toContain('const handleAdmin = withRetry((opts) => opts);');
+      expect(result.result.skipped).toEqual([
+        expect.objectContaining({ function: 'handleUser', reason: expect.stringContaining('cannot be wrapped') })
+      ]);
+    });
+
+    it('should replace body snippets using regex patterns and respect filters', async () => {
+      const result = await dispatcher.dispatch({
+        ...batchStep,
+        async: true,
+        transformation: { type: 'replace-body-snippet', find: '/log\\((.*?)\\)/', replace: 'log.debug($1)' }
+      }, { dryRun: false });
+
+      expect(result.result.functionsMatched).toBe(1);
+      expect(read('handlers.js')).toContain("log.debug('user', id);");
+    });
+
+    it('should reject unknown transformations', async () => {
+      await expect(dispatcher.dispatch({ ...batchStep, transformation: { type: 'explode' } }, { dryRun: true }))
+        .rejects.toThrow(/requires a transformation of type/);
+    });
+  });
+
+  describe('consolidate-imports operation', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-consolidate-imports');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'util'), { recursive: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'cli/commands'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'util/CliFormatter.js'), 'module.exports = { bold: (s) => s, dim: (s) => s, table: (r) => r };\n');
+      fs.writeFileSync(path.join(workspaceRoot, 'cli/commands/list.js'), [
+        "'use strict';",
+        '',
+        "const { bold } = require('../../util/CliFormatter');",
+        "const path = require('path');",
+        "const { dim } = require('../../util/CliFormatter.js');",
+        "const table = require('../../util/CliFormatter').table;",
+        "const { unused } = require('fs');",
+        '',
+        'module.exports = (rows) => table(rows.map((row) => bold(dim(path.basename(row)))));',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'cli/show.mjs'), [
+        "import { bold } from '../util/./CliFormatter.js';",
+        "import { readFile } from 'fs/promises';",
+        "import { stat } from 'fs/promises';",
+        '',
+        'export const show = async (file) => bold(String(await readFile(file)));',
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    it('should merge duplicate requires and imports and drop unused bindings in dry-run', async () => {
+      const before = read('cli/commands/list.js');
+      const result = await dispatcher.dispatch({
+        operation: 'js-edit',
+        action: 'consolidate-imports',
+        scope: workspaceRoot
+      }, { dryRun: true });
+
+      expect(result.status).toBe('preview');
+      expect(result.result.filesChanged).toBe(2);
+      expect(result.result.importsMerged).toBe(3);
+      expect(result.result.bindingsDropped).toBe(2);
+      expect(result.result.diff).toContain("+const { bold, dim, table } = require('../../util/CliFormatter');");
+      expect(result.result.diff).toContain("-const { unused } = require('fs');");
+      expect(result.result.diff).toContain("+require('fs');");
+      expect(result.result.diff).toContain("-import { stat } from 'fs/promises';");
+      expect(result.result.guard).toEqual(expect.arrayContaining([expect.objectContaining({ file: 'cli/show.mjs', status: 'pending' })]));
+      expect(read('cli/commands/list.js')).toBe(before);
+    });
+
+    it('should normalise every specifier of the requested module when applied', async () => {
+      const result = await dispatcher.dispatch({
+        operation: 'js-edit',
+        action: 'consolidate-imports',
+        module: 'util/CliFormatter',
+        scope: workspaceRoot
+      }, { dryRun: false });
+
+      expect(result.status).toBe('consolidated');
+      expect(result.result.specifiersNormalized).toBe(1);
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+      expect(read('cli/commands/list.js')).toContain("const { bold, dim, table } = require('../../util/CliFormatter');\nconst path = require('path');\nconst { unused } = require('fs');");
+      expect(read('cli/show.mjs')).toContain("import { bold } from '../util/CliFormatter';\nimport { readFile } from 'fs/promises';\nimport { stat } from 'fs/promises';");
+    });
+
+    it('should keep modules imported only for their side effects loading', async () => {
+      fs.writeFileSync(path.join(workspaceRoot, 'side.js'), 'globalThis.sideLoaded = true;\nexport default 1;\n');
+      fs.writeFileSync(path.join(workspaceRoot, 'side2.js'), 'process.env.SIDE = "1";\nmodule.exports = () => {};\n');
+      fs.writeFileSync(path.join(workspaceRoot, 'boot.mjs'), [
+        "import x from './side.js';",
+        "import { show } from './cli/show.mjs';",
+        '',
+        'show(process.argv[2]);',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'boot.js'), [
+        "const setup = require('./side2');",
+        "const a = require('path'), b = require('./side2');",
+        '',
+        'module.exports = a.join;',
+        ''
+      ].join('\n'));
+
+      const untouched = await dispatcher.dispatch({
+        operation: 'js-edit',
+        action: 'consolidate-imports',
+        scope: workspaceRoot,
+        dropUnused: false
+      }, { dryRun: true });
+      expect(untouched.result.bindingsDropped).toBe(0);
+      expect(untouched.result.files.map((file) => file.file)).not.toEqual(expect.arrayContaining(['boot.mjs']));
+
+      const result = await dispatcher.dispatch({
+        operation: 'js-edit',
+        action: 'consolidate-imports',
+        scope: workspaceRoot
+      }, { dryRun: false });
+      expect(result.result.guard.every((entry) => entry.status === 'ok')).toBe(true);
+      expect(read('boot.mjs')).toBe("import './side.js';\nimport { show } from './cli/show.mjs';\n\nshow(process.argv[2]);\n");
+      expect(read('boot.js')).toBe("require('./side2');\nconst a = require('path');\nrequire('./side2');\n\nmodule.exports = a.join;\n");
+    });
+
+    it('should be reachable from a batch step naming only a target module', async () => {
+      const result = await dispatcher.dispatch({
+        operation: 'js-edit',
+        action: 'batch',
+        targetModule: 'left-pad',
+        scope: workspaceRoot
+      }, { dryRun: true });
+
+      expect(result.operation).toBe('consolidate-imports');
+      expect(result.result.filesChanged).toBe(0);
+    });
+  });
+
+  describe('md-scan and md-edit operations', () => {
+    const workspaceRoot = path.join(__dirname, '../../../tmp/test-md-steps');
+
+    const writeWorkspace = () => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+      fs.mkdirSync(path.join(workspaceRoot, 'docs/guides'), { recursive: true });
+      fs.writeFileSync(path.join(workspaceRoot, 'docs/API.md'), [
+        '# API',
+        '',
+        'Overview of the formatter API ⭐.',
+        '',
+        '## Usage',
+        '',
+        'Call `formatRows(rows)` to render a table.',
+        '',
+        '## Options',
+        '',
+        'See [the guide](guides/setup.md#options) for details.',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workspaceRoot, 'docs/guides/setup.md'), [
+        '# Setup',
+        '',
+        'Install the package, then call formatRows. Back to [API](../API.md).',
+        ''
+      ].join('\n'));
+    };
+
+    const read = (relativePath) => fs.readFileSync(path.join(workspaceRoot, relativePath), 'utf8');
+
+    beforeEach(writeWorkspace);
+
+    afterAll(() => {
+      fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    });
+
+    it('should search, find sections and map links across the docs scope', async () => {
+      const search = await dispatcher.dispatch({ operation: 'md-scan', search: 'formatRows', scope: workspaceRoot });
+      expect(search.operation).toBe('search');
+      expect(search.count).toBe(2);
+      expect(search.matches.map((match) => match.file).sort()).toEqual([
+        expect.stringMatching(/docs\/API\.md$/),
+        expect.stringMatching(/docs\/guides\/setup\.md$/)
+      ]);
+      expect(search.matches.find((match) => match.file.endsWith('API.md')).sections).toEqual(['API']);
+
+      const sections = await dispatcher.dispatch({ operation: 'md-scan', 'find-sections': 'Usage', scope: workspaceRoot });
+      expect(sections.count).toBe(1);
+      expect(sections.matches[0]).toMatchObject({ heading: 'Usage', level: 2, startLine: 5, endLine: 8 });
+      expect(sections.matches[0].hash).toEqual(expect.any(String));
+
+      const links = await dispatcher.dispatch({ operation: 'md-scan', 'map-links': true, scope: path.join(workspaceRoot, 'docs') });
+      expect(links.links).toBe(2);
+      const apiEntry = Object.entries(links.graph).find(([file]) => file.endsWith('docs/API.md'))[1];
+      expect(apiEntry.priority).toBe(true);
+      expect(apiEntry.outgoing).toEqual([{ text: 'the guide', url: 'guides/setup.md#options', line: 11 }]);
+    });
+
+    it('should replace a section guarded by the hash reported by md-scan', async () => {
+      const docFile = path.join(workspaceRoot, 'docs/API.md');
+      const { matches } = await dispatcher.dispatch({ operation: 'md-scan', 'find-sections': 'usage', scope: workspaceRoot });
+      const step = {
+        operation: 'md-edit',
+        file: docFile,
+        'replace-section': 'Usage',
+        with: '\nCall `formatRows(rows, options)` to render a table.\n',
+        expectHash: matches[0].hash
+      };
+
+      const preview = await dispatcher.dispatch(step, { dryRun: true });
+      expect(preview.status).toBe('preview');
+      expect(preview.diff).toContain('+Call `formatRows(rows, options)` to render a table.');
+      expect(read('docs/API.md')).toContain('Call `formatRows(rows)`');
+
+      const applied = await dispatcher.dispatch(step, { dryRun: false });
+      expect(applied.status).toBe('replaced');
+      expect(applied.guard[0].status).toBe('ok');
+      expect(read('docs/API.md')).toContain('## Usage\n\nCall `formatRows(rows, options)` to render a table.\n\n## Options');
+
+      await expect(dispatcher.dispatch(step, { dryRun: false })).rejects.toThrow(/Hash mismatch/);
+    });
+
+    it('should show, extract and remove sections and record writes in the journal', async () => {
+      const docFile = path.join(workspaceRoot, 'docs/API.md');
+      const journal = { record: jest.fn() };
+
+      const shown = await dispatcher.dispatch({ operation: 'md-edit', action: 'show', section: 'Options', file: docFile });
+      expect(shown.content).toBe('## Options\n\nSee [the guide](guides/setup.md#options) for details.\n');
+
+      const extracted = await dispatcher.dispatch({
+        operation: 'md-edit',
+        'extract-section': 'Options',
+        file: docFile,
+        output: path.join(workspaceRoot, 'docs/options.md')
+      }, { dryRun: false, journal });
+      expect(extracted.status).toBe('extracted');
+      expect(read('docs/options.md')).toBe(shown.content);
+
+      const removed = await dispatcher.dispatch({ operation: 'md-edit', 'remove-section': 'Options', file: docFile }, { dryRun: false, journal });
+      expect(removed.status).toBe('removed');
+      expect(read('docs/API.md')).not.toContain('## Options');
+      expect(journal.record).toHaveBeenCalledTimes(2);
+      expect(journal.record.mock.calls[0][0]).toMatchObject({ before: null });
+
+      await expect(dispatcher.dispatch({ operation: 'md-edit', 'remove-section': 'Missing', file: docFile }))
+        .rejects.toThrow(/No section found matching "Missing"/);
+      await expect(dispatcher.dispatch({ operation: 'md-edit', file: docFile }))
+        .rejects.toThrow(/md-edit operation requires one of/);
+    });
+  });
+
   describe('Dry-run mode', () => {
     it('should pass dryRun flag through dispatch options', async () => {
       const step = {
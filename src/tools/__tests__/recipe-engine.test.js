@@ -8,7 +8,9 @@
 const path = require('path');
 const fs = require('fs');
 const RecipeEngine = require('../js-edit/recipes/RecipeEngine');
+const RecipeJournal = require('../js-edit/recipes/RecipeJournal');
 const OperationDispatcher = require('../js-edit/recipes/OperationDispatcher');
+const { createFileChange, commitFileChanges } = require('../js-edit/shared/changeSet');
 
 describe('RecipeEngine', () => {
   let recipeDir;
@@ -392,4 +394,138 @@ describe('RecipeEngine', () => {
       expect(engine.stepResults.length).toBe(2);
     });
   });
+
+  describe('Transactional journal', () => {
+    let workspace;
+    let journalPath;
+
+    // Writes go through commitFileChanges exactly like the js-edit operations do.
+    const writingDispatcher = {
+      async dispatch(step, options) {
+        if (step.operation === 'fail') {
+          throw new Error(step.message || 'step failed');
+        }
+        if (step.operation === 'tamper') {
+          fs.writeFileSync(path.join(workspace, step.file), 'edited by hand\n');
+          throw new Error('step failed after a manual edit');
+        }
+        const filePath = path.join(workspace, step.file);
+        const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        const change = createFileChange({ filePath, relativePath: step.file, before, after: step.content });
+        if (!options.dryRun) {
+          commitFileChanges([change], { journal: options.journal });
+        }
+        return { operation: 'write', file: step.file };
+      }
+    };
+
+    const writeRecipe = (name, steps) => {
+      const recipeFile = path.join(recipeDir, `${name}.json`);
+      fs.writeFileSync(recipeFile, JSON.stringify({ name, version: '1.0', steps }, null, 2));
+      return recipeFile;
+    };
+
+    const read = (file) => fs.readFileSync(path.join(workspace, file), 'utf8');
+
+    beforeEach(() => {
+      workspace = path.join(recipeDir, 'journal-workspace');
+      journalPath = path.join(recipeDir, 'journals', 'run.json');
+      fs.rmSync(workspace, { recursive: true, force: true });
+      fs.rmSync(path.dirname(journalPath), { recursive: true, force: true });
+      fs.mkdirSync(workspace, { recursive: true });
+      fs.writeFileSync(path.join(workspace, 'a.js'), 'const a = 1;\n');
+    });
+
+    it('should commit and discard the journal when every step succeeds', async () => {
+      const recipeFile = writeRecipe('journal-success', [
+        { name: 'Edit a', operation: 'write', file: 'a.js', content: 'const a = 2;\n' }
+      ]);
+      const engine = new RecipeEngine(recipeFile, { dispatcher: writingDispatcher, journalPath });
+      await engine.load();
+      await engine.execute({});
+
+      expect(read('a.js')).toBe('const a = 2;\n');
+      expect(engine.manifest.journal.status).toBe('committed');
+      expect(engine.manifest.journal.files).toEqual([expect.objectContaining({ step: 1, stepName: 'Edit a', writes: 1 })]);
+      expect(fs.existsSync(journalPath)).toBe(false);
+    });
+
+    it('should roll back every touched file when a later step aborts', async () => {
+      const recipeFile = writeRecipe('journal-abort', [
+        { name: 'Edit a', operation: 'write', file: 'a.js', content: 'const a = 2;\n' },
+        { name: 'Create b', operation: 'write', file: 'b.js', content: 'const b = 1;\n' },
+        { name: 'Edit a again', operation: 'write', file: 'a.js', content: 'const a = 3;\n' },
+        { name: 'Explode', operation: 'fail', onError: 'abort' }
+      ]);
+      const engine = new RecipeEngine(recipeFile, { dispatcher: writingDispatcher, journalPath });
+      await engine.load();
+
+      await expect(engine.execute({})).rejects.toThrow('step failed');
+
+      expect(read('a.js')).toBe('const a = 1;\n');
+      expect(fs.existsSync(path.join(workspace, 'b.js'))).toBe(false);
+      const journal = RecipeJournal.load(journalPath);
+      expect(journal.status).toBe('rolled-back');
+      expect(journal.data.failedStep).toEqual({ index: 4, name: 'Explode' });
+      expect(journal.files.find((entry) => entry.file.endsWith('a.js')).writes).toBe(2);
+      expect(engine.getResults().journal.rollback.restored).toHaveLength(2);
+    });
+
+    it('should leave files edited after the recipe wrote them and report the conflict', async () => {
+      const recipeFile = writeRecipe('journal-conflict', [
+        { name: 'Edit a', operation: 'write', file: 'a.js', content: 'const a = 2;\n' },
+        { name: 'Tamper', operation: 'tamper', file: 'a.js' }
+      ]);
+      const engine = new RecipeEngine(recipeFile, { dispatcher: writingDispatcher, journalPath });
+      await engine.load();
+
+      await expect(engine.execute({})).rejects.toThrow('manual edit');
+
+      expect(read('a.js')).toBe('edited by hand\n');
+      expect(RecipeJournal.load(journalPath).status).toBe('rollback-conflict');
+      expect(engine.errors.some((message) => message.includes('Rollback left 1 file(s) untouched'))).toBe(true);
+    });
+
+    it('should not journal dry runs', async () => {
+      const recipeFile = writeRecipe('journal-dry-run', [
+        { name: 'Edit a', operation: 'write', file: 'a.js', content: 'const a = 2;\n' },
+        { name: 'Explode', operation: 'fail' }
+      ]);
+      const engine = new RecipeEngine(recipeFile, { dispatcher: writingDispatcher, journalPath, dryRun: true });
+      await engine.load();
+
+      await expect(engine.execute({})).rejects.toThrow();
+      expect(engine.journal).toBeNull();
+      expect(fs.existsSync(journalPath)).toBe(false);
+    });
+
+    it('should restore leftovers of an interrupted run and replay it on resume', async () => {
+      const recipeFile = writeRecipe('journal-resume', [
+        { name: 'Edit a', operation: 'write', file: 'a.js', content: 'const a = ${value};\n' }
+      ]);
+      // Simulate a run that died after writing without committing or rolling back.
+      const interrupted = new RecipeJournal({ journalPath, recipeFile, recipeName: 'journal-resume', params: { params: { value: '5' } } });
+      interrupted.beginStep(1, 'Edit a');
+      interrupted.record({ filePath: path.join(workspace, 'a.js'), before: read('a.js'), after: 'partial\n' });
+      fs.writeFileSync(path.join(workspace, 'a.js'), 'partial\n');
+
+      const preview = await RecipeEngine.resume(journalPath, { dispatcher: writingDispatcher, dryRun: true });
+      expect(preview.resumedFrom.status).toBe('pending');
+      expect(preview.resumedFrom.recovery).toBeNull();
+      expect(read('a.js')).toBe('partial\n');
+
+      const engine = await RecipeEngine.resume(journalPath, {
+        dispatcher: writingDispatcher,
+        journalPath: path.join(recipeDir, 'journals', 'replay.json')
+      });
+      expect(engine.resumedFrom.recovery.restored).toEqual([expect.objectContaining({ action: 'restored' })]);
+      expect(read('a.js')).toBe('const a = 1;\n');
+
+      await engine.load();
+      await engine.execute(engine.resumeParams);
+
+      expect(read('a.js')).toBe('const a = 5;\n');
+      expect(RecipeJournal.load(journalPath).status).toBe('rolled-back');
+    });
+  });
 });
@@ -7,6 +7,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { execFileSync } = require('child_process');
 const {
   analyzeRipple,
   DependencyGraphBuilder,
@@ -360,3 +361,86 @@ describe('analyzeRipple (integration)', () => {
     expect(result.graph.depth).toBeLessThanOrEqual(1);
   });
 });
+
+describe('analyzeRipple (per-export symbols)', () => {
+  let testDir;
+
+  beforeAll(() => {
+    testDir = path.join(__dirname, '../../../tmp/test-ripple-symbols');
+    fs.mkdirSync(path.join(testDir, 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'lib/options.js'), [
+      'function buildOptions(input) { return { ...defaults(), ...input }; }',
+      'function defaults() { return { depth: 1 }; }',
+      'function unused() { return null; }',
+      '',
+      'exports.buildOptions = buildOptions;',
+      'exports.defaults = defaults;',
+      'exports.unused = unused;',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(testDir, 'lib/index.js'), "module.exports = require('./options');\n");
+    fs.writeFileSync(path.join(testDir, 'app.js'), [
+      "const { buildOptions } = require('./lib/options');",
+      "const opts = require('./lib');",
+      '',
+      'function run() {',
+      '  return [buildOptions({}), buildOptions(opts.defaults())];',
+      '}',
+      '',
+      'module.exports = { run };',
+      ''
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('tracks which importers bind each export and scores them separately', async () => {
+    const result = await analyzeRipple(path.join(testDir, 'lib/options.js'), { workspaceRoot: testDir, depth: 3 });
+    expect(result.success).toBe(true);
+    expect(result.graph.nodes.find((node) => node.file === 'app.js').callSites).toBe(2);
+
+    const byName = Object.fromEntries(result.symbols.map((symbol) => [symbol.exported, symbol]));
+    expect(Object.keys(byName)).toEqual(['buildOptions', 'defaults', 'unused']);
+    expect(byName.buildOptions.usages.map((usage) => [usage.file, usage.kind, usage.binding, usage.lines])).toEqual([
+      ['app.js', 'import', 'buildOptions', [5]],
+      ['lib/index.js', 'forward', 'buildOptions', []]
+    ]);
+    expect(byName.buildOptions.stats).toMatchObject({ files: 1, references: 2 });
+    expect(byName.defaults.usages.find((usage) => usage.file === 'app.js')).toMatchObject({ hop: 2, via: ['lib/index.js'], binding: 'opts' });
+    expect(byName.defaults.localReferences).toBe(1);
+
+    expect(byName.buildOptions.canRename).toBe(true);
+    expect(byName.buildOptions.canDelete).toBe(false);
+    expect(byName.defaults.canDelete).toBe(false);
+    expect(byName.unused.canDelete).toBe(true);
+    expect(result.summary.safeToDelete).toEqual(['unused']);
+    expect(byName.buildOptions.risk.score).toBeGreaterThan(byName.unused.risk.score);
+  });
+
+  it('narrows to one export with --symbol and treats escaping namespaces as whole-module use', async () => {
+    fs.writeFileSync(path.join(testDir, 'report.mjs'), "import * as options from './lib/options.js';\nexport function report() { return options; }\n");
+    try {
+      const output = execFileSync(process.execPath, [
+        path.join(__dirname, '../js-scan.js'),
+        '--dir', testDir, '--ripple-analysis', 'lib/options.js', '--symbol', 'unused', '--no-cache', '--json'
+      ], { encoding: 'utf8' });
+      const result = JSON.parse(output);
+      expect(result.symbol).toBe('unused');
+      expect(result.symbols).toHaveLength(1);
+      expect(result.symbols[0].usages.map((usage) => [usage.file, usage.kind])).toEqual([
+        ['lib/index.js', 'forward'],
+        ['report.mjs', 'whole-module']
+      ]);
+      expect(result.symbols[0].canRename).toBe(false);
+      expect(result.symbols[0].canDelete).toBe(false);
+
+      const missing = await analyzeRipple('lib/options.js', { workspaceRoot: testDir, symbol: 'nope' });
+      expect(missing.success).toBe(false);
+      expect(missing.error).toMatch(/does not export 'nope'. Exports: buildOptions, defaults, unused/);
+    } finally {
+      fs.rmSync(path.join(testDir, 'report.mjs'), { force: true });
+    }
+  });
+});
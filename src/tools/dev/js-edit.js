@@ -30,6 +30,14 @@ const { HASH_CHARSETS } = require('./shared/hashConfig');
 const contextOperations = require('./js-edit/operations/context');
 const mutationOperations = require('./js-edit/operations/mutation');
 const discoveryOperations = require('./js-edit/operations/discovery');
+const insertionOperations = require('./js-edit/operations/insertion');
+const deletionOperations = require('./js-edit/operations/deletion');
+const signatureOperations = require('./js-edit/operations/signature');
+const multiFileOperations = require('./js-edit/operations/multiFile');
+const planReplayOperations = require('./js-edit/operations/planReplay');
+const patternOperations = require('./js-edit/operations/pattern');
+const { resolveFileSet } = require('./js-edit/shared/fileSets');
+const renamingOperations = require('./js-edit/operations/renaming');
 const {
   computeNewlineStats,
   createNewlineGuard,
@@ -42,7 +50,6 @@ const {
   outputJson
 } = require('./js-edit/shared/io');
 const { getReplacementSource } = require('./js-edit/shared/replacement');
-const { applyRenameToSnippet } = require('./js-edit/shared/rename');
 const {
   LIST_OUTPUT_ENV_VAR,
   LIST_OUTPUT_STYLES,
@@ -203,7 +210,7 @@ function isValidExpectedHash(value, encodings) {
   });
 }
 
-function extractFunctionsByHashes(options, source, functionRecords) {
+function extractFunctionsByHashes(options, source, functionRecords, emitJson = outputJson) {
   const hashes = Array.isArray(options.extractHashes) ? options.extractHashes : [];
   if (hashes.length === 0) {
     throw new Error('--extract-hashes requires at least one hash value.');
@@ -275,7 +282,7 @@ function extractFunctionsByHashes(options, source, functionRecords) {
   }
 
   if (options.json) {
-    outputJson(payload);
+    emitJson(payload);
     return;
   }
 
@@ -659,17 +666,33 @@ function buildVariableRecords(variables) {
 function normalizeOptions(raw) {
   const resolved = { ...raw };
 
-  // Recipe mode doesn't require --file
+  // Recipe mode doesn't require --file; --apply-plan takes files from the plan
   let filePath = null;
-  if (!resolved.recipe) {
+  let filePaths = null;
+  const applyPlanOnly = resolved.applyPlan !== undefined && resolved.applyPlan !== null && !resolved.file;
+  if (!resolved.recipe && !resolved.resume && !applyPlanOnly) {
     const fileInput = resolved.file ? String(resolved.file).trim() : '';
-    if (!fileInput) {
-      throw new Error('Missing required option: --file <path>');
+    const fileGlobs = (Array.isArray(resolved.files) ? resolved.files : [resolved.files])
+      .filter((value) => value !== undefined && value !== null)
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+    const filesFrom = resolved.filesFrom ? String(resolved.filesFrom).trim() : '';
+    const hasFileSet = fileGlobs.length > 0 || Boolean(filesFrom);
+    if (fileInput && hasFileSet) {
+      throw new Error('Use either --file or --files/--files-from, not both.');
+    }
+    if (!fileInput && !hasFileSet) {
+      throw new Error('Missing required option: --file <path> (or --files <glob> / --files-from <list>)');
     }
 
-    filePath = path.isAbsolute(fileInput)
-      ? fileInput
-      : path.resolve(process.cwd(), fileInput);
+    if (hasFileSet) {
+      filePaths = resolveFileSet({ globs: fileGlobs, listPath: filesFrom || null });
+      filePath = filePaths[0];
+    } else {
+      filePath = path.isAbsolute(fileInput)
+        ? fileInput
+        : path.resolve(process.cwd(), fileInput);
+    }
 
     resolved.filePath = filePath;
   }
@@ -728,6 +751,23 @@ function normalizeOptions(raw) {
     throw new Error('--search-text requires a non-empty value.');
   }
 
+  const patternTemplate = resolved.pattern !== undefined && resolved.pattern !== null
+    ? String(resolved.pattern).trim()
+    : null;
+  if (patternTemplate !== null && patternTemplate.length === 0) {
+    throw new Error('--pattern requires a non-empty template.');
+  }
+
+  const rewriteTemplate = resolved.rewrite !== undefined && resolved.rewrite !== null
+    ? String(resolved.rewrite).trim()
+    : null;
+  if (rewriteTemplate !== null && rewriteTemplate.length === 0) {
+    throw new Error('--rewrite requires a non-empty template.');
+  }
+  if (rewriteTemplate !== null && patternTemplate === null) {
+    throw new Error('--rewrite can only be used with --pattern.');
+  }
+
   let extractHashes = [];
   if (resolved.extractHashes !== undefined && resolved.extractHashes !== null) {
     const rawValues = Array.isArray(resolved.extractHashes)
@@ -760,7 +800,7 @@ function normalizeOptions(raw) {
   }
 
   const operationMatrix = [
-    ['--recipe', resolved.recipe !== undefined && resolved.recipe !== null],
+    ['--recipe', (resolved.recipe !== undefined && resolved.recipe !== null) || (resolved.resume !== undefined && resolved.resume !== null)],
     ['--list-functions', Boolean(resolved.listFunctions)],
     ['--list-constructors', Boolean(resolved.listConstructors)],
     ['--function-summary', functionSummary],
@@ -773,18 +813,27 @@ function normalizeOptions(raw) {
     ['--preview-variable', resolved.previewVariable !== undefined && resolved.previewVariable !== null],
     ['--snipe', resolved.snipe !== undefined && resolved.snipe !== null],
     ['--search-text', Boolean(searchText)],
+    ['--pattern', Boolean(patternTemplate)],
     ['--scan-targets', resolved.scanTargets !== undefined && resolved.scanTargets !== null],
     ['--extract', resolved.extract !== undefined && resolved.extract !== null],
     ['--replace', resolved.replace !== undefined && resolved.replace !== null],
     ['--locate', resolved.locate !== undefined && resolved.locate !== null],
     ['--locate-variable', resolved.locateVariable !== undefined && resolved.locateVariable !== null],
     ['--extract-variable', resolved.extractVariable !== undefined && resolved.extractVariable !== null],
-    ['--replace-variable', resolved.replaceVariable !== undefined && resolved.replaceVariable !== null]
+    ['--replace-variable', resolved.replaceVariable !== undefined && resolved.replaceVariable !== null],
+    ['--insert-before', resolved.insertBefore !== undefined && resolved.insertBefore !== null],
+    ['--insert-after', resolved.insertAfter !== undefined && resolved.insertAfter !== null],
+    ['--append-to-class', resolved.appendToClass !== undefined && resolved.appendToClass !== null],
+    ['--append-to-module', Boolean(resolved.appendToModule)],
+    ['--delete', resolved.delete !== undefined && resolved.delete !== null],
+    ['--delete-variable', resolved.deleteVariable !== undefined && resolved.deleteVariable !== null],
+    ['--change-signature', resolved.changeSignature !== undefined && resolved.changeSignature !== null],
+    ['--apply-plan', resolved.applyPlan !== undefined && resolved.applyPlan !== null]
   ];
 
   const enabledOperations = operationMatrix.filter(([, flag]) => Boolean(flag));
   if (enabledOperations.length === 0) {
-    throw new Error('Provide one of --recipe <path>, --list-functions, --list-constructors, --function-summary, --extract-hashes <hashes>, --list-variables, --outline, --context-function <selector>, --context-variable <selector>, --preview <selector>, --preview-variable <selector>, --snipe <position>, --search-text <substring>, --scan-targets <selector>, --extract <selector>, --replace <selector>, --locate <selector>, --locate-variable <selector>, --extract-variable <selector>, or --replace-variable <selector>.');
+    throw new Error('Provide one of --recipe <path>, --list-functions, --list-constructors, --function-summary, --extract-hashes <hashes>, --list-variables, --outline, --context-function <selector>, --context-variable <selector>, --preview <selector>, --preview-variable <selector>, --snipe <position>, --search-text <substring>, --scan-targets <selector>, --extract <selector>, --replace <selector>, --locate <selector>, --locate-variable <selector>, --extract-variable <selector>, --replace-variable <selector>, --insert-before <selector>, --insert-after <selector>, --append-to-class <selector>, --append-to-module, --delete <selector>, --delete-variable <selector>, --change-signature <selector>, --pattern <template>, or --apply-plan <path>.');
   }
   if (enabledOperations.length > 1) {
     const flags = enabledOperations.map(([flag]) => flag).join(', ');
@@ -901,6 +950,13 @@ function normalizeOptions(raw) {
   const locateVariableSelector = parseSelector(resolved.locateVariable, '--locate-variable');
   const extractVariableSelector = parseSelector(resolved.extractVariable, '--extract-variable');
   const replaceVariableSelector = parseSelector(resolved.replaceVariable, '--replace-variable');
+  const insertBeforeSelector = parseSelector(resolved.insertBefore, '--insert-before');
+  const insertAfterSelector = parseSelector(resolved.insertAfter, '--insert-after');
+  const appendToClassSelector = parseSelector(resolved.appendToClass, '--append-to-class');
+  const appendToModule = Boolean(resolved.appendToModule);
+  const deleteSelector = parseSelector(resolved.delete, '--delete');
+  const deleteVariableSelector = parseSelector(resolved.deleteVariable, '--delete-variable');
+  const changeSignatureSelector = parseSelector(resolved.changeSignature, '--change-signature');
   const previewSelector = parseSelector(resolved.preview, '--preview');
   const previewVariableSelector = parseSelector(resolved.previewVariable, '--preview-variable');
   const scanTargetsSelector = parseSelector(resolved.scanTargets, '--scan-targets');
@@ -1026,6 +1082,15 @@ function normalizeOptions(raw) {
     renameTo = renameValue;
   }
 
+  let renameParam = null;
+  if (resolved.renameParam !== undefined && resolved.renameParam !== null) {
+    const paramValue = String(resolved.renameParam).trim();
+    if (!/^[$A-Za-z_][0-9$A-Za-z_]*$/.test(paramValue)) {
+      throw new Error('--rename-param expects the current parameter name as a JavaScript identifier.');
+    }
+    renameParam = paramValue;
+  }
+
   let replacementPath = null;
   let replacementCode = null;
 
@@ -1047,6 +1112,9 @@ function normalizeOptions(raw) {
     if (!relativeSnippet) {
       throw new Error('--with-file requires a file path.');
     }
+    if (!filePath) {
+      throw new Error('--with-file is relative to the target file; use --with or --with-code with --apply-plan.');
+    }
     const baseDir = path.dirname(filePath);
     replacementPath = path.resolve(baseDir, relativeSnippet);
   }
@@ -1064,9 +1132,54 @@ function normalizeOptions(raw) {
 
   const hasFunctionReplace = Boolean(replaceSelector);
   const hasVariableReplace = Boolean(replaceVariableSelector);
+  const hasInsertion = Boolean(insertBeforeSelector || insertAfterSelector || appendToClassSelector || appendToModule);
+
+  let applyPlanPath = null;
+  if (resolved.applyPlan !== undefined && resolved.applyPlan !== null) {
+    const planValue = String(resolved.applyPlan).trim();
+    if (!planValue) {
+      throw new Error('--apply-plan requires a plan file path.');
+    }
+    applyPlanPath = path.resolve(process.cwd(), planValue);
+  }
+
+  if ((replacementPath || replacementCode) && !hasFunctionReplace && !hasVariableReplace && !hasInsertion && !applyPlanPath) {
+    throw new Error('--with/--with-file and --with-code can only be used with --replace, --replace-variable, --insert-before, --insert-after, --append-to-class, --append-to-module, or --apply-plan.');
+  }
+
+  if (hasInsertion && !replacementPath && !replacementCode) {
+    throw new Error('Insert operations require either --with <path>, --with-file <path>, or --with-code <code> containing the snippet to insert.');
+  }
+  if (hasInsertion && (renameTo || replaceRange)) {
+    throw new Error('--rename and --replace-range are not supported with insert operations.');
+  }
 
-  if ((replacementPath || replacementCode) && !hasFunctionReplace && !hasVariableReplace) {
-    throw new Error('--with/--with-file and --with-code can only be used with --replace or --replace-variable.');
+  const hasDeletion = Boolean(deleteSelector || deleteVariableSelector);
+  if (hasDeletion && (renameTo || replaceRange)) {
+    throw new Error('--rename and --replace-range are not supported with delete operations.');
+  }
+
+  let signature = null;
+  if (resolved.signature !== undefined && resolved.signature !== null) {
+    signature = String(resolved.signature);
+  }
+  if (changeSignatureSelector && signature === null) {
+    throw new Error('--change-signature requires --signature "<params>" listing the new parameters in order.');
+  }
+  if (signature !== null && !changeSignatureSelector) {
+    throw new Error('--signature can only be used with --change-signature.');
+  }
+  if (changeSignatureSelector && (renameTo || replaceRange || replacementPath || replacementCode)) {
+    throw new Error('--rename, --replace-range and --with/--with-file/--with-code are not supported with --change-signature.');
+  }
+
+  let workspaceRoot = null;
+  if (resolved.workspace !== undefined && resolved.workspace !== null) {
+    const rawWorkspace = String(resolved.workspace).trim();
+    if (!rawWorkspace) {
+      throw new Error('--workspace requires a directory path.');
+    }
+    workspaceRoot = path.resolve(rawWorkspace);
   }
 
   if (hasFunctionReplace) {
@@ -1081,11 +1194,14 @@ function normalizeOptions(raw) {
     }
   }
 
-  if (hasVariableReplace && !replacementPath && !replacementCode) {
-    throw new Error('--replace-variable requires either --with <path>, --with-file <path>, or --with-code <code> containing the replacement snippet.');
+  if (hasVariableReplace && !replacementPath && !replacementCode && !renameTo) {
+    throw new Error('--replace-variable requires either --with <path>, --with-file <path>, --with-code <code>, or --rename <identifier>.');
+  }
+  if (hasVariableReplace && renameTo && (replacementPath || replacementCode)) {
+    throw new Error('Provide either --rename or --with/--with-file/--with-code in a single command, not both.');
   }
-  if (hasVariableReplace && renameTo) {
-    throw new Error('--rename is not supported with --replace-variable.');
+  if (renameParam && (!hasFunctionReplace || !renameTo)) {
+    throw new Error('--rename-param is only supported together with --replace <selector> --rename <identifier>.');
   }
   if (hasVariableReplace && replaceRange) {
     throw new Error('--replace-range is not supported with --replace-variable.');
@@ -1152,8 +1268,24 @@ function normalizeOptions(raw) {
       : path.resolve(process.cwd(), planPath);
   }
 
+  if (filePaths) {
+    if (outputPath || emitPlanPath) {
+      throw new Error('--output and --emit-plan write a single file and are not supported with --files/--files-from.');
+    }
+    if (resolved.withFile !== undefined && resolved.withFile !== null) {
+      throw new Error('--with-file is relative to one target file; use --with or --with-code with --files/--files-from.');
+    }
+    if (changeSignatureSelector) {
+      throw new Error('--change-signature already updates the whole workspace; pass the declaring file with --file.');
+    }
+    if (applyPlanPath) {
+      throw new Error('--apply-plan takes its files from the plan; use --file only to name the target of a single-file plan.');
+    }
+  }
+
   return {
     filePath,
+    filePaths,
     listFunctions: Boolean(resolved.listFunctions),
     list: Boolean(resolved.listFunctions),
     listConstructors: Boolean(resolved.listConstructors),
@@ -1175,6 +1307,8 @@ function normalizeOptions(raw) {
     searchText,
     searchLimit,
     searchContext,
+    patternTemplate,
+    rewriteTemplate,
     replacementPath,
     replacementCode,
     outputPath,
@@ -1194,8 +1328,19 @@ function normalizeOptions(raw) {
     allowMultiple,
     replaceRange,
     renameTo,
+    renameParam,
     extractVariableSelector,
     replaceVariableSelector,
+    insertBeforeSelector,
+    insertAfterSelector,
+    appendToClassSelector,
+    appendToModule,
+    deleteSelector,
+    deleteVariableSelector,
+    changeSignatureSelector,
+    signature,
+    applyPlanPath,
+    workspaceRoot,
     previewChars,
     scanTargetKind,
     variableTarget,
@@ -1211,6 +1356,9 @@ function normalizeOptions(raw) {
     includeInternals,
     listOutputStyle,
     recipe: resolved.recipe,
+    resume: resolved.resume,
+    journal: resolved.journal,
+    keepJournal: Boolean(resolved.keepJournal),
     param: Array.isArray(resolved.param) ? resolved.param : []
   };
 }
@@ -1232,7 +1380,9 @@ function parseCliArgs(argv) {
   parser
     .add('--help', 'Show this help message', false, 'boolean')
     .add('--lang <code>', 'Output language (en, zh, bilingual, auto)', 'auto')
-    .add('--file <path>', 'Path to the JavaScript file to process (required)')
+    .add('--file <path>', 'Path to the JavaScript file to process (required unless --files/--files-from is given)')
+    .add('--files <globs...>', 'Run the command on every file matching one or more path globs (e.g. "src/**/*.js")')
+    .add('--files-from <path>', 'Run the command on every file listed in a text file, one path per line (- reads stdin)')
     .add('--list-functions', 'List all functions, methods, and arrow functions', false, 'boolean')
     .add('--list-constructors', 'List all class constructors', false, 'boolean')
     .add('--list-variables', 'List all variable declarations (const, let, var)', false, 'boolean')
@@ -1256,6 +1406,8 @@ function parseCliArgs(argv) {
     .add('--search-text <substring>', 'Search for a substring in the file content')
     .add('--search-limit <count>', `Maximum number of search results (default: ${DEFAULT_SEARCH_LIMIT})`)
     .add('--search-context <chars>', `Characters of context around search matches (default: ${DEFAULT_SEARCH_CONTEXT})`)
+    .add('--pattern <template>', 'Structural search: match AST nodes against a code template with $name metavariables')
+    .add('--rewrite <template>', 'Replace --pattern matches with a template that reuses the bound metavariables')
     .add('--scan-targets <selector>', 'Scan for viable edit targets within a function or class')
     .add('--scan-target-kind <kind>', 'Kind of target to scan for: function, variable (default: function)')
     .add('--locate <selector>', 'Find and report metadata for a function match')
@@ -1265,11 +1417,21 @@ function parseCliArgs(argv) {
     .add('--extract-hashes <hashes...>', 'Extract functions by one or more hashes (comma or space-separated)')
     .add('--replace <selector>', 'Replace a function with a new implementation')
     .add('--replace-variable <selector>', 'Replace a variable declarator with a new snippet')
+    .add('--insert-before <selector>', 'Insert a snippet as a sibling before the statement or member holding a function/variable')
+    .add('--insert-after <selector>', 'Insert a snippet as a sibling after the statement or member holding a function/variable')
+    .add('--append-to-class <selector>', 'Append a member snippet to the end of a class body')
+    .add('--append-to-module', 'Append a snippet to the module (ahead of a trailing module.exports assignment)', false, 'boolean')
+    .add('--delete <selector>', 'Delete a function with its leading comments and export entries (refused while references remain)')
+    .add('--delete-variable <selector>', 'Delete a variable with its leading comments and export entries (refused while references remain)')
+    .add('--change-signature <selector>', 'Rewrite a function\'s parameter list and the arguments of every call site in the workspace')
+    .add('--signature <params>', 'New parameter list for --change-signature (existing names in order; new parameters as name=value)')
+    .add('--workspace <dir>', 'Workspace root scanned for references and call sites by delete and change-signature operations (default: project root)')
     .add('--with <path>', 'Path to the file containing the replacement code snippet (absolute)')
     .add('--with-file <path>', 'Path to the replacement code snippet (relative to the target file)')
     .add('--with-code <code>', 'Inline code snippet for replacement')
     .add('--replace-range <start:end>', 'Replace a specific character range within a function')
-    .add('--rename <identifier>', 'Rename a function declaration')
+    .add('--rename <identifier>', 'Rename the selected function, class, method or variable and every reference to it in the file')
+    .add('--rename-param <name>', 'With --replace <selector> --rename, rename this parameter of the selected function instead')
     .add('--variable-target <mode>', 'For variable operations, target the binding, declarator, or declaration (default: declarator)')
     .add('--output <path>', 'Path to write the output file (for --extract)')
     .add('--fix', 'Apply replacements directly to the file', false, 'boolean')
@@ -1278,6 +1440,7 @@ function parseCliArgs(argv) {
     .add('--quiet', 'Suppress summary and progress messages (implies --json)', false, 'boolean')
     .add('--emit-diff', 'Emit a diff of the proposed change (dry-run only)', false, 'boolean')
     .add('--emit-plan <path>', 'Emit a plan file for guarded edits or context')
+    .add('--apply-plan <path>', 'Replay the guards of a saved plan and apply its replacements')
     .add('--emit-digests', 'Emit cryptographic digests of changes for verification', false, 'boolean')
     .add('--emit-digest-dir <path>', 'Directory to store digest files (implies --emit-digests)')
     .add('--digest-include-snippets', 'Include code snippets in digest files', false, 'boolean')
@@ -1289,6 +1452,9 @@ function parseCliArgs(argv) {
     .add('--select <index|hash:...>', 'Select a specific match by 1-based index or hash')
     .add('--select-path <signature>', 'Select a match by its AST path signature')
     .add('--recipe <path>', 'Load and execute a recipe JSON file for multi-step refactoring')
+    .add('--resume <journal>', 'Inspect (dry-run) or replay (--fix) the recipe run recorded in a journal, rolling back its leftovers first')
+    .add('--journal <path>', 'Where a recipe run under --fix records its file writes (default: tmp/recipe-journals/). Steps write to disk as they run; a failed step rolls back, but an interrupted process leaves the files modified until --resume <journal> --fix restores them')
+    .add('--keep-journal', 'Keep the recipe journal after a successful run', false, 'boolean')
     .add(
       '--param <key=value>',
       'Override recipe parameter (repeatable)',
@@ -1307,6 +1473,12 @@ function parseCliArgs(argv) {
     '  js-edit --file src/example.js --list-functions',
     '  js-edit --file src/example.js --locate exports.alpha --json',
     '  js-edit --file src/example.js --replace exports.alpha --with replacements/alpha.js --fix',
+    '  js-edit --files "src/**/*.js" --replace-variable DEFAULT_LIMIT --with-code "DEFAULT_LIMIT = 50" --fix',
+    '',
+    'Multi-file runs (one parse per file, one JSON payload keyed by file):',
+    '  --files <globs...>         Match files with path globs ("src/**/*.js")',
+    '  --files-from <list>        Read paths from a list file (- for stdin)',
+    '  Mutations apply to every file or none and preview as one combined diff',
     '',
     'Discovery commands:',
     '  --list-functions (函列)    Inspect functions with metadata',
@@ -1314,8 +1486,28 @@ function parseCliArgs(argv) {
     '  --context-function (函邻)  Show padded context around a match',
     '  --scan-targets (扫标)      Inspect replaceable spans inside a function',
     '',
+    'Insertion commands (snippet via --with/--with-file/--with-code):',
+    '  --insert-before <selector> Add a sibling above a function/variable',
+    '  --insert-after <selector>  Add a sibling below a function/variable',
+    '  --append-to-class <name>   Add a member at the end of a class body',
+    '  --append-to-module         Add top-level code ahead of module.exports',
+    '',
+    'Deletion commands (blocked while references remain; --force overrides):',
+    '  --delete <selector>        Remove a function, its JSDoc and export entries',
+    '  --delete-variable <sel>    Remove a variable, its JSDoc and export entries',
+    '  --workspace <dir>          Root scanned for importers (default: project root)',
+    '',
+    'Signature changes (workspace-wide; dry-run diff unless --fix):',
+    '  --change-signature <sel>   Rewrite parameters and every call site',
+    '  --signature "<params>"     New order, e.g. "result, formatter, verbose = false"',
+    '',
+    'Structural search and replace (dry-run diff unless --fix):',
+    '  --pattern <template>       Match code shape, e.g. "$fmt.stat($label, $value)"',
+    '  --rewrite <template>       Replacement reusing $name / $$$name bindings',
+    '',
     'Guardrails and plans:',
     '  --emit-plan (出计)         Write a guarded plan for review',
+    '  --apply-plan <path>        Re-resolve a saved plan, report drift, apply replacements',
     '  --expect-hash (预哈)       Enforce content integrity before replace',
     '  --expect-span (预段)       Enforce span alignment during replace',
     '  --allow-multiple (多)      Opt into multi-target operations',
@@ -1349,10 +1541,11 @@ function parseCliArgs(argv) {
  * @param {Object} options - CLI options including recipe path and params
  */
 async function handleRecipeMode(options) {
+  let engine = null;
   try {
-    const recipePath = path.isAbsolute(options.recipe)
-      ? options.recipe
-      : path.resolve(process.cwd(), options.recipe);
+    const recipePath = options.recipe
+      ? path.resolve(process.cwd(), options.recipe)
+      : null;
 
     // Create operation dispatcher
     const dispatcher = new OperationDispatcher({
@@ -1360,11 +1553,22 @@ async function handleRecipeMode(options) {
       verbose: options.verbose || false
     });
 
-    const engine = new RecipeEngine(recipePath, {
+    const engineOptions = {
       dispatcher,
       verbose: options.verbose,
-      dryRun: !options.fix
-    });
+      dryRun: !options.fix,
+      journalPath: options.journal ? path.resolve(process.cwd(), options.journal) : null,
+      keepJournal: options.keepJournal
+    };
+
+    // --resume replays the recipe recorded in a journal (after undoing its leftovers)
+    engine = options.resume
+      ? await RecipeEngine.resume(path.resolve(process.cwd(), options.resume), {
+        ...engineOptions,
+        force: options.force,
+        recipeFile: recipePath || undefined
+      })
+      : new RecipeEngine(recipePath, engineOptions);
 
     await engine.load();
     const recipeDefinition = engine.recipe || {};
@@ -1393,6 +1597,10 @@ async function handleRecipeMode(options) {
         paramOverrides[key] = value;
       }
     });
+    const resumedParams = engine.resumeParams
+      ? (engine.resumeParams.params || engine.resumeParams)
+      : {};
+    const executionParams = { ...resumedParams, ...paramOverrides };
 
     await engine.validate();
 
@@ -1400,18 +1608,21 @@ async function handleRecipeMode(options) {
       console.log('Recipe validated successfully');
 
       fmt.header('Recipe Execution');
-      const recipeName = recipeDefinition.name || path.basename(recipePath);
+      const recipeName = recipeDefinition.name || path.basename(engine.recipeFile);
       const stepCount = Array.isArray(recipeDefinition.steps) ? recipeDefinition.steps.length : 0;
       fmt.stat('Recipe', recipeName);
       fmt.stat('Steps', stepCount, 'number');
+      if (engine.resumedFrom) {
+        printResumedJournal(engine.resumedFrom);
+      }
       console.log();
     }
 
-    await engine.execute(Object.keys(paramOverrides).length > 0 ? { params: paramOverrides } : {});
+    await engine.execute(Object.keys(executionParams).length > 0 ? { params: executionParams } : {});
     const baseResult = engine.getResults();
     const result = {
       ...baseResult,
-      recipeFile: recipePath,
+      recipeFile: engine.recipeFile,
       builtInVariables: { ...engine.builtInVariables },
       parameters: engine.manifest?.parameters || {}
     };
@@ -1428,6 +1639,10 @@ async function handleRecipeMode(options) {
     }
   } catch (error) {
     fmt.error(`Recipe execution failed: ${error.message}`);
+    const journal = engine ? engine.manifest.journal : null;
+    if (journal && journal.rollback && !options.json) {
+      printJournalRollback(journal);
+    }
     if (error.stack && options.verbose) {
       console.error(error.stack);
     }
@@ -1477,9 +1692,50 @@ function printRecipeResult(result) {
     });
   }
 
+  if (result.journal && result.journal.rollback) {
+    printJournalRollback(result.journal);
+  }
+
   fmt.footer();
 }
 
+/**
+ * Print the journal a resumed recipe run was started from.
+ * @param {Object} resumed - Journal summary plus the recovery rollback (if any)
+ */
+function printResumedJournal(resumed) {
+  fmt.stat('Resuming', resumed.journalPath);
+  fmt.stat('Previous Status', resumed.status);
+  if (resumed.failedStep) {
+    fmt.stat('Failed Step', `${resumed.failedStep.index} (${resumed.failedStep.name})`);
+  }
+  if (resumed.error) {
+    fmt.warn(`Previous error: ${resumed.error}`);
+  }
+  fmt.stat('Files Journaled', resumed.files.length, 'number');
+  if (resumed.recovery) {
+    fmt.info(`Restored ${resumed.recovery.restored.length} file(s) left by the previous run.`);
+  }
+}
+
+/**
+ * Print what rolling back an aborted recipe run did.
+ * @param {Object} journal - Journal summary with a `rollback` record
+ */
+function printJournalRollback(journal) {
+  const { restored, conflicts } = journal.rollback;
+  fmt.stat('Rollback', journal.status);
+  restored.filter((entry) => entry.action !== 'unchanged').forEach((entry) => {
+    fmt.info(`${entry.action}: ${entry.file}`);
+  });
+  conflicts.forEach((entry) => {
+    fmt.warn(`left as is (changed since the recipe wrote it): ${entry.file}`);
+  });
+  if (journal.journalPath) {
+    fmt.info(`Journal: ${journal.journalPath} (inspect or replay with --resume)`);
+  }
+}
+
 async function main() {
   const originalTokens = process.argv.slice(2);
   const translation = translateCliArgs(EDIT_COMMAND_NAME, originalTokens);
@@ -1517,11 +1773,46 @@ async function main() {
   options._i18n = translation;
 
   // Handle recipe mode first (doesn't need file processing)
-  if (options.recipe) {
+  if (options.recipe || options.resume) {
     return handleRecipeMode(options);
   }
 
-  const { source, sourceMapper } = await readSource(options.filePath);
+  if (options.applyPlanPath) {
+    planReplayOperations.init({
+      fmt,
+      outputJson,
+      readSource,
+      loadReplacementSource,
+      getReplacementSource,
+      parseModule,
+      collectFunctions,
+      collectVariables,
+      buildFunctionRecords,
+      buildVariableRecords,
+      findMatchesForSelector,
+      resolveVariableTargetInfo,
+      computeNewlineStats,
+      prepareNormalizedSnippet,
+      replaceSpan
+    });
+    return planReplayOperations.applyPlan(options);
+  }
+
+  if (options.filePaths) {
+    multiFileOperations.init({ fmt, outputJson, writeOutputFile, readSource });
+    return multiFileOperations.runAcrossFiles(options, runFileOperation);
+  }
+
+  return runFileOperation(options);
+}
+
+/**
+ * Parse one file and dispatch the requested operation. Multi-file runs pass
+ * `io` to supply the source they already read and to capture JSON payloads
+ * and file writes instead of emitting them.
+ */
+async function runFileOperation(options, io = {}) {
+  const { source, sourceMapper } = io.input || await readSource(options.filePath);
   const { newline, newlineGuard } = computeNewlineStats(source);
   options.sourceMapper = sourceMapper;
   options.sourceNewline = newline;
@@ -1563,13 +1854,12 @@ async function main() {
     createNewlineGuard,
     prepareNormalizedSnippet,
     createDigest,
-    writeOutputFile,
-    outputJson,
+    writeOutputFile: io.writeOutputFile || writeOutputFile,
+    outputJson: io.outputJson || outputJson,
     extractCode,
     replaceSpan,
     loadReplacementSource,
     getReplacementSource,
-    applyRenameToSnippet,
     spanKey: createSpanKey,
     findMatchesForSelector,
     resolveMatches,
@@ -1601,6 +1891,11 @@ async function main() {
   contextOperations.init(deps);
   mutationOperations.init(deps);
   discoveryOperations.init(deps);
+  insertionOperations.init(deps);
+  deletionOperations.init(deps);
+  renamingOperations.init(deps);
+  signatureOperations.init(deps);
+  patternOperations.init(deps);
 
   if (options.listFunctions) {
     return discoveryOperations.listFunctions(options, source, functionRecords);
@@ -1646,6 +1941,10 @@ async function main() {
     return discoveryOperations.searchTextMatches(options, source, functionRecords, variableRecords);
   }
 
+  if (options.patternTemplate) {
+    return patternOperations.searchPattern(options, source, ast);
+  }
+
   if (options.scanTargetsSelector) {
     if (options.scanTargetKind === 'variable') {
       return mutationOperations.scanVariableTargets(options, variableRecords, options.scanTargetsSelector);
@@ -1659,11 +1958,14 @@ async function main() {
   }
 
   if (options.extractHashes.length > 0) {
-    return extractFunctionsByHashes(options, source, functionRecords);
+    return extractFunctionsByHashes(options, source, functionRecords, deps.outputJson);
   }
 
   if (options.replaceSelector) {
     const [record] = resolveMatches(functionRecords, options.replaceSelector, options, { operation: 'replace' });
+    if (options.renameTo) {
+      return renamingOperations.renameSymbol(options, source, record, { entity: 'function', selector: options.replaceSelector });
+    }
     return mutationOperations.replaceFunction(options, source, record, options.replacementPath, options.replaceSelector);
   }
 
@@ -1682,8 +1984,39 @@ async function main() {
 
   if (options.replaceVariableSelector) {
     const [record] = resolveVariableMatches(variableRecords, options.replaceVariableSelector, options, { operation: 'replace-variable' });
+    if (options.renameTo) {
+      return renamingOperations.renameSymbol(options, source, record, { entity: 'variable', selector: options.replaceVariableSelector });
+    }
     return mutationOperations.replaceVariable(options, source, record, options.replacementPath, options.replaceVariableSelector);
   }
+
+  if (options.insertBeforeSelector) {
+    return insertionOperations.insertSnippet(options, source, functionRecords, variableRecords, { operation: 'insert-before', selector: options.insertBeforeSelector });
+  }
+
+  if (options.insertAfterSelector) {
+    return insertionOperations.insertSnippet(options, source, functionRecords, variableRecords, { operation: 'insert-after', selector: options.insertAfterSelector });
+  }
+
+  if (options.appendToClassSelector) {
+    return insertionOperations.insertSnippet(options, source, functionRecords, variableRecords, { operation: 'append-to-class', selector: options.appendToClassSelector });
+  }
+
+  if (options.appendToModule) {
+    return insertionOperations.insertSnippet(options, source, functionRecords, variableRecords, { operation: 'append-to-module', selector: null });
+  }
+
+  if (options.deleteSelector) {
+    return deletionOperations.deleteRecord(options, source, functionRecords, variableRecords, { operation: 'delete', selector: options.deleteSelector });
+  }
+
+  if (options.deleteVariableSelector) {
+    return deletionOperations.deleteRecord(options, source, functionRecords, variableRecords, { operation: 'delete-variable', selector: options.deleteVariableSelector });
+  }
+
+  if (options.changeSignatureSelector) {
+    return signatureOperations.changeSignature(options, source, functionRecords, options.changeSignatureSelector);
+  }
 }
 
 main().catch((error) => {
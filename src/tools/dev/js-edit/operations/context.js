@@ -984,6 +984,39 @@ function renderContextResults(type, selector, options, contextResult) {
   fmt.footer();
 }
 
+function formatReferenceDetails(referenceGuard) {
+  if (!referenceGuard || !Array.isArray(referenceGuard.entries) || referenceGuard.entries.length === 0) {
+    return 'No remaining references';
+  }
+  return referenceGuard.entries
+    .map((entry) => `${entry.file}:${entry.line}:${entry.column} ${entry.kind} ${entry.name}`)
+    .join('\n');
+}
+
+function formatRenameDetails(renameGuard) {
+  const lines = renameGuard.entries
+    .map((entry) => `${entry.line}:${entry.column} ${entry.kind} ${entry.before} → ${entry.after}`);
+  (renameGuard.unresolved || []).forEach((entry) => {
+    lines.push(`${entry.line}:${entry.column} not renamed (unresolved object) ${entry.text}`);
+  });
+  return lines.join('\n');
+}
+
+function formatCallSiteDetails(callSiteGuard) {
+  const lines = callSiteGuard.entries
+    .map((entry) => `${entry.file}:${entry.line}:${entry.column} (${entry.before}) → (${entry.after})`);
+  (callSiteGuard.unresolved || []).forEach((entry) => {
+    lines.push(`${entry.file}:${entry.line}:${entry.column} not updated (${entry.kind}) ${entry.text}`);
+  });
+  return lines.length > 0 ? lines.join('\n') : 'No call sites';
+}
+
+function formatFileGuardDetails(fileGuard) {
+  return fileGuard.entries
+    .map((entry) => `${entry.file} ${entry.expectedHash}${entry.actualHash ? ` = ${entry.actualHash}` : ''} (${entry.status})`)
+    .join('\n');
+}
+
 function renderGuardrailSummary(guard, options) {
   if (options.json || options.quiet) {
     return;
@@ -1069,6 +1102,38 @@ function renderGuardrailSummary(guard, options) {
     [columnLabels.details]: formatResultDetails(guard.result, fmt, language)
   });
 
+  if (guard.rename) {
+    tableRows.push({
+      [columnLabels.check]: translate('rename', 'Renamed'),
+      [columnLabels.status]: formatStatusValue(guard.rename.status, fmt, language),
+      [columnLabels.details]: formatRenameDetails(guard.rename)
+    });
+  }
+
+  if (guard.references) {
+    tableRows.push({
+      [columnLabels.check]: translate('references', 'References'),
+      [columnLabels.status]: formatStatusValue(guard.references.status, fmt, language),
+      [columnLabels.details]: formatReferenceDetails(guard.references)
+    });
+  }
+
+  if (guard.callSites) {
+    tableRows.push({
+      [columnLabels.check]: translate('call_sites', 'Call Sites'),
+      [columnLabels.status]: formatStatusValue(guard.callSites.status, fmt, language),
+      [columnLabels.details]: formatCallSiteDetails(guard.callSites)
+    });
+  }
+
+  if (guard.files) {
+    tableRows.push({
+      [columnLabels.check]: translate('files', 'Files'),
+      [columnLabels.status]: formatStatusValue(guard.files.status, fmt, language),
+      [columnLabels.details]: formatFileGuardDetails(guard.files)
+    });
+  }
+
   if (guard.newline) {
     tableRows.push({
       [columnLabels.check]: translate('newlines', 'Newlines'),
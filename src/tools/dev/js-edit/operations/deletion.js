@@ -0,0 +1,479 @@
+'use strict';
+
+const path = require('path');
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { findProjectRoot } = require('../../../../util/project-root');
+const { generateUnifiedDiff } = require('../shared/diff');
+const { applyTextEdits } = require('../shared/changeSet');
+const { collectDeclarationNames, isModuleExports, isExportsTarget } = require('../shared/moduleBindings');
+const { rangeOf, planKeepListItems, planRemoveExports, removeStatementEdit } = require('../shared/moduleEdits');
+const { collectSiblingGroups, findEnclosingItem } = require('../shared/siblingItems');
+const { lineStart, lineEnd, isBlank, statementLineRange } = require('../shared/textRanges');
+const { createModuleView, loadModuleGraph } = require('../workspace/moduleGraph');
+const { exportEntriesFor } = require('../workspace/refactorSupport');
+const {
+  findBindingReferences,
+  findMemberReferences,
+  findImporterReferences
+} = require('../workspace/symbolReferences');
+
+const CLASS_MEMBER_TYPES = new Set([
+  'ClassMethod',
+  'PrivateMethod',
+  'ClassProperty',
+  'PrivateProperty',
+  'Constructor'
+]);
+
+// Exports that name the deleted binding and vanish with it as a whole statement.
+const STATEMENT_EXPORT_KINDS = new Set(['cjs-property', 'cjs-default', 'esm-default']);
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit deletion operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(filePath, context) {
+  return context.isChinese ? `已更新 ${filePath}` : `Updated ${filePath}`;
+}
+
+function memberKeyName(member) {
+  if (member.type === 'Constructor') {
+    return 'constructor';
+  }
+  const key = member.key;
+  if (!key) {
+    return null;
+  }
+  if (key.type === 'PrivateName') {
+    return `#${key.value}`;
+  }
+  return key.type === 'Identifier' || key.type === 'StringLiteral' ? key.value : null;
+}
+
+/**
+ * Whole-line removal of a sibling item. Inside blocks and class bodies the blank
+ * line separating the item from its neighbour goes too when the item is the
+ * first or last one, so no gap is left against the braces.
+ */
+function wholeItemEdit(view, item) {
+  const { source } = view;
+  const range = statementLineRange(source, item.range.start, item.range.end);
+  const items = item.group.items;
+  if (item.group.kind !== 'module' && items.length > 1) {
+    if (items[0].node === item.node && range.end < source.length && isBlank(source.slice(range.end, lineEnd(source, range.end)))) {
+      const followingEnd = lineEnd(source, range.end);
+      range.end = followingEnd < source.length ? followingEnd + 1 : followingEnd;
+    } else if (items[items.length - 1].node === item.node && range.start > 0) {
+      const previousStart = lineStart(source, range.start - 1);
+      if (isBlank(source.slice(previousStart, range.start - 1))) {
+        range.start = previousStart;
+      }
+    }
+  }
+  return { range, text: '' };
+}
+
+/**
+ * Work out what removing the record at `recordStart` means for its enclosing
+ * sibling item: the edit, the local identifiers that disappear with it and any
+ * export name the statement itself provides (`exports.name = ...`). Only
+ * standalone declarations are deletable; a function used as an argument or a
+ * property value has no line of its own to remove.
+ */
+function planItemRemoval(view, item, recordStart, label) {
+  const node = item.node;
+
+  if (item.group.kind === 'class') {
+    if (!CLASS_MEMBER_TYPES.has(node.type)) {
+      throw new Error(`Cannot delete "${label}": ${node.type} class members are not supported.`);
+    }
+    return {
+      target: 'class-member',
+      edit: wholeItemEdit(view, item),
+      removedRanges: [item.range],
+      identifiers: [],
+      statementExports: [],
+      memberName: memberKeyName(node)
+    };
+  }
+
+  const declaration = node.type === 'ExportDeclaration' || node.type === 'ExportDefaultDeclaration'
+    ? node.declaration || node.decl
+    : node;
+  const defaultExport = node.type === 'ExportDefaultDeclaration';
+
+  if (declaration && (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration'
+    || declaration.type === 'FunctionExpression' || declaration.type === 'ClassExpression')) {
+    const identifiers = declaration.identifier ? [declaration.identifier] : [];
+    return {
+      target: 'declaration',
+      edit: wholeItemEdit(view, item),
+      removedRanges: [item.range],
+      identifiers,
+      statementExports: defaultExport ? ['default'] : []
+    };
+  }
+
+  if (declaration && declaration.type === 'VariableDeclaration') {
+    const declarators = declaration.declarations;
+    const declarator = declarators.find((candidate) => {
+      const range = rangeOf(view, candidate);
+      return recordStart >= range.start && recordStart < range.end;
+    }) || (declarators.length === 1 ? declarators[0] : null);
+    if (!declarator) {
+      throw new Error(`Unable to find the declarator that holds "${label}".`);
+    }
+    const identifiers = collectDeclarationNames({ type: 'VariableDeclaration', declarations: [declarator] });
+    if (declarators.length === 1) {
+      return {
+        target: 'declaration',
+        edit: wholeItemEdit(view, item),
+        removedRanges: [item.range],
+        identifiers,
+        statementExports: []
+      };
+    }
+    const kept = declarators.filter((candidate) => candidate !== declarator);
+    return {
+      target: 'declarator',
+      edit: planKeepListItems(view, declarators, kept),
+      removedRanges: [rangeOf(view, declarator)],
+      identifiers,
+      statementExports: []
+    };
+  }
+
+  const expression = node.type === 'ExpressionStatement' ? node.expression : null;
+  if (expression && expression.type === 'AssignmentExpression' && expression.left.type === 'MemberExpression') {
+    const right = rangeOf(view, expression.right);
+    if (recordStart >= right.start && recordStart < right.end) {
+      const left = expression.left;
+      const property = left.property && left.property.type === 'Identifier' ? left.property.value : null;
+      let statementExports = [];
+      let memberName = null;
+      if (isModuleExports(left)) {
+        statementExports = ['default'];
+      } else if (isExportsTarget(left.object) && property) {
+        statementExports = [property];
+      } else {
+        memberName = property;
+      }
+      return {
+        target: 'assignment',
+        edit: wholeItemEdit(view, item),
+        removedRanges: [item.range],
+        identifiers: [],
+        statementExports,
+        memberName
+      };
+    }
+  }
+
+  throw new Error(`Cannot delete "${label}": it is not a standalone declaration (found ${node.type}). Use --replace to rewrite the enclosing code instead.`);
+}
+
+/**
+ * Export entries elsewhere in the module that name the removed bindings
+ * (`module.exports = { name }`, `export { name }`, `exports.name = name`,
+ * `export default name`) plus the edits that drop them.
+ */
+function planExportRemoval(view, identifiers, removedStatement) {
+  const allEntries = identifiers.flatMap((identifier) => exportEntriesFor(view, identifier.value));
+  // `export function name` goes away with the declaration itself.
+  const entries = allEntries.filter((entry) => entry.statement !== removedStatement && entry.kind !== 'esm-declaration');
+
+  const listEntries = entries.filter((entry) => !STATEMENT_EXPORT_KINDS.has(entry.kind));
+  const statementEntries = entries.filter((entry) => STATEMENT_EXPORT_KINDS.has(entry.kind));
+  const edits = [
+    ...planRemoveExports(view, listEntries),
+    ...statementEntries.map((entry) => removeStatementEdit(view, entry.statement))
+  ];
+  const removedRanges = entries.map((entry) => rangeOf(view, entry.property || entry.specifier || entry.statement));
+
+  return {
+    names: allEntries.map((entry) => entry.exported),
+    edits,
+    removedRanges
+  };
+}
+
+function resolveWorkspaceRoot(options) {
+  if (options.workspaceRoot) {
+    return path.resolve(options.workspaceRoot);
+  }
+  return findProjectRoot(path.dirname(path.resolve(options.filePath)));
+}
+
+/**
+ * Collect every reference that would dangle once the record is gone: local
+ * identifier uses, member accesses for class members and prototype
+ * assignments, and uses of the removed export names in importing modules.
+ */
+function collectRemainingReferences(view, removal, exportNames, excludeRanges, workspaceRoot) {
+  const bindings = removal.identifiers
+    .map((identifier) => view.analysis.occurrences.find((occurrence) => occurrence.node === identifier))
+    .filter(Boolean)
+    .map((occurrence) => occurrence.binding);
+  const references = findBindingReferences(view, bindings, excludeRanges);
+  const memberTarget = removal.target === 'class-member' && removal.memberName;
+
+  if (removal.memberName) {
+    references.push(...findMemberReferences(view, removal.memberName, excludeRanges));
+  }
+  if (exportNames.length === 0 && !memberTarget) {
+    return references;
+  }
+
+  const graph = loadModuleGraph(workspaceRoot);
+  if (exportNames.length > 0) {
+    references.push(...findImporterReferences(graph, view.filePath, exportNames));
+  }
+  if (memberTarget) {
+    graph.importersOf(view.filePath).forEach((importerPath) => {
+      const importer = graph.getModule(importerPath);
+      if (importer) {
+        references.push(...findMemberReferences(importer, removal.memberName));
+      }
+    });
+  }
+  return references;
+}
+
+function resolveDeletionTarget(options, functionRecords, variableRecords, operation, selector) {
+  const { resolveMatches, resolveVariableMatches, resolveVariableTargetInfo } = requireDeps();
+  if (operation === 'delete-variable') {
+    const [record] = resolveVariableMatches(variableRecords, selector, options, { operation });
+    const target = resolveVariableTargetInfo(record, options.variableTarget);
+    return { entity: 'variable', record, span: target.span, hash: target.hash, pathSignature: target.pathSignature };
+  }
+  const [record] = resolveMatches(functionRecords, selector, options, { operation });
+  return { entity: 'function', record, span: record.span, hash: record.hash, pathSignature: record.pathSignature };
+}
+
+/**
+ * Delete a function (`--delete`) or variable (`--delete-variable`) together
+ * with its leading comments, trailing blank line and any export entries that
+ * name it. The record's hash is guarded, and the delete is refused while the
+ * file or the workspace still references the removed names unless --force is
+ * given; every blocking reference is reported in the guard summary.
+ */
+function deleteRecord(options, source, functionRecords, variableRecords, request) {
+  const {
+    extractCode,
+    createDigest,
+    parseModule,
+    maybeEmitPlan,
+    writeOutputFile,
+    outputJson,
+    fmt,
+    renderGuardrailSummary
+  } = requireDeps();
+  const { operation, selector } = request;
+
+  const target = resolveDeletionTarget(options, functionRecords, variableRecords, operation, selector);
+  const { record } = target;
+  const label = record.canonicalName || record.name;
+
+  const filePath = path.resolve(options.filePath);
+  const workspaceRoot = resolveWorkspaceRoot(options);
+  const view = createModuleView(filePath, source, {
+    relativePath: path.relative(workspaceRoot, filePath).replace(/\\/g, '/')
+  });
+  const { groups } = collectSiblingGroups(view);
+  const recordStart = view.mapper.normalize(record.span).start;
+  const item = findEnclosingItem(groups, { start: recordStart });
+  if (!item) {
+    throw new Error(`Unable to find the statement that holds "${label}".`);
+  }
+
+  const currentHash = createDigest(extractCode(source, target.span, options.sourceMapper));
+  const expectedHash = options.expectHash || target.hash;
+  const hashStatus = currentHash === expectedHash ? 'ok' : options.force ? 'bypass' : 'mismatch';
+  if (hashStatus === 'mismatch') {
+    throw new Error(`Hash mismatch for ${target.entity} "${label}". Expected ${expectedHash} but file contains ${currentHash}. Re-run the locate step and retry or pass --force to override.`);
+  }
+
+  const removal = planItemRemoval(view, item, recordStart, label);
+  const exportsRemoval = planExportRemoval(view, removal.identifiers, item.node);
+  const exportNames = Array.from(new Set([...removal.statementExports, ...exportsRemoval.names]));
+  const excludeRanges = [...removal.removedRanges, ...exportsRemoval.removedRanges];
+  const references = collectRemainingReferences(view, removal, exportNames, excludeRanges, workspaceRoot);
+
+  const byteStart = typeof target.span.byteStart === 'number' ? target.span.byteStart : null;
+  const byteEnd = typeof target.span.byteEnd === 'number' ? target.span.byteEnd : null;
+  const guard = {
+    span: {
+      status: 'ok',
+      start: target.span.start,
+      end: target.span.end,
+      length: Math.max(0, target.span.end - target.span.start),
+      byteStart,
+      byteEnd,
+      byteLength: byteStart !== null && byteEnd !== null ? Math.max(0, byteEnd - byteStart) : null,
+      expectedStart: null,
+      expectedEnd: null,
+      expectedLength: null,
+      expectedByteStart: null,
+      expectedByteEnd: null,
+      expectedByteLength: null
+    },
+    hash: {
+      status: hashStatus,
+      expected: expectedHash,
+      actual: currentHash
+    },
+    path: {
+      status: target.pathSignature ? 'ok' : 'skipped',
+      signature: target.pathSignature || '(unavailable)'
+    },
+    syntax: {
+      status: 'pending'
+    },
+    result: {
+      status: 'pending',
+      before: createDigest(source),
+      after: null
+    },
+    references: {
+      status: references.length === 0 ? 'ok' : options.force ? 'bypass' : 'mismatch',
+      count: references.length,
+      entries: references
+    },
+    newline: null
+  };
+
+  const payload = {
+    file: options.filePath,
+    operation,
+    target: {
+      entity: target.entity,
+      name: record.name,
+      canonicalName: record.canonicalName,
+      kind: record.kind,
+      line: record.line,
+      column: record.column,
+      pathSignature: target.pathSignature || null,
+      hash: target.hash,
+      removal: removal.target
+    },
+    exports: exportNames,
+    applied: false,
+    blocked: guard.references.status === 'mismatch',
+    guard
+  };
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  const renderHeader = () => {
+    fmt.header(fmt.translateLabel('delete', 'Delete', { englishFirst }));
+    fmt.section(`${fmt.translateLabel('target', 'Target', { englishFirst })}: ${label}`);
+    fmt.stat(fmt.translateLabel('operation', 'Operation', { englishFirst }), operation);
+    fmt.stat(fmt.translateLabel('kind', 'Kind', { englishFirst }), record.kind);
+    fmt.stat(fmt.translateLabel('location', 'Location', { englishFirst }), `${record.line}:${record.column}`);
+    if (exportNames.length > 0) {
+      fmt.stat(fmt.translateLabel('exports', 'Exports Removed', { englishFirst }), exportNames.join(', '));
+    }
+  };
+
+  if (payload.blocked) {
+    guard.syntax = { status: 'skipped', message: 'Not run (delete blocked by references)' };
+    guard.result = { status: 'unchanged', before: guard.result.before, after: guard.result.before };
+    process.exitCode = 1;
+    if (options.json) {
+      outputJson(payload);
+      return;
+    }
+    if (!options.quiet) {
+      renderHeader();
+      renderGuardrailSummary(guard, options);
+    }
+    fmt.error(`Delete blocked: ${references.length} remaining reference(s) to "${label}". Remove them first or pass --force to delete anyway.`);
+    return;
+  }
+
+  const { text: newSource } = applyTextEdits(source, [removal.edit, ...exportsRemoval.edits]);
+
+  try {
+    parseModule(newSource, options.filePath);
+    guard.syntax = { status: 'ok' };
+  } catch (error) {
+    guard.syntax = { status: 'error', message: error.message };
+    throw new Error(`Delete produced invalid JavaScript: ${error.message}`);
+  }
+
+  const afterHash = createDigest(newSource);
+  guard.result = {
+    status: afterHash === guard.result.before ? 'unchanged' : 'changed',
+    before: guard.result.before,
+    after: afterHash
+  };
+
+  const plan = maybeEmitPlan(operation, options, selector, [record], [expectedHash], [target.span], {
+    entity: target.entity,
+    removal: removal.target,
+    exports: exportNames,
+    references: references.length
+  });
+  if (plan) {
+    payload.plan = plan;
+  }
+
+  payload.applied = Boolean(options.fix);
+  if (options.fix) {
+    writeOutputFile(options.filePath, newSource);
+  }
+
+  if (options.json) {
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  renderHeader();
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(Boolean(options.fix), language));
+  renderGuardrailSummary(guard, options);
+  if (options.emitPlanPath) {
+    const planLabel = fmt.translateLabel('plan', 'Plan', { englishFirst });
+    fmt.info(`${planLabel} ${fmt.translateLabel('output', 'Output', { englishFirst })}: ${options.emitPlanPath}`);
+  }
+  if ((options.previewEdit || options.emitDiff) && !options.fix) {
+    fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+    process.stdout.write(`${generateUnifiedDiff(source, newSource, { label, contextLines: 3 })}\n`);
+  }
+  if (!options.fix) {
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(options.filePath, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  deleteRecord
+};
@@ -0,0 +1,446 @@
+'use strict';
+
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { createByteMapper } = require('../../lib/swcAst');
+const { unescapeCodeString } = require('../../lib/codeEscaper');
+const { generateUnifiedDiff } = require('../shared/diff');
+const { planInsertDeclaration } = require('../shared/moduleEdits');
+const { collectSiblingGroups, findEnclosingItem } = require('../shared/siblingItems');
+const {
+  detectNewline,
+  lineStart,
+  lineEnd,
+  lineIndent,
+  isBlank,
+  findLeadingCommentStart,
+  positionAt,
+  reindent
+} = require('../shared/textRanges');
+
+const DEFAULT_INDENT_UNIT = '  ';
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit insertion operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(filePath, context) {
+  return context.isChinese ? `已更新 ${filePath}` : `Updated ${filePath}`;
+}
+
+function detectIndentUnit(source) {
+  const match = /^([ \t]+)[^\s*]/m.exec(source);
+  if (!match) {
+    return DEFAULT_INDENT_UNIT;
+  }
+  return match[1].startsWith('\t') ? '\t' : match[1];
+}
+
+function trimSnippet(text) {
+  return text.replace(/^(?:[ \t]*\r?\n)+/, '').replace(/\s+$/, '');
+}
+
+function loadInsertionSource(options) {
+  const { loadReplacementSource } = requireDeps();
+  if (options.replacementCode) {
+    return unescapeCodeString(options.replacementCode);
+  }
+  if (options.replacementPath) {
+    return loadReplacementSource(options.replacementPath);
+  }
+  throw new Error('No insertion snippet provided.');
+}
+
+/**
+ * Place `snippet` on its own lines next to the sibling at `anchor`, indented
+ * like the sibling. Multi-line code is separated from its neighbour by a blank
+ * line; single-line code sits directly above or below.
+ */
+function planSiblingInsertion(source, anchor, snippet, position, newline) {
+  const indent = lineIndent(source, anchor.start);
+  const body = reindent(snippet, indent);
+  const multiLine = body.includes('\n') || source.slice(anchor.start, anchor.end).includes('\n');
+  const gap = multiLine ? `${newline}${newline}` : newline;
+
+  if (position === 'before') {
+    const start = findLeadingCommentStart(source, anchor.start);
+    const startOfLine = lineStart(source, start);
+    if (isBlank(source.slice(startOfLine, start))) {
+      return { offset: startOfLine, text: `${body}${gap}` };
+    }
+    return { offset: start, text: `${body.trimStart()}${gap}${indent}` };
+  }
+
+  const endOfLine = lineEnd(source, anchor.end);
+  const rest = source.slice(anchor.end, endOfLine);
+  if (isBlank(rest) || /^[ \t]*\/\//.test(rest)) {
+    const offset = source[endOfLine - 1] === '\r' ? endOfLine - 1 : endOfLine;
+    return { offset, text: `${gap}${body}` };
+  }
+  return { offset: anchor.end, text: `${gap}${body}${newline}${indent}` };
+}
+
+/**
+ * Add a member at the end of a class body. Empty bodies are opened onto their
+ * own lines using the file's indentation unit.
+ */
+function planClassAppend(source, classEntry, snippet, newline) {
+  const members = classEntry.group.items;
+  if (members.length > 0) {
+    return planSiblingInsertion(source, members[members.length - 1].range, snippet, 'after', newline);
+  }
+
+  const closeIndex = source.lastIndexOf('}', classEntry.range.end - 1);
+  if (closeIndex === -1 || closeIndex < classEntry.range.start) {
+    throw new Error(`Unable to locate the body of class "${classEntry.name}".`);
+  }
+  let innerStart = closeIndex;
+  while (innerStart > classEntry.range.start && /\s/.test(source[innerStart - 1])) {
+    innerStart -= 1;
+  }
+  const classIndent = lineIndent(source, classEntry.range.start);
+  const body = reindent(snippet, `${classIndent}${detectIndentUnit(source)}`);
+  return {
+    offset: innerStart,
+    end: closeIndex,
+    text: `${newline}${body}${newline}${classIndent}`
+  };
+}
+
+function matchesClassSelector(entry, selector) {
+  if (!entry.name) {
+    return false;
+  }
+  const base = selector.replace(/^(?:module\.)?exports\./, '');
+  return entry.name === base;
+}
+
+function resolveClassTarget(classes, selector, options) {
+  let matches = classes.filter((entry) => matchesClassSelector(entry, selector));
+  if (matches.length === 0) {
+    throw new Error(`No class matches found for append-to-class selector "${selector}".`);
+  }
+  if (options.selectIndex) {
+    if (options.selectIndex > matches.length) {
+      throw new Error(`--select ${options.selectIndex} exceeds match count (${matches.length}).`);
+    }
+    matches = [matches[options.selectIndex - 1]];
+  }
+  if (matches.length > 1) {
+    throw new Error(`Selector "${selector}" matched ${matches.length} classes. Use --select <n> to choose one.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Resolve the anchor for --insert-before / --insert-after. Functions are tried
+ * first, then variables, so the same selector syntax works for both.
+ */
+function resolveSelectorAnchor(options, functionRecords, variableRecords, selector, operation) {
+  const { findMatchesForSelector, resolveMatches, resolveVariableMatches } = requireDeps();
+  if (findMatchesForSelector(functionRecords, selector, options, { operation }).length > 0) {
+    const [record] = resolveMatches(functionRecords, selector, options, { operation });
+    return { entity: 'function', record };
+  }
+  if (findMatchesForSelector(variableRecords, selector, options, { operation }).length > 0) {
+    const [record] = resolveVariableMatches(variableRecords, selector, options, { operation });
+    return { entity: 'variable', record };
+  }
+  throw new Error(`No function or variable matches found for ${operation} selector "${selector}".`);
+}
+
+/**
+ * Confirm the anchor function/variable still resolves (same name and hash)
+ * once the snippet is in place.
+ */
+function verifyAnchorAfterInsertion(entity, record, parsedAst, newSource) {
+  const {
+    collectFunctions,
+    collectVariables,
+    buildFunctionRecords,
+    buildVariableRecords
+  } = requireDeps();
+  const postRecords = entity === 'function'
+    ? buildFunctionRecords(collectFunctions(parsedAst, newSource).functions)
+    : buildVariableRecords(collectVariables(parsedAst, newSource).variables);
+  return postRecords.find((candidate) => candidate.canonicalName === record.canonicalName && candidate.hash === record.hash) || null;
+}
+
+/**
+ * Insert a snippet next to an existing sibling (`--insert-before`,
+ * `--insert-after`), at the end of a class body (`--append-to-class`) or at the
+ * end of the module (`--append-to-module`, ahead of a trailing
+ * `module.exports` assignment). The anchor's hash is guarded like a
+ * replacement and the edited file must re-parse before anything is written.
+ */
+function insertSnippet(options, source, functionRecords, variableRecords, request) {
+  const {
+    ast,
+    extractCode,
+    createDigest,
+    parseModule,
+    maybeEmitPlan,
+    createNewlineGuard,
+    prepareNormalizedSnippet,
+    computeNewlineStats,
+    writeOutputFile,
+    outputJson,
+    fmt,
+    renderGuardrailSummary
+  } = requireDeps();
+  const { operation, selector } = request;
+
+  const view = { source, ast, mapper: createByteMapper(source) };
+  const { groups, classes } = collectSiblingGroups(view);
+  const newline = detectNewline(source);
+  const fileNewlineStats = options.sourceNewline || computeNewlineStats(source);
+  const normalizedSnippet = prepareNormalizedSnippet(loadInsertionSource(options), fileNewlineStats.style);
+  const snippet = trimSnippet(normalizedSnippet.text).replace(/\r\n/g, '\n');
+  if (!snippet) {
+    throw new Error('Insertion snippet is empty.');
+  }
+  const restoreNewlines = (text) => (newline === '\n' ? text : text.replace(/\r?\n/g, newline));
+
+  let anchor;
+  let edit;
+
+  if (operation === 'append-to-module') {
+    const [planned] = planInsertDeclaration(view, reindent(snippet, ''));
+    anchor = {
+      entity: 'module',
+      record: {
+        name: '(module)',
+        canonicalName: '(module)',
+        kind: 'module',
+        line: 1,
+        column: 1,
+        span: { start: 0, end: source.length },
+        hash: createDigest(source)
+      },
+      text: source
+    };
+    edit = { offset: planned.range.start, end: planned.range.end, text: planned.text };
+  } else if (operation === 'append-to-class') {
+    const classEntry = resolveClassTarget(classes, selector, options);
+    const classText = source.slice(classEntry.range.start, classEntry.range.end);
+    anchor = {
+      entity: 'class',
+      record: {
+        name: classEntry.name,
+        canonicalName: classEntry.name,
+        kind: 'class',
+        ...positionAt(source, classEntry.range.start),
+        span: classEntry.range,
+        hash: createDigest(classText)
+      },
+      text: classText
+    };
+    edit = planClassAppend(source, classEntry, snippet, '\n');
+  } else {
+    const { entity, record } = resolveSelectorAnchor(options, functionRecords, variableRecords, selector, operation);
+    const normalizedRecordSpan = view.mapper.normalize(record.span);
+    const item = findEnclosingItem(groups, normalizedRecordSpan);
+    if (!item) {
+      throw new Error(`Unable to find the statement that holds "${record.canonicalName || record.name}".`);
+    }
+    anchor = {
+      entity,
+      record,
+      text: extractCode(source, record.span, options.sourceMapper),
+      siblingKind: item.group.kind
+    };
+    edit = planSiblingInsertion(source, item.range, snippet, operation === 'insert-before' ? 'before' : 'after', '\n');
+  }
+
+  const insertedText = restoreNewlines(edit.text);
+  const editEnd = typeof edit.end === 'number' ? edit.end : edit.offset;
+  const newSource = `${source.slice(0, edit.offset)}${insertedText}${source.slice(editEnd)}`;
+
+  const anchorHash = createDigest(anchor.text);
+  const expectedHash = options.expectHash || anchor.record.hash;
+  const hashStatus = anchorHash === expectedHash ? 'ok' : options.force ? 'bypass' : 'mismatch';
+  const anchorSpan = anchor.record.span;
+  const byteStart = typeof anchorSpan.byteStart === 'number' ? anchorSpan.byteStart : null;
+  const byteEnd = typeof anchorSpan.byteEnd === 'number' ? anchorSpan.byteEnd : null;
+
+  const guard = {
+    span: {
+      status: 'ok',
+      start: anchorSpan.start,
+      end: anchorSpan.end,
+      length: Math.max(0, anchorSpan.end - anchorSpan.start),
+      byteStart,
+      byteEnd,
+      byteLength: byteStart !== null && byteEnd !== null ? Math.max(0, byteEnd - byteStart) : null,
+      expectedStart: null,
+      expectedEnd: null,
+      expectedLength: null,
+      expectedByteStart: null,
+      expectedByteEnd: null,
+      expectedByteLength: null
+    },
+    hash: {
+      status: hashStatus,
+      expected: expectedHash,
+      actual: anchorHash
+    },
+    path: {
+      status: anchor.record.pathSignature ? 'pending' : 'skipped',
+      signature: anchor.record.pathSignature || '(unavailable)'
+    },
+    syntax: {
+      status: 'pending'
+    },
+    result: {
+      status: 'pending',
+      before: createDigest(source),
+      after: null
+    },
+    newline: null
+  };
+
+  const anchorLabel = anchor.record.canonicalName || anchor.record.name;
+  if (guard.hash.status === 'mismatch') {
+    throw new Error(`Hash mismatch for ${anchor.entity} "${anchorLabel}". Expected ${expectedHash} but file contains ${anchorHash}. Re-run the locate step and retry or pass --force to override.`);
+  }
+
+  let parsedAst;
+  try {
+    parsedAst = parseModule(newSource, options.filePath);
+    guard.syntax = { status: 'ok' };
+  } catch (error) {
+    guard.syntax = { status: 'error', message: error.message };
+    throw new Error(`Insertion produced invalid JavaScript: ${error.message}`);
+  }
+
+  if (anchor.record.pathSignature) {
+    const postRecord = verifyAnchorAfterInsertion(anchor.entity, anchor.record, parsedAst, newSource);
+    if (postRecord) {
+      guard.path = { status: 'ok', signature: postRecord.pathSignature || anchor.record.pathSignature };
+    } else {
+      guard.path = {
+        status: options.force ? 'bypass' : 'mismatch',
+        signature: anchor.record.pathSignature
+      };
+      if (guard.path.status === 'mismatch') {
+        throw new Error(`Path mismatch for ${anchor.entity} "${anchorLabel}". The anchor no longer resolves after insertion. Use --force to override if intentional.`);
+      }
+    }
+  }
+
+  const afterHash = createDigest(newSource);
+  guard.result = {
+    status: afterHash === guard.result.before ? 'unchanged' : 'changed',
+    before: guard.result.before,
+    after: afterHash
+  };
+  guard.newline = createNewlineGuard(fileNewlineStats, '', insertedText, normalizedSnippet);
+
+  const insertionPosition = positionAt(newSource, edit.offset + insertedText.length - insertedText.trimStart().length);
+  const insertion = {
+    position: operation === 'insert-before' ? 'before' : operation === 'insert-after' ? 'after' : 'append',
+    offset: edit.offset,
+    line: insertionPosition.line,
+    text: insertedText
+  };
+
+  const plan = maybeEmitPlan(operation, options, selector, [anchor.record], [expectedHash], [anchorSpan], {
+    entity: anchor.entity,
+    insertion: {
+      position: insertion.position,
+      offset: insertion.offset,
+      line: insertion.line
+    },
+    newline: guard.newline
+  });
+
+  const payload = {
+    file: options.filePath,
+    operation,
+    anchor: {
+      entity: anchor.entity,
+      name: anchor.record.name,
+      canonicalName: anchor.record.canonicalName,
+      kind: anchor.record.kind,
+      line: anchor.record.line,
+      column: anchor.record.column,
+      pathSignature: anchor.record.pathSignature || null,
+      hash: anchor.record.hash,
+      sibling: anchor.siblingKind || null
+    },
+    insertion,
+    applied: Boolean(options.fix),
+    guard
+  };
+
+  if (plan) {
+    payload.plan = plan;
+  }
+
+  if (options.fix) {
+    writeOutputFile(options.filePath, newSource);
+  }
+
+  if (options.json) {
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  fmt.header(fmt.translateLabel('insert', 'Insertion', { englishFirst }));
+  fmt.section(`${fmt.translateLabel('anchor', 'Anchor', { englishFirst })}: ${anchorLabel}`);
+  fmt.stat(fmt.translateLabel('operation', 'Operation', { englishFirst }), operation);
+  fmt.stat(fmt.translateLabel('kind', 'Kind', { englishFirst }), anchor.record.kind);
+  fmt.stat(fmt.translateLabel('location', 'Location', { englishFirst }), `${anchor.record.line}:${anchor.record.column}`);
+  fmt.stat(fmt.translateLabel('line', 'Inserted At Line', { englishFirst }), insertion.line);
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(Boolean(options.fix), language));
+  renderGuardrailSummary(guard, options);
+  if (options.emitPlanPath) {
+    const planLabel = fmt.translateLabel('plan', 'Plan', { englishFirst });
+    fmt.info(`${planLabel} ${fmt.translateLabel('output', 'Output', { englishFirst })}: ${options.emitPlanPath}`);
+  }
+  if (options.previewEdit && !options.fix) {
+    fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+    process.stdout.write(`${generateUnifiedDiff(source, newSource, { label: anchorLabel, contextLines: 3 })}\n`);
+  } else if (options.emitDiff) {
+    fmt.section(fmt.translateLabel('insert', 'Insertion', { englishFirst }));
+    process.stdout.write(`${insertedText.trim()}\n`);
+  }
+  if (!options.fix) {
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(options.filePath, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  insertSnippet
+};
@@ -0,0 +1,247 @@
+'use strict';
+
+const path = require('path');
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+
+// Option keys of the single-file operations, in dispatch order, with the name
+// reported for the run. Mutations (a flag, or a predicate over the options)
+// are applied atomically across the file set.
+const OPERATIONS = [
+  ['listFunctions', 'list-functions'],
+  ['listConstructors', 'list-constructors'],
+  ['functionSummary', 'function-summary'],
+  ['listVariables', 'list-variables'],
+  ['contextFunctionSelector', 'context-function'],
+  ['contextVariableSelector', 'context-variable'],
+  ['previewSelector', 'preview'],
+  ['previewVariableSelector', 'preview-variable'],
+  ['snipePosition', 'snipe'],
+  ['outline', 'outline'],
+  ['searchText', 'search-text'],
+  ['scanTargetsSelector', 'scan-targets'],
+  ['extractSelector', 'extract'],
+  ['extractHashes', 'extract-hashes'],
+  ['replaceSelector', 'replace', true],
+  ['locateSelector', 'locate'],
+  ['locateVariableSelector', 'locate-variable'],
+  ['extractVariableSelector', 'extract-variable'],
+  ['replaceVariableSelector', 'replace-variable', true],
+  ['insertBeforeSelector', 'insert-before', true],
+  ['insertAfterSelector', 'insert-after', true],
+  ['appendToClassSelector', 'append-to-class', true],
+  ['appendToModule', 'append-to-module', true],
+  ['deleteSelector', 'delete', true],
+  ['deleteVariableSelector', 'delete-variable', true],
+  ['patternTemplate', 'pattern', (options) => Boolean(options.rewriteTemplate)]
+];
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit multi-file operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(count, context) {
+  return context.isChinese ? `已更新 ${count} 个文件` : `Updated ${count} file(s)`;
+}
+
+function resolveOperation(options) {
+  const entry = OPERATIONS.find(([key]) => {
+    const value = options[key];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+  if (!entry) {
+    throw new Error('--files/--files-from need a discovery or mutation command to run on each file.');
+  }
+  const mutating = typeof entry[2] === 'function' ? entry[2](options) : entry[2];
+  return { name: entry[1], mutating: Boolean(mutating) };
+}
+
+/**
+ * Run one file's operation with its JSON payload and source writes captured.
+ * Mutations always run in write mode against the capture so the rewritten
+ * text is available for the combined diff; nothing reaches the disk here.
+ */
+async function captureFile(options, filePath, operation, runFile) {
+  const { readSource, writeOutputFile } = requireDeps();
+  const entry = {
+    file: path.relative(process.cwd(), filePath).replace(/\\/g, '/') || path.basename(filePath),
+    filePath,
+    before: null,
+    after: null,
+    payload: null,
+    error: null
+  };
+  const previousExitCode = process.exitCode;
+  process.exitCode = undefined;
+  try {
+    const input = await readSource(filePath);
+    entry.before = input.source;
+    await runFile({ ...options, filePath, json: true, fix: operation.mutating ? true : options.fix }, {
+      input,
+      outputJson: (payload) => {
+        entry.payload = payload;
+      },
+      writeOutputFile: (targetPath, content) => {
+        if (path.resolve(targetPath) === filePath) {
+          entry.after = content;
+        } else {
+          writeOutputFile(targetPath, content);
+        }
+      }
+    });
+    if (process.exitCode) {
+      entry.error = entry.payload && entry.payload.blocked
+        ? 'Blocked by remaining references'
+        : 'Operation reported a failure';
+    }
+  } catch (error) {
+    entry.error = error.message || String(error);
+  }
+  process.exitCode = previousExitCode;
+  return entry;
+}
+
+/**
+ * Run a discovery or mutation command over every file in `options.filePaths`
+ * (`--files <glob>` / `--files-from <list>`), parsing each file once. With
+ * --json, results are aggregated into one payload keyed by file. Mutations
+ * are all-or-nothing: the rewritten files are shown as one combined unified
+ * diff and, with --fix, written only when every file succeeded and still
+ * matches the digest read at the start of the run. `runFile(options, io)` runs
+ * the single-file pipeline with `io.input`, `io.outputJson` and
+ * `io.writeOutputFile` overrides.
+ */
+async function runAcrossFiles(options, runFile) {
+  const { fmt, outputJson } = requireDeps();
+  const operation = resolveOperation(options);
+  const files = options.filePaths;
+
+  if (!operation.mutating && !options.json) {
+    let failed = 0;
+    for (const filePath of files) {
+      fmt.section(path.relative(process.cwd(), filePath).replace(/\\/g, '/') || filePath);
+      try {
+        await runFile({ ...options, filePath });
+      } catch (error) {
+        failed += 1;
+        fmt.error(error.message || String(error));
+      }
+    }
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const entries = [];
+  for (const filePath of files) {
+    entries.push(await captureFile(options, filePath, operation, runFile));
+  }
+
+  const failures = entries.filter((entry) => entry.error);
+  const changes = entries
+    .filter((entry) => entry.after !== null && entry.after !== entry.before)
+    .map((entry) => createFileChange({
+      filePath: entry.filePath,
+      relativePath: entry.file,
+      before: entry.before,
+      after: entry.after
+    }));
+  const applied = operation.mutating && Boolean(options.fix) && failures.length === 0 && changes.length > 0;
+  const guard = applied ? commitFileChanges(changes, { force: Boolean(options.force) }) : null;
+
+  entries.forEach((entry) => {
+    if (operation.mutating && entry.payload && Object.prototype.hasOwnProperty.call(entry.payload, 'applied')) {
+      entry.payload.applied = applied;
+    }
+  });
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+
+  const summary = {
+    files: entries.length,
+    succeeded: entries.length - failures.length,
+    failed: failures.length,
+    changed: changes.length
+  };
+  const combinedDiff = changes.map((change) => change.diff).join('\n');
+
+  if (options.json) {
+    const payload = {
+      operation: operation.name,
+      summary,
+      files: Object.fromEntries(entries.map((entry) => [
+        entry.file,
+        entry.error ? { error: entry.error, ...(entry.payload ? { result: entry.payload } : {}) } : entry.payload
+      ]))
+    };
+    if (operation.mutating) {
+      payload.applied = applied;
+      payload.changes = changes.map(describeFileChange).map(({ diff, ...change }) => change);
+      payload.diff = combinedDiff;
+      if (guard) {
+        payload.guard = guard;
+      }
+    }
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  const changedFiles = new Set(changes.map((change) => change.filePath));
+  fmt.header(`${fmt.translateLabel('files', 'Files', { englishFirst })}: ${operation.name}`);
+  fmt.stat(fmt.translateLabel('files', 'Files', { englishFirst }), summary.files);
+  fmt.stat(fmt.translateLabel('changed', 'Changed', { englishFirst }), summary.changed);
+  fmt.stat(fmt.translateLabel('failed', 'Failed', { englishFirst }), summary.failed);
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(applied, language));
+  fmt.table(entries.map((entry) => ({
+    File: entry.file,
+    Status: entry.error ? 'error' : changedFiles.has(entry.filePath) ? 'changed' : 'unchanged',
+    Details: entry.error || ''
+  })), { columns: ['File', 'Status', 'Details'] });
+  if (failures.length > 0) {
+    fmt.error(`${failures.length} of ${entries.length} file(s) failed; no files were written.`);
+  } else if (!applied) {
+    if (combinedDiff) {
+      fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+      process.stdout.write(`${combinedDiff}\n`);
+    }
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(changes.length, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  runAcrossFiles
+};
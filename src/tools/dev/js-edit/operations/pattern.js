@@ -0,0 +1,231 @@
+'use strict';
+
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { generateUnifiedDiff } = require('../shared/diff');
+const { compilePattern, findPatternMatches, renderRewrite } = require('../shared/astPattern');
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit pattern operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(filePath, context) {
+  return context.isChinese ? `已更新 ${filePath}` : `Updated ${filePath}`;
+}
+
+function formatBindings(bindings) {
+  return Object.entries(bindings)
+    .map(([name, text]) => `$${name}=${text.length > 40 ? `${text.slice(0, 37)}...` : text}`)
+    .join(' ');
+}
+
+/**
+ * Apply the rewrite template to every outermost match, splicing from the end
+ * of the file so earlier offsets stay valid. Nested matches are left for a
+ * follow-up run because their text is replaced along with the outer match.
+ */
+function rewriteMatches(source, matches, rewrite) {
+  const { replaceSpan } = requireDeps();
+  return matches
+    .filter((match) => !match.nested)
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, match) => replaceSpan(
+      text,
+      { start: match.start, end: match.end, byteStart: match.byteStart, byteEnd: match.byteEnd, __normalized: true },
+      renderRewrite(rewrite, match.bindings)
+    ), source);
+}
+
+/**
+ * Structural search (`--pattern <template>`) and replace (`--rewrite
+ * <template>`). The pattern is parsed with SWC and compared node by node
+ * with the file's AST, so formatting, quoting and comments do not affect a
+ * match; `$name` metavariables bind sub-expressions and `$$$name` binds a
+ * run of arguments, elements or statements. Rewrites are previewed as a diff
+ * and re-parsed before anything is written with --fix.
+ */
+function searchPattern(options, source, ast) {
+  const {
+    fmt,
+    outputJson,
+    parseModule,
+    createDigest,
+    writeOutputFile,
+    computeAggregateSpan,
+    renderGuardrailSummary
+  } = requireDeps();
+
+  const compiled = compilePattern(options.patternTemplate, parseModule, options.rewriteTemplate || null);
+  const matches = findPatternMatches(ast, compiled, { source, mapper: options.sourceMapper });
+  const rewriting = Boolean(options.rewriteTemplate);
+  const payloadMatches = matches.map((match, index) => ({
+    index: index + 1,
+    line: match.line,
+    column: match.column,
+    charStart: match.start,
+    charEnd: match.end,
+    text: match.text,
+    bindings: match.bindings,
+    nested: match.nested,
+    ...(rewriting && !match.nested ? { replacement: renderRewrite(options.rewriteTemplate, match.bindings) } : {})
+  }));
+
+  const payload = {
+    file: options.filePath,
+    operation: rewriting ? 'rewrite' : 'pattern',
+    pattern: compiled.template,
+    metavariables: compiled.metavariables,
+    matchCount: payloadMatches.length,
+    matches: payloadMatches
+  };
+
+  let newSource = source;
+  let guard = null;
+  if (rewriting) {
+    const currentHash = createDigest(source);
+    const expectedHash = options.expectHash || currentHash;
+    const hashStatus = currentHash === expectedHash ? 'ok' : options.force ? 'bypass' : 'mismatch';
+    if (hashStatus === 'mismatch') {
+      throw new Error(`Hash mismatch for ${options.filePath}. Expected ${expectedHash} but file contains ${currentHash}. Re-run --pattern and retry or pass --force to override.`);
+    }
+
+    newSource = rewriteMatches(source, matches, options.rewriteTemplate);
+    const span = computeAggregateSpan(matches.filter((match) => !match.nested));
+    guard = {
+      span: {
+        status: span ? 'ok' : 'skipped',
+        start: span ? span.start : null,
+        end: span ? span.end : null,
+        length: span ? span.totalLength : null,
+        byteStart: span ? span.byteStart : null,
+        byteEnd: span ? span.byteEnd : null,
+        byteLength: span ? span.totalByteLength : null,
+        expectedStart: null,
+        expectedEnd: null,
+        expectedLength: null,
+        expectedByteStart: null,
+        expectedByteEnd: null,
+        expectedByteLength: null
+      },
+      hash: {
+        status: hashStatus,
+        expected: expectedHash,
+        actual: currentHash
+      },
+      path: {
+        status: 'skipped',
+        signature: '(file)'
+      },
+      syntax: {
+        status: 'pending'
+      },
+      result: {
+        status: 'pending',
+        before: currentHash,
+        after: null
+      },
+      newline: null
+    };
+
+    try {
+      parseModule(newSource, options.filePath);
+      guard.syntax = { status: 'ok' };
+    } catch (error) {
+      guard.syntax = { status: 'error', message: error.message };
+      throw new Error(`Rewrite produced invalid JavaScript: ${error.message}`);
+    }
+
+    const afterHash = createDigest(newSource);
+    guard.result = {
+      status: afterHash === currentHash ? 'unchanged' : 'changed',
+      before: currentHash,
+      after: afterHash
+    };
+
+    payload.rewrite = options.rewriteTemplate;
+    payload.replaced = payloadMatches.filter((match) => !match.nested).length;
+    payload.nestedSkipped = payloadMatches.length - payload.replaced;
+    payload.diff = newSource === source ? '' : generateUnifiedDiff(source, newSource, { label: options.filePath, contextLines: 3 });
+    payload.applied = Boolean(options.fix);
+    payload.guard = guard;
+
+    if (options.fix && newSource !== source) {
+      writeOutputFile(options.filePath, newSource);
+    }
+  }
+
+  if (options.json) {
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  fmt.header(rewriting
+    ? fmt.translateLabel('rewrite', 'Structural Rewrite', { englishFirst })
+    : fmt.translateLabel('pattern', 'Structural Search', { englishFirst }));
+  fmt.stat(fmt.translateLabel('pattern', 'Pattern', { englishFirst }), compiled.template);
+  if (rewriting) {
+    fmt.stat(fmt.translateLabel('rewrite', 'Rewrite', { englishFirst }), options.rewriteTemplate);
+  }
+  fmt.stat(fmt.translateLabel('matches', 'Matches', { englishFirst }), payloadMatches.length);
+  if (payloadMatches.length > 0) {
+    fmt.table(payloadMatches.map((match) => ({
+      '#': match.index,
+      Line: `${match.line}:${match.column}`,
+      Match: match.text.split('\n')[0] + (match.text.includes('\n') ? ' ...' : ''),
+      Bindings: match.nested ? `${formatBindings(match.bindings)} (nested)`.trim() : formatBindings(match.bindings)
+    })), { columns: ['#', 'Line', 'Match', 'Bindings'] });
+  } else {
+    fmt.info(`No nodes match ${compiled.template}`);
+  }
+
+  if (rewriting) {
+    fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(Boolean(options.fix), language));
+    renderGuardrailSummary(guard, options);
+    if (payload.nestedSkipped > 0) {
+      fmt.warn(`${payload.nestedSkipped} nested match(es) sit inside a rewritten match and were left as is; re-run to rewrite them.`);
+    }
+    if (!options.fix) {
+      if (payload.diff) {
+        fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+        process.stdout.write(`${payload.diff}\n`);
+      }
+      fmt.warn(formatDryRunWarning(language));
+    } else if (newSource !== source) {
+      fmt.success(formatSuccessMessage(options.filePath, language));
+    }
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  searchPattern
+};
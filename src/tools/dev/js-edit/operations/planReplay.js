@@ -0,0 +1,416 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit plan replay operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(count, context) {
+  return context.isChinese ? `已更新 ${count} 个文件` : `Updated ${count} file(s)`;
+}
+
+function toRelative(filePath) {
+  return path.relative(process.cwd(), filePath).replace(/\\/g, '/') || path.basename(filePath);
+}
+
+function hasSpan(span) {
+  return Boolean(span) && typeof span.start === 'number' && typeof span.end === 'number';
+}
+
+function readPlanFile(planPath) {
+  let text;
+  try {
+    text = fs.readFileSync(planPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read plan: ${planPath}\n${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Plan ${planPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function isVariableEntity(value, operation) {
+  if (value === 'variable') {
+    return true;
+  }
+  return !value && typeof operation === 'string' && operation.includes('variable');
+}
+
+/**
+ * Flatten a plan into replayable entries. Two shapes are accepted: a plan
+ * written by --emit-plan (each of its `matches` becomes an entry against the
+ * plan's file and selector) and a multi-entry plan `{ version, entries: [...] }`
+ * whose entries carry their own `file`, `selector`, guards and snippet.
+ * Relative `file` and `with` paths resolve against the plan's directory.
+ */
+function normalizePlan(plan, planPath, fallbackFile) {
+  if (!plan || typeof plan !== 'object') {
+    throw new Error(`Plan ${planPath} must be a JSON object.`);
+  }
+  const baseDir = path.dirname(planPath);
+  const resolveFile = (value) => (value ? path.resolve(baseDir, String(value)) : null);
+  const rawEntries = Array.isArray(plan.entries)
+    ? plan.entries
+    : Array.isArray(plan.matches)
+      ? plan.matches.map((match) => ({
+        ...match,
+        selector: plan.selector,
+        entity: plan.entity,
+        targetMode: plan.targetMode,
+        operation: plan.operation
+      }))
+      : null;
+  if (!rawEntries || rawEntries.length === 0) {
+    throw new Error(`Plan ${planPath} has no "matches" or "entries" to apply.`);
+  }
+
+  return rawEntries.map((raw, index) => {
+    const filePath = resolveFile(raw.file) || resolveFile(plan.file) || fallbackFile;
+    if (!filePath) {
+      throw new Error(`Plan entry ${index + 1} does not name a file; add "file" to the entry or pass --file.`);
+    }
+    const selector = raw.selector || raw.canonicalName;
+    if (!selector) {
+      throw new Error(`Plan entry ${index + 1} needs a "selector" or "canonicalName".`);
+    }
+    if (!raw.expectedHash && !raw.hash) {
+      throw new Error(`Plan entry ${index + 1} (${selector}) has no expectedHash to guard the edit.`);
+    }
+    return {
+      index,
+      filePath,
+      file: toRelative(filePath),
+      selector,
+      canonicalName: raw.canonicalName || null,
+      variable: isVariableEntity(raw.entity || plan.entity, raw.operation || plan.operation),
+      targetMode: raw.targetMode || plan.targetMode || 'declarator',
+      expectedHash: raw.expectedHash || raw.hash,
+      expectedSpan: hasSpan(raw.expectedSpan) ? raw.expectedSpan : hasSpan(raw.span) ? raw.span : null,
+      pathSignature: raw.pathSignature || null,
+      line: typeof raw.line === 'number' ? raw.line : null,
+      snippetPath: raw.with ? path.resolve(baseDir, String(raw.with)) : null,
+      snippetCode: typeof raw.withCode === 'string' ? raw.withCode : null
+    };
+  });
+}
+
+/**
+ * Re-resolve an entry against the current records: by canonical name first
+ * (falling back to the selector), then narrowed by path signature and hash
+ * when several records share the name.
+ */
+function findEntryRecord(entry, records) {
+  const { findMatchesForSelector } = requireDeps();
+  let candidates = entry.canonicalName
+    ? records.filter((record) => record.canonicalName === entry.canonicalName)
+    : [];
+  if (candidates.length === 0) {
+    candidates = findMatchesForSelector(records, entry.selector, {}, { operation: 'apply-plan' });
+  }
+  if (candidates.length > 1 && entry.pathSignature) {
+    const byPath = candidates.filter((record) => record.pathSignature === entry.pathSignature);
+    if (byPath.length > 0) {
+      candidates = byPath;
+    }
+  }
+  if (candidates.length > 1) {
+    const byHash = candidates.filter((record) => resolveTarget(entry, record).hash === entry.expectedHash);
+    if (byHash.length > 0) {
+      candidates = byHash;
+    }
+  }
+  return candidates;
+}
+
+function resolveTarget(entry, record) {
+  const { resolveVariableTargetInfo } = requireDeps();
+  if (entry.variable) {
+    const target = resolveVariableTargetInfo(record, entry.targetMode);
+    return { span: target.span, hash: target.hash };
+  }
+  return { span: record.span, hash: record.hash };
+}
+
+/**
+ * Compare an entry's recorded guards with the record it resolves to now.
+ * A different hash means the code itself changed and blocks the edit; a
+ * different span or path signature means it only moved, which is reported
+ * and replayed at the new location.
+ */
+function checkEntry(entry, record) {
+  const target = resolveTarget(entry, record);
+  const drift = [];
+  if (target.hash !== entry.expectedHash) {
+    drift.push({ check: 'hash', expected: entry.expectedHash, actual: target.hash });
+  }
+  if (entry.expectedSpan && (entry.expectedSpan.start !== target.span.start || entry.expectedSpan.end !== target.span.end)) {
+    drift.push({
+      check: 'span',
+      expected: `${entry.expectedSpan.start}-${entry.expectedSpan.end}`,
+      actual: `${target.span.start}-${target.span.end}`,
+      offset: target.span.start - entry.expectedSpan.start
+    });
+  }
+  if (entry.line !== null && typeof record.line === 'number' && entry.line !== record.line) {
+    drift.push({ check: 'line', expected: entry.line, actual: record.line, offset: record.line - entry.line });
+  }
+  if (entry.pathSignature && record.pathSignature && entry.pathSignature !== record.pathSignature) {
+    drift.push({ check: 'path', expected: entry.pathSignature, actual: record.pathSignature });
+  }
+  const status = drift.some((item) => item.check === 'hash') ? 'changed' : drift.length > 0 ? 'moved' : 'ok';
+  return { status, drift, target };
+}
+
+function loadEntrySnippet(entry, options) {
+  const { loadReplacementSource, getReplacementSource } = requireDeps();
+  if (entry.snippetCode !== null) {
+    return entry.snippetCode;
+  }
+  if (entry.snippetPath) {
+    return loadReplacementSource(entry.snippetPath);
+  }
+  if (options.replacementPath || options.replacementCode) {
+    return getReplacementSource(options);
+  }
+  throw new Error(`Plan entry ${entry.index + 1} (${entry.selector}) has no replacement; add "with"/"withCode" to the entry or pass --with/--with-code.`);
+}
+
+function describeDrift(drift) {
+  return drift.map((item) => {
+    if (item.check === 'span' || item.check === 'line') {
+      const sign = item.offset > 0 ? '+' : '';
+      return `${item.check} ${item.expected} -> ${item.actual} (${sign}${item.offset})`;
+    }
+    return `${item.check} ${item.expected} -> ${item.actual}`;
+  }).join('; ');
+}
+
+/**
+ * Replay the entries of one file: re-resolve each against a fresh parse,
+ * check its guards and splice the replacements in reverse span order so
+ * earlier offsets stay valid. Returns per-entry results and the rewritten
+ * source (null when any entry is blocked).
+ */
+function replayFile(filePath, entries, options) {
+  const {
+    readSource,
+    parseModule,
+    collectFunctions,
+    collectVariables,
+    buildFunctionRecords,
+    buildVariableRecords,
+    computeNewlineStats,
+    prepareNormalizedSnippet,
+    replaceSpan
+  } = requireDeps();
+
+  const { source, sourceMapper } = readSource(filePath);
+  const ast = parseModule(source, filePath);
+  const { functions } = collectFunctions(ast, source, sourceMapper);
+  const { variables } = collectVariables(ast, source, sourceMapper);
+  const functionRecords = buildFunctionRecords(functions);
+  const variableRecords = buildVariableRecords(variables);
+  const { style } = computeNewlineStats(source);
+
+  const results = entries.map((entry) => {
+    const result = {
+      entry,
+      status: 'missing',
+      drift: [],
+      record: null,
+      span: null,
+      snippet: null,
+      message: null
+    };
+    const candidates = findEntryRecord(entry, entry.variable ? variableRecords : functionRecords);
+    if (candidates.length === 0) {
+      result.message = `No ${entry.variable ? 'variable' : 'function'} matches "${entry.selector}".`;
+      return result;
+    }
+    if (candidates.length > 1) {
+      result.status = 'ambiguous';
+      result.message = `${candidates.length} records match "${entry.selector}" and none is singled out by path or hash.`;
+      return result;
+    }
+    const [record] = candidates;
+    const check = checkEntry(entry, record);
+    result.record = record;
+    result.status = check.status;
+    result.drift = check.drift;
+    result.span = check.target.span;
+    if (!entry.variable && record.replaceable === false) {
+      result.status = 'unsupported';
+      result.message = `"${record.canonicalName}" cannot be replaced in place.`;
+      return result;
+    }
+    result.snippet = prepareNormalizedSnippet(loadEntrySnippet(entry, options), style, { ensureTrailingNewline: !entry.variable }).text;
+    return result;
+  });
+
+  const blocked = results.filter((result) => result.status !== 'ok' && result.status !== 'moved'
+    && !(result.status === 'changed' && options.force));
+  const ordered = results.filter((result) => result.span).sort((a, b) => a.span.start - b.span.start);
+  for (let index = 1; index < ordered.length; index += 1) {
+    if (ordered[index].span.start < ordered[index - 1].span.end) {
+      ordered[index].status = 'overlap';
+      ordered[index].message = `Overlaps the span of "${ordered[index - 1].entry.selector}".`;
+      blocked.push(ordered[index]);
+    }
+  }
+  if (blocked.length > 0) {
+    return { source, after: null, results };
+  }
+
+  const after = ordered.reverse().reduce(
+    (text, result) => replaceSpan(text, result.span, result.snippet, sourceMapper),
+    source
+  );
+  return { source, after, results };
+}
+
+/**
+ * Apply a saved guard plan (`--apply-plan <plan.json>`). Every entry is
+ * re-resolved in the current source and its recorded hash, span and path
+ * are replayed as guards: code that moved is still replaced at its new
+ * location and reported as drift, code whose hash changed blocks the whole
+ * run unless --force is given. Replacements come from each entry's
+ * `with`/`withCode` or the CLI's --with/--with-code; files are written
+ * together with --fix, or not at all.
+ */
+function applyPlan(options) {
+  const { fmt, outputJson } = requireDeps();
+  const planPath = options.applyPlanPath;
+  const plan = readPlanFile(planPath);
+  const entries = normalizePlan(plan, planPath, options.filePath || null);
+
+  const byFile = new Map();
+  entries.forEach((entry) => {
+    if (!byFile.has(entry.filePath)) {
+      byFile.set(entry.filePath, []);
+    }
+    byFile.get(entry.filePath).push(entry);
+  });
+
+  const results = [];
+  const changes = [];
+  let blocked = false;
+  byFile.forEach((fileEntries, filePath) => {
+    const replay = replayFile(filePath, fileEntries, options);
+    results.push(...replay.results);
+    if (replay.after === null) {
+      blocked = true;
+      return;
+    }
+    if (replay.after !== replay.source) {
+      changes.push(createFileChange({
+        filePath,
+        relativePath: toRelative(filePath),
+        before: replay.source,
+        after: replay.after
+      }));
+    }
+  });
+  results.sort((a, b) => a.entry.index - b.entry.index);
+
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (!blocked && broken.length > 0) {
+    throw new Error(`Plan replay produced invalid JavaScript in ${broken.map((change) => change.file).join(', ')}: ${broken[0].syntaxError}`);
+  }
+
+  const applied = Boolean(options.fix) && !blocked && changes.length > 0;
+  const written = applied ? commitFileChanges(changes, { force: Boolean(options.force) }) : null;
+  if (blocked) {
+    process.exitCode = 1;
+  }
+
+  const entryRows = results.map((result) => ({
+    file: result.entry.file,
+    selector: result.entry.selector,
+    entity: result.entry.variable ? 'variable' : 'function',
+    status: result.status,
+    expectedHash: result.entry.expectedHash,
+    actualHash: result.record ? resolveTarget(result.entry, result.record).hash : null,
+    span: result.span ? { start: result.span.start, end: result.span.end } : null,
+    drift: result.drift,
+    message: result.message
+  }));
+
+  if (options.json) {
+    const payload = {
+      operation: 'apply-plan',
+      plan: planPath,
+      applied,
+      blocked,
+      entries: entryRows,
+      files: changes.map(describeFileChange)
+    };
+    if (written) {
+      payload.guard = written;
+    }
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  fmt.header(fmt.translateLabel('apply_plan', 'Apply Plan', { englishFirst }));
+  fmt.stat(fmt.translateLabel('plan', 'Plan', { englishFirst }), toRelative(planPath));
+  fmt.stat(fmt.translateLabel('entries', 'Entries', { englishFirst }), entryRows.length);
+  fmt.stat(fmt.translateLabel('files', 'Files', { englishFirst }), changes.length);
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(applied, language));
+  fmt.table(entryRows.map((row) => ({
+    File: row.file,
+    Selector: row.selector,
+    Status: row.status,
+    Details: row.message || describeDrift(row.drift)
+  })), { columns: ['File', 'Selector', 'Status', 'Details'] });
+  if (blocked) {
+    fmt.error('Plan guards failed; no files were written. Re-run --locate to refresh the plan or pass --force to replace changed code.');
+  } else if (!applied) {
+    if (changes.length > 0) {
+      fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+      process.stdout.write(`${changes.map((change) => change.diff).join('\n')}\n`);
+    }
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(changes.length, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  applyPlan
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+const path = require('path');
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { generateUnifiedDiff } = require('../shared/diff');
+const { applyTextEdits } = require('../shared/changeSet');
+const { resolveRenameTarget, planSymbolRename } = require('../shared/rename');
+const { createModuleView } = require('../workspace/moduleGraph');
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit renaming operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(filePath, context) {
+  return context.isChinese ? `已更新 ${filePath}` : `Updated ${filePath}`;
+}
+
+function resolveGuardTarget(entity, record, options) {
+  if (entity === 'variable') {
+    const { resolveVariableTargetInfo } = requireDeps();
+    const target = resolveVariableTargetInfo(record, options.variableTarget);
+    return { span: target.span, hash: target.hash, pathSignature: target.pathSignature };
+  }
+  return { span: record.span, hash: record.hash, pathSignature: record.pathSignature };
+}
+
+function findPostRecord(entity, parsedAst, newSource, pathSignature) {
+  const { collectFunctions, collectVariables } = requireDeps();
+  const records = entity === 'variable'
+    ? collectVariables(parsedAst, newSource).variables
+    : collectFunctions(parsedAst, newSource).functions;
+  return records.find((candidate) => candidate.pathSignature === pathSignature
+    || candidate.declaratorPathSignature === pathSignature
+    || candidate.declarationPathSignature === pathSignature) || null;
+}
+
+/**
+ * Rename a function, class, variable, parameter (`--rename-param`) or class method
+ * and every reference to it in the file (`--replace <selector> --rename` or
+ * `--replace-variable <selector> --rename`). References are resolved through
+ * scope analysis, so shadowed names are untouched; each rewritten occurrence
+ * is listed in the guard summary. The record's hash is guarded and the result
+ * must re-parse with the record still at its path.
+ */
+function renameSymbol(options, source, record, request) {
+  const {
+    extractCode,
+    createDigest,
+    parseModule,
+    maybeEmitPlan,
+    writeOutputFile,
+    outputJson,
+    fmt,
+    renderGuardrailSummary
+  } = requireDeps();
+  const { entity, selector } = request;
+  const newName = options.renameTo;
+  const label = record.canonicalName || record.name;
+
+  const guardTarget = resolveGuardTarget(entity, record, options);
+  const beforeHash = createDigest(extractCode(source, guardTarget.span, options.sourceMapper));
+  const expectedHash = options.expectHash || guardTarget.hash;
+  const hashStatus = beforeHash === expectedHash ? 'ok' : options.force ? 'bypass' : 'mismatch';
+  if (hashStatus === 'mismatch') {
+    throw new Error(`Hash mismatch for "${label}". Expected ${expectedHash} but file contains ${beforeHash}. Re-run --locate and retry or pass --force to override.`);
+  }
+
+  const view = createModuleView(path.resolve(options.filePath), source);
+  const target = resolveRenameTarget(view, record, { param: options.renameParam });
+  if (target.name === newName || target.name === `#${newName}`) {
+    throw new Error(`"${label}" is already named "${newName}".`);
+  }
+  const { edits, occurrences, unresolved } = planSymbolRename(view, target, newName);
+  const { text: newSource } = applyTextEdits(source, edits, view.mapper);
+
+  const span = guardTarget.span;
+  const byteStart = typeof span.byteStart === 'number' ? span.byteStart : null;
+  const byteEnd = typeof span.byteEnd === 'number' ? span.byteEnd : null;
+  const guard = {
+    span: {
+      status: 'ok',
+      start: span.start,
+      end: span.end,
+      length: Math.max(0, span.end - span.start),
+      byteStart,
+      byteEnd,
+      byteLength: byteStart !== null && byteEnd !== null ? Math.max(0, byteEnd - byteStart) : null,
+      expectedStart: null,
+      expectedEnd: null,
+      expectedLength: null,
+      expectedByteStart: null,
+      expectedByteEnd: null,
+      expectedByteLength: null
+    },
+    hash: {
+      status: hashStatus,
+      expected: expectedHash,
+      actual: beforeHash
+    },
+    path: {
+      status: guardTarget.pathSignature ? 'pending' : 'skipped',
+      signature: guardTarget.pathSignature || '(unavailable)'
+    },
+    syntax: {
+      status: 'pending'
+    },
+    result: {
+      status: 'pending',
+      before: createDigest(source),
+      after: null
+    },
+    rename: {
+      status: 'changed',
+      from: target.name,
+      to: target.name.startsWith('#') ? `#${newName}` : newName,
+      count: occurrences.length,
+      entries: occurrences,
+      unresolved
+    },
+    newline: null
+  };
+
+  let parsedAst;
+  try {
+    parsedAst = parseModule(newSource, options.filePath);
+    guard.syntax = { status: 'ok' };
+  } catch (error) {
+    guard.syntax = { status: 'error', message: error.message };
+    throw new Error(`Rename produced invalid JavaScript: ${error.message}`);
+  }
+
+  if (guardTarget.pathSignature) {
+    const postRecord = findPostRecord(entity, parsedAst, newSource, guardTarget.pathSignature);
+    guard.path = {
+      status: postRecord ? 'ok' : options.force ? 'bypass' : 'mismatch',
+      signature: guardTarget.pathSignature
+    };
+    if (guard.path.status === 'mismatch') {
+      throw new Error(`Path mismatch for "${label}". The node at ${guardTarget.pathSignature} no longer resolves after renaming. Use --force to override if intentional.`);
+    }
+  }
+
+  const afterHash = createDigest(newSource);
+  guard.result = {
+    status: afterHash === guard.result.before ? 'unchanged' : 'changed',
+    before: guard.result.before,
+    after: afterHash
+  };
+
+  const plan = maybeEmitPlan('rename', options, selector, [record], [expectedHash], [span], {
+    entity: target.entity,
+    rename: {
+      from: guard.rename.from,
+      to: guard.rename.to,
+      occurrences: occurrences.length
+    }
+  });
+
+  const payload = {
+    file: options.filePath,
+    operation: 'rename',
+    target: {
+      entity: target.entity,
+      name: record.name,
+      canonicalName: record.canonicalName,
+      kind: record.kind,
+      line: record.line,
+      column: record.column,
+      pathSignature: guardTarget.pathSignature || null,
+      hash: guardTarget.hash
+    },
+    rename: {
+      from: guard.rename.from,
+      to: guard.rename.to,
+      occurrences,
+      unresolved
+    },
+    applied: Boolean(options.fix),
+    guard
+  };
+
+  if (plan) {
+    payload.plan = plan;
+  }
+
+  if (options.fix) {
+    writeOutputFile(options.filePath, newSource);
+  }
+
+  if (options.json) {
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  fmt.header(fmt.translateLabel('rename', 'Rename', { englishFirst }));
+  fmt.section(`${fmt.translateLabel('target', 'Target', { englishFirst })}: ${label}`);
+  fmt.stat(fmt.translateLabel('kind', 'Kind', { englishFirst }), target.entity === 'parameter' ? 'parameter' : record.kind);
+  fmt.stat(fmt.translateLabel('rename', 'Rename', { englishFirst }), `${guard.rename.from} → ${guard.rename.to}`);
+  fmt.stat(fmt.translateLabel('occurrences', 'Occurrences', { englishFirst }), occurrences.length);
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(Boolean(options.fix), language));
+  renderGuardrailSummary(guard, options);
+  if (options.emitPlanPath) {
+    const planLabel = fmt.translateLabel('plan', 'Plan', { englishFirst });
+    fmt.info(`${planLabel} ${fmt.translateLabel('output', 'Output', { englishFirst })}: ${options.emitPlanPath}`);
+  }
+  if ((options.previewEdit || options.emitDiff) && !options.fix) {
+    fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+    process.stdout.write(`${generateUnifiedDiff(source, newSource, { label, contextLines: 3 })}\n`);
+  }
+  if (!options.fix) {
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(options.filePath, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  renameSymbol
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+const path = require('path');
+const { resolveLanguageContext } = require('../../i18n/helpers');
+const { findProjectRoot } = require('../../../../util/project-root');
+const { commitFileChanges, describeFileChange } = require('../shared/changeSet');
+const { createModuleView, loadModuleGraph } = require('../workspace/moduleGraph');
+const { parseSignatureSpec, planSignatureChange } = require('../workspace/changeSignature');
+
+let deps = null;
+
+function init(newDeps) {
+  deps = { ...newDeps };
+}
+
+function requireDeps() {
+  if (!deps) {
+    throw new Error('js-edit signature operations not initialized. Call init() before use.');
+  }
+  return deps;
+}
+
+function formatModeValue(applied, context) {
+  if (applied) {
+    return context.isChinese ? '实写' : 'applied';
+  }
+  return context.isChinese ? '演' : 'dry-run';
+}
+
+function formatDryRunWarning(context) {
+  return context.isChinese
+    ? '演: 未写入任何更改。使用 --改 应用。'
+    : 'Dry-run: no changes were written. Re-run with --fix to apply.';
+}
+
+function formatSuccessMessage(count, context) {
+  return context.isChinese ? `已更新 ${count} 个文件` : `Updated ${count} file(s)`;
+}
+
+function resolveWorkspaceRoot(options) {
+  if (options.workspaceRoot) {
+    return path.resolve(options.workspaceRoot);
+  }
+  return findProjectRoot(path.dirname(path.resolve(options.filePath)));
+}
+
+function findPostRecord(parsedAst, newSource, pathSignature) {
+  const { collectFunctions } = requireDeps();
+  return collectFunctions(parsedAst, newSource).functions
+    .find((candidate) => candidate.pathSignature === pathSignature) || null;
+}
+
+/**
+ * Change the parameter list of a function (`--change-signature <selector>
+ * --signature "<params>"`) and rewrite the arguments of every call site in
+ * the file and across the workspace to match. The function's hash is guarded
+ * up front and each touched file is guarded by the digest captured while
+ * planning, so a run either updates every file or none of them. Calls that
+ * cannot be remapped (spread arguments, or arguments other than literals and
+ * identifiers that would be dropped or reordered, unless forced) and uses of
+ * the function as a value are listed as unresolved.
+ */
+function changeSignature(options, source, functionRecords, selector) {
+  const {
+    resolveMatches,
+    extractCode,
+    createDigest,
+    parseModule,
+    maybeEmitPlan,
+    outputJson,
+    fmt,
+    renderGuardrailSummary
+  } = requireDeps();
+
+  const [record] = resolveMatches(functionRecords, selector, options, { operation: 'change-signature' });
+  const label = record.canonicalName || record.name;
+
+  const currentHash = createDigest(extractCode(source, record.span, options.sourceMapper));
+  const expectedHash = options.expectHash || record.hash;
+  const hashStatus = currentHash === expectedHash ? 'ok' : options.force ? 'bypass' : 'mismatch';
+  if (hashStatus === 'mismatch') {
+    throw new Error(`Hash mismatch for "${label}". Expected ${expectedHash} but file contains ${currentHash}. Re-run --locate and retry or pass --force to override.`);
+  }
+
+  const filePath = path.resolve(options.filePath);
+  const workspaceRoot = resolveWorkspaceRoot(options);
+  const view = createModuleView(filePath, source, {
+    relativePath: path.relative(workspaceRoot, filePath).replace(/\\/g, '/')
+  });
+  const plan = planSignatureChange({
+    view,
+    graph: loadModuleGraph(workspaceRoot),
+    record,
+    spec: parseSignatureSpec(options.signature),
+    force: Boolean(options.force)
+  });
+  if (plan.before === plan.after) {
+    throw new Error(`"${label}" already has the signature (${plan.after}).`);
+  }
+
+  const declaringChange = plan.changes.find((change) => change.filePath === filePath);
+  const newSource = declaringChange ? declaringChange.after : source;
+  const span = record.span;
+  const byteStart = typeof span.byteStart === 'number' ? span.byteStart : null;
+  const byteEnd = typeof span.byteEnd === 'number' ? span.byteEnd : null;
+  const guard = {
+    span: {
+      status: 'ok',
+      start: span.start,
+      end: span.end,
+      length: Math.max(0, span.end - span.start),
+      byteStart,
+      byteEnd,
+      byteLength: byteStart !== null && byteEnd !== null ? Math.max(0, byteEnd - byteStart) : null,
+      expectedStart: null,
+      expectedEnd: null,
+      expectedLength: null,
+      expectedByteStart: null,
+      expectedByteEnd: null,
+      expectedByteLength: null
+    },
+    hash: {
+      status: hashStatus,
+      expected: expectedHash,
+      actual: currentHash
+    },
+    path: {
+      status: record.pathSignature ? 'pending' : 'skipped',
+      signature: record.pathSignature || '(unavailable)'
+    },
+    syntax: {
+      status: 'pending'
+    },
+    result: {
+      status: 'pending',
+      before: createDigest(source),
+      after: null
+    },
+    callSites: {
+      status: plan.unresolved.length === 0 ? 'ok' : 'pending',
+      count: plan.callSites.length,
+      entries: plan.callSites,
+      unresolved: plan.unresolved
+    },
+    files: {
+      status: 'pending',
+      entries: plan.changes.map((change) => ({
+        file: change.file,
+        status: 'pending',
+        expectedHash: change.beforeHash,
+        actualHash: null,
+        callSites: change.callSites
+      }))
+    },
+    newline: null
+  };
+
+  const broken = plan.changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0) {
+    guard.syntax = { status: 'error', message: broken.map((change) => `${change.file}: ${change.syntaxError}`).join('; ') };
+    throw new Error(`Signature change produced invalid JavaScript in ${broken.map((change) => change.file).join(', ')}: ${broken[0].syntaxError}`);
+  }
+  guard.syntax = { status: 'ok' };
+
+  if (record.pathSignature) {
+    const postRecord = findPostRecord(parseModule(newSource, options.filePath), newSource, record.pathSignature);
+    guard.path = {
+      status: postRecord ? 'ok' : options.force ? 'bypass' : 'mismatch',
+      signature: record.pathSignature
+    };
+    if (guard.path.status === 'mismatch') {
+      throw new Error(`Path mismatch for "${label}". The node at ${record.pathSignature} no longer resolves after the signature change. Use --force to override if intentional.`);
+    }
+  }
+
+  const afterHash = createDigest(newSource);
+  guard.result = {
+    status: afterHash === guard.result.before ? 'unchanged' : 'changed',
+    before: guard.result.before,
+    after: afterHash
+  };
+
+  if (options.fix && plan.changes.length > 0) {
+    const written = commitFileChanges(plan.changes, { force: Boolean(options.force) });
+    guard.files.entries = guard.files.entries.map((entry, index) => ({
+      ...entry,
+      status: written[index].status === 'ok' ? 'ok' : 'bypass',
+      actualHash: written[index].actualHash
+    }));
+    guard.files.status = guard.files.entries.every((entry) => entry.status === 'ok') ? 'ok' : 'bypass';
+  }
+
+  const emittedPlan = maybeEmitPlan('change-signature', options, selector, [record], [expectedHash], [span], {
+    entity: 'function',
+    signature: {
+      before: plan.before,
+      after: plan.after
+    },
+    files: plan.changes.map((change) => ({ file: change.file, beforeHash: change.beforeHash, afterHash: change.afterHash }))
+  });
+
+  const payload = {
+    file: options.filePath,
+    operation: 'change-signature',
+    target: {
+      name: record.name,
+      canonicalName: record.canonicalName,
+      kind: record.kind,
+      line: record.line,
+      column: record.column,
+      pathSignature: record.pathSignature || null,
+      hash: record.hash
+    },
+    signature: {
+      before: plan.before,
+      after: plan.after,
+      added: plan.added,
+      removed: plan.removed
+    },
+    callSites: plan.callSites,
+    unresolved: plan.unresolved,
+    files: plan.changes.map(describeFileChange),
+    applied: Boolean(options.fix),
+    guard
+  };
+
+  if (emittedPlan) {
+    payload.plan = emittedPlan;
+  }
+
+  if (options.json) {
+    outputJson(payload);
+    return;
+  }
+
+  if (options.quiet) {
+    return;
+  }
+
+  const language = resolveLanguageContext(fmt);
+  const englishFirst = language.englishFirst;
+  fmt.header(fmt.translateLabel('change_signature', 'Change Signature', { englishFirst }));
+  fmt.section(`${fmt.translateLabel('target', 'Target', { englishFirst })}: ${label}`);
+  fmt.stat(fmt.translateLabel('kind', 'Kind', { englishFirst }), record.kind);
+  fmt.stat(fmt.translateLabel('before', 'Before', { englishFirst }), `${plan.name}(${plan.before})`);
+  fmt.stat(fmt.translateLabel('after', 'After', { englishFirst }), `${plan.name}(${plan.after})`);
+  fmt.stat(fmt.translateLabel('call_sites', 'Call Sites', { englishFirst }), plan.callSites.length);
+  fmt.stat(fmt.translateLabel('files', 'Files', { englishFirst }), plan.changes.length);
+  fmt.stat(fmt.translateLabel('mode', 'Mode', { englishFirst }), formatModeValue(Boolean(options.fix), language));
+  renderGuardrailSummary(guard, options);
+  if (options.emitPlanPath) {
+    const planLabel = fmt.translateLabel('plan', 'Plan', { englishFirst });
+    fmt.info(`${planLabel} ${fmt.translateLabel('output', 'Output', { englishFirst })}: ${options.emitPlanPath}`);
+  }
+  if (!options.fix) {
+    fmt.section(`${fmt.translateLabel('preview', 'Preview', { englishFirst })} (Unified Diff)`);
+    plan.changes.forEach((change) => {
+      process.stdout.write(`${change.diff}\n`);
+    });
+    fmt.warn(formatDryRunWarning(language));
+  } else {
+    fmt.success(formatSuccessMessage(plan.changes.length, language));
+  }
+  fmt.footer();
+}
+
+module.exports = {
+  init,
+  changeSignature
+};
@@ -1,13 +1,24 @@
 /**
- * OperationDispatcher — Routes recipe operations to js-scan and js-edit handlers
+ * OperationDispatcher — Routes recipe operations to js-scan, js-edit, md-scan and md-edit handlers
  * 
  * Supports operations:
  * - js-scan: search, find-hash, ripple-analysis
  * - js-edit: locate-function, move-function, extract-to-module, rename-global, batch, consolidate-imports
+ * - md-scan: search, find-sections, map-links
+ * - md-edit: show-section, replace-section, remove-section, extract-section
  * 
  * @module tools/dev/js-edit/recipes/OperationDispatcher
  */
 
+/**
+ * Accept list parameters either as arrays or comma-separated strings.
+ */
+function toList(value) {
+  return (Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+}
+
 class OperationDispatcher {
   /**
    * @param {Object} options - Configuration options
@@ -21,6 +32,8 @@ class OperationDispatcher {
     this.handlers = {
       'js-scan': this._handleJsScanOperation.bind(this),
       'js-edit': this._handleJsEditOperation.bind(this),
+      'md-scan': this._handleMdScanOperation.bind(this),
+      'md-edit': this._handleMdEditOperation.bind(this),
       'report': this._handleReportOperation.bind(this)
     };
   }
@@ -29,7 +42,7 @@ class OperationDispatcher {
    * Dispatch an operation to the appropriate handler
    */
   async dispatch(step, options = {}) {
-    const { dryRun = false, verbose = false } = options;
+    const { dryRun = false, verbose = false, journal = null } = options;
 
     if (verbose) {
       this.logger(`[Dispatcher] Dispatching: ${step.operation}`);
@@ -41,7 +54,11 @@ class OperationDispatcher {
     if (operation === 'js-scan') {
       return await this._handleJsScanOperation(step, { dryRun, verbose });
     } else if (operation === 'js-edit') {
-      return await this._handleJsEditOperation(step, { dryRun, verbose });
+      return await this._handleJsEditOperation(step, { dryRun, verbose, journal });
+    } else if (operation === 'md-scan') {
+      return await this._handleMdScanOperation(step, { dryRun, verbose });
+    } else if (operation === 'md-edit') {
+      return await this._handleMdEditOperation(step, { dryRun, verbose, journal });
     } else if (operation === 'report') {
       return await this._handleReportOperation(step, { dryRun, verbose });
     } else {
@@ -74,23 +91,43 @@ class OperationDispatcher {
    * js-scan: search operation
    */
   async _jscanSearch(step, options) {
-    const { dryRun, verbose } = options;
+    const { runSearch } = require('../../../js-scan/operations/search');
+    const { verbose } = options;
+
+    const terms = Array.isArray(step.search)
+      ? step.search.map(String)
+      : String(step.search).split(/\s+/).filter(Boolean);
+    const { scope, scopeRoot, scan } = this._scanScope(step, options);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] search "${terms.join(' ')}" scope=${scopeRoot} (${scan.files.length} files)`);
+    }
+
+    const limit = step.limit !== undefined && Number.isInteger(Number(step.limit)) ? Number(step.limit) : 20;
+    const result = runSearch(scan.files, terms, {
+      ...this._scanFilters(step),
+      limit,
+      noSnippets: true,
+      noGuidance: true
+    });
+
+    const matches = result.matches.map((match) => ({
+      ...this._describeScanMatch(match),
+      stars: match.rank,
+      score: match.score,
+      matchTerms: match.context.matchTerms
+    }));
 
-    // For now, return mock results
-    // In production, this would call actual js-scan
     return {
       operation: 'search',
       query: step.search,
-      scope: step.scope || 'src/',
-      matches: [
-        {
-          file: 'src/utils.js',
-          name: step.search,
-          hash: 'mock123',
-          line: 10
-        }
-      ],
-      count: 1
+      terms: result.terms,
+      scope,
+      matches,
+      count: matches.length,
+      total: result.stats.matchCount,
+      stats: result.stats,
+      parseErrors: scan.errors.length
     };
   }
 
@@ -98,19 +135,88 @@ class OperationDispatcher {
    * js-scan: find-hash operation
    */
   async _jscanFindHash(step, options) {
-    const { dryRun, verbose } = options;
+    const { runHashLookup } = require('../../../js-scan/operations/hashLookup');
+    const { filterFunctions } = require('../../../js-scan/shared/filters');
+    const { verbose } = options;
+
+    const { scope, scopeRoot, scan } = this._scanScope(step, options);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] find-hash ${step['find-hash']} scope=${scopeRoot} (${scan.files.length} files)`);
+    }
+
+    const filters = this._scanFilters(step);
+    const files = scan.files.map((file) => ({ ...file, functions: filterFunctions(file.functions, filters) }));
+    const result = runHashLookup(files, String(step['find-hash']));
+    const matches = result.matches.map((match) => this._describeScanMatch(match));
 
-    // For now, return mock results
     return {
       operation: 'find-hash',
-      hash: step['find-hash'],
-      scope: step.scope || 'src/',
-      location: {
-        file: 'src/utils.js',
-        name: 'processData',
-        line: 10,
-        column: 2
-      }
+      hash: result.hash,
+      encoding: result.encoding,
+      scope,
+      found: result.found,
+      collision: result.collision,
+      location: matches[0] || null,
+      matches,
+      count: matches.length
+    };
+  }
+
+  /**
+   * Scan the directory a js-scan step targets. The step's `scope` (or
+   * `workspace`) is resolved against the dispatch workspace root.
+   */
+  _scanScope(step, options) {
+    const path = require('path');
+    const { scanWorkspace } = require('../../../js-scan/shared/scanner');
+
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step['search-scope'] || step.scope || step.workspace || step.workspaceRoot || 'src/';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+
+    const scan = scanWorkspace({
+      rootDir: scopeRoot,
+      exclude: toList(step.exclude),
+      includeDeprecated: step.includeDeprecated === true
+    });
+    return { scope, scopeRoot, scan };
+  }
+
+  /**
+   * Function filters shared by js-scan steps, mirroring the CLI flags
+   * (`--kind`, `--exported`, `--internal`, `--async`, `--generator`,
+   * `--include-path`, `--exclude-path`).
+   */
+  _scanFilters(step) {
+    return {
+      kinds: toList(step.kinds || step.kind),
+      exportedOnly: step.exported === true || step.exportedOnly === true,
+      internalOnly: step.internal === true || step.internalOnly === true,
+      asyncOnly: step.async === true || step.asyncOnly === true,
+      generatorOnly: step.generator === true || step.generatorOnly === true,
+      includePaths: toList(step.includePaths || step.includePath || step.include),
+      excludePaths: toList(step.excludePaths || step.excludePath)
+    };
+  }
+
+  /**
+   * Flatten a js-scan match so later steps can reference
+   * `${emitted.matches[0].hash}` and friends directly.
+   */
+  _describeScanMatch(match) {
+    const fn = match.function;
+    return {
+      file: match.file,
+      name: fn.name,
+      canonicalName: fn.canonicalName,
+      kind: fn.kind,
+      hash: fn.hash,
+      line: fn.line,
+      column: fn.column,
+      span: fn.span,
+      exported: fn.exported,
+      isAsync: fn.isAsync
     };
   }
 
@@ -140,6 +246,7 @@ class OperationDispatcher {
     const analysis = await analyzeRipple(resolvedTarget, {
       workspaceRoot,
       depth,
+      symbol: step.symbol || null,
       logger: (message) => {
         if (verbose || this.verbose) {
           this.logger(`[RippleAnalysis] ${message}`);
@@ -256,26 +363,57 @@ class OperationDispatcher {
    * js-edit: move-function operation
    */
     async _jeditMoveFunction(step, options) {
-    const { dryRun } = options;
+    const path = require('path');
+    const { moveFunction } = require('../workspace/moveFunction');
+    const { dryRun, verbose } = options;
 
     const name = step['move-function']
       || step.functionName
       || step.name
-      || '(anonymous)';
+      || null;
     const sourceFile = step.from || step.sourceFile || step.file || null;
     const targetFile = step.to || step.targetFile || step.destinationFile || null;
+    if (!name || !sourceFile || !targetFile) {
+      throw new Error('js-edit move-function operation requires a function name, `from` and `to`.');
+    }
+
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step['search-scope'] || step.scope || step.workspace || step.workspaceRoot || '.';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] move-function ${name} ${sourceFile} -> ${targetFile}${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const outcome = moveFunction({
+      name,
+      sourceFile,
+      targetFile,
+      workspaceRoot: scopeRoot,
+      expectHash: step.expectHash || step['expect-hash'] || null,
+      expectTargetHash: step.expectTargetHash || step['expect-target-hash'] || null,
+      reexport: step.reexport === true || step.shim === true,
+      force: step.force === true,
+      journal: options.journal || null,
+      dryRun
+    });
 
     return {
       operation: 'move-function',
       name,
       from: sourceFile,
       to: targetFile,
-      status: dryRun ? 'preview' : 'moved',
+      status: outcome.status,
       result: {
-        sourceFile,
-        targetFile,
-        updatedImports: [],
-        linesChanged: 42
+        sourceFile: outcome.sourceFile,
+        targetFile: outcome.targetFile,
+        createdTarget: outcome.createdTarget,
+        reexport: outcome.reexport,
+        hash: outcome.hash,
+        updatedImports: outcome.updatedImports,
+        linesChanged: outcome.linesChanged,
+        files: outcome.files,
+        guard: outcome.guard || null
       }
     };
   }
@@ -285,27 +423,57 @@ class OperationDispatcher {
    * js-edit: extract-to-module operation
    */
     async _jeditExtractToModule(step, options) {
-    const { dryRun } = options;
+    const path = require('path');
+    const { extractToModule } = require('../workspace/extractToModule');
+    const { dryRun, verbose } = options;
 
     const functionName = step.functionName || step.name || null;
-    const functions = Array.isArray(step.functions)
+    const listed = Array.isArray(step.functions)
       ? step.functions
-      : functionName
-        ? [functionName]
-        : [];
+      : (typeof step.functions === 'string' ? step.functions.split(',') : []);
+    const functions = (listed.length > 0 ? listed : (functionName ? [functionName] : []))
+      .map((entry) => String(entry).trim())
+      .filter(Boolean);
     const sourceFile = step.from || step.sourceFile || step.file || null;
-    const targetModule = step['extract-to-module'] || step.targetFile || step.targetModule || step.destinationFile || null;
+    const targetModule = step['extract-to-module'] || step.targetFile || step.targetModule || step.destinationFile || step.to || null;
+    if (functions.length === 0 || !sourceFile || !targetModule) {
+      throw new Error('js-edit extract-to-module operation requires `functions`, `from` and `targetModule`.');
+    }
+
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step['search-scope'] || step.scope || step.workspace || step.workspaceRoot || '.';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] extract-to-module ${functions.join(', ')} ${sourceFile} -> ${targetModule}${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const outcome = extractToModule({
+      functions,
+      sourceFile,
+      targetFile: targetModule,
+      workspaceRoot: scopeRoot,
+      expectHashes: step.expectHashes || null,
+      force: step.force === true,
+      journal: options.journal || null,
+      dryRun
+    });
 
     return {
       operation: 'extract-to-module',
       functions,
       to: targetModule,
-      status: dryRun ? 'preview' : 'extracted',
+      status: outcome.status,
       result: {
-        sourceFile,
-        targetFile: targetModule,
+        sourceFile: outcome.sourceFile,
+        targetFile: outcome.targetFile,
         functionCount: functions.length,
-        importsUpdated: 0
+        helpers: outcome.helpers,
+        exports: outcome.exports,
+        importsUpdated: outcome.importsUpdated,
+        linesChanged: outcome.linesChanged,
+        files: outcome.files,
+        guard: outcome.guard || null
       }
     };
   }
@@ -315,21 +483,50 @@ class OperationDispatcher {
    * js-edit: rename-global operation
    */
     async _jeditRenameGlobal(step, options) {
-    const { dryRun } = options;
+    const path = require('path');
+    const { renameGlobal } = require('../workspace/renameGlobal');
+    const { dryRun, verbose } = options;
 
-    const from = step['rename-global'] || step.oldName || step.from || step.name || '(unknown)';
-    const to = step.to || step.newName || step.targetName || step.renameTo || '(unspecified)';
+    const from = step['rename-global'] || step.oldName || step.from || step.name || null;
+    const to = step.to || step.newName || step.targetName || step.renameTo || null;
+    if (!from || !to) {
+      throw new Error('js-edit rename-global operation requires `oldName` and `newName`.');
+    }
+
+    const baseDir = options.workspaceRoot || process.cwd();
     const scope = step['search-scope'] || step.scope || step.workspace || step.workspaceRoot || 'src/';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+    const file = step.file
+      ? (path.isAbsolute(step.file) ? step.file : path.resolve(scopeRoot, step.file))
+      : null;
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] rename-global ${from} -> ${to} scope=${scopeRoot}${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const outcome = renameGlobal({
+      oldName: from,
+      newName: to,
+      workspaceRoot: scopeRoot,
+      file,
+      expectHash: step.expectHash || step['expect-hash'] || null,
+      force: step.force === true,
+      journal: options.journal || null,
+      dryRun
+    });
 
     return {
       operation: 'rename-global',
       from,
       to,
       scope,
-      status: dryRun ? 'preview' : 'renamed',
+      status: outcome.status,
+      declaration: outcome.declaration,
       result: {
-        filesChanged: 3,
-        occurrencesRenamed: 7
+        filesChanged: outcome.filesChanged,
+        occurrencesRenamed: outcome.occurrencesRenamed,
+        files: outcome.files,
+        guard: outcome.guard || null
       }
     };
   }
@@ -339,48 +536,458 @@ class OperationDispatcher {
    * js-edit: batch operation
    */
     async _jeditBatch(step, options) {
-    const { dryRun } = options;
+    const path = require('path');
+    const { batchTransform } = require('../workspace/batchTransform');
+    const { dryRun, verbose } = options;
+
+    const pattern = step.pattern || step.query || step.expression || null;
+    if (!pattern && (step.targetModule || step['consolidate-imports'])) {
+      // A batch over a module with no function pattern is an import consolidation.
+      return await this._jeditConsolidateImports(step, options);
+    }
+
+    const transformation = this._resolveBatchTransformation(step);
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step['search-scope'] || step.scope || step.workspace || step.workspaceRoot || 'src/';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
 
-    const pattern = step.pattern || step.query || step.expression || '*';
-    const transformation = step['add-import'] || step['replace'] || step.transformation || '(unknown)';
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] batch ${transformation.type} pattern=${pattern || '*'} scope=${scopeRoot}${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const outcome = batchTransform({
+      pattern: pattern || '*',
+      transformation,
+      workspaceRoot: scopeRoot,
+      filters: {
+        kinds: toList(step.kinds || step.kind),
+        exportedOnly: step.exported === true || step.exportedOnly === true,
+        internalOnly: step.internal === true || step.internalOnly === true,
+        asyncOnly: step.async === true || step.asyncOnly === true,
+        generatorOnly: step.generator === true || step.generatorOnly === true,
+        includePaths: toList(step.includePaths || step.include),
+        excludePaths: toList(step.excludePaths)
+      },
+      force: step.force === true,
+      journal: options.journal || null,
+      dryRun
+    });
 
     return {
       operation: 'batch',
-      pattern,
-      status: dryRun ? 'preview' : 'applied',
-      filesMatched: 15,
-      filesChanged: 8,
+      pattern: pattern || '*',
+      status: outcome.status,
+      filesMatched: outcome.filesMatched,
+      filesChanged: outcome.filesChanged,
       result: {
-        pattern,
-        transformation,
-        summary: 'Batch operation completed'
+        pattern: pattern || '*',
+        transformation: outcome.transformation,
+        functionsMatched: outcome.functionsMatched,
+        transformationsApplied: outcome.transformationsApplied,
+        linesChanged: outcome.linesChanged,
+        diff: outcome.diff,
+        guard: outcome.guard,
+        skipped: outcome.skipped,
+        files: outcome.files,
+        summary: `${outcome.transformation} changed ${outcome.filesChanged} of ${outcome.filesMatched} matching files`
       }
     };
   }
 
+  /**
+   * Normalise the transformation of a batch step. Accepts an explicit
+   * `transformation` object (or type name with sibling fields) or one of the
+   * shorthand keys `add-import`, `wrap-call`, `replace-body-snippet`,
+   * `rename-parameter`.
+   */
+  _resolveBatchTransformation(step) {
+    const shorthands = ['add-import', 'wrap-call', 'replace-body-snippet', 'rename-parameter'];
+    if (step.transformation && typeof step.transformation === 'object') {
+      return { ...step.transformation };
+    }
+    if (typeof step.transformation === 'string') {
+      return { ...step, type: step.transformation };
+    }
+    const key = shorthands.find((name) => step[name] !== undefined);
+    if (!key) {
+      throw new Error(`js-edit batch operation requires a transformation (${shorthands.join(', ')}).`);
+    }
+    const value = step[key];
+    if (value && typeof value === 'object') {
+      return { ...value, type: key };
+    }
+    switch (key) {
+      case 'add-import':
+        return { type: key, source: value, named: step.named, default: step.default, namespace: step.namespace };
+      case 'wrap-call':
+        return { type: key, callee: value, args: step.args };
+      case 'replace-body-snippet':
+        return { type: key, find: step.find !== undefined ? step.find : value, replace: step.replace };
+      default:
+        return { type: key, from: step.from, to: step.to };
+    }
+  }
+
 
   /**
    * js-edit: consolidate-imports operation
    */
     async _jeditConsolidateImports(step, options) {
-    const { dryRun } = options;
+    const path = require('path');
+    const { consolidateImports } = require('../workspace/consolidateImports');
+    const { dryRun, verbose } = options;
 
-    const moduleName = step['consolidate-imports'] || step.module || step.targetModule || '(unspecified)';
-    const scope = step.scope || step.searchScope || step.workspace || 'src/';
+    const moduleName = step['consolidate-imports'] || step.module || step.targetModule || null;
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step['search-scope'] || step.scope || step.searchScope || step.workspace || 'src/';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] consolidate-imports ${moduleName || '(all modules)'} scope=${scopeRoot}${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const outcome = consolidateImports({
+      module: typeof moduleName === 'string' ? moduleName : null,
+      workspaceRoot: scopeRoot,
+      dropUnused: step.dropUnused !== false && step['drop-unused'] !== false,
+      keepExtension: typeof step.keepExtension === 'boolean' ? step.keepExtension : undefined,
+      force: step.force === true,
+      journal: options.journal || null,
+      dryRun
+    });
 
     return {
       operation: 'consolidate-imports',
-      module: moduleName,
+      module: outcome.module,
       scope,
-      status: dryRun ? 'preview' : 'consolidated',
+      status: outcome.status,
       result: {
-        filesChanged: 5,
-        importsNormalized: 12
+        filesMatched: outcome.filesMatched,
+        filesChanged: outcome.filesChanged,
+        importsNormalized: outcome.importsNormalized,
+        importsMerged: outcome.importsMerged,
+        bindingsDropped: outcome.bindingsDropped,
+        specifiersNormalized: outcome.specifiersNormalized,
+        linesChanged: outcome.linesChanged,
+        diff: outcome.diff,
+        guard: outcome.guard,
+        files: outcome.files
       }
     };
   }
 
 
+  /**
+   * Handle md-scan operations
+   */
+  async _handleMdScanOperation(step, options) {
+    if (step.search) {
+      return await this._mdscanSearch(step, options);
+    } else if (step['find-sections']) {
+      return await this._mdscanFindSections(step, options);
+    } else if (step['map-links']) {
+      return await this._mdscanMapLinks(step, options);
+    } else {
+      throw new Error('md-scan operation requires one of: search, find-sections, map-links');
+    }
+  }
+
+  /**
+   * md-scan: search operation (whole-word terms, ranked like `md-scan --search`)
+   */
+  async _mdscanSearch(step, options) {
+    const { multiTermSearch } = require('../../md-scan');
+    const { verbose } = options;
+
+    const terms = Array.isArray(step.search)
+      ? step.search.map(String)
+      : String(step.search).split(/\s+/).filter(Boolean);
+    const { scope, scopeRoot, baseDir, documents } = this._markdownScope(step, options);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] md-scan search "${terms.join(' ')}" scope=${scopeRoot} (${documents.length} docs)`);
+    }
+
+    const limit = step.limit !== undefined && Number.isInteger(Number(step.limit)) ? Number(step.limit) : 20;
+    const results = multiTermSearch(documents, terms, {
+      caseSensitive: step.caseSensitive === true,
+      searchLimit: limit
+    });
+
+    const matches = results.map((result) => ({
+      file: this._relativeDocPath(baseDir, result.filePath),
+      totalMatches: result.totalMatches,
+      sections: Array.from(result.matchedSections),
+      priority: result.hasPriority,
+      terms: result.termMatches
+    }));
+
+    return {
+      operation: 'search',
+      query: step.search,
+      terms,
+      scope,
+      matches,
+      count: matches.length,
+      documents: documents.length
+    };
+  }
+
+  /**
+   * md-scan: find-sections operation. Selectors follow `md-edit` semantics
+   * (heading, slug, hash, then heading substring) so the reported hashes can
+   * feed an md-edit step's `expectHash`.
+   */
+  async _mdscanFindSections(step, options) {
+    const { findSections } = require('../../lib/markdownAst');
+    const { verbose } = options;
+
+    const selectors = Array.isArray(step['find-sections'])
+      ? step['find-sections'].map(String)
+      : [String(step['find-sections'])];
+    const { scope, scopeRoot, baseDir, documents } = this._markdownScope(step, options);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] md-scan find-sections ${selectors.join(', ')} scope=${scopeRoot} (${documents.length} docs)`);
+    }
+
+    const matches = [];
+    documents.forEach((doc) => {
+      const seen = new Set();
+      selectors.forEach((selector) => {
+        findSections(doc.sections, selector).forEach((section) => {
+          if (seen.has(section.startLine)) {
+            return;
+          }
+          seen.add(section.startLine);
+          matches.push({
+            file: this._relativeDocPath(baseDir, doc.filePath),
+            selector,
+            ...this._describeSection(section)
+          });
+        });
+      });
+    });
+
+    return {
+      operation: 'find-sections',
+      selectors,
+      scope,
+      matches,
+      count: matches.length,
+      documents: documents.length
+    };
+  }
+
+  /**
+   * md-scan: map-links operation (markdown-to-markdown reference graph)
+   */
+  async _mdscanMapLinks(step, options) {
+    const { verbose } = options;
+    const { scope, scopeRoot, baseDir, documents } = this._markdownScope(step, options);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] md-scan map-links scope=${scopeRoot} (${documents.length} docs)`);
+    }
+
+    const graph = {};
+    let linkCount = 0;
+    documents.forEach((doc) => {
+      const outgoing = doc.links
+        .filter((link) => link.url.split('#')[0].endsWith('.md'))
+        .map((link) => ({ text: link.text, url: link.url, line: link.line }));
+      linkCount += outgoing.length;
+      graph[this._relativeDocPath(baseDir, doc.filePath)] = {
+        outgoing,
+        priority: doc.metadata.hasPriorityMarker
+      };
+    });
+
+    return {
+      operation: 'map-links',
+      scope,
+      graph,
+      documents: documents.length,
+      links: linkCount
+    };
+  }
+
+  /**
+   * Parse the markdown documents an md-scan step targets. The step's `dir`
+   * (or `scope`) is resolved against the dispatch workspace root.
+   */
+  _markdownScope(step, options) {
+    const path = require('path');
+    const fs = require('fs');
+    const { findMarkdownFiles, parseDocumentFile } = require('../../md-scan');
+
+    const baseDir = options.workspaceRoot || process.cwd();
+    const scope = step.dir || step.scope || step.workspace || '.';
+    const scopeRoot = path.isAbsolute(scope) ? scope : path.resolve(baseDir, scope);
+    if (!fs.existsSync(scopeRoot)) {
+      throw new Error(`md-scan scope not found: ${scopeRoot}`);
+    }
+
+    const documents = findMarkdownFiles(scopeRoot, { exclude: toList(step.exclude) })
+      .sort()
+      .map((filePath) => parseDocumentFile(filePath))
+      .filter(Boolean);
+    return { scope, scopeRoot, baseDir, documents };
+  }
+
+  _relativeDocPath(baseDir, filePath) {
+    const path = require('path');
+    return path.relative(baseDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Section summary with 1-based line numbers for recipe output.
+   */
+  _describeSection(section) {
+    return {
+      heading: section.heading,
+      level: section.level,
+      slug: section.slug,
+      hash: section.hash,
+      startLine: section.startLine + 1,
+      endLine: section.endLine,
+      lineCount: section.lineCount
+    };
+  }
+
+
+  /**
+   * Handle md-edit operations. The section selector is given under the action
+   * key (`replace-section: "Usage"`) or as `action` plus `section`.
+   */
+  async _handleMdEditOperation(step, options) {
+    const actions = ['show-section', 'replace-section', 'remove-section', 'extract-section'];
+    const actionRaw = typeof step.action === 'string' ? step.action.trim().toLowerCase() : '';
+    const action = actionRaw
+      ? (actions.includes(actionRaw) ? actionRaw : `${actionRaw}-section`)
+      : actions.find((name) => step[name] !== undefined);
+
+    if (!action || !actions.includes(action)) {
+      throw new Error('md-edit operation requires one of: show-section, replace-section, remove-section, extract-section');
+    }
+
+    const selector = typeof step[action] === 'string' ? step[action] : step.section;
+    if (!selector) {
+      throw new Error(`md-edit ${action} operation requires a section selector via \`${action}\` or \`section\`.`);
+    }
+
+    return await this._mdeditSection(action, String(selector), step, options);
+  }
+
+  /**
+   * md-edit: select sections with `markdownAst.findSections`, verify the
+   * `expectHash` guard and show, extract, replace or remove them. Writes go
+   * through the shared change set so recipe journals can roll them back.
+   */
+  async _mdeditSection(action, selector, step, options) {
+    const fs = require('fs');
+    const path = require('path');
+    const { parseMarkdown, collectSections, findSections, replaceSection, removeSection } = require('../../lib/markdownAst');
+    const { createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+    const { dryRun, verbose } = options;
+
+    const baseDir = step.workspace || step.workspaceRoot || options.workspaceRoot || process.cwd();
+    const fileInput = step.file || step.target;
+    if (!fileInput) {
+      throw new Error(`md-edit ${action} operation requires a markdown \`file\`.`);
+    }
+    const filePath = path.isAbsolute(fileInput) ? fileInput : path.resolve(baseDir, fileInput);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`md-edit target not found: ${filePath}`);
+    }
+    const relativePath = this._relativeDocPath(baseDir, filePath);
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    const sections = collectSections(parseMarkdown(source), source);
+    const matches = findSections(sections, selector);
+    const allowMultiple = step.allowMultiple === true || step['allow-multiple'] === true;
+
+    if (matches.length === 0) {
+      throw new Error(`No section found matching "${selector}" in ${relativePath}`);
+    }
+    if (matches.length > 1 && !allowMultiple) {
+      const listing = matches.map((match) => `${match.heading} (L${match.startLine + 1}, hash: ${match.hash})`).join('; ');
+      throw new Error(`Multiple sections match "${selector}" in ${relativePath} (${matches.length} found): ${listing}. Use allowMultiple or a more specific selector.`);
+    }
+
+    const expectHash = step.expectHash || step['expect-hash'];
+    if (expectHash && !matches.every((match) => match.hash === expectHash)) {
+      throw new Error(`Hash mismatch for "${selector}" in ${relativePath}: expected ${expectHash}, found ${matches.map((match) => match.hash).join(', ')}`);
+    }
+
+    const selected = (allowMultiple ? matches : [matches[0]]).slice().sort((a, b) => b.startLine - a.startLine);
+
+    if (verbose || this.verbose) {
+      this.logger(`[Dispatcher] md-edit ${action} "${selector}" file=${relativePath} (${selected.length} section(s))${dryRun ? ' (dry-run)' : ''}`);
+    }
+
+    const result = {
+      operation: action,
+      file: relativePath,
+      selector,
+      sections: selected.slice().reverse().map((section) => this._describeSection(section)),
+      count: selected.length
+    };
+
+    if (action === 'show-section' || action === 'extract-section') {
+      const content = selected.slice().reverse().map((section) => section.content).join('\n\n');
+      result.content = content;
+      if (action === 'show-section' || !step.output) {
+        return result;
+      }
+
+      const outputPath = path.isAbsolute(step.output) ? step.output : path.resolve(baseDir, step.output);
+      const before = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+      const change = createFileChange({
+        filePath: outputPath,
+        relativePath: this._relativeDocPath(baseDir, outputPath),
+        before,
+        after: content.endsWith('\n') ? content : `${content}\n`
+      });
+      result.output = change.file;
+      result.status = dryRun ? 'preview' : 'extracted';
+      result.change = describeFileChange(change);
+      if (!dryRun) {
+        result.guard = commitFileChanges([change], { force: step.force === true, journal: options.journal || null });
+      }
+      return result;
+    }
+
+    let replacement = '';
+    if (action === 'replace-section') {
+      const withFile = step.withFile || step['with-file'];
+      if (withFile) {
+        replacement = fs.readFileSync(path.isAbsolute(withFile) ? withFile : path.resolve(baseDir, withFile), 'utf8');
+      } else if (step.with !== undefined) {
+        replacement = String(step.with);
+      } else {
+        throw new Error('md-edit replace-section operation requires replacement content via `with` or `withFile`.');
+      }
+    }
+
+    let after = source;
+    selected.forEach((section) => {
+      after = action === 'replace-section'
+        ? replaceSection(after, section, replacement)
+        : removeSection(after, section);
+    });
+
+    const change = createFileChange({ filePath, relativePath, before: source, after });
+    result.status = dryRun ? 'preview' : (action === 'replace-section' ? 'replaced' : 'removed');
+    result.change = describeFileChange(change);
+    result.diff = change.diff;
+    if (!dryRun) {
+      result.guard = commitFileChanges([change], { force: step.force === true, journal: options.journal || null });
+    }
+    return result;
+  }
+
+
   /**
    * Handle report operations (logging/output)
    */
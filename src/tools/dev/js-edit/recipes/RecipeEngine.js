@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const RecipeJournal = require('./RecipeJournal');
 
 /**
  * RecipeEngine — Main orchestrator for recipe parsing and execution
@@ -22,6 +23,9 @@ class RecipeEngine {
    * @param {Object} options.builtInVariables - Pre-set variables (NOW, BRANCH, WORKSPACE, etc.)
    * @param {boolean} options.dryRun - Preview changes without applying
    * @param {Function} options.logger - Logging function (default: console.log)
+   * @param {boolean} options.journal - Journal file writes for rollback (default: true; ignored in dry-run)
+   * @param {string} options.journalPath - Where to persist the journal (default: tmp/recipe-journals/)
+   * @param {boolean} options.keepJournal - Keep the journal file after a successful run
    */
   constructor(recipeFile, options = {}) {
     this.recipeFile = recipeFile;
@@ -30,8 +34,14 @@ class RecipeEngine {
     this.dryRun = options.dryRun || false;
     this.logger = options.logger || console.log;
     this.verbose = options.verbose || false;
+    this.journalEnabled = options.journal !== false;
+    this.journalPath = options.journalPath || null;
+    this.keepJournal = options.keepJournal === true;
 
     this.recipe = null;
+    this.journal = null;
+    this.resumedFrom = null;
+    this.resumeParams = null;
     this.stepResults = [];
     this.errors = [];
     this.manifest = {
@@ -171,6 +181,16 @@ class RecipeEngine {
       const resolvedParams = this._resolveParameters(params);
       this.manifest.dryRun = this.dryRun;
 
+      // Journal every write so an aborted run can be rolled back
+      if (!this.dryRun && this.journalEnabled) {
+        this.journal = new RecipeJournal({
+          journalPath: this.journalPath || RecipeJournal.defaultPath(this.recipe.name),
+          recipeFile: path.resolve(this.recipeFile),
+          recipeName: this.recipe.name,
+          params
+        });
+      }
+
       if (this.verbose) {
         this.logger(`[Recipe] Starting: ${this.recipe.name}`);
         this.logger(`[Recipe] Parameters: ${JSON.stringify(resolvedParams, null, 2)}`);
@@ -185,6 +205,9 @@ class RecipeEngine {
         if (this.verbose) {
           this.logger(`[Step ${i + 1}/${this.recipe.steps.length}] ${step.name}`);
         }
+        if (this.journal) {
+          this.journal.beginStep(i + 1, step.name);
+        }
 
         try {
           // Evaluate step condition if present
@@ -310,9 +333,19 @@ class RecipeEngine {
       }
 
       this.manifest.status = 'success';
+      if (this.journal) {
+        this.manifest.journal = this.journal.commit();
+        if (!this.keepJournal) {
+          this.journal.discard();
+          this.manifest.journal.journalPath = null;
+        }
+      }
       return this;
     } catch (error) {
       this.manifest.status = 'failed';
+      if (this.journal) {
+        this._rollback(error);
+      }
       this.manifest.errorCount = this.errors.length;
       throw error;
     } finally {
@@ -325,6 +358,21 @@ class RecipeEngine {
 
 
 
+  /**
+   * Undo the writes of an aborted run and record the outcome in the manifest.
+   */
+  _rollback(error) {
+    this.journal.fail(error);
+    const outcome = this.journal.rollback();
+    if (this.verbose) {
+      this.logger(`[Recipe] Rolled back ${outcome.restored.length} file(s)${outcome.conflicts.length ? `, ${outcome.conflicts.length} conflict(s)` : ''}`);
+    }
+    if (outcome.conflicts.length > 0) {
+      this.errors.push(`Rollback left ${outcome.conflicts.length} file(s) untouched because they changed after the recipe wrote them: ${outcome.conflicts.map((entry) => entry.file).join(', ')}`);
+    }
+    this.manifest.journal = this.journal.summary();
+  }
+
   /**
    * Execute recipe in dry-run mode (no actual changes)
    */
@@ -369,7 +417,8 @@ class RecipeEngine {
     // Dispatch operation
     const result = await this.dispatcher.dispatch(resolvedStep, {
       dryRun: this.dryRun,
-      verbose: this.verbose
+      verbose: this.verbose,
+      journal: this.journal
     });
 
     // Store result for next steps
@@ -441,7 +490,8 @@ class RecipeEngine {
 
         const result = await this.dispatcher.dispatch(resolvedNestedStep, {
           dryRun: this.dryRun,
-          verbose: this.verbose
+          verbose: this.verbose,
+          journal: this.journal
         });
 
         results.push(result);
@@ -613,7 +663,9 @@ class RecipeEngine {
       stepResults: this.stepResults,
       errors: this.errors,
       manifest: this.manifest,
-      totalDuration: this.manifest.totalDuration
+      totalDuration: this.manifest.totalDuration,
+      journal: this.manifest.journal || null,
+      resumedFrom: this.resumedFrom
     };
   }
 
@@ -625,6 +677,32 @@ class RecipeEngine {
   }
 }
 
+/**
+ * Prepare a replay of the run recorded in a journal. Files a crashed run (or
+ * a rollback with conflicts) left behind are restored first, outside dry-run;
+ * the returned engine targets the journal's recipe and exposes the original
+ * parameters as `resumeParams`.
+ */
+RecipeEngine.resume = async function resume(journalPath, options = {}) {
+  const journal = RecipeJournal.load(journalPath);
+  let recovery = null;
+  if (journal.needsRollback() && !options.dryRun) {
+    recovery = journal.rollback({ force: options.force === true });
+    if (recovery.conflicts.length > 0) {
+      throw new Error(`Cannot resume: ${recovery.conflicts.length} file(s) changed after the failed run wrote them (${recovery.conflicts.map((entry) => entry.file).join(', ')}). Restore them manually or pass --force.`);
+    }
+  }
+
+  const recipeFile = options.recipeFile || journal.data.recipeFile;
+  if (!recipeFile) {
+    throw new Error(`Recipe journal does not name a recipe file: ${journal.journalPath}`);
+  }
+  const engine = new RecipeEngine(recipeFile, options);
+  engine.resumedFrom = { ...journal.summary(), recovery };
+  engine.resumeParams = journal.data.params || {};
+  return engine;
+};
+
 RecipeEngine.prototype.getSummary = function getSummary() {
   if (!this.manifest) {
     return 'Recipe not executed.';
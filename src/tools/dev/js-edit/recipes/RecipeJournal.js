@@ -0,0 +1,232 @@
+/**
+ * RecipeJournal — Write-ahead journal of the files a recipe run touches
+ *
+ * Every file write made under `--fix` is recorded (original content plus the
+ * digest of what was written) before it hits the disk. A run that succeeds is
+ * committed; a run that aborts is rolled back by restoring each original,
+ * provided the file still holds what the recipe wrote. The journal is persisted
+ * as JSON so `--resume <journal>` can inspect or replay a failed run. Writes
+ * are not staged: if the process dies mid-run the files stay modified and the
+ * journal stays `pending` until a resume rolls them back.
+ *
+ * @module tools/dev/js-edit/recipes/RecipeJournal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDigest } = require('../../lib/swcAst');
+
+const JOURNAL_VERSION = 1;
+const DEFAULT_JOURNAL_DIR = path.join('tmp', 'recipe-journals');
+
+class RecipeJournal {
+  /**
+   * @param {Object} options - Journal metadata
+   * @param {string} options.journalPath - Where the journal JSON is persisted
+   * @param {string} options.recipeFile - Recipe being executed
+   * @param {string} options.recipeName - Recipe display name
+   * @param {Object} options.params - User-supplied parameters (for replay)
+   */
+  constructor(options = {}) {
+    this.journalPath = options.journalPath || null;
+    this.data = {
+      version: JOURNAL_VERSION,
+      recipeName: options.recipeName || null,
+      recipeFile: options.recipeFile || null,
+      params: options.params || {},
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      currentStep: null,
+      failedStep: null,
+      error: null,
+      files: [],
+      rollback: null
+    };
+  }
+
+  /**
+   * Default journal location for a recipe: `tmp/recipe-journals/<name>-<time>.json`.
+   */
+  static defaultPath(recipeName, baseDir = process.cwd()) {
+    const slug = String(recipeName || 'recipe').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'recipe';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.resolve(baseDir, DEFAULT_JOURNAL_DIR, `${slug}-${stamp}.json`);
+  }
+
+  /**
+   * Load a persisted journal.
+   */
+  static load(journalPath) {
+    const resolved = path.resolve(journalPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Recipe journal not found: ${resolved}`);
+    }
+    const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    if (!data || data.version !== JOURNAL_VERSION || !Array.isArray(data.files)) {
+      throw new Error(`Unsupported recipe journal format: ${resolved}`);
+    }
+    const journal = new RecipeJournal({ journalPath: resolved });
+    journal.data = data;
+    return journal;
+  }
+
+  get status() {
+    return this.data.status;
+  }
+
+  get files() {
+    return this.data.files;
+  }
+
+  /**
+   * Mark the step whose writes are recorded next.
+   */
+  beginStep(index, name) {
+    this.data.currentStep = { index, name };
+  }
+
+  /**
+   * Record a write before it happens. The first write to a file keeps its
+   * original content; later writes only move the expected digest forward.
+   *
+   * @param {Object} entry
+   * @param {string} entry.filePath - Absolute path being written
+   * @param {string|null} entry.before - Current content (null when the file is created)
+   * @param {string} entry.after - Content about to be written
+   */
+  record({ filePath, before, after }) {
+    const absolute = path.resolve(filePath);
+    const step = this.data.currentStep;
+    let entry = this.data.files.find((file) => file.file === absolute);
+    if (!entry) {
+      entry = {
+        file: absolute,
+        created: before === null,
+        original: before,
+        originalHash: before === null ? null : createDigest(before),
+        step: step ? step.index : null,
+        stepName: step ? step.name : null,
+        writes: 0
+      };
+      this.data.files.push(entry);
+    }
+    entry.expectedHash = createDigest(after);
+    entry.writes += 1;
+    this.save();
+  }
+
+  /**
+   * Mark the run as committed; the touched files are left as written.
+   */
+  commit() {
+    this.data.status = 'committed';
+    this.data.finishedAt = new Date().toISOString();
+    this.save();
+    return this.summary();
+  }
+
+  /**
+   * Restore every touched file to its original content (deleting files the
+   * run created), newest first. Files changed since the recipe wrote them are
+   * reported as conflicts and left alone unless `force` is set.
+   */
+  rollback(options = {}) {
+    const force = options.force === true;
+    const restored = [];
+    const conflicts = [];
+
+    this.data.files.slice().reverse().forEach((entry) => {
+      const exists = fs.existsSync(entry.file);
+      const current = exists ? fs.readFileSync(entry.file, 'utf8') : null;
+      const currentHash = current === null ? null : createDigest(current);
+      const untouched = entry.created ? !exists : currentHash === entry.originalHash;
+      if (untouched) {
+        restored.push({ file: entry.file, action: 'unchanged' });
+        return;
+      }
+      if (currentHash !== entry.expectedHash && !force) {
+        conflicts.push({ file: entry.file, expectedHash: entry.expectedHash, actualHash: currentHash });
+        return;
+      }
+      if (entry.created) {
+        fs.rmSync(entry.file, { force: true });
+        restored.push({ file: entry.file, action: 'deleted' });
+      } else {
+        fs.mkdirSync(path.dirname(entry.file), { recursive: true });
+        fs.writeFileSync(entry.file, entry.original, 'utf8');
+        restored.push({ file: entry.file, action: 'restored' });
+      }
+    });
+
+    this.data.status = conflicts.length > 0 ? 'rollback-conflict' : 'rolled-back';
+    this.data.finishedAt = new Date().toISOString();
+    this.data.rollback = { restored, conflicts };
+    this.save();
+    return { status: this.data.status, restored, conflicts };
+  }
+
+  /**
+   * Record why the run stopped.
+   */
+  fail(error) {
+    this.data.failedStep = this.data.currentStep;
+    this.data.error = error && error.message ? error.message : String(error);
+    this.save();
+  }
+
+  /**
+   * True when files may still hold partial recipe output (the run crashed or
+   * its rollback hit conflicts).
+   */
+  needsRollback() {
+    return this.data.files.length > 0 && (this.data.status === 'pending' || this.data.status === 'rollback-conflict');
+  }
+
+  /**
+   * JSON-friendly overview without the original file contents.
+   */
+  summary() {
+    return {
+      journalPath: this.data.files.length > 0 ? this.journalPath : null,
+      recipeName: this.data.recipeName,
+      recipeFile: this.data.recipeFile,
+      status: this.data.status,
+      startedAt: this.data.startedAt,
+      finishedAt: this.data.finishedAt,
+      failedStep: this.data.failedStep,
+      error: this.data.error,
+      files: this.data.files.map(({ original, ...entry }) => entry),
+      rollback: this.data.rollback
+    };
+  }
+
+  /**
+   * Persist the journal. Nothing is written until the run records a file, so
+   * runs that never touch the workspace leave no journal behind.
+   */
+  save() {
+    if (!this.journalPath || this.data.files.length === 0) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+    fs.writeFileSync(this.journalPath, `${JSON.stringify(this.data, null, 2)}\n`, 'utf8');
+  }
+
+  /**
+   * Remove the persisted journal (used once a run has committed), along with
+   * its directory when nothing else is left in it.
+   */
+  discard() {
+    if (!this.journalPath || !fs.existsSync(this.journalPath)) {
+      return;
+    }
+    fs.rmSync(this.journalPath, { force: true });
+    const directory = path.dirname(this.journalPath);
+    if (fs.readdirSync(directory).length === 0) {
+      fs.rmdirSync(directory);
+    }
+  }
+}
+
+module.exports = RecipeJournal;
@@ -0,0 +1,290 @@
+'use strict';
+
+const { walkAst, isAstNode, toByteSpan } = require('../../lib/swcWalk');
+const { normalizeSpan } = require('../../lib/swcAst');
+const { positionAt } = require('./textRanges');
+
+// `$name` binds one node, `$$$name` binds zero or more list items (arguments,
+// elements, parameters, statements); `$_` and `$$$` match without binding.
+const METAVARIABLE = /^\$([A-Za-z_][A-Za-z0-9_]*)$/;
+const VARIADIC = /^\$\$\$([A-Za-z_][A-Za-z0-9_]*)?$/;
+const TEMPLATE_REFERENCE = /\$\$\$([A-Za-z_][A-Za-z0-9_]*)|\$([A-Za-z_][A-Za-z0-9_]*)/g;
+const IGNORED_KEYS = new Set(['span', 'ctxt', 'raw']);
+
+function isSpanLike(value) {
+  return typeof value.start === 'number' && typeof value.end === 'number' && typeof value.type !== 'string';
+}
+
+function metavariableName(node) {
+  if (node && node.type === 'Identifier') {
+    const match = METAVARIABLE.exec(node.value);
+    return match ? match[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Name of a variadic metavariable list item, or null. The identifier may sit
+ * directly in the list, inside a call argument container or in an expression
+ * statement; an unnamed `$$$` yields ''.
+ */
+function variadicName(item) {
+  let node = item;
+  if (node && !isAstNode(node) && isAstNode(node.expression) && !node.spread) {
+    node = node.expression;
+  } else if (node && node.type === 'ExpressionStatement') {
+    node = node.expression;
+  }
+  if (node && node.type === 'Identifier') {
+    const match = VARIADIC.exec(node.value);
+    return match ? match[1] || '' : null;
+  }
+  return null;
+}
+
+function collectMetavariables(node, names = new Set()) {
+  walkAst(node, (child) => {
+    const single = metavariableName(child);
+    const variadic = child.type === 'Identifier' ? variadicName(child) : null;
+    if (single && single !== '_') {
+      names.add(single);
+    } else if (variadic) {
+      names.add(variadic);
+    }
+  });
+  return names;
+}
+
+function parseTemplate(template, parse, label) {
+  try {
+    return parse(template, `<${label}>`);
+  } catch (error) {
+    throw new Error(`${label === 'pattern' ? 'Pattern' : 'Rewrite template'} "${template}" is not valid JavaScript: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a structural pattern such as `$fmt.stat($label, $value)` into the
+ * node to match. A pattern is a single expression or statement; `rewrite`
+ * templates may only refer to metavariables the pattern binds.
+ */
+function compilePattern(template, parse, rewrite = null) {
+  const ast = parseTemplate(template, parse, 'pattern');
+  const body = Array.isArray(ast.body) ? ast.body : [];
+  if (body.length !== 1) {
+    throw new Error(`Pattern "${template}" must be a single expression or statement.`);
+  }
+  const [statement] = body;
+  const node = statement.type === 'ExpressionStatement' ? statement.expression : statement;
+  if (metavariableName(node) !== null) {
+    throw new Error(`Pattern "${template}" needs some structure around its metavariable; a bare "${template}" matches every node.`);
+  }
+
+  const metavariables = collectMetavariables(node);
+  if (rewrite !== null) {
+    parseTemplate(rewrite, parse, 'rewrite');
+    const referenced = Array.from(rewrite.matchAll(TEMPLATE_REFERENCE)).map((match) => match[1] || match[2]);
+    const unbound = referenced.filter((name) => !metavariables.has(name));
+    if (unbound.length > 0) {
+      throw new Error(`Rewrite template refers to $${unbound[0]}, which the pattern does not bind.`);
+    }
+  }
+
+  return {
+    template,
+    rewrite,
+    node,
+    metavariables: Array.from(metavariables)
+  };
+}
+
+function bindNode(name, target, bindings, context) {
+  if (!isAstNode(target)) {
+    return null;
+  }
+  if (name === '_') {
+    return bindings;
+  }
+  const bound = bindings[name];
+  if (bound) {
+    return matchValue(bound.node, target, {}, { literal: true }) ? bindings : null;
+  }
+  return { ...bindings, [name]: { kind: 'node', node: target } };
+}
+
+function bindList(name, items, bindings) {
+  if (!name) {
+    return bindings;
+  }
+  if (bindings[name]) {
+    const bound = bindings[name].items;
+    const same = bound.length === items.length
+      && bound.every((item, index) => matchValue(item, items[index], {}, { literal: true }));
+    return same ? bindings : null;
+  }
+  return { ...bindings, [name]: { kind: 'list', items } };
+}
+
+function matchFields(pattern, target, bindings, context) {
+  let current = bindings;
+  for (const key of Object.keys(pattern)) {
+    if (IGNORED_KEYS.has(key)) {
+      continue;
+    }
+    current = matchValue(pattern[key], target[key], current, context);
+    if (!current) {
+      return null;
+    }
+  }
+  return current;
+}
+
+function matchList(patterns, targets, bindings, context) {
+  if (!Array.isArray(targets)) {
+    return null;
+  }
+  const step = (patternIndex, targetIndex, current) => {
+    if (patternIndex === patterns.length) {
+      return targetIndex === targets.length ? current : null;
+    }
+    const variadic = context.literal ? null : variadicName(patterns[patternIndex]);
+    if (variadic !== null) {
+      for (let end = targets.length; end >= targetIndex; end -= 1) {
+        const bound = bindList(variadic, targets.slice(targetIndex, end), current);
+        const result = bound ? step(patternIndex + 1, end, bound) : null;
+        if (result) {
+          return result;
+        }
+      }
+      return null;
+    }
+    if (targetIndex >= targets.length) {
+      return null;
+    }
+    const next = matchValue(patterns[patternIndex], targets[targetIndex], current, context);
+    return next ? step(patternIndex + 1, targetIndex + 1, next) : null;
+  };
+  return step(0, 0, bindings);
+}
+
+/**
+ * Structurally compare a pattern value with a target value, ignoring spans,
+ * syntax contexts and raw literal text. Returns the extended bindings or null.
+ */
+function matchValue(pattern, target, bindings, context) {
+  if (Array.isArray(pattern)) {
+    return matchList(pattern, target, bindings, context);
+  }
+  if (pattern && typeof pattern === 'object') {
+    if (isSpanLike(pattern)) {
+      return target && typeof target === 'object' ? bindings : null;
+    }
+    const name = context.literal ? null : metavariableName(pattern);
+    if (name !== null) {
+      return bindNode(name, target, bindings, context);
+    }
+    if (!target || typeof target !== 'object' || Array.isArray(target) || pattern.type !== target.type) {
+      return null;
+    }
+    return matchFields(pattern, target, bindings, context);
+  }
+  return pattern === target ? bindings : null;
+}
+
+function itemRange(item, mapper) {
+  if (isAstNode(item)) {
+    return normalizeSpan(toByteSpan(item.span), mapper);
+  }
+  const range = normalizeSpan(toByteSpan(item.expression.span), mapper);
+  if (!item.spread) {
+    return range;
+  }
+  const spread = normalizeSpan(toByteSpan(item.spread), mapper);
+  return { ...range, start: spread.start, byteStart: spread.byteStart };
+}
+
+function bindingText(binding, source, mapper) {
+  if (binding.kind === 'node') {
+    const { start, end } = itemRange(binding.node, mapper);
+    return source.slice(start, end);
+  }
+  if (binding.items.length === 0) {
+    return '';
+  }
+  const first = itemRange(binding.items[0], mapper);
+  const last = itemRange(binding.items[binding.items.length - 1], mapper);
+  return source.slice(first.start, last.end);
+}
+
+/**
+ * Find every node of `ast` matching the compiled pattern, outermost first.
+ * Each match carries its string and byte range, position, text and the
+ * source text bound to each metavariable; matches inside an earlier match
+ * are flagged `nested`.
+ */
+function findPatternMatches(ast, compiled, { source, mapper }) {
+  const matches = [];
+  walkAst(ast, (node) => {
+    const bindings = matchValue(compiled.node, node, {}, { literal: false });
+    if (!bindings) {
+      return true;
+    }
+    const range = itemRange(node, mapper);
+    const position = positionAt(source, range.start);
+    const outer = matches.find((match) => !match.nested && match.start <= range.start && range.end <= match.end);
+    matches.push({
+      start: range.start,
+      end: range.end,
+      byteStart: range.byteStart,
+      byteEnd: range.byteEnd,
+      line: position.line,
+      column: position.column,
+      text: source.slice(range.start, range.end),
+      nested: Boolean(outer),
+      bindings: Object.fromEntries(Object.entries(bindings).map(([name, binding]) => [
+        name,
+        bindingText(binding, source, mapper)
+      ]))
+    });
+    return true;
+  });
+  return matches;
+}
+
+/**
+ * Fill a rewrite template with a match's bindings. A `$$$name` that bound no
+ * items also drops the comma that separated it from its neighbour.
+ */
+function renderRewrite(rewrite, bindings) {
+  let output = '';
+  let cursor = 0;
+  let dropLeadingComma = false;
+  for (const match of rewrite.matchAll(TEMPLATE_REFERENCE)) {
+    let literal = rewrite.slice(cursor, match.index);
+    if (dropLeadingComma) {
+      literal = literal.replace(/^\s*,\s*/, '');
+      dropLeadingComma = false;
+    }
+    const value = bindings[match[1] || match[2]];
+    if (match[1] && value === '') {
+      if (/,\s*$/.test(literal)) {
+        literal = literal.replace(/\s*,\s*$/, '');
+      } else {
+        dropLeadingComma = true;
+      }
+    }
+    output += literal + value;
+    cursor = match.index + match[0].length;
+  }
+  let rest = rewrite.slice(cursor);
+  if (dropLeadingComma) {
+    rest = rest.replace(/^\s*,\s*/, '');
+  }
+  return output + rest;
+}
+
+module.exports = {
+  compilePattern,
+  findPatternMatches,
+  renderRewrite
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseModule, normalizeSpan, createDigest, createByteMapper } = require('../../lib/swcAst');
+const { parseTypescriptModule } = require('../../lib/swcTs');
+const { generateUnifiedDiff } = require('./diff');
+
+const TYPESCRIPT_EXTENSIONS = new Set(['.ts', '.tsx', '.mts', '.cts']);
+const SCRIPT_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', ...TYPESCRIPT_EXTENSIONS]);
+
+function parseForFile(filePath, source) {
+  const fileName = path.basename(filePath || 'anonymous.js');
+  const ext = path.extname(fileName).toLowerCase();
+  return TYPESCRIPT_EXTENSIONS.has(ext)
+    ? parseTypescriptModule(source, fileName)
+    : parseModule(source, fileName);
+}
+
+/**
+ * Apply `{ span, text }` or `{ range, text }` edits to a source string. Spans
+ * are byte spans in the form produced by `toByteSpan`/`normalizeSpan`; ranges
+ * are string offsets. Overlapping edits are rejected unless they are identical,
+ * in which case the duplicate is dropped; insertions at one offset are joined.
+ */
+function applyTextEdits(source, edits, mapper = null) {
+  const context = mapper || createByteMapper(source);
+  const normalized = edits.map((edit) => {
+    const { start, end } = edit.range || normalizeSpan(edit.span, context);
+    return { start, end, text: edit.text };
+  }).sort((a, b) => (a.start - b.start) || (a.end - b.end));
+
+  const unique = [];
+  normalized.forEach((edit) => {
+    const previous = unique[unique.length - 1];
+    const isInsertion = edit.start === edit.end;
+    if (previous && isInsertion && previous.start === edit.start && previous.end === edit.end) {
+      // Insertions at the same offset are kept in the order they were planned.
+      previous.text += edit.text;
+      return;
+    }
+    if (previous && previous.start === edit.start && previous.end === edit.end && previous.text === edit.text) {
+      return;
+    }
+    if (previous && edit.start < previous.end) {
+      throw new Error(`Conflicting edits overlap at offset ${edit.start}.`);
+    }
+    unique.push(edit);
+  });
+
+  let output = source;
+  for (let index = unique.length - 1; index >= 0; index -= 1) {
+    const edit = unique[index];
+    output = `${output.slice(0, edit.start)}${edit.text}${output.slice(edit.end)}`;
+  }
+  return { text: output, applied: unique.length };
+}
+
+/**
+ * Describe a pending rewrite of one file: before/after digests for the guard,
+ * a unified diff for previews, and the syntax check result of the new text.
+ * Only script files are syntax-checked; documentation and other text files
+ * (e.g. markdown edited by md-edit recipe steps) pass through as-is.
+ */
+function createFileChange({ filePath, relativePath, before, after, details = {} }) {
+  const label = relativePath || filePath;
+  let syntax = 'ok';
+  let syntaxError = null;
+  const ext = path.extname(filePath || '').toLowerCase();
+  if (!ext || SCRIPT_EXTENSIONS.has(ext)) {
+    try {
+      parseForFile(filePath, after);
+    } catch (error) {
+      syntax = 'error';
+      syntaxError = error.message;
+    }
+  }
+
+  return {
+    file: label,
+    filePath,
+    created: before === null,
+    beforeHash: before === null ? null : createDigest(before),
+    afterHash: createDigest(after),
+    syntax,
+    syntaxError,
+    diff: generateUnifiedDiff(before || '', after, { label }),
+    after,
+    ...details
+  };
+}
+
+/**
+ * Summarise a change for JSON output (drops the rewritten text).
+ */
+function describeFileChange(change) {
+  const { after, filePath, ...summary } = change;
+  return summary;
+}
+
+/**
+ * Write a set of file changes after confirming that every file still matches
+ * the digest captured when the change was planned. Nothing is written when a
+ * guard fails, so multi-file refactors either land completely or not at all.
+ * When `options.journal` is given (a recipe run), each write is recorded there
+ * first so the run can be rolled back.
+ */
+function commitFileChanges(changes, options = {}) {
+  const force = options.force === true;
+  const journal = options.journal || null;
+  const originals = new Map();
+  const guard = changes.map((change) => {
+    const exists = fs.existsSync(change.filePath);
+    const current = exists ? fs.readFileSync(change.filePath, 'utf8') : null;
+    originals.set(change, current);
+    const currentHash = current === null ? null : createDigest(current);
+    let status = 'ok';
+    if (change.syntax !== 'ok') {
+      status = 'syntax-error';
+    } else if (change.created ? exists : currentHash !== change.beforeHash) {
+      status = 'mismatch';
+    }
+    return { file: change.file, status, expectedHash: change.beforeHash, actualHash: currentHash };
+  });
+
+  const failures = guard.filter((entry) => entry.status !== 'ok');
+  if (failures.length > 0 && !force) {
+    const detail = failures.map((entry) => `${entry.file} (${entry.status})`).join(', ');
+    throw new Error(`Guard check failed for ${detail}. Re-run the preview and retry or pass --force to override.`);
+  }
+
+  changes.forEach((change) => {
+    if (journal) {
+      journal.record({ filePath: change.filePath, before: originals.get(change), after: change.after });
+    }
+    fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+    fs.writeFileSync(change.filePath, change.after, 'utf8');
+  });
+
+  return guard;
+}
+
+module.exports = {
+  applyTextEdits,
+  createFileChange,
+  describeFileChange,
+  commitFileChanges,
+  parseForFile
+};
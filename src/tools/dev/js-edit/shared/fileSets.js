@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createPatternMatcher } = require('../../js-scan/shared/filters');
+
+const GLOB_CHARS = /[*?[{]/;
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+function walkFiles(directory, files) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+  entries.forEach((entry) => {
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        walkFiles(path.join(directory, entry.name), files);
+      }
+    } else if (entry.isFile()) {
+      files.push(path.join(directory, entry.name));
+    }
+  });
+}
+
+/**
+ * Expand path globs (relative to `cwd`) into absolute file paths, matched
+ * with js-scan's pattern matcher in path mode. Plain paths are taken as given
+ * and must exist; `node_modules` and `.git` are never descended into.
+ */
+function expandFileGlobs(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const files = [];
+  patterns.forEach((pattern) => {
+    const absolute = toPosix(path.resolve(cwd, pattern));
+    if (!GLOB_CHARS.test(pattern)) {
+      if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+        throw new Error(`--files entry "${pattern}" does not exist.`);
+      }
+      files.push(path.resolve(absolute));
+      return;
+    }
+    const segments = absolute.split('/');
+    const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+    const baseDir = segments.slice(0, firstGlob).join('/') || '/';
+    const matches = createPatternMatcher([absolute], { paths: true });
+    const candidates = [];
+    walkFiles(baseDir, candidates);
+    candidates
+      .filter((candidate) => matches(toPosix(candidate)))
+      .forEach((candidate) => files.push(path.resolve(candidate)));
+  });
+  return files;
+}
+
+/**
+ * Read a file list: one path per line, relative to `cwd`; blank lines and
+ * `#` comments are skipped. `-` reads the list from stdin.
+ */
+function readFileList(listPath, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  let text;
+  try {
+    text = listPath === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(path.resolve(cwd, listPath), 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read file list: ${listPath}\n${error.message}`);
+  }
+  return text.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => path.resolve(cwd, line));
+}
+
+/**
+ * Resolve `--files` globs and a `--files-from` list into one sorted,
+ * de-duplicated list of absolute paths.
+ */
+function resolveFileSet({ globs = [], listPath = null, cwd = process.cwd() }) {
+  const files = expandFileGlobs(globs, { cwd });
+  if (listPath) {
+    readFileList(listPath, { cwd }).forEach((filePath) => {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`--files-from entry "${path.relative(cwd, filePath)}" does not exist.`);
+      }
+      files.push(filePath);
+    });
+  }
+  const unique = Array.from(new Set(files)).sort();
+  if (unique.length === 0) {
+    throw new Error(`No files matched ${globs.length > 0 ? `--files ${globs.join(' ')}` : `--files-from ${listPath}`}.`);
+  }
+  return unique;
+}
+
+module.exports = {
+  expandFileGlobs,
+  readFileList,
+  resolveFileSet
+};
@@ -0,0 +1,319 @@
+'use strict';
+
+const { walkAst, toByteSpan, identifierByteSpan: identifierSpan } = require('../../lib/swcWalk');
+
+function readName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.value;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function isRequireCall(node) {
+  if (!node || node.type !== 'CallExpression' || !node.callee || node.callee.type !== 'Identifier') {
+    return false;
+  }
+  if (node.callee.value !== 'require' || !Array.isArray(node.arguments) || node.arguments.length !== 1) {
+    return false;
+  }
+  const arg = node.arguments[0] && node.arguments[0].expression;
+  return Boolean(arg && arg.type === 'StringLiteral');
+}
+
+function requireSource(node) {
+  return node.arguments[0].expression;
+}
+
+function isModuleExports(node) {
+  return Boolean(node
+    && node.type === 'MemberExpression'
+    && node.object && node.object.type === 'Identifier' && node.object.value === 'module'
+    && node.property && node.property.type === 'Identifier' && node.property.value === 'exports');
+}
+
+function isExportsTarget(node) {
+  return Boolean(node && ((node.type === 'Identifier' && node.value === 'exports') || isModuleExports(node)));
+}
+
+function collectImports(ast, imports) {
+  ast.body.forEach((node) => {
+    if (node.type !== 'ImportDeclaration') {
+      return;
+    }
+    const base = {
+      source: node.source.value,
+      sourceSpan: toByteSpan(node.source.span),
+      declaration: node,
+      typeOnly: Boolean(node.typeOnly)
+    };
+    if (!node.specifiers || node.specifiers.length === 0) {
+      imports.push({ ...base, kind: 'side-effect', imported: null, local: null });
+      return;
+    }
+    node.specifiers.forEach((specifier) => {
+      if (specifier.type === 'ImportDefaultSpecifier') {
+        imports.push({ ...base, kind: 'default', imported: 'default', local: specifier.local.value, specifier });
+      } else if (specifier.type === 'ImportNamespaceSpecifier') {
+        imports.push({ ...base, kind: 'namespace', imported: '*', local: specifier.local.value, specifier });
+      } else {
+        const imported = specifier.imported ? readName(specifier.imported) : specifier.local.value;
+        imports.push({
+          ...base,
+          kind: 'named',
+          imported,
+          local: specifier.local.value,
+          specifier,
+          importedSpan: specifier.imported && specifier.imported.type === 'Identifier' ? identifierSpan(specifier.imported) : null,
+          localSpan: identifierSpan(specifier.local),
+          typeOnly: base.typeOnly || Boolean(specifier.isTypeOnly)
+        });
+      }
+    });
+  });
+}
+
+function collectRequires(ast, requires) {
+  const recordedCalls = new WeakSet();
+  walkAst(ast, (node, parent) => {
+    if (node.type === 'VariableDeclaration') {
+      (node.declarations || []).forEach((declarator) => {
+        const init = declarator.init;
+        if (isRequireCall(init)) {
+          const sourceNode = requireSource(init);
+          const base = { source: sourceNode.value, sourceSpan: toByteSpan(sourceNode.span), declaration: node, declarator, call: init };
+          if (declarator.id.type === 'Identifier') {
+            requires.push({ ...base, kind: 'namespace', imported: '*', local: declarator.id.value, localSpan: identifierSpan(declarator.id) });
+          } else if (declarator.id.type === 'ObjectPattern') {
+            declarator.id.properties.forEach((property) => {
+              if (property.type === 'AssignmentPatternProperty') {
+                requires.push({
+                  ...base,
+                  kind: 'destructure',
+                  imported: property.key.value,
+                  local: property.key.value,
+                  property,
+                  shorthand: true,
+                  importedSpan: identifierSpan(property.key),
+                  localSpan: identifierSpan(property.key)
+                });
+              } else if (property.type === 'KeyValuePatternProperty' && property.value.type === 'Identifier') {
+                const imported = readName(property.key);
+                if (imported) {
+                  requires.push({
+                    ...base,
+                    kind: 'destructure',
+                    imported,
+                    local: property.value.value,
+                    property,
+                    shorthand: false,
+                    importedSpan: property.key.type === 'Identifier' ? identifierSpan(property.key) : null,
+                    localSpan: identifierSpan(property.value)
+                  });
+                }
+              }
+            });
+          }
+          recordedCalls.add(init);
+        } else if (init && init.type === 'MemberExpression' && isRequireCall(init.object)
+          && init.property && init.property.type === 'Identifier' && declarator.id.type === 'Identifier') {
+          const sourceNode = requireSource(init.object);
+          requires.push({
+            source: sourceNode.value,
+            sourceSpan: toByteSpan(sourceNode.span),
+            declaration: node,
+            declarator,
+            call: init.object,
+            kind: 'member',
+            imported: init.property.value,
+            importedSpan: identifierSpan(init.property),
+            local: declarator.id.value,
+            localSpan: identifierSpan(declarator.id)
+          });
+          recordedCalls.add(init.object);
+        }
+      });
+      return true;
+    }
+
+    if (node.type === 'MemberExpression' && isRequireCall(node.object) && !recordedCalls.has(node.object)
+      && node.property && node.property.type === 'Identifier') {
+      const sourceNode = requireSource(node.object);
+      requires.push({
+        source: sourceNode.value,
+        sourceSpan: toByteSpan(sourceNode.span),
+        call: node.object,
+        kind: 'inline-member',
+        imported: node.property.value,
+        importedSpan: identifierSpan(node.property),
+        local: null
+      });
+      recordedCalls.add(node.object);
+      return true;
+    }
+
+    if (isRequireCall(node) && !recordedCalls.has(node)) {
+      const sourceNode = requireSource(node);
+      requires.push({
+        source: sourceNode.value,
+        sourceSpan: toByteSpan(sourceNode.span),
+        call: node,
+        kind: parent && parent.type === 'ExpressionStatement' ? 'side-effect' : 'inline',
+        imported: '*',
+        local: null
+      });
+    }
+    return true;
+  });
+}
+
+function collectDeclarationNames(declaration) {
+  if (!declaration) return [];
+  if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+    return declaration.identifier ? [declaration.identifier] : [];
+  }
+  if (declaration.type === 'VariableDeclaration') {
+    const names = [];
+    const visitPattern = (pattern) => {
+      if (!pattern) return;
+      if (pattern.type === 'Identifier') names.push(pattern);
+      else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(visitPattern);
+      else if (pattern.type === 'ObjectPattern') {
+        pattern.properties.forEach((property) => {
+          if (property.type === 'AssignmentPatternProperty') names.push(property.key);
+          else if (property.type === 'KeyValuePatternProperty') visitPattern(property.value);
+          else if (property.type === 'RestElement') visitPattern(property.argument);
+        });
+      } else if (pattern.type === 'AssignmentPattern') visitPattern(pattern.left);
+      else if (pattern.type === 'RestElement') visitPattern(pattern.argument);
+    };
+    declaration.declarations.forEach((declarator) => visitPattern(declarator.id));
+    return names;
+  }
+  if (declaration.id && declaration.id.type === 'Identifier') {
+    return [declaration.id];
+  }
+  return [];
+}
+
+function collectEsmExports(ast, exportsList) {
+  ast.body.forEach((node) => {
+    if (node.type === 'ExportDeclaration') {
+      collectDeclarationNames(node.declaration).forEach((identifier) => {
+        exportsList.push({ kind: 'esm-declaration', exported: identifier.value, local: identifier.value, statement: node, localSpan: identifierSpan(identifier) });
+      });
+    } else if (node.type === 'ExportNamedDeclaration') {
+      (node.specifiers || []).forEach((specifier) => {
+        if (specifier.type === 'ExportSpecifier') {
+          const orig = readName(specifier.orig);
+          const exported = specifier.exported ? readName(specifier.exported) : orig;
+          const entry = {
+            kind: node.source ? 'esm-reexport' : 'esm-specifier',
+            exported,
+            local: node.source ? null : orig,
+            imported: node.source ? orig : null,
+            source: node.source ? node.source.value : null,
+            sourceSpan: node.source ? toByteSpan(node.source.span) : null,
+            statement: node,
+            specifier,
+            origSpan: specifier.orig.type === 'Identifier' ? identifierSpan(specifier.orig) : null,
+            exportedSpan: specifier.exported && specifier.exported.type === 'Identifier' ? identifierSpan(specifier.exported) : null
+          };
+          exportsList.push(entry);
+        } else if (specifier.type === 'ExportNamespaceSpecifier') {
+          exportsList.push({ kind: 'esm-reexport', exported: readName(specifier.name), imported: '*', source: node.source ? node.source.value : null, statement: node, specifier });
+        } else if (specifier.type === 'ExportDefaultSpecifier') {
+          exportsList.push({ kind: 'esm-reexport', exported: specifier.exported.value, imported: 'default', source: node.source ? node.source.value : null, statement: node, specifier });
+        }
+      });
+    } else if (node.type === 'ExportAllDeclaration') {
+      exportsList.push({ kind: 'esm-all', exported: '*', source: node.source.value, sourceSpan: toByteSpan(node.source.span), statement: node });
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      const identifier = node.decl && node.decl.identifier;
+      exportsList.push({ kind: 'esm-default', exported: 'default', local: identifier ? identifier.value : null, statement: node });
+    } else if (node.type === 'ExportDefaultExpression') {
+      const expression = node.expression;
+      exportsList.push({ kind: 'esm-default', exported: 'default', local: expression && expression.type === 'Identifier' ? expression.value : null, statement: node });
+    }
+  });
+}
+
+function collectCommonJsExports(ast, exportsList) {
+  ast.body.forEach((statement) => {
+    if (statement.type !== 'ExpressionStatement') return;
+    const expression = statement.expression;
+    if (!expression || expression.type !== 'AssignmentExpression' || expression.operator !== '=') return;
+    const left = expression.left;
+    const right = expression.right;
+
+    if (isModuleExports(left)) {
+      if (right && right.type === 'ObjectExpression') {
+        right.properties.forEach((property) => {
+          if (property.type === 'Identifier') {
+            exportsList.push({ kind: 'cjs-object', exported: property.value, local: property.value, shorthand: true, statement, property, keySpan: identifierSpan(property) });
+          } else if (property.type === 'KeyValueProperty') {
+            const exported = readName(property.key);
+            if (exported) {
+              exportsList.push({
+                kind: 'cjs-object',
+                exported,
+                local: property.value && property.value.type === 'Identifier' ? property.value.value : null,
+                shorthand: false,
+                statement,
+                property,
+                keySpan: property.key.type === 'Identifier' ? identifierSpan(property.key) : null
+              });
+            }
+          } else if (property.type === 'MethodProperty' || property.type === 'GetterProperty' || property.type === 'SetterProperty') {
+            const exported = readName(property.key);
+            if (exported) {
+              exportsList.push({ kind: 'cjs-object', exported, local: null, shorthand: false, statement, property, keySpan: property.key.type === 'Identifier' ? identifierSpan(property.key) : null });
+            }
+          }
+        });
+      } else {
+        exportsList.push({ kind: 'cjs-default', exported: 'default', local: right && right.type === 'Identifier' ? right.value : null, statement });
+      }
+      return;
+    }
+
+    if (left && left.type === 'MemberExpression' && isExportsTarget(left.object)
+      && left.property && left.property.type === 'Identifier') {
+      exportsList.push({
+        kind: 'cjs-property',
+        exported: left.property.value,
+        local: right && right.type === 'Identifier' ? right.value : null,
+        statement,
+        keySpan: identifierSpan(left.property)
+      });
+    }
+  });
+}
+
+/**
+ * Summarise the module-level import, require and export bindings of a parsed
+ * file. Spans are exact byte spans so callers can feed them to the text-edit
+ * helpers alongside scope-analysis occurrences.
+ */
+function collectModuleBindings(ast) {
+  const result = {
+    imports: [],
+    requires: [],
+    exports: []
+  };
+  if (!ast || !Array.isArray(ast.body)) {
+    return result;
+  }
+  collectImports(ast, result.imports);
+  collectRequires(ast, result.requires);
+  collectEsmExports(ast, result.exports);
+  collectCommonJsExports(ast, result.exports);
+  return result;
+}
+
+module.exports = {
+  collectModuleBindings,
+  collectDeclarationNames,
+  isRequireCall,
+  isModuleExports,
+  isExportsTarget
+};
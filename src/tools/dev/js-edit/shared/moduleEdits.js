@@ -0,0 +1,519 @@
+'use strict';
+
+const path = require('path');
+const { normalizeSpan } = require('../../lib/swcAst');
+const { walkAst, toByteSpan } = require('../../lib/swcWalk');
+const { isRequireCall, isModuleExports } = require('./moduleBindings');
+const {
+  detectNewline,
+  lineStart,
+  lineEnd,
+  lineIndent,
+  statementLineRange
+} = require('./textRanges');
+
+const SCRIPT_EXTENSION_PATTERN = /\.(?:[cm]?[jt]sx?)$/;
+
+function rawSpanOf(node) {
+  if (node.span) {
+    return node.span;
+  }
+  // Key/value properties carry no span of their own in SWC.
+  if (node.key && node.value) {
+    return { start: rawSpanOf(node.key).start, end: rawSpanOf(node.value).end };
+  }
+  throw new Error(`Cannot determine the source range of a ${node.type} node.`);
+}
+
+/**
+ * String offsets for a node (or an exact byte span) inside `view.source`.
+ */
+function rangeOf(view, nodeOrSpan) {
+  const span = nodeOrSpan && nodeOrSpan.type ? toByteSpan(rawSpanOf(nodeOrSpan)) : nodeOrSpan;
+  const { start, end } = normalizeSpan(span, view.mapper);
+  return { start, end };
+}
+
+function detectModuleKind(view, fallback = 'commonjs') {
+  const body = view.ast && Array.isArray(view.ast.body) ? view.ast.body : [];
+  if (body.some((node) => node.type.startsWith('Import') || node.type.startsWith('Export'))) {
+    return 'esm';
+  }
+  if (/\bmodule\.exports\b|\bexports\.\w+\s*=|\brequire\(/.test(view.source || '')) {
+    return 'commonjs';
+  }
+  const ext = view.filePath ? path.extname(view.filePath).toLowerCase() : '';
+  if (ext === '.mjs' || ext === '.mts') return 'esm';
+  if (ext === '.cjs' || ext === '.cts') return 'commonjs';
+  return fallback;
+}
+
+function detectQuote(view) {
+  const match = /(?:require\(\s*|from\s+)(['"])/.exec(view.source || '');
+  return match ? match[1] : "'";
+}
+
+/**
+ * Relative module specifier from one file to another. Extensions are kept when
+ * `keepExtension` is set or the reference specifier being replaced had one.
+ */
+/**
+ * True when the module's relative imports spell out file extensions (as native
+ * ESM requires), so new specifiers should follow suit.
+ */
+function prefersExtensions(view) {
+  const specifiers = [...view.bindings.imports, ...view.bindings.requires]
+    .map((entry) => entry.source)
+    .filter((source) => typeof source === 'string' && source.startsWith('.'));
+  return specifiers.length > 0 && specifiers.every((source) => SCRIPT_EXTENSION_PATTERN.test(source));
+}
+
+function buildRelativeSpecifier(fromFile, toFile, options = {}) {
+  let relative = path.relative(path.dirname(fromFile), toFile).replace(/\\/g, '/');
+  if (!relative.startsWith('.')) {
+    relative = `./${relative}`;
+  }
+  const keepExtension = options.keepExtension === true
+    || (typeof options.reference === 'string' && SCRIPT_EXTENSION_PATTERN.test(options.reference));
+  return keepExtension ? relative : relative.replace(SCRIPT_EXTENSION_PATTERN, '');
+}
+
+/**
+ * Render an import for `moduleKind`. `binding` holds `named` entries
+ * (`{ imported, local }`), an optional `defaultName` and `namespaceName`.
+ */
+function formatImportStatement(moduleKind, specifier, binding, quote = "'") {
+  return formatImportStatements(moduleKind, specifier, binding, quote).join('\n');
+}
+
+/**
+ * Like `formatImportStatement` but returns one line per statement, splitting
+ * shapes a single statement cannot express (`* as ns` next to other bindings
+ * in ESM, or a whole-module binding next to destructured names in CommonJS).
+ */
+function formatImportStatements(moduleKind, specifier, binding, quote = "'") {
+  const quoted = `${quote}${specifier}${quote}`;
+  const named = Array.isArray(binding.named) ? binding.named : [];
+  const lines = [];
+
+  if (moduleKind === 'esm') {
+    if (binding.namespaceName) {
+      lines.push(`import * as ${binding.namespaceName} from ${quoted};`);
+    }
+    const parts = [];
+    if (binding.defaultName) parts.push(binding.defaultName);
+    if (named.length > 0) {
+      parts.push(`{ ${named.map(({ imported, local }) => (local && local !== imported ? `${imported} as ${local}` : imported)).join(', ')} }`);
+    }
+    if (parts.length > 0) {
+      lines.push(`import ${parts.join(', ')} from ${quoted};`);
+    }
+    return lines.length > 0 ? lines : [`import ${quoted};`];
+  }
+
+  [binding.namespaceName, binding.defaultName].filter(Boolean).forEach((local) => {
+    lines.push(`const ${local} = require(${quoted});`);
+  });
+  if (named.length > 0) {
+    lines.push(`const { ${named.map(({ imported, local }) => (local && local !== imported ? `${imported}: ${local}` : imported)).join(', ')} } = require(${quoted});`);
+  }
+  return lines.length > 0 ? lines : [`require(${quoted});`];
+}
+
+function isImportStatement(node) {
+  if (node.type === 'ImportDeclaration') {
+    return true;
+  }
+  if (node.type === 'VariableDeclaration') {
+    return node.declarations.some((declarator) => isRequireCall(declarator.init)
+      || (declarator.init && declarator.init.type === 'MemberExpression' && isRequireCall(declarator.init.object)));
+  }
+  return node.type === 'ExpressionStatement' && isRequireCall(node.expression);
+}
+
+function isDirective(node) {
+  return node.type === 'ExpressionStatement'
+    && node.expression
+    && node.expression.type === 'StringLiteral';
+}
+
+/**
+ * Insert import statements after the last top-level import/require, or after
+ * the directive prologue when the file has none.
+ */
+function planAddImports(view, statements) {
+  if (!Array.isArray(statements) || statements.length === 0) {
+    return [];
+  }
+  const newline = detectNewline(view.source);
+  const lines = statements.join(newline);
+  const body = view.ast.body || [];
+  const imports = body.filter(isImportStatement);
+
+  if (imports.length > 0) {
+    const last = imports[imports.length - 1];
+    const offset = lineEnd(view.source, rangeOf(view, last).end);
+    return [{ range: { start: offset, end: offset }, text: `${newline}${lines}` }];
+  }
+
+  const directives = [];
+  for (const node of body) {
+    if (!isDirective(node)) break;
+    directives.push(node);
+  }
+  if (directives.length > 0) {
+    const offset = lineEnd(view.source, rangeOf(view, directives[directives.length - 1]).end);
+    return [{ range: { start: offset, end: offset }, text: `${newline}${newline}${lines}` }];
+  }
+
+  let offset = 0;
+  if (view.source.startsWith('#!')) {
+    offset = Math.min(view.source.length, lineEnd(view.source, 0) + 1);
+  }
+  const separator = view.source.length > offset ? `${newline}${newline}` : newline;
+  return [{ range: { start: offset, end: offset }, text: `${lines}${separator}` }];
+}
+
+/**
+ * Rewrite a comma-separated list so only `kept` items remain, reusing the
+ * separator found between the first two items so multi-line lists keep their
+ * layout. `render(item)` may supply replacement text for a kept item.
+ */
+function planKeepListItems(view, items, kept, render = null) {
+  const first = rangeOf(view, items[0]);
+  const last = rangeOf(view, items[items.length - 1]);
+  const separator = items.length > 1
+    ? view.source.slice(first.end, rangeOf(view, items[1]).start)
+    : ', ';
+  const text = kept
+    .map((item) => {
+      const rendered = render ? render(item) : null;
+      if (typeof rendered === 'string') return rendered;
+      const range = rangeOf(view, item);
+      return view.source.slice(range.start, range.end);
+    })
+    .join(separator);
+  return { range: { start: first.start, end: last.end }, text };
+}
+
+function removeStatementEdit(view, statement) {
+  const { start, end } = rangeOf(view, statement);
+  return { range: statementLineRange(view.source, start, end, { includeComments: false }), text: '' };
+}
+
+function requireCallsOf(node) {
+  const calls = [];
+  walkAst(node, (child) => {
+    if (isRequireCall(child)) {
+      calls.push(child);
+      return false;
+    }
+    return true;
+  });
+  return calls;
+}
+
+/**
+ * The bare form of an import/require statement — `import 'x';` or
+ * `require('x');` per required module — which still loads the module for its
+ * side effects. Type-only imports have none, so they render as null.
+ */
+function renderBareImport(view, statement) {
+  const range = rangeOf(view, statement);
+  const semicolon = view.source.slice(range.start, range.end).trimEnd().endsWith(';') ? ';' : '';
+  if (statement.type === 'ImportDeclaration') {
+    if (statement.typeOnly) return null;
+    const source = rangeOf(view, statement.source);
+    return `import ${view.source.slice(source.start, source.end)}${semicolon}`;
+  }
+  const calls = requireCallsOf(statement).map((call) => {
+    const callRange = rangeOf(view, call);
+    return `${view.source.slice(callRange.start, callRange.end)}${semicolon}`;
+  });
+  if (calls.length === 0) return null;
+  return calls.join(`${detectNewline(view.source)}${lineIndent(view.source, range.start)}`);
+}
+
+function removeOrBareEdit(view, statement, keepBare) {
+  const bare = keepBare ? renderBareImport(view, statement) : null;
+  return bare === null ? removeStatementEdit(view, statement) : { range: rangeOf(view, statement), text: bare };
+}
+
+function planImportDeclarationRemoval(view, declaration, removed, keepBare) {
+  const specifiers = declaration.specifiers;
+  const kept = specifiers.filter((specifier) => !removed.has(specifier));
+  if (kept.length === 0) {
+    return [removeOrBareEdit(view, declaration, keepBare)];
+  }
+  if (kept.length === specifiers.length) {
+    return [];
+  }
+
+  const source = view.source;
+  const edits = [];
+  const named = specifiers.filter((specifier) => specifier.type === 'ImportSpecifier');
+  const keptNamed = named.filter((specifier) => !removed.has(specifier));
+  const leading = specifiers.find((specifier) => specifier.type !== 'ImportSpecifier') || null;
+
+  if (leading && removed.has(leading)) {
+    // `d, { a }` -> `{ a }`
+    const range = rangeOf(view, leading);
+    edits.push({ range: { start: range.start, end: source.indexOf('{', range.end) }, text: '' });
+  }
+  if (named.length > 0 && keptNamed.length === 0) {
+    // `d, { a }` -> `d`
+    const range = rangeOf(view, leading);
+    const closing = source.indexOf('}', rangeOf(view, named[named.length - 1]).end);
+    edits.push({ range: { start: range.end, end: closing + 1 }, text: '' });
+  } else if (keptNamed.length < named.length) {
+    edits.push(planKeepListItems(view, named, keptNamed));
+  }
+  return edits;
+}
+
+function planRequireDeclarationRemoval(view, declaration, removedProperties, removedDeclarators, keepBare) {
+  const declarators = declaration.declarations;
+  const rewrites = new Map();
+
+  declarators.forEach((declarator) => {
+    if (removedDeclarators.has(declarator) || !declarator.id || declarator.id.type !== 'ObjectPattern') {
+      return;
+    }
+    const properties = declarator.id.properties;
+    const kept = properties.filter((property) => !removedProperties.has(property));
+    if (kept.length === properties.length) {
+      return;
+    }
+    if (kept.length === 0) {
+      removedDeclarators.add(declarator);
+    } else {
+      rewrites.set(declarator, planKeepListItems(view, properties, kept));
+    }
+  });
+
+  const keptDeclarators = declarators.filter((declarator) => !removedDeclarators.has(declarator));
+  if (keptDeclarators.length === 0) {
+    return [removeOrBareEdit(view, declaration, keepBare)];
+  }
+  if (keptDeclarators.length === declarators.length) {
+    return Array.from(rewrites.values());
+  }
+  const edits = [planKeepListItems(view, declarators, keptDeclarators, (declarator) => {
+    const rewrite = rewrites.get(declarator);
+    if (!rewrite) return null;
+    const range = rangeOf(view, declarator);
+    return `${view.source.slice(range.start, rewrite.range.start)}${rewrite.text}${view.source.slice(rewrite.range.end, range.end)}`;
+  })];
+  const dropped = declarators.filter((declarator) => removedDeclarators.has(declarator));
+  const bare = keepBare ? dropped.flatMap((declarator) => requireCallsOf(declarator)) : [];
+  if (bare.length > 0) {
+    // `const a = require('a'), b = require('b');` with `b` dropped keeps loading `b` after the declaration.
+    const { start, end } = rangeOf(view, declaration);
+    const prefix = `${detectNewline(view.source)}${lineIndent(view.source, start)}`;
+    const semicolon = view.source.slice(start, end).trimEnd().endsWith(';') ? ';' : '';
+    const text = bare.map((call) => {
+      const range = rangeOf(view, call);
+      return `${prefix}${view.source.slice(range.start, range.end)}${semicolon}`;
+    }).join('');
+    edits.push({ range: { start: end, end }, text });
+  }
+  return edits;
+}
+
+/**
+ * Remove import/require bindings collected by `collectModuleBindings`. Entries
+ * that share a statement are removed together; a statement whose bindings are
+ * all removed disappears entirely, or with `keepBare` is reduced to a bare
+ * `import 'x'` / `require('x')` so the module still loads.
+ */
+function planRemoveBindings(view, entries, options = {}) {
+  const keepBare = options.keepBare === true;
+  const groups = new Map();
+  entries.forEach((entry) => {
+    if (!entry.declaration) return;
+    if (!groups.has(entry.declaration)) {
+      groups.set(entry.declaration, { specifiers: new Set(), properties: new Set(), declarators: new Set() });
+    }
+    const group = groups.get(entry.declaration);
+    if (entry.specifier) {
+      group.specifiers.add(entry.specifier);
+    } else if (entry.kind === 'destructure') {
+      group.properties.add(entry.property);
+    } else if (entry.declarator) {
+      group.declarators.add(entry.declarator);
+    }
+  });
+
+  const edits = [];
+  groups.forEach((group, declaration) => {
+    if (declaration.type === 'ImportDeclaration') {
+      edits.push(...planImportDeclarationRemoval(view, declaration, group.specifiers, keepBare));
+    } else {
+      edits.push(...planRequireDeclarationRemoval(view, declaration, group.properties, group.declarators, keepBare));
+    }
+  });
+  return edits;
+}
+
+/**
+ * Remove export entries collected by `collectModuleBindings` without touching
+ * the exported declarations themselves (ESM declarations lose only the
+ * `export` keyword).
+ */
+function planRemoveExports(view, entries) {
+  const groups = new Map();
+  const edits = [];
+
+  entries.forEach((entry) => {
+    switch (entry.kind) {
+      case 'cjs-object':
+      case 'esm-specifier':
+      case 'esm-reexport': {
+        if (!groups.has(entry.statement)) {
+          groups.set(entry.statement, new Set());
+        }
+        groups.get(entry.statement).add(entry.property || entry.specifier);
+        break;
+      }
+      case 'cjs-property':
+        edits.push(removeStatementEdit(view, entry.statement));
+        break;
+      case 'esm-declaration': {
+        const statement = rangeOf(view, entry.statement);
+        const declaration = rangeOf(view, entry.statement.declaration);
+        edits.push({ range: { start: statement.start, end: declaration.start }, text: '' });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  groups.forEach((removed, statement) => {
+    if (statement.type === 'ExpressionStatement') {
+      const object = statement.expression.right;
+      const kept = object.properties.filter((property) => !removed.has(property));
+      edits.push(kept.length === 0
+        ? { range: rangeOf(view, object), text: '{}' }
+        : planKeepListItems(view, object.properties, kept));
+      return;
+    }
+    const kept = statement.specifiers.filter((specifier) => !removed.has(specifier));
+    edits.push(kept.length === 0
+      ? removeStatementEdit(view, statement)
+      : planKeepListItems(view, statement.specifiers, kept));
+  });
+
+  return edits;
+}
+
+function findModuleExportsObject(view) {
+  const body = view.ast.body || [];
+  for (let index = body.length - 1; index >= 0; index -= 1) {
+    const node = body[index];
+    if (node.type === 'ExpressionStatement'
+      && node.expression && node.expression.type === 'AssignmentExpression'
+      && isModuleExports(node.expression.left)) {
+      return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Append a top-level statement separated by one blank line. The edit is a pure
+ * insertion so several appends planned against the same text stack in order.
+ */
+function appendStatementEdit(view, text) {
+  const newline = detectNewline(view.source);
+  const source = view.source;
+  let prefix = `${newline}${newline}`;
+  if (source.trim().length === 0) {
+    prefix = '';
+  } else if (/\r?\n[ \t]*\r?\n$/.test(source)) {
+    prefix = '';
+  } else if (/\n$/.test(source)) {
+    prefix = newline;
+  }
+  return { range: { start: source.length, end: source.length }, text: `${prefix}${text}${newline}` };
+}
+
+/**
+ * Publish `names` from a module: CommonJS files extend their
+ * `module.exports = { ... }` object (or gain `exports.name = name;` lines), ESM
+ * files extend a local `export { ... }` list or gain a new one.
+ */
+function planAddExports(view, names, moduleKind = detectModuleKind(view)) {
+  if (!Array.isArray(names) || names.length === 0) {
+    return [];
+  }
+  const newline = detectNewline(view.source);
+
+  if (moduleKind === 'esm') {
+    const list = (view.ast.body || []).find((node) => node.type === 'ExportNamedDeclaration' && !node.source && node.specifiers.length > 0);
+    if (list) {
+      const last = list.specifiers[list.specifiers.length - 1];
+      const offset = rangeOf(view, last).end;
+      return [{ range: { start: offset, end: offset }, text: names.map((name) => `, ${name}`).join('') }];
+    }
+    return [appendStatementEdit(view, `export { ${names.join(', ')} };`)];
+  }
+
+  const statement = findModuleExportsObject(view);
+  if (statement && statement.expression.right.type === 'ObjectExpression') {
+    const object = statement.expression.right;
+    const objectRange = rangeOf(view, object);
+    if (object.properties.length === 0) {
+      return [{ range: objectRange, text: `{ ${names.join(', ')} }` }];
+    }
+    const last = object.properties[object.properties.length - 1];
+    const lastRange = rangeOf(view, last);
+    const multiline = view.source.slice(objectRange.start, objectRange.end).includes('\n');
+    const separator = multiline ? `,${newline}${lineIndent(view.source, lastRange.start)}` : ', ';
+    return [{ range: { start: lastRange.end, end: lastRange.end }, text: names.map((name) => `${separator}${name}`).join('') }];
+  }
+  if (statement) {
+    const text = names.map((name) => `module.exports.${name} = ${name};`).join(newline);
+    return [appendStatementEdit(view, text)];
+  }
+  const usesExportsShorthand = /(^|\n)\s*exports\.\w+\s*=/.test(view.source);
+  if (usesExportsShorthand) {
+    return [appendStatementEdit(view, names.map((name) => `exports.${name} = ${name};`).join(newline))];
+  }
+  return [appendStatementEdit(view, `module.exports = {${newline}${names.map((name) => `  ${name}`).join(`,${newline}`)}${newline}};`)];
+}
+
+/**
+ * Insert a top-level declaration block. CommonJS files receive it before the
+ * trailing `module.exports` assignment so exports stay at the bottom.
+ */
+function planInsertDeclaration(view, text) {
+  const newline = detectNewline(view.source);
+  const statement = findModuleExportsObject(view);
+  if (statement) {
+    const { start } = rangeOf(view, statement);
+    const offset = lineStart(view.source, start);
+    return [{ range: { start: offset, end: offset }, text: `${text}${newline}${newline}` }];
+  }
+  return [appendStatementEdit(view, text)];
+}
+
+module.exports = {
+  rangeOf,
+  detectModuleKind,
+  detectQuote,
+  prefersExtensions,
+  buildRelativeSpecifier,
+  formatImportStatement,
+  formatImportStatements,
+  isImportStatement,
+  planAddImports,
+  planRemoveBindings,
+  renderBareImport,
+  planRemoveExports,
+  planAddExports,
+  planInsertDeclaration,
+  planKeepListItems,
+  appendStatementEdit,
+  removeStatementEdit
+};
@@ -1,30 +1,235 @@
 'use strict';
 
-function applyRenameToSnippet(snippet, record, newName) {
-  if (!record.identifierSpan) {
-    throw new Error('Renaming requires the target function to have a named identifier.');
+const { walkAst, toByteSpan, identifierByteSpan } = require('../../lib/swcWalk');
+const { buildBindingRenameEdits, findRenameConflicts } = require('./scopeAnalysis');
+const { collectSiblingGroups, findEnclosingItem } = require('./siblingItems');
+const { positionAt } = require('./textRanges');
+
+const CLASS_MEMBER_KINDS = new Set(['class-method', 'class-property']);
+// Nodes that rebind `this`; member references inside them belong to another object.
+const THIS_BOUNDARIES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ClassDeclaration', 'ClassExpression']);
+
+function normalizedStart(view, span) {
+  return view.mapper.normalize(span).start;
+}
+
+function findDeclarationAt(view, offset) {
+  return view.analysis.occurrences.find((occurrence) => occurrence.isDeclaration
+    && occurrence.binding
+    && normalizedStart(view, occurrence.span) === offset) || null;
+}
+
+function findDeclarationWithin(view, name, range, predicate = () => true) {
+  return view.analysis.occurrences
+    .filter((occurrence) => occurrence.isDeclaration && occurrence.binding && occurrence.name === name)
+    .map((occurrence) => ({ occurrence, start: normalizedStart(view, occurrence.span) }))
+    .filter(({ occurrence, start }) => start >= range.start && start < range.end && predicate(occurrence))
+    .sort((left, right) => left.start - right.start)
+    .map(({ occurrence }) => occurrence)[0] || null;
+}
+
+function memberKey(member) {
+  const key = member.key;
+  if (!key) {
+    return null;
+  }
+  if (key.type === 'PrivateName') {
+    return { name: key.value, isPrivate: true, span: toByteSpan(key.span) };
+  }
+  if (key.type === 'Identifier') {
+    return { name: key.value, isPrivate: false, span: identifierByteSpan(key) };
+  }
+  return null;
+}
+
+/**
+ * Resolve what a rename applies to: the scope-analysis binding behind a
+ * function, class or variable record, one parameter of a function record
+ * (`param`), or a class member, which has no binding and is renamed by name
+ * within its class.
+ */
+function resolveRenameTarget(view, record, options = {}) {
+  const label = record.canonicalName || record.name;
+  const recordRange = view.mapper.normalize(record.span);
+
+  if (options.param) {
+    const declaration = findDeclarationWithin(view, options.param, recordRange, (occurrence) => occurrence.binding.kind === 'param');
+    if (!declaration) {
+      throw new Error(`Function "${label}" has no parameter named "${options.param}".`);
+    }
+    return { kind: 'binding', entity: 'parameter', name: options.param, binding: declaration.binding };
   }
 
-  const relativeStart = record.identifierSpan.start - record.span.start;
-  const relativeEnd = record.identifierSpan.end - record.span.start;
+  if (CLASS_MEMBER_KINDS.has(record.kind)) {
+    const { groups, classes } = collectSiblingGroups(view);
+    const item = findEnclosingItem(groups.filter((group) => group.kind === 'class'), recordRange);
+    const key = item ? memberKey(item.node) : null;
+    if (!key || item.node.type === 'Constructor') {
+      throw new Error(`Class member "${label}" has no renameable name.`);
+    }
+    const owner = classes.find((entry) => entry.group === item.group);
+    return {
+      kind: 'class-member',
+      entity: 'class-member',
+      name: key.isPrivate ? `#${key.name}` : key.name,
+      key,
+      isStatic: Boolean(item.node.isStatic),
+      owner
+    };
+  }
 
-  if (relativeStart < 0 || relativeEnd > snippet.length) {
-    throw new Error('Unable to map identifier span while renaming. The function structure may have changed.');
+  const declaration = record.identifierSpan
+    ? findDeclarationAt(view, view.mapper.normalize(record.identifierSpan).start)
+    : findDeclarationAt(view, recordRange.start) || findDeclarationWithin(view, record.name, recordRange);
+  if (!declaration) {
+    throw new Error(`"${label}" has no local binding to rename. Exported assignments without a local name can be renamed across the workspace with the rename-global recipe operation.`);
   }
+  return { kind: 'binding', entity: record.kind === 'class' ? 'class' : 'binding', name: declaration.name, binding: declaration.binding };
+}
 
-  const slice = snippet.slice(relativeStart, relativeEnd);
-  const identifierMatch = /[A-Za-z_$][A-Za-z0-9_$]*/.exec(slice);
+function classMemberEdits(view, target, newName) {
+  const { key, owner, isStatic } = target;
+  const members = owner.group.items
+    .map((item) => ({ node: item.node, key: memberKey(item.node) }))
+    .filter((entry) => entry.key && Boolean(entry.node.isStatic) === isStatic);
 
-  if (!identifierMatch) {
-    throw new Error('Unable to locate identifier token while renaming.');
+  const clash = members.find((entry) => entry.key.name === newName && entry.key.isPrivate === key.isPrivate);
+  if (clash) {
+    throw new Error(`Class "${owner.name}" already has a member named "${key.isPrivate ? '#' : ''}${newName}".`);
   }
 
-  const tokenStart = relativeStart + identifierMatch.index;
-  const tokenEnd = tokenStart + identifierMatch[0].length;
+  const replacement = key.isPrivate ? `#${newName}` : newName;
+  const edits = members
+    .filter((entry) => entry.key.name === key.name && entry.key.isPrivate === key.isPrivate)
+    .map((entry) => ({ span: entry.key.span, text: replacement, kind: 'member' }));
+
+  const matchesProperty = (property) => property
+    && property.value === key.name
+    && property.type === (key.isPrivate ? 'PrivateName' : 'Identifier');
+  const propertySpan = (property) => (key.isPrivate ? toByteSpan(property.span) : identifierByteSpan(property));
+
+  walkAst(owner.node, (node) => {
+    if (node !== owner.node && THIS_BOUNDARIES.has(node.type)) {
+      return false;
+    }
+    if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression' && matchesProperty(node.property)) {
+      edits.push({ span: propertySpan(node.property), text: replacement, kind: 'this-member' });
+    } else if (node.type === 'SuperPropExpression' && !key.isPrivate && matchesProperty(node.property)) {
+      edits.push({ span: propertySpan(node.property), text: replacement, kind: 'super-member' });
+    }
+    return true;
+  });
+
+  if (isStatic && owner.name) {
+    walkAst(view.ast, (node) => {
+      if (node.type === 'MemberExpression' && node.object.type === 'Identifier'
+        && node.object.value === owner.name && matchesProperty(node.property)) {
+        edits.push({ span: propertySpan(node.property), text: replacement, kind: 'static-member' });
+      }
+      return true;
+    });
+  }
+
+  return edits;
+}
+
+/**
+ * Other `.name` accesses in the file that may reach the renamed member through
+ * an alias (`const self = this`, an instance variable); they are reported but
+ * not rewritten.
+ */
+function findUnresolvedMemberAccesses(view, target, edits) {
+  const renamed = new Set(edits.map((edit) => edit.span.start));
+  const unresolved = [];
+  walkAst(view.ast, (node) => {
+    if (node.type !== 'MemberExpression' || !node.property || node.property.value !== target.key.name) {
+      return true;
+    }
+    if (node.property.type !== (target.key.isPrivate ? 'PrivateName' : 'Identifier')) {
+      return true;
+    }
+    const span = target.key.isPrivate ? toByteSpan(node.property.span) : identifierByteSpan(node.property);
+    if (!renamed.has(span.start)) {
+      const range = view.mapper.normalize(span);
+      unresolved.push({ ...positionAt(view.source, range.start), text: view.source.slice(range.start, range.end) });
+    }
+    return true;
+  });
+  return unresolved;
+}
+
+function describeOccurrenceKind(edit) {
+  if (edit.kind) {
+    return edit.kind;
+  }
+  const { occurrence } = edit;
+  if (occurrence.shorthand) {
+    return `shorthand-${occurrence.shorthand}`;
+  }
+  if (occurrence.isDeclaration) {
+    return 'declaration';
+  }
+  return occurrence.isWrite ? 'write' : 'reference';
+}
+
+/**
+ * Plan the edits for renaming `target` to `newName`. Binding renames cover
+ * every occurrence scope analysis resolved to the binding, so shadowed names
+ * are left alone; shorthand properties, patterns and export lists keep their
+ * external name (`{ foo }` becomes `{ foo: bar }`, `export { foo }` becomes
+ * `export { bar as foo }`). Renames that would collide with or capture another
+ * binding are refused. Class members are renamed through `this`/`super` (and
+ * the class name for static members); other accesses come back as `unresolved`.
+ */
+function planSymbolRename(view, target, newName) {
+  let edits;
+  let unresolved = [];
+  if (target.kind === 'class-member') {
+    edits = classMemberEdits(view, target, newName);
+    unresolved = findUnresolvedMemberAccesses(view, target, edits);
+  } else {
+    const conflicts = findRenameConflicts(view.analysis, target.binding, newName);
+    if (conflicts.length > 0) {
+      const [conflict] = conflicts;
+      const where = conflict.span ? ` at line ${positionAt(view.source, normalizedStart(view, conflict.span)).line}` : '';
+      throw new Error(`Renaming "${target.name}" to "${newName}" would change meaning: ${conflict.type} of "${newName}"${where}.`);
+    }
+    edits = buildBindingRenameEdits(target.binding, newName);
+  }
+
+  const seen = new Set();
+  const unique = edits.filter((edit) => {
+    const key = `${edit.span.start}:${edit.span.end}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  const occurrences = unique
+    .map((edit) => {
+      const range = view.mapper.normalize(edit.span);
+      const { line, column } = positionAt(view.source, range.start);
+      return {
+        line,
+        column,
+        kind: describeOccurrenceKind(edit),
+        before: view.source.slice(range.start, range.end),
+        after: edit.text,
+        offset: range.start
+      };
+    })
+    .sort((left, right) => left.offset - right.offset);
 
-  return `${snippet.slice(0, tokenStart)}${newName}${snippet.slice(tokenEnd)}`;
+  return {
+    edits: unique.map((edit) => ({ span: edit.span, text: edit.text })),
+    occurrences,
+    unresolved
+  };
 }
 
 module.exports = {
-  applyRenameToSnippet
+  resolveRenameTarget,
+  planSymbolRename
 };
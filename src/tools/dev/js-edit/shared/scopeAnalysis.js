@@ -0,0 +1,601 @@
+'use strict';
+
+const { forEachChildNode, isAstNode, identifierByteSpan } = require('../../lib/swcWalk');
+
+const FUNCTION_SCOPE_KINDS = new Set(['module', 'function']);
+
+// Identifiers reached through these keys name properties, labels or foreign
+// exports rather than local bindings.
+const NON_REFERENCE_KEYS = new Set(['key', 'property', 'label', 'imported', 'exported']);
+
+function createScope(kind, parent, node) {
+  const scope = {
+    id: 0,
+    kind,
+    parent,
+    node,
+    bindings: new Map(),
+    children: []
+  };
+  if (parent) {
+    parent.children.push(scope);
+  }
+  return scope;
+}
+
+function lookup(scope, name) {
+  let current = scope;
+  while (current) {
+    const binding = current.bindings.get(name);
+    if (binding) {
+      return binding;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+function findHoistScope(scope) {
+  let current = scope;
+  while (current && !FUNCTION_SCOPE_KINDS.has(current.kind)) {
+    current = current.parent;
+  }
+  return current || scope;
+}
+
+function isScopeWithin(scope, ancestor) {
+  let current = scope;
+  while (current) {
+    if (current === ancestor) {
+      return true;
+    }
+    current = current.parent;
+  }
+  return false;
+}
+
+/**
+ * Build a lexical scope tree for an SWC module and resolve every identifier
+ * occurrence to its binding. Occurrences carry raw SWC spans trimmed to the
+ * identifier name; `shorthand` marks positions where the identifier also acts
+ * as a property key (`property`, `pattern`), an imported name (`import`) or an
+ * exported name (`export`), so renames can keep the external interface intact.
+ */
+function analyzeScopes(ast) {
+  const scopes = [];
+  const occurrences = [];
+  const memberAccesses = [];
+  const pendingReferences = [];
+  const hoisted = new WeakSet();
+
+  const openScope = (kind, parent, node) => {
+    const scope = createScope(kind, parent, node);
+    scope.id = scopes.length;
+    scopes.push(scope);
+    return scope;
+  };
+
+  const moduleScope = openScope('module', null, ast);
+
+  const recordOccurrence = (node, scope, extra = {}) => {
+    const occurrence = {
+      name: node.value,
+      span: identifierByteSpan(node),
+      node,
+      scope,
+      binding: null,
+      isDeclaration: false,
+      shorthand: null,
+      ...extra
+    };
+    occurrences.push(occurrence);
+    return occurrence;
+  };
+
+  const declare = (node, scope, kind, extra = {}) => {
+    if (!node || node.type !== 'Identifier') {
+      return null;
+    }
+    const targetScope = kind === 'var' ? findHoistScope(scope) : scope;
+    let binding = targetScope.bindings.get(node.value);
+    if (!binding) {
+      binding = {
+        name: node.value,
+        kind,
+        scope: targetScope,
+        declarations: [],
+        references: []
+      };
+      targetScope.bindings.set(node.value, binding);
+    }
+    const occurrence = recordOccurrence(node, scope, { isDeclaration: true, ...extra });
+    occurrence.binding = binding;
+    binding.declarations.push(occurrence);
+    return occurrence;
+  };
+
+  const reference = (node, scope, extra = {}) => {
+    if (!node || node.type !== 'Identifier') {
+      return null;
+    }
+    const occurrence = recordOccurrence(node, scope, extra);
+    pendingReferences.push(occurrence);
+    return occurrence;
+  };
+
+  const visitPattern = (pattern, scope, mode, kind) => {
+    if (!pattern) {
+      return;
+    }
+    const handleIdentifier = (node, extra = {}) => (
+      mode === 'declare' ? declare(node, scope, kind, extra) : reference(node, scope, { isWrite: true, ...extra })
+    );
+
+    switch (pattern.type) {
+      case 'Identifier':
+        handleIdentifier(pattern);
+        visitTypeAnnotation(pattern.typeAnnotation, scope);
+        return;
+      case 'ArrayPattern':
+        (pattern.elements || []).forEach((element) => visitPattern(element, scope, mode, kind));
+        return;
+      case 'ObjectPattern':
+        (pattern.properties || []).forEach((property) => {
+          if (property.type === 'AssignmentPatternProperty') {
+            handleIdentifier(property.key, { shorthand: 'pattern', property });
+            if (property.value) {
+              visit(property.value, scope);
+            }
+          } else if (property.type === 'KeyValuePatternProperty') {
+            if (property.key && property.key.type === 'Computed') {
+              visit(property.key, scope);
+            }
+            visitPattern(property.value, scope, mode, kind);
+          } else if (property.type === 'RestElement') {
+            visitPattern(property.argument, scope, mode, kind);
+          }
+        });
+        return;
+      case 'AssignmentPattern':
+        visitPattern(pattern.left, scope, mode, kind);
+        visit(pattern.right, scope);
+        return;
+      case 'RestElement':
+        visitPattern(pattern.argument, scope, mode, kind);
+        return;
+      case 'Parameter':
+        (pattern.decorators || []).forEach((decorator) => visit(decorator, scope));
+        visitPattern(pattern.pat, scope, mode, kind);
+        return;
+      case 'TsParameterProperty':
+        visitPattern(pattern.param, scope, mode, kind);
+        return;
+      default:
+        // Member expressions and other assignment targets are plain expressions.
+        visit(pattern, scope);
+    }
+  };
+
+  const visitTypeAnnotation = (annotation, scope) => {
+    if (annotation) {
+      visit(annotation, scope);
+    }
+  };
+
+  const visitTypeParameters = (declaration, scope) => {
+    if (!declaration || !Array.isArray(declaration.parameters)) {
+      return;
+    }
+    declaration.parameters.forEach((parameter) => {
+      declare(parameter.name, scope, 'type-parameter');
+      if (parameter.constraint) visit(parameter.constraint, scope);
+      if (parameter.default) visit(parameter.default, scope);
+    });
+  };
+
+  const visitFunction = (fn, scope, nameNode = null, options = {}) => {
+    let outer = scope;
+    if (nameNode && options.expressionName) {
+      outer = openScope('function-name', scope, fn);
+      declare(nameNode, outer, 'function-name');
+    }
+    const fnScope = openScope('function', outer, fn);
+    (fn.decorators || []).forEach((decorator) => visit(decorator, scope));
+    visitTypeParameters(fn.typeParameters || fn.typeParams, fnScope);
+    const params = Array.isArray(fn.params) ? fn.params : (fn.param ? [fn.param] : []);
+    params.forEach((param) => visitPattern(param, fnScope, 'declare', 'param'));
+    visitTypeAnnotation(fn.returnType || fn.typeAnnotation, fnScope);
+    if (fn.body) {
+      if (fn.body.type === 'BlockStatement') {
+        visitStatements(fn.body.stmts, fnScope);
+      } else {
+        visit(fn.body, fnScope);
+      }
+    }
+    return fnScope;
+  };
+
+  const visitClass = (cls, scope, nameNode, isExpression) => {
+    const classScope = openScope('class', scope, cls);
+    if (isExpression && nameNode) {
+      declare(nameNode, classScope, 'class-name');
+    }
+    (cls.decorators || []).forEach((decorator) => visit(decorator, scope));
+    visitTypeParameters(cls.typeParams, classScope);
+    if (cls.superClass) visit(cls.superClass, scope);
+    if (cls.superTypeParams) visit(cls.superTypeParams, classScope);
+    (cls.implements || []).forEach((entry) => visit(entry, classScope));
+
+    (cls.body || []).forEach((member) => {
+      if (member.key && member.key.type === 'Computed') {
+        visit(member.key, classScope);
+      }
+      (member.decorators || []).forEach((decorator) => visit(decorator, classScope));
+      switch (member.type) {
+        case 'ClassMethod':
+        case 'PrivateMethod':
+          visitFunction(member.function, classScope);
+          break;
+        case 'Constructor':
+          visitFunction(member, classScope);
+          break;
+        case 'ClassProperty':
+        case 'PrivateProperty':
+          visitTypeAnnotation(member.typeAnnotation, classScope);
+          if (member.value) {
+            visit(member.value, openScope('function', classScope, member));
+          }
+          break;
+        case 'StaticBlock':
+          visitStatements(member.body ? member.body.stmts : [], openScope('function', classScope, member));
+          break;
+        default:
+          forEachChildNode(member, (child, key) => {
+            if (key !== 'key') visit(child, classScope, member, key);
+          });
+      }
+    });
+  };
+
+  const hoistDeclarations = (statements, scope) => {
+    statements.forEach((statement) => {
+      const node = statement && statement.type === 'ExportDeclaration' ? statement.declaration : statement;
+      if (!node) return;
+      if (node.type === 'FunctionDeclaration') {
+        declare(node.identifier, scope, 'function');
+        hoisted.add(node);
+      } else if (node.type === 'ClassDeclaration') {
+        declare(node.identifier, scope, 'class');
+        hoisted.add(node);
+      }
+    });
+  };
+
+  const visitStatements = (statements, scope) => {
+    const list = Array.isArray(statements) ? statements : [];
+    hoistDeclarations(list, scope);
+    list.forEach((statement) => visit(statement, scope));
+  };
+
+  const visitImport = (node, scope) => {
+    (node.specifiers || []).forEach((specifier) => {
+      const extra = { importDeclaration: node, specifier };
+      if (specifier.type === 'ImportSpecifier' && !specifier.imported) {
+        extra.shorthand = 'import';
+      }
+      declare(specifier.local, scope, 'import', extra);
+    });
+  };
+
+  const visitExportNamed = (node, scope) => {
+    if (node.source) {
+      return;
+    }
+    (node.specifiers || []).forEach((specifier) => {
+      if (specifier.type === 'ExportSpecifier' && specifier.orig && specifier.orig.type === 'Identifier') {
+        reference(specifier.orig, scope, {
+          shorthand: specifier.exported ? null : 'export',
+          exportDeclaration: node,
+          specifier
+        });
+      }
+    });
+  };
+
+  const visitIdentifier = (node, scope, parent, key) => {
+    if (NON_REFERENCE_KEYS.has(key)) {
+      return;
+    }
+    if (parent && parent.type === 'JSXAttribute' && key === 'name') {
+      return;
+    }
+    if (parent && (parent.type === 'JSXOpeningElement' || parent.type === 'JSXClosingElement') && key === 'name') {
+      if (!/^[A-Z_$]/.test(node.value)) {
+        return;
+      }
+    }
+    if (parent && parent.type === 'TsQualifiedName' && key === 'right') {
+      return;
+    }
+    if (parent && parent.type === 'TsEnumMember' && key === 'id') {
+      return;
+    }
+    if (parent && (parent.type === 'ObjectExpression')) {
+      reference(node, scope, { shorthand: 'property' });
+      return;
+    }
+    reference(node, scope);
+  };
+
+  function visit(node, scope, parent = null, key = null) {
+    if (!isAstNode(node)) {
+      return;
+    }
+
+    switch (node.type) {
+      case 'Identifier':
+        visitIdentifier(node, scope, parent, key);
+        return;
+      case 'ImportDeclaration':
+        visitImport(node, scope);
+        return;
+      case 'ExportNamedDeclaration':
+        visitExportNamed(node, scope);
+        return;
+      case 'ExportAllDeclaration':
+        return;
+      case 'ExportDefaultDeclaration': {
+        const decl = node.decl;
+        if (decl && decl.type === 'FunctionExpression') {
+          if (decl.identifier) declare(decl.identifier, scope, 'function');
+          visitFunction(decl, scope);
+        } else if (decl && decl.type === 'ClassExpression') {
+          if (decl.identifier) declare(decl.identifier, scope, 'class');
+          visitClass(decl, scope, null, false);
+        } else {
+          visit(decl, scope, node, 'decl');
+        }
+        return;
+      }
+      case 'FunctionDeclaration':
+        if (!hoisted.has(node)) {
+          declare(node.identifier, scope, 'function');
+        }
+        visitFunction(node, scope);
+        return;
+      case 'FunctionExpression':
+        visitFunction(node, scope, node.identifier, { expressionName: true });
+        return;
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        return;
+      case 'MethodProperty':
+      case 'GetterProperty':
+      case 'SetterProperty':
+        if (node.key && node.key.type === 'Computed') {
+          visit(node.key, scope);
+        }
+        visitFunction(node, scope);
+        return;
+      case 'ClassDeclaration':
+        if (!hoisted.has(node)) {
+          declare(node.identifier, scope, 'class');
+        }
+        visitClass(node, scope, node.identifier, false);
+        return;
+      case 'ClassExpression':
+        visitClass(node, scope, node.identifier, true);
+        return;
+      case 'VariableDeclaration': {
+        const kind = node.kind === 'var' ? 'var' : node.kind;
+        (node.declarations || []).forEach((declarator) => {
+          visitPattern(declarator.id, scope, 'declare', kind);
+          if (declarator.init) {
+            visit(declarator.init, scope, declarator, 'init');
+          }
+        });
+        return;
+      }
+      case 'BlockStatement':
+        visitStatements(node.stmts, openScope('block', scope, node));
+        return;
+      case 'StaticBlock':
+        visitStatements(node.body ? node.body.stmts : [], openScope('function', scope, node));
+        return;
+      case 'ForStatement': {
+        const loopScope = openScope('block', scope, node);
+        if (node.init) visit(node.init, loopScope, node, 'init');
+        if (node.test) visit(node.test, loopScope, node, 'test');
+        if (node.update) visit(node.update, loopScope, node, 'update');
+        visit(node.body, loopScope, node, 'body');
+        return;
+      }
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const loopScope = openScope('block', scope, node);
+        if (node.left && node.left.type === 'VariableDeclaration') {
+          visit(node.left, loopScope, node, 'left');
+        } else {
+          visitPattern(node.left, loopScope, 'reference');
+        }
+        visit(node.right, scope, node, 'right');
+        visit(node.body, loopScope, node, 'body');
+        return;
+      }
+      case 'SwitchStatement': {
+        visit(node.discriminant, scope, node, 'discriminant');
+        const switchScope = openScope('block', scope, node);
+        const consequents = [];
+        (node.cases || []).forEach((entry) => consequents.push(...(entry.consequent || [])));
+        hoistDeclarations(consequents, switchScope);
+        (node.cases || []).forEach((entry) => {
+          if (entry.test) visit(entry.test, switchScope, entry, 'test');
+          (entry.consequent || []).forEach((statement) => visit(statement, switchScope));
+        });
+        return;
+      }
+      case 'CatchClause': {
+        const catchScope = openScope('catch', scope, node);
+        if (node.param) {
+          visitPattern(node.param, catchScope, 'declare', 'catch');
+        }
+        if (node.body) {
+          visitStatements(node.body.stmts, catchScope);
+        }
+        return;
+      }
+      case 'AssignmentExpression':
+        visitPattern(node.left, scope, 'reference');
+        visit(node.right, scope, node, 'right');
+        return;
+      case 'MemberExpression':
+      case 'SuperPropExpression': {
+        const objectNode = node.object || node.obj;
+        visit(objectNode, scope, node, 'object');
+        if (node.property && node.property.type === 'Computed') {
+          visit(node.property, scope, node, 'property');
+        }
+        if (objectNode && objectNode.type === 'Identifier' && node.property && node.property.type === 'Identifier') {
+          const objectOccurrence = occurrences[occurrences.length - 1];
+          if (objectOccurrence && objectOccurrence.node === objectNode) {
+            memberAccesses.push({
+              object: objectOccurrence,
+              property: node.property.value,
+              propertySpan: identifierByteSpan(node.property),
+              node
+            });
+          }
+        }
+        return;
+      }
+      case 'KeyValueProperty':
+        if (node.key && node.key.type === 'Computed') {
+          visit(node.key, scope, node, 'key');
+        }
+        visit(node.value, scope, node, 'value');
+        return;
+      case 'TsInterfaceDeclaration':
+      case 'TsTypeAliasDeclaration':
+      case 'TsEnumDeclaration': {
+        declare(node.id, scope, node.type === 'TsEnumDeclaration' ? 'enum' : 'type');
+        const typeScope = openScope('block', scope, node);
+        visitTypeParameters(node.typeParams, typeScope);
+        forEachChildNode(node, (child, childKey) => {
+          if (childKey !== 'id' && childKey !== 'typeParams') visit(child, typeScope, node, childKey);
+        });
+        return;
+      }
+      case 'TsPropertySignature':
+      case 'TsMethodSignature':
+      case 'TsGetterSignature':
+      case 'TsSetterSignature':
+        forEachChildNode(node, (child, childKey) => {
+          if (childKey !== 'key' || node.computed) visit(child, scope, node, childKey);
+        });
+        return;
+      case 'TsModuleDeclaration':
+        if (node.id && node.id.type === 'Identifier') {
+          declare(node.id, scope, 'namespace');
+        }
+        if (node.body) {
+          visit(node.body, openScope('block', scope, node), node, 'body');
+        }
+        return;
+      case 'TsModuleBlock':
+        visitStatements(node.body, scope);
+        return;
+      default:
+        forEachChildNode(node, (child, childKey) => visit(child, scope, node, childKey));
+    }
+  }
+
+  if (ast && Array.isArray(ast.body)) {
+    visitStatements(ast.body, moduleScope);
+  }
+
+  pendingReferences.forEach((occurrence) => {
+    const binding = lookup(occurrence.scope, occurrence.name);
+    occurrence.binding = binding;
+    if (binding) {
+      binding.references.push(occurrence);
+    }
+  });
+
+  occurrences.sort((a, b) => a.span.start - b.span.start);
+
+  return {
+    moduleScope,
+    scopes,
+    occurrences,
+    memberAccesses,
+    lookup,
+    unresolved: occurrences.filter((occurrence) => !occurrence.binding)
+  };
+}
+
+/**
+ * Produce text edits that rename every occurrence of a binding. Shorthand
+ * positions keep their original key/import/export name unless
+ * `options.renameShorthand(occurrence)` returns true.
+ */
+function buildBindingRenameEdits(binding, newName, options = {}) {
+  const renameShorthand = typeof options.renameShorthand === 'function' ? options.renameShorthand : () => false;
+  const edits = [];
+  const occurrences = [...binding.declarations, ...binding.references];
+
+  occurrences.forEach((occurrence) => {
+    let text = newName;
+    if (occurrence.shorthand && !renameShorthand(occurrence)) {
+      if (occurrence.shorthand === 'property' || occurrence.shorthand === 'pattern') {
+        text = `${occurrence.name}: ${newName}`;
+      } else if (occurrence.shorthand === 'import') {
+        text = `${occurrence.name} as ${newName}`;
+      } else if (occurrence.shorthand === 'export') {
+        text = `${newName} as ${occurrence.name}`;
+      }
+    }
+    edits.push({ span: occurrence.span, text, occurrence });
+  });
+
+  return edits;
+}
+
+/**
+ * Report references that would change meaning if `binding` were renamed to
+ * `newName`: an existing declaration in the same scope, an inner binding that
+ * would shadow a reference, or a free reference that the new name would capture.
+ */
+function findRenameConflicts(analysis, binding, newName) {
+  const conflicts = [];
+  const existing = binding.scope.bindings.get(newName);
+  if (existing && existing !== binding) {
+    conflicts.push({ type: 'redeclaration', name: newName, span: existing.declarations[0] ? existing.declarations[0].span : null });
+  }
+
+  binding.references.forEach((occurrence) => {
+    const resolved = lookup(occurrence.scope, newName);
+    if (resolved && resolved !== binding && isScopeWithin(resolved.scope, binding.scope) && resolved.scope !== binding.scope) {
+      conflicts.push({ type: 'shadowed', name: newName, span: occurrence.span });
+    }
+  });
+
+  analysis.occurrences.forEach((occurrence) => {
+    if (occurrence.name !== newName) {
+      return;
+    }
+    const resolvesOutside = !occurrence.binding || !isScopeWithin(occurrence.binding.scope, binding.scope);
+    if (resolvesOutside && isScopeWithin(occurrence.scope, binding.scope)) {
+      conflicts.push({ type: 'capture', name: newName, span: occurrence.span });
+    }
+  });
+
+  return conflicts;
+}
+
+module.exports = {
+  analyzeScopes,
+  buildBindingRenameEdits,
+  findRenameConflicts,
+  lookupBinding: lookup,
+  isScopeWithin
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { walkAst } = require('../../lib/swcWalk');
+const { rangeOf } = require('./moduleEdits');
+
+const SIBLING_CONTAINER_KEYS = Object.freeze({
+  Module: 'body',
+  BlockStatement: 'stmts',
+  ClassDeclaration: 'body',
+  ClassExpression: 'body'
+});
+
+function isClassNode(node) {
+  return node.type === 'ClassDeclaration' || node.type === 'ClassExpression';
+}
+
+function resolveClassName(node, parent) {
+  if (node.identifier && node.identifier.value) {
+    return node.identifier.value;
+  }
+  if (parent && parent.type === 'VariableDeclarator' && parent.id && parent.id.type === 'Identifier') {
+    return parent.id.value;
+  }
+  return null;
+}
+
+/**
+ * Index every list of sibling items in the module (top-level statements,
+ * block statements and class members) together with the classes that own
+ * member lists, using string offsets so they compare directly with record spans.
+ */
+function collectSiblingGroups(view) {
+  const groups = [];
+  const classes = [];
+
+  walkAst(view.ast, (node, parent) => {
+    const key = SIBLING_CONTAINER_KEYS[node.type];
+    if (!key || !Array.isArray(node[key])) {
+      return true;
+    }
+    const group = {
+      kind: isClassNode(node) ? 'class' : node.type === 'Module' ? 'module' : 'block',
+      items: node[key].map((item) => ({ node: item, range: rangeOf(view, item) }))
+    };
+    groups.push(group);
+    if (isClassNode(node)) {
+      classes.push({
+        node,
+        name: resolveClassName(node, parent),
+        range: rangeOf(view, node),
+        group
+      });
+    }
+    return true;
+  });
+
+  return { groups, classes };
+}
+
+/**
+ * The innermost sibling item (statement or class member) where `span` starts.
+ * Record spans may run one character past their node, so only the start offset
+ * is compared.
+ */
+function findEnclosingItem(groups, span) {
+  let best = null;
+  groups.forEach((group) => {
+    group.items.forEach((item) => {
+      if (item.range.start > span.start || item.range.end <= span.start) {
+        return;
+      }
+      if (!best || item.range.end - item.range.start < best.range.end - best.range.start) {
+        best = { ...item, group };
+      }
+    });
+  });
+  return best;
+}
+
+module.exports = {
+  collectSiblingGroups,
+  findEnclosingItem
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+function detectNewline(source) {
+  return typeof source === 'string' && source.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function lineStart(source, offset) {
+  const index = source.lastIndexOf('\n', offset - 1);
+  return index === -1 ? 0 : index + 1;
+}
+
+function lineEnd(source, offset) {
+  const index = source.indexOf('\n', offset);
+  return index === -1 ? source.length : index;
+}
+
+function isBlank(text) {
+  return /^[ \t\r]*$/.test(text);
+}
+
+function lineIndent(source, offset) {
+  const start = lineStart(source, offset);
+  const match = /^[ \t]*/.exec(source.slice(start, offset));
+  return match ? match[0] : '';
+}
+
+/**
+ * 1-based line and column of a string offset.
+ */
+function positionAt(source, offset) {
+  const start = lineStart(source, offset);
+  return {
+    line: source.slice(0, start).split('\n').length,
+    column: offset - start + 1
+  };
+}
+
+/**
+ * Walk upwards from `start` over comment blocks (JSDoc, block comments and runs
+ * of `//` lines) that sit directly above a statement with no blank line in
+ * between, returning the offset where the leading comments begin.
+ */
+function findLeadingCommentStart(source, start) {
+  let cursor = lineStart(source, start);
+  if (!isBlank(source.slice(cursor, start))) {
+    return start;
+  }
+
+  let result = start;
+  while (cursor > 0) {
+    const previousEnd = cursor - 1;
+    const previousStart = lineStart(source, previousEnd);
+    const line = source.slice(previousStart, previousEnd).replace(/\r$/, '');
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('//')) {
+      result = previousStart + line.indexOf('//');
+      cursor = previousStart;
+      continue;
+    }
+
+    if (trimmed.endsWith('*/')) {
+      const closeIndex = previousStart + line.lastIndexOf('*/');
+      const openIndex = source.lastIndexOf('/*', closeIndex);
+      if (openIndex === -1 || !isBlank(source.slice(lineStart(source, openIndex), openIndex))) {
+        break;
+      }
+      result = openIndex;
+      cursor = lineStart(source, openIndex);
+      continue;
+    }
+
+    break;
+  }
+  return result;
+}
+
+/**
+ * Range covering whole lines for a statement: leading comments (optional),
+ * indentation, the statement itself and the rest of its final line. A single
+ * trailing blank line is absorbed when the statement is preceded by one (or by
+ * the start of the file) so removals do not leave double gaps behind.
+ */
+function statementLineRange(source, start, end, options = {}) {
+  const includeComments = options.includeComments !== false;
+  let rangeStart = includeComments ? findLeadingCommentStart(source, start) : start;
+  const startOfLine = lineStart(source, rangeStart);
+  if (isBlank(source.slice(startOfLine, rangeStart))) {
+    rangeStart = startOfLine;
+  }
+
+  let rangeEnd = end;
+  const endOfLine = lineEnd(source, end);
+  if (isBlank(source.slice(end, endOfLine))) {
+    rangeEnd = endOfLine < source.length ? endOfLine + 1 : endOfLine;
+  }
+
+  if (options.absorbBlankLine !== false && rangeStart === startOfLine) {
+    const precededByGap = rangeStart === 0
+      || isBlank(source.slice(lineStart(source, rangeStart - 1), rangeStart - 1));
+    const followingEnd = lineEnd(source, rangeEnd);
+    if (precededByGap && rangeEnd < source.length && isBlank(source.slice(rangeEnd, followingEnd))) {
+      rangeEnd = followingEnd < source.length ? followingEnd + 1 : followingEnd;
+    }
+  }
+
+  return { start: rangeStart, end: rangeEnd };
+}
+
+/**
+ * Re-indent a block of text so its first line starts at `indent`, preserving the
+ * relative indentation of the remaining lines.
+ */
+function reindent(text, indent) {
+  const lines = text.split('\n');
+  const indents = lines
+    .filter((line, index) => index === 0 || line.trim().length > 0)
+    .map((line) => /^[ \t]*/.exec(line)[0].length);
+  const baseline = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines
+    .map((line) => (line.trim().length === 0 ? line.replace(/^[ \t]+/, '') : `${indent}${line.slice(baseline)}`))
+    .join('\n');
+}
+
+module.exports = {
+  detectNewline,
+  lineStart,
+  lineEnd,
+  lineIndent,
+  positionAt,
+  isBlank,
+  findLeadingCommentStart,
+  statementLineRange,
+  reindent
+};
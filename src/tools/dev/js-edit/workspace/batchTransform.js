@@ -0,0 +1,367 @@
+'use strict';
+
+const path = require('path');
+const { walkAst, toByteSpan } = require('../../lib/swcWalk');
+const { filterFunctions, createPatternMatcher } = require('../../js-scan/shared/filters');
+const { buildBindingRenameEdits, findRenameConflicts } = require('../shared/scopeAnalysis');
+const { applyTextEdits, createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+const {
+  rangeOf,
+  detectModuleKind,
+  detectQuote,
+  buildRelativeSpecifier,
+  formatImportStatements,
+  planAddImports
+} = require('../shared/moduleEdits');
+const { loadModuleGraph } = require('./moduleGraph');
+const { topLevelImportEntry, withinSpan, countChangedLines } = require('./refactorSupport');
+
+const FUNCTION_NODE_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassMethod',
+  'PrivateMethod',
+  'Constructor',
+  'MethodProperty',
+  'GetterProperty',
+  'SetterProperty'
+]);
+
+const EXPRESSION_FUNCTION_TYPES = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function functionParts(node) {
+  const fn = node.type === 'ClassMethod' || node.type === 'PrivateMethod' ? node.function : node;
+  return { params: fn.params || [], body: fn.body || null };
+}
+
+function normalizePatterns(pattern) {
+  const list = Array.isArray(pattern) ? pattern : [pattern];
+  return list
+    .map((entry) => (typeof entry === 'string' ? entry.trim() : entry))
+    .filter((entry) => entry !== null && entry !== undefined && entry !== '');
+}
+
+function toRegExp(find) {
+  if (find instanceof RegExp) {
+    return find.global ? find : new RegExp(find.source, `${find.flags}g`);
+  }
+  if (typeof find === 'string' && find.startsWith('/') && find.lastIndexOf('/') > 0) {
+    const lastSlash = find.lastIndexOf('/');
+    const flags = find.slice(lastSlash + 1);
+    return new RegExp(find.slice(1, lastSlash), flags.includes('g') ? flags : `${flags}g`);
+  }
+  return null;
+}
+
+/**
+ * Map scanner function records onto AST nodes: the outermost function-like
+ * node that starts at (or inside) the record's span.
+ */
+function resolveFunctionNodes(view, records) {
+  const candidates = [];
+  walkAst(view.ast, (node) => {
+    if (FUNCTION_NODE_TYPES.has(node.type) && node.span) {
+      candidates.push({ node, span: toByteSpan(node.span) });
+    }
+  });
+
+  return records.map((record) => {
+    const byteStart = record.span.byteStart;
+    const byteEnd = record.span.byteEnd;
+    const exact = candidates.find((candidate) => candidate.span.start === byteStart);
+    if (exact) {
+      return { record, node: exact.node, span: exact.span };
+    }
+    const contained = candidates
+      .filter((candidate) => candidate.span.start >= byteStart && candidate.span.end <= byteEnd)
+      .sort((a, b) => (b.span.end - b.span.start) - (a.span.end - a.span.start))[0];
+    return contained ? { record, node: contained.node, span: contained.span } : { record, node: null, span: null };
+  });
+}
+
+/**
+ * Functions nested inside another match would produce overlapping edits for
+ * transformations that rewrite whole bodies; keep only the outermost ones.
+ */
+function dropNestedMatches(matches, skipped, file) {
+  return matches.filter((match) => {
+    const outer = matches.find((other) => other !== match && withinSpan(match.span, other.span));
+    if (outer) {
+      skipped.push({ file, function: match.record.canonicalName || match.record.name, reason: `nested inside ${outer.record.canonicalName || outer.record.name}` });
+      return false;
+    }
+    return true;
+  });
+}
+
+const TRANSFORMATIONS = {
+  /**
+   * Ensure every matching file imports the given bindings.
+   * `{ source, named: ['a', 'b as c'], default, namespace }`; a `source`
+   * starting with `.` or `/` is a workspace path rewritten per file.
+   */
+  'add-import': {
+    validate(spec) {
+      if (typeof spec.source !== 'string' || spec.source.length === 0) {
+        throw new Error('add-import transformation requires `source`.');
+      }
+      const named = (Array.isArray(spec.named) ? spec.named : (typeof spec.named === 'string' ? spec.named.split(',') : []))
+        .map((entry) => String(entry).trim())
+        .filter(Boolean)
+        .map((entry) => {
+          const [imported, local] = entry.split(/\s+as\s+/);
+          return { imported, local: local || imported };
+        });
+      const shape = { named, defaultName: spec.default || null, namespaceName: spec.namespace || null };
+      if (!shape.defaultName && !shape.namespaceName && named.length === 0) {
+        throw new Error('add-import transformation requires `named`, `default` or `namespace`.');
+      }
+      return { ...spec, shape };
+    },
+    plan(view, matches, spec, context) {
+      const localSource = spec.source.startsWith('.') || spec.source.startsWith('/');
+      const targetFile = localSource ? path.resolve(context.workspaceRoot, spec.source) : null;
+      const specifier = localSource
+        ? buildRelativeSpecifier(view.filePath, targetFile, { reference: spec.source })
+        : spec.source;
+      const bindings = view.analysis.moduleScope.bindings;
+      const wanted = [
+        spec.shape.defaultName && { kind: 'default', local: spec.shape.defaultName },
+        spec.shape.namespaceName && { kind: 'namespace', local: spec.shape.namespaceName },
+        ...spec.shape.named.map((item) => ({ kind: 'named', ...item }))
+      ].filter(Boolean);
+
+      const missing = [];
+      for (const item of wanted) {
+        if (!bindings.has(item.local)) {
+          missing.push(item);
+          continue;
+        }
+        const existing = topLevelImportEntry(view, item.local);
+        const sameSource = existing && (localSource
+          ? context.graph.resolveSpecifier(view.filePath, existing.source) === context.graph.resolveSpecifier(view.filePath, specifier)
+          : existing.source === specifier);
+        if (!sameSource) {
+          return { edits: [], count: 0, skipped: `"${item.local}" is already declared` };
+        }
+      }
+      if (missing.length === 0) {
+        return { edits: [], count: 0 };
+      }
+
+      const shape = {
+        defaultName: missing.some((item) => item.kind === 'default') ? spec.shape.defaultName : null,
+        namespaceName: missing.some((item) => item.kind === 'namespace') ? spec.shape.namespaceName : null,
+        named: missing.filter((item) => item.kind === 'named').map(({ imported, local }) => ({ imported, local }))
+      };
+      const lines = formatImportStatements(detectModuleKind(view), specifier, shape, detectQuote(view));
+      return { edits: planAddImports(view, lines), count: lines.length };
+    }
+  },
+
+  /**
+   * Wrap function expressions in a call: `callee(fn, ...args)`. Declarations
+   * and methods are reported as skipped because wrapping would change hoisting
+   * or class semantics.
+   */
+  'wrap-call': {
+    validate(spec) {
+      if (typeof spec.callee !== 'string' || spec.callee.trim().length === 0) {
+        throw new Error('wrap-call transformation requires `callee`.');
+      }
+      const args = Array.isArray(spec.args) ? spec.args : (typeof spec.args === 'string' && spec.args.trim() ? [spec.args] : []);
+      return { ...spec, callee: spec.callee.trim(), args };
+    },
+    plan(view, matches, spec, context) {
+      const edits = [];
+      dropNestedMatches(matches, context.skipped, view.relativePath).forEach((match) => {
+        if (!EXPRESSION_FUNCTION_TYPES.has(match.node.type)) {
+          context.skipped.push({ file: view.relativePath, function: match.record.canonicalName || match.record.name, reason: `${match.node.type} cannot be wrapped in place` });
+          return;
+        }
+        const range = rangeOf(view, match.node);
+        const text = view.source.slice(range.start, range.end);
+        const extra = spec.args.length > 0 ? `, ${spec.args.join(', ')}` : '';
+        edits.push({ range, text: `${spec.callee}(${text}${extra})` });
+      });
+      return { edits, count: edits.length };
+    }
+  },
+
+  /**
+   * Find/replace inside each matching function body. `find` is a literal
+   * string or a `/regex/flags` string; `replace` follows String#replace rules.
+   */
+  'replace-body-snippet': {
+    validate(spec) {
+      if (typeof spec.find !== 'string' && !(spec.find instanceof RegExp)) {
+        throw new Error('replace-body-snippet transformation requires `find`.');
+      }
+      if (typeof spec.replace !== 'string') {
+        throw new Error('replace-body-snippet transformation requires `replace`.');
+      }
+      return { ...spec, pattern: toRegExp(spec.find) };
+    },
+    plan(view, matches, spec, context) {
+      const edits = [];
+      dropNestedMatches(matches, context.skipped, view.relativePath).forEach((match) => {
+        const { body } = functionParts(match.node);
+        if (!body) return;
+        const range = rangeOf(view, body);
+        const before = view.source.slice(range.start, range.end);
+        const after = spec.pattern
+          ? before.replace(spec.pattern, spec.replace)
+          : before.split(spec.find).join(spec.replace);
+        if (after !== before) {
+          edits.push({ range, text: after });
+        }
+      });
+      return { edits, count: edits.length };
+    }
+  },
+
+  /**
+   * Rename a parameter and its references inside each matching function,
+   * keeping destructured property keys intact.
+   */
+  'rename-parameter': {
+    validate(spec) {
+      if (!IDENTIFIER_PATTERN.test(spec.from || '') || !IDENTIFIER_PATTERN.test(spec.to || '')) {
+        throw new Error('rename-parameter transformation requires identifier `from` and `to`.');
+      }
+      return spec;
+    },
+    plan(view, matches, spec, context) {
+      const edits = [];
+      let count = 0;
+      matches.forEach((match) => {
+        const { params } = functionParts(match.node);
+        const paramSpans = params.filter((param) => param.span).map((param) => toByteSpan(param.span));
+        if (paramSpans.length === 0) return;
+        const paramRange = {
+          start: Math.min(...paramSpans.map((span) => span.start)),
+          end: Math.max(...paramSpans.map((span) => span.end))
+        };
+        const declaration = view.analysis.occurrences.find((occurrence) => occurrence.isDeclaration
+          && occurrence.name === spec.from
+          && occurrence.binding && occurrence.binding.kind === 'param'
+          && withinSpan(occurrence.span, paramRange));
+        if (!declaration) return;
+
+        const conflicts = findRenameConflicts(view.analysis, declaration.binding, spec.to);
+        if (conflicts.length > 0) {
+          context.skipped.push({ file: view.relativePath, function: match.record.canonicalName || match.record.name, reason: `renaming would cause a ${conflicts[0].type} of "${spec.to}"` });
+          return;
+        }
+        edits.push(...buildBindingRenameEdits(declaration.binding, spec.to));
+        count += 1;
+      });
+      return { edits, count };
+    }
+  }
+};
+
+/**
+ * Apply one declared transformation to every function matching a js-scan
+ * style pattern (glob or `/regex/` over names and canonical names, filtered
+ * by kind/export/async flags). Returns per-file changes, one combined diff and
+ * a guard summary; files are written only when `dryRun` is false.
+ */
+function batchTransform(options = {}) {
+  const patterns = normalizePatterns(options.pattern !== undefined ? options.pattern : '*');
+  if (patterns.length === 0) {
+    throw new Error('batch requires a pattern.');
+  }
+  const transformationSpec = options.transformation || {};
+  const handler = TRANSFORMATIONS[transformationSpec.type];
+  if (!handler) {
+    throw new Error(`batch requires a transformation of type ${Object.keys(TRANSFORMATIONS).join(', ')} (received ${JSON.stringify(transformationSpec.type)}).`);
+  }
+  const spec = handler.validate(transformationSpec);
+
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
+  const dryRun = options.dryRun !== false;
+  const force = options.force === true;
+  const filters = options.filters || {};
+  const graph = loadModuleGraph(workspaceRoot, { exclude: options.exclude });
+  const matcher = createPatternMatcher(patterns);
+  const context = { graph, workspaceRoot, skipped: [] };
+
+  const changes = [];
+  let functionsMatched = 0;
+  let filesMatched = 0;
+
+  graph.files.forEach((file) => {
+    const records = filterFunctions(file.functions, filters)
+      .filter((fn) => matcher(fn.name) || matcher(fn.canonicalName));
+    if (records.length === 0) return;
+    filesMatched += 1;
+    functionsMatched += records.length;
+
+    const view = graph.getModule(file.filePath);
+    if (!view) return;
+    const matches = resolveFunctionNodes(view, records).filter((match) => {
+      if (!match.node) {
+        context.skipped.push({ file: view.relativePath, function: match.record.canonicalName || match.record.name, reason: 'function node not found' });
+      }
+      return Boolean(match.node);
+    });
+
+    const outcome = handler.plan(view, matches, spec, context);
+    if (outcome.skipped) {
+      context.skipped.push({ file: view.relativePath, function: null, reason: outcome.skipped });
+    }
+    if (outcome.edits.length === 0) return;
+    const { text } = applyTextEdits(view.source, outcome.edits, view.mapper);
+    if (text === view.source) return;
+    changes.push(createFileChange({
+      filePath: view.filePath,
+      relativePath: view.relativePath,
+      before: view.source,
+      after: text,
+      details: {
+        matches: records.map((record) => record.canonicalName || record.name),
+        transformations: outcome.count
+      }
+    }));
+  });
+
+  changes.sort((a, b) => a.file.localeCompare(b.file));
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0 && !force) {
+    throw new Error(`batch ${spec.type} produced invalid syntax in ${broken.map((change) => `${change.file} (${change.syntaxError})`).join(', ')}.`);
+  }
+
+  const summary = {
+    patterns,
+    transformation: spec.type,
+    status: dryRun ? 'preview' : 'applied',
+    filesMatched,
+    functionsMatched,
+    filesChanged: changes.length,
+    transformationsApplied: changes.reduce((total, change) => total + change.transformations, 0),
+    linesChanged: changes.reduce((total, change) => total + countChangedLines(change.diff), 0),
+    diff: changes.map((change) => change.diff).join('\n'),
+    skipped: context.skipped,
+    guard: changes.map((change) => ({
+      file: change.file,
+      status: 'pending',
+      expectedHash: change.beforeHash,
+      afterHash: change.afterHash
+    })),
+    files: []
+  };
+
+  if (!dryRun && changes.length > 0) {
+    summary.guard = commitFileChanges(changes, { force, journal: options.journal });
+  }
+  summary.files = changes.map(describeFileChange);
+  return summary;
+}
+
+module.exports = {
+  batchTransform,
+  TRANSFORMATIONS
+};
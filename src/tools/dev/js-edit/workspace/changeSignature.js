@@ -0,0 +1,588 @@
+'use strict';
+
+const { walkAst, toByteSpan, identifierByteSpan } = require('../../lib/swcWalk');
+const { applyTextEdits, createFileChange } = require('../shared/changeSet');
+const { positionAt, lineStart, lineEnd } = require('../shared/textRanges');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const SPEC_ENTRY_PATTERN = /^(\.\.\.)?\s*([A-Za-z_$][\w$]*|@\d+)\s*(?:=\s*([\s\S]+))?$/;
+const FUNCTION_INITIALIZERS = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Split a comma-separated list at depth zero, so values such as
+ * `options = { a: 1, b: 2 }` or `label = 'a, b'` stay in one entry.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  const stack = [];
+  let quote = null;
+  let current = '';
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      current += char;
+      if (char === '\\') {
+        current += text[index + 1] || '';
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (CLOSING[char]) {
+      stack.push(CLOSING[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+    } else if (char === ',' && stack.length === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim() || parts.length > 0) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Parse a `--signature` value: the new parameter list in order. Existing
+ * parameters are named as they are declared (`@2` refers to the second one,
+ * for destructured parameters); new parameters carry the expression passed
+ * at existing call sites (`name = value`). An empty string removes them all.
+ */
+function parseSignatureSpec(text) {
+  const raw = String(text === undefined || text === null ? '' : text).trim().replace(/^\(([\s\S]*)\)$/, '$1');
+  return splitTopLevel(raw).map((entry) => {
+    const match = SPEC_ENTRY_PATTERN.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid signature entry "${entry}". Use a parameter name, @<position>, or name = value for a new parameter.`);
+    }
+    const [, rest, name, value] = match;
+    if (value !== undefined && !IDENTIFIER_PATTERN.test(name)) {
+      throw new Error(`Invalid signature entry "${entry}": only new, named parameters take a value.`);
+    }
+    return { name, rest: Boolean(rest), value: value !== undefined ? value.trim() : null };
+  });
+}
+
+function normalizedRange(view, span) {
+  return view.mapper.normalize(span);
+}
+
+function nodeRange(view, node) {
+  return normalizedRange(view, toByteSpan(node.span));
+}
+
+function paramPattern(param) {
+  return param.type === 'Parameter' ? param.pat : param;
+}
+
+function paramName(pattern) {
+  if (pattern.type === 'Identifier') return pattern.value;
+  if (pattern.type === 'AssignmentPattern' && pattern.left.type === 'Identifier') return pattern.left.value;
+  if (pattern.type === 'RestElement' && pattern.argument.type === 'Identifier') return pattern.argument.value;
+  return null;
+}
+
+function describeParams(view, fnNode) {
+  return (fnNode.params || []).map((param, index) => {
+    const pattern = paramPattern(param);
+    const range = nodeRange(view, param);
+    return {
+      index,
+      name: paramName(pattern),
+      rest: pattern.type === 'RestElement',
+      range,
+      text: view.source.slice(range.start, range.end)
+    };
+  });
+}
+
+function formatParamLabel(param) {
+  return param.name || `@${param.index + 1}`;
+}
+
+/**
+ * Locate the function declared by a scanner record: a function declaration,
+ * or a function/arrow expression bound to a variable. Methods and anonymous
+ * callbacks have no binding that callers go through and are refused.
+ */
+function resolveSignatureTarget(view, record) {
+  const label = record.canonicalName || record.name;
+  const recordStart = record.span.byteStart;
+  let found = null;
+  walkAst(view.ast, (node) => {
+    if (found || !node.span) {
+      return !found;
+    }
+    const span = toByteSpan(node.span);
+    if (node.type === 'FunctionDeclaration' && span.start === recordStart && node.identifier) {
+      found = { fnNode: node, nameNode: node.identifier };
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier'
+      && node.init && FUNCTION_INITIALIZERS.has(node.init.type)
+      && (span.start === recordStart || toByteSpan(node.init.span).start === recordStart
+        || identifierByteSpan(node.id).start === recordStart)) {
+      found = { fnNode: node.init, nameNode: node.id };
+    }
+    return !found;
+  });
+  if (!found) {
+    throw new Error(`Cannot change the signature of "${label}": only function declarations and functions assigned to a variable are supported.`);
+  }
+  const occurrence = view.analysis.occurrences.find((entry) => entry.node === found.nameNode);
+  if (!occurrence || !occurrence.binding) {
+    throw new Error(`Cannot change the signature of "${label}": its name has no binding.`);
+  }
+  return { fnNode: found.fnNode, binding: occurrence.binding, name: occurrence.binding.name };
+}
+
+/**
+ * Match the spec against the declared parameters and reject changes that
+ * would silently alter the function: removing a parameter the body still
+ * reads (unless forced), or adding one that captures an outer name.
+ */
+function resolveNewParams(view, target, params, spec, options) {
+  const fnRange = nodeRange(view, target.fnNode);
+  const used = new Set();
+  const next = spec.map((entry) => {
+    const existing = entry.name.startsWith('@')
+      ? params[Number(entry.name.slice(1)) - 1]
+      : params.find((param) => param.name === entry.name);
+    if (existing && entry.value !== null) {
+      throw new Error(`"${entry.name}" is already a parameter of "${target.name}"; only new parameters take a value.`);
+    }
+    if (existing) {
+      if (used.has(existing.index)) {
+        throw new Error(`Parameter "${formatParamLabel(existing)}" appears more than once in the new signature.`);
+      }
+      used.add(existing.index);
+      return { kind: 'existing', param: existing, name: formatParamLabel(existing) };
+    }
+    if (entry.name.startsWith('@')) {
+      throw new Error(`"${target.name}" has no parameter at position ${entry.name.slice(1)}.`);
+    }
+    if (entry.value === null) {
+      throw new Error(`"${target.name}" has no parameter named "${entry.name}". Give new parameters the value existing callers should pass (${entry.name} = value).`);
+    }
+    if (entry.rest) {
+      throw new Error(`New parameter "${entry.name}" cannot be a rest parameter.`);
+    }
+    return { kind: 'new', name: entry.name, value: entry.value };
+  });
+
+  next.forEach((param, index) => {
+    if (param.kind === 'existing' && param.param.rest && index !== next.length - 1) {
+      throw new Error(`Rest parameter "${param.name}" must stay last.`);
+    }
+  });
+
+  const names = next.map((param) => param.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Parameter "${duplicate}" appears more than once in the new signature.`);
+  }
+
+  const inFunction = (span) => {
+    const { start } = normalizedRange(view, span);
+    return start >= fnRange.start && start < fnRange.end;
+  };
+
+  next.filter((param) => param.kind === 'new').forEach((param) => {
+    const clash = view.analysis.occurrences.find((occurrence) => occurrence.name === param.name && inFunction(occurrence.span)
+      && (occurrence.isDeclaration || !occurrence.binding || !occurrence.binding.declarations.some((declaration) => inFunction(declaration.span))));
+    if (clash) {
+      const { line } = positionAt(view.source, normalizedRange(view, clash.span).start);
+      const reason = clash.isDeclaration ? 'already declares' : 'reads an outer';
+      throw new Error(`Adding parameter "${param.name}" to "${target.name}" would change meaning: the function ${reason} "${param.name}" at line ${line}.`);
+    }
+  });
+
+  const removed = params.filter((param) => !used.has(param.index));
+  if (options.force !== true) {
+    removed.forEach((param) => {
+      const occurrence = view.analysis.occurrences.find((entry) => entry.isDeclaration && entry.binding
+        && entry.binding.kind === 'param' && entry.name === param.name
+        && normalizedRange(view, entry.span).start >= param.range.start
+        && normalizedRange(view, entry.span).start < param.range.end);
+      const reference = occurrence && occurrence.binding.references[0];
+      if (reference) {
+        const { line } = positionAt(view.source, normalizedRange(view, reference.span).start);
+        throw new Error(`Parameter "${param.name}" is still used in "${target.name}" at line ${line}. Remove the uses first or pass --force.`);
+      }
+    });
+  }
+
+  return { next, removed };
+}
+
+function separatorBetween(source, ranges, fallback = ', ') {
+  if (ranges.length < 2) {
+    return fallback;
+  }
+  return source.slice(ranges[0].end, ranges[1].start).trim() === ','
+    ? source.slice(ranges[0].end, ranges[1].start)
+    : fallback;
+}
+
+function openParenAfter(source, offset) {
+  const index = source.indexOf('(', offset);
+  return index === -1 ? null : index + 1;
+}
+
+function planParameterEdit(view, target, params, next) {
+  const { fnNode } = target;
+  const texts = next.map((param) => (param.kind === 'existing' ? param.param.text : param.name));
+  const joined = texts.join(separatorBetween(view.source, params.map((param) => param.range)));
+
+  if (params.length > 0) {
+    const range = { start: params[0].range.start, end: params[params.length - 1].range.end };
+    const bareArrow = fnNode.type === 'ArrowFunctionExpression'
+      && view.source.slice(0, range.start).trimEnd().slice(-1) !== '(';
+    return { range, text: bareArrow ? `(${joined})` : joined };
+  }
+
+  let searchFrom = nodeRange(view, fnNode).start;
+  if (fnNode.identifier) {
+    searchFrom = normalizedRange(view, identifierByteSpan(fnNode.identifier)).end;
+  }
+  if (fnNode.typeParameters && fnNode.typeParameters.span) {
+    searchFrom = nodeRange(view, fnNode.typeParameters).end;
+  }
+  const offset = openParenAfter(view.source, searchFrom);
+  if (offset === null) {
+    throw new Error(`Unable to find the parameter list of "${target.name}".`);
+  }
+  return { range: { start: offset, end: offset }, text: joined };
+}
+
+/**
+ * New argument list for one call, as old argument indices and `{ value }`
+ * entries: existing parameters take the argument from their old position
+ * (`null` marks a gap), new ones the spec value, a rest parameter every
+ * argument past the fixed ones. Arguments beyond the old parameter list are
+ * kept at the end for functions that read `arguments`.
+ */
+function remapArguments(argCount, params, next) {
+  const fixedCount = params.filter((param) => !param.rest).length;
+  const keepsRest = next.some((param) => param.kind === 'existing' && param.param.rest);
+  const trailing = () => Array.from({ length: Math.max(0, argCount - fixedCount) }, (_, offset) => fixedCount + offset);
+  const output = [];
+  next.forEach((param) => {
+    if (param.kind === 'new') {
+      output.push({ value: param.value });
+    } else if (param.param.rest) {
+      output.push(...trailing());
+    } else {
+      output.push(param.param.index < argCount ? param.param.index : null);
+    }
+  });
+  const hadRest = params.some((param) => param.rest);
+  if (!keepsRest && !hadRest) {
+    output.push(...trailing());
+  }
+  while (output.length > 0 && output[output.length - 1] === null) {
+    output.pop();
+  }
+  return output;
+}
+
+const SIMPLE_ARGUMENT_TYPES = new Set([
+  'Identifier',
+  'StringLiteral',
+  'NumericLiteral',
+  'BooleanLiteral',
+  'NullLiteral',
+  'BigIntLiteral',
+  'RegExpLiteral'
+]);
+
+/**
+ * Whether a remapped call would skip or reorder the evaluation of an argument
+ * that may have side effects: anything but a literal or identifier that is
+ * dropped, or that swaps places with another argument.
+ */
+function changesEvaluation(args, order) {
+  const simple = (index) => !args[index].spread && SIMPLE_ARGUMENT_TYPES.has(args[index].expression.type);
+  const kept = order.filter((entry) => typeof entry === 'number');
+  if (args.some((arg, index) => !kept.includes(index) && !simple(index))) {
+    return true;
+  }
+  return kept.some((index, position) => kept.slice(position + 1)
+    .some((later) => later < index && (!simple(index) || !simple(later))));
+}
+
+function describeSite(view, offset, kind, extra = {}) {
+  const { line, column } = positionAt(view.source, offset);
+  return {
+    file: view.relativePath,
+    line,
+    column,
+    kind,
+    text: view.source.slice(lineStart(view.source, offset), lineEnd(view.source, offset)).trim(),
+    ...extra
+  };
+}
+
+function planCallEdit(view, call, params, next, unresolved, force) {
+  const argRanges = call.arguments.map((arg) => {
+    const expressionRange = nodeRange(view, arg.expression);
+    const start = arg.spread ? normalizedRange(view, toByteSpan(arg.spread)).start : expressionRange.start;
+    return { start, end: expressionRange.end, spread: Boolean(arg.spread) };
+  });
+  const callStart = nodeRange(view, call).start;
+  const fixedCount = params.filter((param) => !param.rest).length;
+  const spreadIndex = argRanges.findIndex((range) => range.spread);
+  if (spreadIndex !== -1 && spreadIndex < fixedCount) {
+    unresolved.push(describeSite(view, callStart, 'spread-call'));
+    return null;
+  }
+
+  const argTexts = argRanges.map((range) => view.source.slice(range.start, range.end));
+  const order = remapArguments(argTexts.length, params, next);
+  if (!force && changesEvaluation(call.arguments, order)) {
+    unresolved.push(describeSite(view, callStart, 'side-effect-arguments'));
+    return null;
+  }
+  const newTexts = order.map((entry) => {
+    if (entry === null) return 'undefined';
+    return typeof entry === 'number' ? argTexts[entry] : entry.value;
+  });
+  const before = argTexts.join(', ');
+  const after = newTexts.join(', ');
+  if (before === after) {
+    return null;
+  }
+
+  let range;
+  if (argRanges.length > 0) {
+    range = { start: argRanges[0].start, end: argRanges[argRanges.length - 1].end };
+  } else {
+    const calleeEnd = call.typeArguments && call.typeArguments.span
+      ? nodeRange(view, call.typeArguments).end
+      : nodeRange(view, call.callee).end;
+    const offset = openParenAfter(view.source, calleeEnd);
+    range = { start: offset, end: offset };
+  }
+  return {
+    edit: { range, text: newTexts.join(separatorBetween(view.source, argRanges)) },
+    site: describeSite(view, callStart, 'call', { before, after })
+  };
+}
+
+function collectCalls(view) {
+  const callsByCallee = new Map();
+  walkAst(view.ast, (node) => {
+    if (node.type === 'CallExpression' && node.callee) {
+      callsByCallee.set(node.callee, node);
+    }
+    return true;
+  });
+  return callsByCallee;
+}
+
+function withinStatements(view, span, statements) {
+  const { start } = normalizedRange(view, span);
+  return statements.some((statement) => {
+    const range = nodeRange(view, statement);
+    return start >= range.start && start < range.end;
+  });
+}
+
+/**
+ * Call sites of the target inside one module: calls through local `bindings`
+ * (the declaration, a named import or require), through `namespaces` members
+ * named in `names`, and through inline `require(...).name(...)` calls. Any
+ * other use passes the function around as a value and is reported unresolved.
+ */
+function planModuleCalls(view, context, sources, params, next) {
+  const callsByCallee = collectCalls(view);
+  const edits = [];
+  const sites = [];
+  const unresolved = [];
+  const exportStatements = view.bindings.exports
+    .filter((entry) => entry.statement && sources.bindings.some((binding) => binding.name === entry.local))
+    .map((entry) => entry.statement);
+
+  const visitCall = (call) => {
+    const planned = planCallEdit(view, call, params, next, unresolved, context.force);
+    if (planned) {
+      edits.push(planned.edit);
+      sites.push(planned.site);
+    }
+  };
+
+  sources.bindings.forEach((binding) => {
+    binding.references.forEach((occurrence) => {
+      const call = callsByCallee.get(occurrence.node);
+      if (call) {
+        visitCall(call);
+      } else if (!withinStatements(view, occurrence.span, exportStatements)) {
+        unresolved.push(describeSite(view, normalizedRange(view, occurrence.span).start, 'reference'));
+      }
+    });
+  });
+
+  view.analysis.memberAccesses
+    .filter((access) => sources.namespaces.includes(access.object.binding) && context.names.has(access.property))
+    .forEach((access) => {
+      const call = callsByCallee.get(access.node);
+      if (call) {
+        visitCall(call);
+      } else {
+        unresolved.push(describeSite(view, normalizedRange(view, access.propertySpan).start, 'reference'));
+      }
+    });
+
+  callsByCallee.forEach((call, callee) => {
+    if (callee.type === 'MemberExpression' && sources.inlineCalls.includes(callee.object)
+      && callee.property.type === 'Identifier' && context.names.has(callee.property.value)) {
+      visitCall(call);
+    }
+  });
+
+  return { edits, sites, unresolved };
+}
+
+function exportedNames(view, name) {
+  return view.bindings.exports
+    .filter((entry) => entry.local === name && entry.kind !== 'esm-reexport')
+    .map((entry) => entry.exported);
+}
+
+/**
+ * How an importer reaches the target's exports (`names`) in `targetFile`:
+ * local bindings it can call directly, namespace objects whose members it
+ * calls, inline require calls, and the names it re-exports onward.
+ */
+function importerSources(graph, view, targetFile, names) {
+  const fromTarget = (entry) => entry.source && graph.resolveSpecifier(view.filePath, entry.source) === targetFile;
+  const moduleBinding = (local) => view.analysis.moduleScope.bindings.get(local) || null;
+  const sources = { bindings: [], namespaces: [], inlineCalls: [], forwarded: new Set() };
+
+  view.bindings.imports.filter(fromTarget).forEach((entry) => {
+    if ((entry.kind === 'named' && names.has(entry.imported)) || (entry.kind === 'default' && names.has('default'))) {
+      sources.bindings.push(moduleBinding(entry.local));
+    } else if (entry.kind === 'namespace' || entry.kind === 'default') {
+      sources.namespaces.push(moduleBinding(entry.local));
+    }
+  });
+
+  view.bindings.requires.filter(fromTarget).forEach((entry) => {
+    if ((entry.kind === 'destructure' || entry.kind === 'member') && names.has(entry.imported)) {
+      sources.bindings.push(moduleBinding(entry.local));
+    } else if (entry.kind === 'namespace') {
+      (names.has('default') ? sources.bindings : sources.namespaces).push(moduleBinding(entry.local));
+    } else if (entry.kind === 'inline-member' && names.has(entry.imported)) {
+      sources.inlineCalls.push(entry.call);
+    }
+  });
+
+  view.bindings.exports.filter(fromTarget).forEach((entry) => {
+    if (entry.kind === 'esm-all') {
+      names.forEach((name) => {
+        if (name !== 'default') sources.forwarded.add(name);
+      });
+    } else if (entry.kind === 'esm-reexport' && names.has(entry.imported)) {
+      sources.forwarded.add(entry.exported);
+    }
+  });
+
+  sources.bindings = sources.bindings.filter(Boolean);
+  sources.namespaces = sources.namespaces.filter(Boolean);
+  return sources;
+}
+
+/**
+ * Plan a signature change for the function behind `record` in `view`: the
+ * rewritten parameter list plus the argument lists of every call site in the
+ * declaring module and, through `graph`, in every module that imports it
+ * (re-exports are followed). Returns one guarded file change per touched file.
+ */
+function planSignatureChange({ view, graph = null, record, spec, force = false }) {
+  const target = resolveSignatureTarget(view, record);
+  const params = describeParams(view, target.fnNode);
+  const { next, removed } = resolveNewParams(view, target, params, spec, { force });
+
+  const fileEdits = new Map();
+  const callSites = [];
+  const unresolved = [];
+  const addPlan = (moduleView, plan) => {
+    if (!fileEdits.has(moduleView.filePath)) {
+      fileEdits.set(moduleView.filePath, { view: moduleView, edits: [], calls: 0 });
+    }
+    const entry = fileEdits.get(moduleView.filePath);
+    entry.edits.push(...plan.edits);
+    entry.calls += plan.sites.length;
+    callSites.push(...plan.sites);
+    unresolved.push(...plan.unresolved);
+  };
+
+  const declaringPlan = planModuleCalls(view, { names: new Set(), force }, { bindings: [target.binding], namespaces: [], inlineCalls: [] }, params, next);
+  declaringPlan.edits.push(planParameterEdit(view, target, params, next));
+  addPlan(view, declaringPlan);
+
+  const names = new Set(exportedNames(view, target.name));
+  if (graph && names.size > 0) {
+    const queue = [{ filePath: view.filePath, names }];
+    const visited = new Set();
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const key = `${current.filePath}:${Array.from(current.names).sort().join(',')}`;
+      if (current.names.size === 0 || visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+      graph.importersOf(current.filePath).forEach((importerPath) => {
+        const importer = graph.getModule(importerPath);
+        if (!importer || importer.filePath === view.filePath) {
+          return;
+        }
+        const sources = importerSources(graph, importer, current.filePath, current.names);
+        addPlan(importer, planModuleCalls(importer, { names: current.names, force }, sources, params, next));
+        if (sources.forwarded.size > 0) {
+          queue.push({ filePath: importer.filePath, names: sources.forwarded });
+        }
+      });
+    }
+  }
+
+  const changes = [];
+  fileEdits.forEach(({ view: moduleView, edits, calls }) => {
+    if (edits.length === 0) {
+      return;
+    }
+    const { text } = applyTextEdits(moduleView.source, edits, moduleView.mapper);
+    if (text === moduleView.source) {
+      return;
+    }
+    changes.push(createFileChange({
+      filePath: moduleView.filePath,
+      relativePath: moduleView.relativePath,
+      before: moduleView.source,
+      after: text,
+      details: { callSites: calls }
+    }));
+  });
+  changes.sort((left, right) => (left.filePath === view.filePath ? -1 : right.filePath === view.filePath ? 1 : left.file.localeCompare(right.file)));
+
+  return {
+    name: target.name,
+    before: params.map((param) => param.text).join(', '),
+    after: next.map((param) => (param.kind === 'existing' ? param.param.text : param.name)).join(', '),
+    added: next.filter((param) => param.kind === 'new').map((param) => ({ name: param.name, value: param.value })),
+    removed: removed.map(formatParamLabel),
+    changes,
+    callSites,
+    unresolved
+  };
+}
+
+module.exports = {
+  parseSignatureSpec,
+  planSignatureChange
+};
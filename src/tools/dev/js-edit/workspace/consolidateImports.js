@@ -0,0 +1,386 @@
+'use strict';
+
+const path = require('path');
+const { walkAst, toByteSpan } = require('../../lib/swcWalk');
+const { isRequireCall } = require('../shared/moduleBindings');
+const { createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+const { lineIndent, detectNewline } = require('../shared/textRanges');
+const {
+  rangeOf,
+  buildRelativeSpecifier,
+  removeStatementEdit,
+  renderBareImport,
+  planRemoveBindings
+} = require('../shared/moduleEdits');
+const { loadModuleGraph } = require('./moduleGraph');
+const { applyPhase, countChangedLines } = require('./refactorSupport');
+
+const SCRIPT_EXTENSION_PATTERN = /\.(?:[cm]?[jt]sx?)$/;
+const JSX_PRAGMA_NAMES = new Set(['React', 'h']);
+const MAX_INLINE_LENGTH = 100;
+
+function stripExtension(specifier) {
+  return specifier.replace(SCRIPT_EXTENSION_PATTERN, '');
+}
+
+function hasJsx(view) {
+  let found = false;
+  walkAst(view.ast, (node) => {
+    if (found) return false;
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+      found = true;
+      return false;
+    }
+    return true;
+  });
+  return found;
+}
+
+/**
+ * Decide which module a `module` option refers to: a workspace file when the
+ * path resolves, otherwise a bare package name or a path suffix such as
+ * `util/CliFormatter` matched against every resolved specifier.
+ */
+function createModuleMatcher(graph, moduleName) {
+  if (!moduleName) {
+    return null;
+  }
+  const normalized = moduleName.replace(/\\/g, '/');
+  const relative = normalized.startsWith('.') || path.isAbsolute(normalized) ? normalized : `./${normalized}`;
+  const target = graph.resolveSpecifier(path.join(graph.rootDir, 'index.js'), relative);
+  const suffix = stripExtension(normalized.replace(/^(?:\.{1,2}\/)+/, ''));
+
+  return {
+    target,
+    matches(source, resolved) {
+      if (target) {
+        return resolved === target;
+      }
+      if (source === normalized) {
+        return true;
+      }
+      const candidate = stripExtension((resolved || source).replace(/\\/g, '/'));
+      return candidate === suffix || candidate.endsWith(`/${suffix}`);
+    }
+  };
+}
+
+/**
+ * Top-level import/require statements of a module, each with the entries
+ * `collectModuleBindings` recorded for it and whether it can be folded into
+ * another statement importing the same module.
+ */
+function collectImportStatements(view, graph) {
+  const entriesByStatement = new Map();
+  [...view.bindings.imports, ...view.bindings.requires].forEach((entry) => {
+    if (!entry.declaration || entry.kind === 'side-effect') return;
+    if (!entriesByStatement.has(entry.declaration)) entriesByStatement.set(entry.declaration, []);
+    entriesByStatement.get(entry.declaration).push(entry);
+  });
+
+  const statements = [];
+  view.ast.body.forEach((node) => {
+    let source = null;
+    let sourceSpan = null;
+    const entries = entriesByStatement.get(node) || [];
+    let style = null;
+    let mergeable = false;
+    let variant = '';
+
+    if (node.type === 'ImportDeclaration') {
+      style = 'esm';
+      source = node.source.value;
+      sourceSpan = toByteSpan(node.source.span);
+      const inlineTypes = (node.specifiers || []).some((specifier) => specifier.isTypeOnly);
+      const hasNamespace = entries.some((entry) => entry.kind === 'namespace');
+      mergeable = !inlineTypes && !hasNamespace && !(node.typeOnly && entries.some((entry) => entry.kind === 'default'));
+      variant = node.typeOnly ? 'type' : 'value';
+    } else if (node.type === 'VariableDeclaration' && entries.length > 0) {
+      style = 'cjs';
+      source = entries[0].source;
+      sourceSpan = entries[0].sourceSpan;
+      const [declarator] = node.declarations;
+      const simplePattern = declarator.id.type === 'ObjectPattern'
+        && declarator.id.properties.length === entries.length
+        && declarator.id.properties.every((property) => (property.type === 'AssignmentPatternProperty' && !property.value)
+          || property.type === 'KeyValuePatternProperty');
+      mergeable = node.declarations.length === 1
+        && (simplePattern || (entries.length === 1 && entries[0].kind === 'member'));
+      variant = node.kind;
+    } else if (node.type === 'ExpressionStatement' && isRequireCall(node.expression)) {
+      style = 'cjs';
+      const argument = node.expression.arguments[0].expression;
+      source = argument.value;
+      sourceSpan = toByteSpan(argument.span);
+    } else {
+      return;
+    }
+
+    const resolved = source.startsWith('.') ? graph.resolveSpecifier(view.filePath, source) : null;
+    statements.push({
+      node,
+      style,
+      source,
+      sourceSpan,
+      resolved,
+      entries,
+      sideEffect: entries.length === 0,
+      mergeable,
+      key: `${style}:${resolved || source}`,
+      variant
+    });
+  });
+  return statements;
+}
+
+function renderMerged(view, first, shape) {
+  const firstRange = rangeOf(view, first.node);
+  const original = view.source.slice(firstRange.start, firstRange.end);
+  const semicolon = original.trimEnd().endsWith(';') ? ';' : '';
+  const quote = view.source[rangeOf(view, first.sourceSpan).start];
+  const quoted = `${quote}${first.source}${quote}`;
+  const items = shape.named.map(({ imported, local }) => {
+    if (local === imported) return imported;
+    return first.style === 'esm' ? `${imported} as ${local}` : `${imported}: ${local}`;
+  });
+
+  const renderList = (multiline) => {
+    if (items.length === 0) return '';
+    if (!multiline) return `{ ${items.join(', ')} }`;
+    const newline = detectNewline(view.source);
+    const indent = lineIndent(view.source, firstRange.start);
+    return `{${newline}${items.map((item) => `${indent}  ${item}`).join(`,${newline}`)}${newline}${indent}}`;
+  };
+
+  const render = (multiline) => {
+    if (first.style === 'esm') {
+      const parts = [shape.defaultName, renderList(multiline)].filter(Boolean);
+      const keyword = first.variant === 'type' ? 'import type' : 'import';
+      return `${keyword} ${parts.join(', ')} from ${quoted}${semicolon}`;
+    }
+    return `${first.variant} ${renderList(multiline)} = require(${quoted})${semicolon}`;
+  };
+
+  const inline = render(false);
+  const multiline = original.includes('\n') || inline.length > MAX_INLINE_LENGTH;
+  return multiline ? render(true) : inline;
+}
+
+/**
+ * Plan the first pass over one module: fold statements importing the same
+ * module into the first of them and, unless `dropUnused` is off, drop bindings
+ * nothing references. A statement left without bindings becomes a bare import or
+ * require rather than disappearing, so the module's side effects still run.
+ */
+function planMerges(view, statements, options) {
+  const moduleScope = view.analysis.moduleScope;
+  const keepPragma = hasJsx(view);
+  const isUnused = (entry) => {
+    if (!options.dropUnused || !entry.local) return false;
+    if (keepPragma && JSX_PRAGMA_NAMES.has(entry.local)) return false;
+    const binding = moduleScope.bindings.get(entry.local);
+    return Boolean(binding) && binding.references.length === 0;
+  };
+
+  // Bare `import 'x'` / `require('x')` statements join the first group for their module.
+  const groups = new Map();
+  const addToGroup = (key, statement) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(statement);
+  };
+  statements
+    .filter((statement) => statement.mergeable && !statement.sideEffect)
+    .forEach((statement) => addToGroup(`${statement.key}:${statement.variant}`, statement));
+  statements
+    .filter((statement) => statement.sideEffect)
+    .forEach((statement) => {
+      const key = Array.from(groups.keys()).find((candidate) => candidate.startsWith(`${statement.key}:`) && !candidate.endsWith(':type'));
+      addToGroup(key || `${statement.key}:`, statement);
+    });
+
+  const edits = [];
+  const merged = new Set();
+  let importsMerged = 0;
+  let bindingsDropped = 0;
+
+  groups.forEach((group) => {
+    const bound = group.filter((statement) => !statement.sideEffect);
+    const sideEffects = group.filter((statement) => statement.sideEffect);
+    // A lone statement has nothing to merge with; repeated bare imports collapse to one.
+    if (bound.length === 0) {
+      sideEffects.slice(1).forEach((statement) => {
+        edits.push(removeStatementEdit(view, statement.node));
+        merged.add(statement);
+        importsMerged += 1;
+      });
+      return;
+    }
+    if (group.length < 2) return;
+
+    const shape = { defaultName: null, named: [] };
+    const seen = new Set();
+    const folded = [];
+    bound.forEach((statement) => {
+      const defaultEntry = statement.entries.find((entry) => entry.kind === 'default');
+      if (defaultEntry && shape.defaultName && shape.defaultName !== defaultEntry.local) {
+        // Two different default bindings cannot share one statement.
+        return;
+      }
+      folded.push(statement);
+      statement.entries.forEach((entry) => {
+        const id = `${entry.kind === 'default' ? 'default' : entry.imported}:${entry.local}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        if (isUnused(entry)) {
+          bindingsDropped += 1;
+          return;
+        }
+        if (entry.kind === 'default') shape.defaultName = entry.local;
+        else shape.named.push({ imported: entry.imported, local: entry.local });
+      });
+    });
+    const absorbed = [...folded, ...sideEffects].sort((a, b) => a.node.span.start - b.node.span.start);
+    if (absorbed.length < 2) return;
+
+    const [first, ...rest] = absorbed;
+    const anchor = first.sideEffect ? folded[0] : first;
+    if (shape.defaultName || shape.named.length > 0) {
+      edits.push({ range: rangeOf(view, first.node), text: renderMerged(view, anchor, shape) });
+    } else if (!first.sideEffect) {
+      // Every binding went unused: the module is still loaded for its side effects.
+      const bare = renderBareImport(view, first.node);
+      edits.push(bare === null ? removeStatementEdit(view, first.node) : { range: rangeOf(view, first.node), text: bare });
+    }
+    rest.forEach((statement) => edits.push(removeStatementEdit(view, statement.node)));
+    absorbed.forEach((statement) => merged.add(statement));
+    importsMerged += absorbed.length - 1;
+  });
+
+  const unused = statements
+    .filter((statement) => !merged.has(statement))
+    .flatMap((statement) => statement.entries.filter(isUnused));
+  edits.push(...planRemoveBindings(view, unused, { keepBare: true }));
+  bindingsDropped += unused.length;
+
+  return { edits, importsMerged, bindingsDropped };
+}
+
+/**
+ * Plan the second pass: point every specifier of the requested module at the
+ * canonical path, written relative to the importing file.
+ */
+function planNormalization(view, statements, matcher, keepExtension) {
+  const edits = [];
+  statements.forEach((statement) => {
+    if (!statement.resolved || !matcher.matches(statement.source, statement.resolved)) return;
+    let canonical = buildRelativeSpecifier(view.filePath, statement.resolved, { keepExtension });
+    if (!keepExtension) {
+      canonical = canonical.replace(/\/index$/, '') || '.';
+    }
+    if (canonical === statement.source) return;
+    const range = rangeOf(view, statement.sourceSpan);
+    const quote = view.source[range.start];
+    edits.push({ range, text: `${quote}${canonical}${quote}` });
+  });
+  return edits;
+}
+
+/**
+ * Tidy the import/require statements of every module in a workspace: requires
+ * or imports of the same module are merged into one destructuring (or one
+ * named import list) at the position of the first, unused bindings are
+ * dropped unless `dropUnused` is false, and, when `module` is given, every specifier that resolves to it is
+ * rewritten to the same canonical relative path. With `module`, only imports
+ * of that module are touched. Files are written only when `dryRun` is false
+ * and every guard passes.
+ */
+function consolidateImports(options = {}) {
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
+  const dryRun = options.dryRun !== false;
+  const force = options.force === true;
+  const dropUnused = options.dropUnused !== false;
+  const graph = loadModuleGraph(workspaceRoot, { exclude: options.exclude });
+  const matcher = createModuleMatcher(graph, options.module || null);
+  const inScope = (statement) => !matcher || matcher.matches(statement.source, statement.resolved);
+
+  // One canonical form across the workspace: extensions follow the majority.
+  const matching = [];
+  const views = graph.files
+    .map((file) => graph.getModule(file.filePath))
+    .filter(Boolean)
+    .map((view) => {
+      const statements = collectImportStatements(view, graph).filter(inScope);
+      if (matcher) matching.push(...statements.filter((statement) => statement.resolved));
+      return { view, statements };
+    });
+  const keepExtension = typeof options.keepExtension === 'boolean'
+    ? options.keepExtension
+    : matching.filter((statement) => SCRIPT_EXTENSION_PATTERN.test(statement.source)).length * 2 > matching.length;
+
+  const changes = [];
+  let filesMatched = 0;
+  views.forEach(({ view, statements }) => {
+    if (statements.length === 0) return;
+    filesMatched += 1;
+
+    const merges = planMerges(view, statements, { dropUnused });
+    let current = applyPhase(view, merges.edits);
+    let specifiersNormalized = 0;
+    if (matcher) {
+      const normalization = planNormalization(current, collectImportStatements(current, graph), matcher, keepExtension);
+      specifiersNormalized = normalization.length;
+      current = applyPhase(current, normalization);
+    }
+    if (current.source === view.source) return;
+
+    changes.push(createFileChange({
+      filePath: view.filePath,
+      relativePath: view.relativePath,
+      before: view.source,
+      after: current.source,
+      details: {
+        importsMerged: merges.importsMerged,
+        bindingsDropped: merges.bindingsDropped,
+        specifiersNormalized
+      }
+    }));
+  });
+
+  changes.sort((a, b) => a.file.localeCompare(b.file));
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0 && !force) {
+    throw new Error(`consolidate-imports produced invalid syntax in ${broken.map((change) => `${change.file} (${change.syntaxError})`).join(', ')}.`);
+  }
+
+  const total = (key) => changes.reduce((sum, change) => sum + change[key], 0);
+  const summary = {
+    module: options.module || null,
+    canonicalTarget: matcher && matcher.target ? graph.relativePath(matcher.target) : null,
+    status: dryRun ? 'preview' : 'consolidated',
+    filesMatched,
+    filesChanged: changes.length,
+    importsMerged: total('importsMerged'),
+    bindingsDropped: total('bindingsDropped'),
+    specifiersNormalized: total('specifiersNormalized'),
+    importsNormalized: total('importsMerged') + total('bindingsDropped') + total('specifiersNormalized'),
+    linesChanged: changes.reduce((sum, change) => sum + countChangedLines(change.diff), 0),
+    diff: changes.map((change) => change.diff).join('\n'),
+    guard: changes.map((change) => ({
+      file: change.file,
+      status: 'pending',
+      expectedHash: change.beforeHash,
+      afterHash: change.afterHash
+    })),
+    files: []
+  };
+
+  if (!dryRun && changes.length > 0) {
+    summary.guard = commitFileChanges(changes, { force, journal: options.journal });
+  }
+  summary.files = changes.map(describeFileChange);
+  return summary;
+}
+
+module.exports = {
+  consolidateImports
+};
@@ -0,0 +1,272 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { toByteSpan } = require('../../lib/swcWalk');
+const { applyTextEdits, createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+const { detectNewline, findLeadingCommentStart, statementLineRange } = require('../shared/textRanges');
+const {
+  rangeOf,
+  detectModuleKind,
+  detectQuote,
+  prefersExtensions,
+  buildRelativeSpecifier,
+  formatImportStatements,
+  planAddImports,
+  planAddExports,
+  planRemoveBindings
+} = require('../shared/moduleEdits');
+const { loadModuleGraph } = require('./moduleGraph');
+const {
+  findTopLevelFunction,
+  findTopLevelDeclaration,
+  functionRecordHash,
+  withinSpan,
+  topLevelImportEntry,
+  groupImportEntries,
+  rebaseSpecifier,
+  applyPhase,
+  countChangedLines,
+  hasUseStrict,
+  renderNewModule
+} = require('./refactorSupport');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Starting from the requested functions, pull in every top-level declaration
+ * they (transitively) reference. Imports the extracted code relies on are
+ * collected separately so the new module can re-declare them.
+ */
+function collectClosure(sourceView, roots) {
+  const analysis = sourceView.analysis;
+  const moduleScope = analysis.moduleScope;
+  const units = new Map();
+  const importEntries = new Set();
+  const queue = [];
+
+  const addUnit = (located, requested) => {
+    if (units.has(located.statement)) {
+      if (requested) units.get(located.statement).requested = true;
+      return;
+    }
+    const unit = { ...located, requested, span: toByteSpan(located.statement.span) };
+    units.set(located.statement, unit);
+    queue.push(unit);
+  };
+
+  roots.forEach((located) => addUnit(located, true));
+
+  while (queue.length > 0) {
+    const unit = queue.shift();
+    analysis.occurrences.forEach((occurrence) => {
+      const binding = occurrence.binding;
+      if (occurrence.isDeclaration || !binding || binding.scope !== moduleScope) return;
+      if (!withinSpan(occurrence.span, unit.span)) return;
+
+      const entry = topLevelImportEntry(sourceView, binding.name);
+      if (entry) {
+        if (entry.source) importEntries.add(entry);
+        return;
+      }
+      const declaration = findTopLevelDeclaration(sourceView, binding.name);
+      if (!declaration) {
+        throw new Error(`extract-to-module cannot extract "${unit.names[0]}": "${binding.name}" is not declared by a top-level declaration in ${sourceView.relativePath}.`);
+      }
+      addUnit(declaration, false);
+    });
+  }
+
+  return {
+    units: Array.from(units.values()).sort((a, b) => a.span.start - b.span.start),
+    importEntries: Array.from(importEntries)
+  };
+}
+
+/**
+ * Carve several top-level functions out of a source file into a new module.
+ * Helpers and constants the functions close over move with them, the imports
+ * they need are re-declared in the new module, and the source imports back
+ * whatever it still uses (its own exports keep working through that import).
+ * Files are written only when `dryRun` is false and every guard passes.
+ */
+function extractToModule(options = {}) {
+  const names = Array.isArray(options.functions) ? options.functions : [];
+  if (names.length === 0) {
+    throw new Error('extract-to-module requires at least one function name.');
+  }
+  names.forEach((name) => {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+      throw new Error(`extract-to-module requires valid function names (received ${JSON.stringify(name)}).`);
+    }
+  });
+  if (!options.sourceFile || !options.targetFile) {
+    throw new Error('extract-to-module requires both a source file and a target module.');
+  }
+
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
+  const dryRun = options.dryRun !== false;
+  const force = options.force === true;
+  const graph = loadModuleGraph(workspaceRoot, { exclude: options.exclude });
+  const sourcePath = path.resolve(workspaceRoot, options.sourceFile);
+  const targetPath = path.resolve(workspaceRoot, options.targetFile);
+
+  const sourceView = graph.getModule(sourcePath);
+  if (!sourceView) {
+    throw new Error(`extract-to-module could not read ${options.sourceFile} inside ${workspaceRoot}.`);
+  }
+  if (fs.existsSync(targetPath)) {
+    throw new Error(`extract-to-module creates a new module but ${graph.relativePath(targetPath)} already exists. Use move-function to move code into an existing file.`);
+  }
+
+  const expectHashes = options.expectHashes || {};
+  const roots = names.map((name) => {
+    const located = findTopLevelFunction(sourceView, name);
+    if (!located) {
+      throw new Error(`extract-to-module could not find a top-level function "${name}" in ${sourceView.relativePath}.`);
+    }
+    const expected = expectHashes[name];
+    if (expected && !force) {
+      const actual = functionRecordHash(sourceView, name);
+      if (actual !== expected) {
+        throw new Error(`Hash mismatch for ${name} in ${sourceView.relativePath}: expected ${expected}, found ${actual}. Re-run --locate and retry or pass --force to override.`);
+      }
+    }
+    return { ...located, names: findTopLevelDeclaration(sourceView, name).names };
+  });
+
+  const { units, importEntries } = collectClosure(sourceView, roots);
+  const movedSpans = units.map((unit) => unit.span);
+  const insideMoved = (span) => movedSpans.some((moved) => withinSpan(span, moved));
+  const moduleScope = sourceView.analysis.moduleScope;
+
+  // Names the remaining source still needs (including its export entries).
+  const importedBack = [];
+  units.forEach((unit) => {
+    unit.names.forEach((name) => {
+      const binding = moduleScope.bindings.get(name);
+      if (!binding) return;
+      const outside = binding.references.filter((reference) => !insideMoved(reference.span));
+      if (outside.some((reference) => reference.isWrite)) {
+        throw new Error(`extract-to-module cannot extract "${name}": it is reassigned outside the extracted code in ${sourceView.relativePath}.`);
+      }
+      if (outside.length > 0 || unit.exported) {
+        importedBack.push(name);
+      }
+    });
+  });
+
+  const moduleKind = detectModuleKind(sourceView);
+  const newline = detectNewline(sourceView.source);
+  const quote = detectQuote(sourceView);
+  const keepExtension = moduleKind === 'esm' && prefersExtensions(sourceView);
+
+  const exportNames = [];
+  units.forEach((unit) => {
+    unit.names.forEach((name) => {
+      if ((unit.requested && names.includes(name)) || importedBack.includes(name)) {
+        exportNames.push(name);
+      }
+    });
+  });
+
+  // New module: re-declared imports, then the extracted code in source order.
+  const importLines = groupImportEntries(importEntries).flatMap((shape) => formatImportStatements(
+    moduleKind,
+    rebaseSpecifier(graph, shape.source, sourcePath, targetPath),
+    shape,
+    quote
+  ));
+  const blocks = units.map((unit) => {
+    const range = rangeOf(sourceView, unit.statement);
+    const leading = sourceView.source.slice(findLeadingCommentStart(sourceView.source, range.start), range.start);
+    const text = sourceView.source.slice(range.start, range.end);
+    const needsExport = moduleKind === 'esm' && !unit.exported && unit.names.some((name) => exportNames.includes(name));
+    return `${leading}${needsExport ? 'export ' : ''}${text}`;
+  });
+  const targetText = renderNewModule({
+    moduleKind,
+    newline,
+    useStrict: hasUseStrict(sourceView),
+    importLines,
+    blocks,
+    exportNames
+  });
+
+  // Source: drop the extracted code and imports only it used, then import back.
+  const unusedImports = importEntries.filter((entry) => {
+    const binding = moduleScope.bindings.get(entry.local);
+    return binding && binding.references.every((reference) => insideMoved(reference.span));
+  });
+  const removals = units.map((unit) => {
+    const range = rangeOf(sourceView, unit.statement);
+    return {
+      range: statementLineRange(sourceView.source, findLeadingCommentStart(sourceView.source, range.start), range.end),
+      text: ''
+    };
+  });
+  const trimmed = applyPhase(sourceView, [...removals, ...planRemoveBindings(sourceView, unusedImports)]);
+
+  const additions = [];
+  const sourceImportLines = [];
+  if (importedBack.length > 0) {
+    const specifier = buildRelativeSpecifier(sourcePath, targetPath, { keepExtension });
+    sourceImportLines.push(...formatImportStatements(moduleKind, specifier, {
+      named: importedBack.map((name) => ({ imported: name, local: name }))
+    }, quote));
+    additions.push(...planAddImports(trimmed, sourceImportLines));
+    const reexported = units
+      .filter((unit) => unit.exported)
+      .flatMap((unit) => unit.names);
+    if (moduleKind === 'esm' && reexported.length > 0) {
+      additions.push(...planAddExports(trimmed, reexported, 'esm'));
+    }
+  }
+  const sourceText = applyTextEdits(trimmed.source, additions, trimmed.mapper).text;
+
+  const changes = [
+    createFileChange({
+      filePath: sourcePath,
+      relativePath: sourceView.relativePath,
+      before: sourceView.source,
+      after: sourceText,
+      details: { role: 'source' }
+    }),
+    createFileChange({
+      filePath: targetPath,
+      relativePath: graph.relativePath(targetPath),
+      before: null,
+      after: targetText,
+      details: { role: 'target' }
+    })
+  ];
+  changes.sort((a, b) => a.file.localeCompare(b.file));
+
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0 && !force) {
+    throw new Error(`extract-to-module produced invalid syntax in ${broken.map((change) => `${change.file} (${change.syntaxError})`).join(', ')}.`);
+  }
+
+  const requested = new Set(names);
+  const summary = {
+    functions: names,
+    helpers: units.flatMap((unit) => unit.names).filter((name) => !requested.has(name)),
+    sourceFile: sourceView.relativePath,
+    targetFile: graph.relativePath(targetPath),
+    status: dryRun ? 'preview' : 'extracted',
+    exports: exportNames,
+    importsUpdated: importLines.length + sourceImportLines.length,
+    linesChanged: changes.reduce((total, change) => total + countChangedLines(change.diff), 0),
+    files: []
+  };
+
+  if (!dryRun) {
+    summary.guard = commitFileChanges(changes, { force, journal: options.journal });
+  }
+  summary.files = changes.map(describeFileChange);
+  return summary;
+}
+
+module.exports = {
+  extractToModule
+};
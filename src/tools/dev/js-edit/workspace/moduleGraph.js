@@ -0,0 +1,108 @@
+'use strict';
+
+const path = require('path');
+const { scanWorkspace, resolveDependencyCandidates, DEFAULT_EXTENSIONS } = require('../../js-scan/shared/scanner');
+const { createByteMapper } = require('../../lib/swcAst');
+const { parseForFile } = require('../shared/changeSet');
+const { analyzeScopes } = require('../shared/scopeAnalysis');
+const { collectModuleBindings } = require('../shared/moduleBindings');
+
+/**
+ * Parsed view of one module. Scope analysis and module bindings are computed on
+ * first access; refactors also use this to re-read a file after an edit pass.
+ */
+function createModuleView(filePath, source, options = {}) {
+  const ast = parseForFile(filePath, source);
+  let analysis = null;
+  let bindings = null;
+  return {
+    filePath,
+    relativePath: options.relativePath || filePath,
+    record: options.record || null,
+    source,
+    ast,
+    mapper: options.mapper || createByteMapper(source),
+    get analysis() {
+      if (!analysis) analysis = analyzeScopes(ast);
+      return analysis;
+    },
+    get bindings() {
+      if (!bindings) bindings = collectModuleBindings(ast);
+      return bindings;
+    }
+  };
+}
+
+/**
+ * Scan a workspace once and expose lazily parsed per-file views (AST, scope
+ * analysis, module bindings) plus specifier resolution and reverse-dependency
+ * lookups. Multi-file refactors share this so every file is parsed at most once.
+ */
+function loadModuleGraph(rootDir, options = {}) {
+  const resolvedRoot = path.resolve(rootDir);
+  const scan = scanWorkspace({
+    rootDir: resolvedRoot,
+    exclude: options.exclude,
+    extensions: options.extensions
+  });
+  const candidateExtensions = Array.isArray(options.extensions) && options.extensions.length > 0
+    ? options.extensions
+    : DEFAULT_EXTENSIONS;
+  const records = new Map(scan.files.map((record) => [path.resolve(record.filePath), record]));
+  const modules = new Map();
+
+  const relativePath = (filePath) => path.relative(resolvedRoot, filePath).replace(/\\/g, '/');
+
+  function getModule(filePath) {
+    const absolute = path.resolve(filePath);
+    if (modules.has(absolute)) {
+      return modules.get(absolute);
+    }
+    const record = records.get(absolute);
+    if (!record) {
+      return null;
+    }
+    const view = createModuleView(absolute, record.source, {
+      relativePath: relativePath(absolute),
+      record,
+      mapper: record.mapper
+    });
+    modules.set(absolute, view);
+    return view;
+  }
+
+  function resolveSpecifier(fromFile, specifier) {
+    const candidates = resolveDependencyCandidates(fromFile, specifier, {
+      rootDir: resolvedRoot,
+      candidateExtensions
+    });
+    const match = candidates.map((candidate) => path.resolve(candidate)).find((candidate) => records.has(candidate));
+    return match || null;
+  }
+
+  function importersOf(filePath) {
+    const target = relativePath(path.resolve(filePath));
+    return scan.files
+      .filter((record) => {
+        const resolved = record.resolvedDependencies || { imports: [], requires: [] };
+        return resolved.imports.includes(target) || resolved.requires.includes(target);
+      })
+      .map((record) => path.resolve(record.filePath));
+  }
+
+  return {
+    rootDir: resolvedRoot,
+    files: scan.files,
+    errors: scan.errors,
+    hasFile: (filePath) => records.has(path.resolve(filePath)),
+    getModule,
+    resolveSpecifier,
+    importersOf,
+    relativePath
+  };
+}
+
+module.exports = {
+  createModuleView,
+  loadModuleGraph
+};
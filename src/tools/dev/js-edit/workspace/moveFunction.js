@@ -0,0 +1,449 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { extractCode, createDigest } = require('../../lib/swcAst');
+const { toByteSpan } = require('../../lib/swcWalk');
+const { applyTextEdits, createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+const { detectNewline, findLeadingCommentStart, statementLineRange } = require('../shared/textRanges');
+const {
+  rangeOf,
+  detectModuleKind,
+  detectQuote,
+  prefersExtensions,
+  buildRelativeSpecifier,
+  formatImportStatement,
+  formatImportStatements,
+  planAddImports,
+  planRemoveBindings,
+  planRemoveExports,
+  planAddExports,
+  planInsertDeclaration,
+  appendStatementEdit
+} = require('../shared/moduleEdits');
+const { loadModuleGraph, createModuleView } = require('./moduleGraph');
+const {
+  findTopLevelFunction,
+  functionRecordHash,
+  withinSpan,
+  exportEntriesFor,
+  topLevelImportEntry,
+  groupImportEntries,
+  shapeLocals,
+  rebaseSpecifier,
+  applyPhase,
+  countChangedLines,
+  hasUseStrict,
+  renderNewModule
+} = require('./refactorSupport');
+
+/**
+ * Work out what the moved function needs from its old module: imports to
+ * replicate in the target, exported helpers to import back from the source,
+ * and imports that become unused in the source once the function is gone.
+ */
+function planDependencies(graph, sourceView, located, targetPath, targetKind) {
+  const analysis = sourceView.analysis;
+  const moduleScope = analysis.moduleScope;
+  const moved = moduleScope.bindings.get(located.name);
+  const fnSpan = toByteSpan(located.statement.span);
+  const dependencies = new Set();
+
+  analysis.occurrences.forEach((occurrence) => {
+    if (occurrence.isDeclaration || !occurrence.binding || occurrence.binding === moved) return;
+    if (occurrence.binding.scope !== moduleScope || !withinSpan(occurrence.span, fnSpan)) return;
+    dependencies.add(occurrence.binding);
+  });
+
+  const importEntries = [];
+  const unusedSourceImports = [];
+  const helperImports = [];
+  const targetExtensions = targetKind === 'esm' && prefersExtensions(sourceView);
+
+  dependencies.forEach((binding) => {
+    const entry = topLevelImportEntry(sourceView, binding.name);
+    if (entry) {
+      if (!entry.source) return;
+      importEntries.push(entry);
+      if (binding.references.every((reference) => withinSpan(reference.span, fnSpan))) {
+        unusedSourceImports.push(entry);
+      }
+      return;
+    }
+
+    const exported = exportEntriesFor(sourceView, binding.name)
+      .find((exportEntry) => exportEntry.exported && exportEntry.exported !== 'default');
+    if (!exported) {
+      throw new Error(`move-function cannot move "${located.name}": it uses module-private ${binding.kind} "${binding.name}" from ${sourceView.relativePath}. Export it first or use extract-to-module to move both.`);
+    }
+    helperImports.push({ imported: exported.exported, local: binding.name });
+  });
+
+  const targetImports = groupImportEntries(importEntries).map((shape) => ({
+    source: rebaseSpecifier(graph, shape.source, sourceView.filePath, targetPath),
+    resolved: shape.source.startsWith('.') ? graph.resolveSpecifier(sourceView.filePath, shape.source) : shape.source,
+    shape
+  }));
+  if (helperImports.length > 0) {
+    targetImports.push({
+      source: buildRelativeSpecifier(targetPath, sourceView.filePath, { keepExtension: targetExtensions }),
+      resolved: sourceView.filePath,
+      shape: { named: helperImports }
+    });
+  }
+
+  return { targetImports, unusedSourceImports };
+}
+
+/**
+ * Drop target imports that already exist (same local name from the same
+ * module) and refuse imports whose local name is taken by something else.
+ */
+function filterTargetImports(graph, targetView, imports) {
+  if (!targetView) return imports;
+  const bindings = targetView.analysis.moduleScope.bindings;
+  return imports
+    .map((entry) => {
+      const missing = shapeLocals(entry.shape).filter((local) => {
+        const existing = bindings.get(local);
+        if (!existing) return true;
+        const existingImport = topLevelImportEntry(targetView, local);
+        const sameModule = existingImport && (existingImport.source.startsWith('.')
+          ? graph.resolveSpecifier(targetView.filePath, existingImport.source) === entry.resolved
+          : existingImport.source === entry.resolved);
+        if (!sameModule) {
+          throw new Error(`move-function cannot add "${local}" to ${targetView.relativePath}: the name is already declared there.`);
+        }
+        return false;
+      });
+      if (missing.length === 0) return null;
+      const keep = (local) => (local && missing.includes(local) ? local : null);
+      return {
+        ...entry,
+        shape: {
+          defaultName: keep(entry.shape.defaultName),
+          namespaceName: keep(entry.shape.namespaceName),
+          named: (entry.shape.named || []).filter((item) => missing.includes(item.local))
+        }
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Rewrite one importer of the source module so it pulls `name` from the
+ * target instead. Statements that import only `name` get a new specifier;
+ * shared statements lose the binding and a dedicated import is added.
+ */
+function planImporter(graph, view, sourcePath, targetPath, name) {
+  const fromSource = (entry) => entry.source && graph.resolveSpecifier(view.filePath, entry.source) === sourcePath;
+  const moduleKind = detectModuleKind(view);
+  const quote = detectQuote(view);
+  const specifierFor = (reference) => buildRelativeSpecifier(view.filePath, targetPath, { reference });
+  const quoted = (entry) => {
+    const literal = view.source.slice(rangeOf(view, entry.sourceSpan).start, rangeOf(view, entry.sourceSpan).end);
+    const mark = literal[0] === '"' || literal[0] === '`' ? literal[0] : "'";
+    return `${mark}${specifierFor(entry.source)}${mark}`;
+  };
+
+  const rewrites = [];
+  const removals = [];
+  const exportRemovals = [];
+  const additions = [];
+  const appended = [];
+  let updated = 0;
+
+  view.bindings.imports.filter(fromSource).forEach((entry) => {
+    if (entry.kind === 'named' && entry.imported === name) {
+      if (entry.declaration.specifiers.length === 1) {
+        rewrites.push({ span: entry.sourceSpan, text: quoted(entry) });
+      } else {
+        removals.push(entry);
+        additions.push(formatImportStatement(moduleKind, specifierFor(entry.source), { named: [{ imported: name, local: entry.local }] }, quote));
+      }
+      updated += 1;
+    } else if (entry.kind === 'namespace') {
+      updated += planNamespaceAccesses(view, entry, name, specifierFor(entry.source), moduleKind, quote, { rewrites, removals, additions });
+    }
+  });
+
+  view.bindings.requires.filter(fromSource).forEach((entry) => {
+    if (entry.kind === 'destructure' && entry.imported === name) {
+      const soleBinding = entry.declaration.declarations.length === 1 && entry.declarator.id.properties.length === 1;
+      if (soleBinding) {
+        rewrites.push({ span: entry.sourceSpan, text: quoted(entry) });
+      } else {
+        removals.push(entry);
+        additions.push(formatImportStatement('commonjs', specifierFor(entry.source), { named: [{ imported: name, local: entry.local }] }, quote));
+      }
+      updated += 1;
+    } else if ((entry.kind === 'member' || entry.kind === 'inline-member') && entry.imported === name) {
+      rewrites.push({ span: entry.sourceSpan, text: quoted(entry) });
+      updated += 1;
+    } else if (entry.kind === 'namespace') {
+      updated += planNamespaceAccesses(view, entry, name, specifierFor(entry.source), 'commonjs', quote, { rewrites, removals, additions });
+    }
+  });
+
+  view.bindings.exports.filter(fromSource).forEach((entry) => {
+    if (entry.kind === 'esm-reexport' && entry.imported === name) {
+      if (entry.statement.specifiers.length === 1) {
+        rewrites.push({ span: entry.sourceSpan, text: quoted(entry) });
+      } else {
+        exportRemovals.push(entry);
+        const alias = entry.exported !== name ? ` as ${entry.exported}` : '';
+        appended.push(`export { ${name}${alias} } from ${quote}${specifierFor(entry.source)}${quote};`);
+      }
+      updated += 1;
+    } else if (entry.kind === 'esm-all') {
+      appended.push(`export { ${name} } from ${quote}${specifierFor(entry.source)}${quote};`);
+      updated += 1;
+    }
+  });
+
+  return {
+    updated,
+    first: [...rewrites, ...planRemoveBindings(view, removals), ...planRemoveExports(view, exportRemovals)],
+    second: (next) => [
+      ...planAddImports(next, Array.from(new Set(additions))),
+      ...appended.map((text) => appendStatementEdit(next, text))
+    ]
+  };
+}
+
+/**
+ * `ns.name` accesses through a namespace import of the source become direct
+ * references to a named import from the target; the namespace import goes
+ * away when nothing else uses it.
+ */
+function planNamespaceAccesses(view, entry, name, specifier, moduleKind, quote, plan) {
+  const { rewrites, removals, additions } = plan;
+  const binding = view.analysis.moduleScope.bindings.get(entry.local);
+  if (!binding) return 0;
+  const accesses = view.analysis.memberAccesses
+    .filter((access) => access.object.binding === binding && access.property === name);
+  if (accesses.length === 0) return 0;
+
+  // A direct import of the same function (also being redirected) can be reused.
+  const existing = view.analysis.moduleScope.bindings.get(name);
+  const direct = existing ? topLevelImportEntry(view, name) : null;
+  const reusable = direct && direct.imported === name && direct.source === entry.source;
+  if (existing && !reusable) {
+    throw new Error(`move-function cannot rewrite ${entry.local}.${name} in ${view.relativePath}: "${name}" is already declared there.`);
+  }
+  accesses.forEach((access) => {
+    rewrites.push({
+      span: { ...access.object.span, end: access.propertySpan.end, byteEnd: access.propertySpan.byteEnd },
+      text: name
+    });
+  });
+  if (binding.references.length === accesses.length) {
+    removals.push(entry);
+  }
+  if (!reusable) {
+    additions.push(formatImportStatement(moduleKind, specifier, { named: [{ imported: name, local: name }] }, quote));
+  }
+  return accesses.length;
+}
+
+/**
+ * Move a top-level function from one module to another: the declaration (with
+ * its leading comments) is cut from the source, the imports it relies on are
+ * replicated in the target, the target exports it, and every importer found
+ * through the scanner's dependency graph is pointed at the new module. With
+ * `reexport` the source keeps exporting the function through a shim import.
+ * Files are written only when `dryRun` is false and every guard passes.
+ */
+function moveFunction(options = {}) {
+  const { name } = options;
+  if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new Error(`move-function requires a valid function name (received ${JSON.stringify(name)}).`);
+  }
+  if (!options.sourceFile || !options.targetFile) {
+    throw new Error('move-function requires both a source file and a target file.');
+  }
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
+  const dryRun = options.dryRun !== false;
+  const force = options.force === true;
+  const reexport = options.reexport === true;
+
+  const graph = loadModuleGraph(workspaceRoot, { exclude: options.exclude });
+  const sourcePath = path.resolve(workspaceRoot, options.sourceFile);
+  const targetPath = path.resolve(workspaceRoot, options.targetFile);
+  if (sourcePath === targetPath) {
+    throw new Error('move-function source and target must be different files.');
+  }
+
+  const sourceView = graph.getModule(sourcePath);
+  if (!sourceView) {
+    throw new Error(`move-function could not read ${options.sourceFile} inside ${workspaceRoot}.`);
+  }
+  const located = findTopLevelFunction(sourceView, name);
+  if (!located) {
+    throw new Error(`move-function could not find a top-level function "${name}" in ${sourceView.relativePath}.`);
+  }
+  located.name = name;
+
+  const declarationSpan = toByteSpan(located.declaration.span);
+  const declarationText = extractCode(sourceView.source, declarationSpan, sourceView.mapper);
+  const functionHash = functionRecordHash(sourceView, name) || createDigest(declarationText);
+  if (options.expectHash && options.expectHash !== functionHash && !force) {
+    throw new Error(`Hash mismatch for ${name} in ${sourceView.relativePath}: expected ${options.expectHash}, found ${functionHash}. Re-run --locate and retry or pass --force to override.`);
+  }
+
+  const targetExists = fs.existsSync(targetPath);
+  const targetView = targetExists
+    ? (graph.getModule(targetPath) || createModuleView(targetPath, fs.readFileSync(targetPath, 'utf8'), { relativePath: graph.relativePath(targetPath) }))
+    : null;
+  const targetHash = targetView ? createDigest(targetView.source) : null;
+  if (options.expectTargetHash && options.expectTargetHash !== targetHash && !force) {
+    throw new Error(`Hash mismatch for ${graph.relativePath(targetPath)}: expected ${options.expectTargetHash}, found ${targetHash || 'missing file'}. Re-run --locate and retry or pass --force to override.`);
+  }
+
+  const sourceKind = detectModuleKind(sourceView);
+  const targetKind = targetView ? detectModuleKind(targetView, sourceKind) : sourceKind;
+  const exportEntries = exportEntriesFor(sourceView, name);
+  const renamedExport = exportEntries.find((entry) => entry.exported !== name && entry.kind !== 'esm-declaration');
+  if (renamedExport) {
+    throw new Error(`move-function does not support "${name}" exported as "${renamedExport.exported}"; rename the export first.`);
+  }
+
+  // Moved text: leading comments plus the declaration without its `export`.
+  const statementRange = rangeOf(sourceView, located.statement);
+  const commentStart = findLeadingCommentStart(sourceView.source, statementRange.start);
+  const leading = sourceView.source.slice(commentStart, statementRange.start);
+  const block = `${leading}${declarationText}`;
+
+  const { targetImports, unusedSourceImports } = planDependencies(graph, sourceView, located, targetPath, targetKind);
+  const targetQuote = targetView ? detectQuote(targetView) : detectQuote(sourceView);
+  const importLines = filterTargetImports(graph, targetView, targetImports)
+    .flatMap((entry) => formatImportStatements(targetKind, entry.source, entry.shape, targetQuote));
+
+  const changes = [];
+  const record = (view, after, details) => {
+    if (after === view.source) return null;
+    const change = createFileChange({
+      filePath: view.filePath,
+      relativePath: view.relativePath,
+      before: view.source,
+      after,
+      details
+    });
+    changes.push(change);
+    return change;
+  };
+
+  // Target: drop its own import of the function, then insert and export it.
+  let createdTarget = false;
+  if (targetView) {
+    const existing = targetView.analysis.moduleScope.bindings.get(name);
+    let staleImports = [];
+    if (existing) {
+      const entry = topLevelImportEntry(targetView, name);
+      if (!entry || !entry.source.startsWith('.') || graph.resolveSpecifier(targetPath, entry.source) !== sourcePath || entry.imported !== name) {
+        throw new Error(`move-function cannot move "${name}" into ${targetView.relativePath}: the name is already declared there.`);
+      }
+      staleImports = [entry];
+    }
+    const cleaned = applyPhase(targetView, planRemoveBindings(targetView, staleImports));
+    const insertion = targetKind === 'esm' ? `${leading}export ${declarationText}` : block;
+    const edits = [
+      ...planAddImports(cleaned, importLines),
+      ...planInsertDeclaration(cleaned, insertion),
+      ...(targetKind === 'esm' ? [] : planAddExports(cleaned, [name], 'commonjs'))
+    ];
+    record(targetView, applyTextEdits(cleaned.source, edits, cleaned.mapper).text, { role: 'target' });
+  } else {
+    createdTarget = true;
+    const newTarget = renderNewModule({
+      moduleKind: targetKind,
+      newline: detectNewline(sourceView.source),
+      useStrict: hasUseStrict(sourceView),
+      importLines,
+      blocks: [`${leading}${targetKind === 'esm' ? 'export ' : ''}${declarationText}`],
+      exportNames: [name]
+    });
+    changes.push(createFileChange({
+      filePath: targetPath,
+      relativePath: graph.relativePath(targetPath),
+      before: null,
+      after: newTarget,
+      details: { role: 'target' }
+    }));
+  }
+
+  // Source: cut the function, its export entries and imports only it used.
+  const moved = sourceView.analysis.moduleScope.bindings.get(name);
+  const movedSpan = toByteSpan(located.statement.span);
+  const exportStatements = exportEntries
+    .filter((entry) => entry.kind !== 'esm-declaration')
+    .map((entry) => toByteSpan(entry.statement.span));
+  const stillReferenced = moved.references.some((reference) => !withinSpan(reference.span, movedSpan)
+    && !exportStatements.some((span) => withinSpan(reference.span, span)));
+  const keepExports = reexport && exportEntries.length > 0;
+
+  const removeRange = statementLineRange(sourceView.source, commentStart, statementRange.end);
+  const firstSourcePass = [
+    { range: removeRange, text: '' },
+    ...(keepExports ? [] : planRemoveExports(sourceView, exportEntries.filter((entry) => entry.kind !== 'esm-declaration'))),
+    ...planRemoveBindings(sourceView, unusedSourceImports)
+  ];
+  const trimmedSource = applyPhase(sourceView, firstSourcePass);
+  const secondSourcePass = [];
+  if (stillReferenced || keepExports) {
+    const specifier = buildRelativeSpecifier(sourcePath, targetPath, { keepExtension: sourceKind === 'esm' && prefersExtensions(sourceView) });
+    secondSourcePass.push(...planAddImports(trimmedSource, [
+      formatImportStatement(sourceKind, specifier, { named: [{ imported: name, local: name }] }, detectQuote(sourceView))
+    ]));
+    if (keepExports && exportEntries.some((entry) => entry.kind === 'esm-declaration')) {
+      secondSourcePass.push(...planAddExports(trimmedSource, [name], 'esm'));
+    }
+  }
+  record(sourceView, applyTextEdits(trimmedSource.source, secondSourcePass, trimmedSource.mapper).text, { role: 'source' });
+
+  // Importers: everything that resolves to the source, except the target.
+  const updatedImports = [];
+  graph.importersOf(sourcePath)
+    .filter((importerPath) => importerPath !== targetPath && importerPath !== sourcePath)
+    .forEach((importerPath) => {
+      const view = graph.getModule(importerPath);
+      if (!view) return;
+      const plan = planImporter(graph, view, sourcePath, targetPath, name);
+      if (plan.updated === 0) return;
+      const next = applyPhase(view, plan.first);
+      const after = applyTextEdits(next.source, plan.second(next), next.mapper).text;
+      if (record(view, after, { role: 'importer' })) {
+        updatedImports.push({ file: view.relativePath, references: plan.updated });
+      }
+    });
+
+  changes.sort((a, b) => a.file.localeCompare(b.file));
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0 && !force) {
+    throw new Error(`move-function produced invalid syntax in ${broken.map((change) => `${change.file} (${change.syntaxError})`).join(', ')}.`);
+  }
+
+  const summary = {
+    name,
+    hash: functionHash,
+    sourceFile: sourceView.relativePath,
+    targetFile: graph.relativePath(targetPath),
+    targetHash,
+    createdTarget,
+    reexport,
+    status: dryRun ? 'preview' : 'moved',
+    updatedImports,
+    linesChanged: changes.reduce((total, change) => total + countChangedLines(change.diff), 0),
+    files: []
+  };
+
+  if (!dryRun) {
+    summary.guard = commitFileChanges(changes, { force, journal: options.journal });
+  }
+  summary.files = changes.map(describeFileChange);
+  return summary;
+}
+
+module.exports = {
+  moveFunction
+};
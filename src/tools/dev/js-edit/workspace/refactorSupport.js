@@ -0,0 +1,173 @@
+'use strict';
+
+const path = require('path');
+const { collectFunctions } = require('../../lib/swcAst');
+const { applyTextEdits } = require('../shared/changeSet');
+const { buildRelativeSpecifier } = require('../shared/moduleEdits');
+const { collectDeclarationNames } = require('../shared/moduleBindings');
+const { createModuleView } = require('./moduleGraph');
+
+const FUNCTION_INITIALIZERS = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Find a top-level function declaration (optionally `export`ed) or a
+ * single-declarator `const name = function/arrow` statement.
+ */
+function findTopLevelFunction(view, name) {
+  for (const statement of view.ast.body) {
+    const exported = statement.type === 'ExportDeclaration';
+    const declaration = exported ? statement.declaration : statement;
+    if (!declaration) continue;
+
+    if (declaration.type === 'FunctionDeclaration' && declaration.identifier && declaration.identifier.value === name) {
+      return { statement, declaration, exported };
+    }
+    if (declaration.type === 'VariableDeclaration' && declaration.declarations.length === 1) {
+      const [declarator] = declaration.declarations;
+      if (declarator.id.type === 'Identifier' && declarator.id.value === name
+        && declarator.init && FUNCTION_INITIALIZERS.has(declarator.init.type)) {
+        return { statement, declaration, exported };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the top-level statement that declares `name` (function, class or
+ * variable declaration, optionally `export`ed) along with every name the
+ * statement declares.
+ */
+function findTopLevelDeclaration(view, name) {
+  for (const statement of view.ast.body) {
+    const exported = statement.type === 'ExportDeclaration';
+    const declaration = exported ? statement.declaration : statement;
+    if (!declaration) continue;
+    const names = collectDeclarationNames(declaration).map((identifier) => identifier.value);
+    if (names.includes(name)) {
+      return { statement, declaration, exported, names };
+    }
+  }
+  return null;
+}
+
+function functionRecordHash(view, name) {
+  const { functions } = collectFunctions(view.ast, view.source, view.mapper);
+  const record = functions.find((entry) => entry.name === name
+    && (entry.scopeChain.length === 0 || (entry.scopeChain[0] === 'exports' && entry.scopeChain.length <= 2)));
+  return record ? record.hash : null;
+}
+
+function withinSpan(span, container) {
+  return span.start >= container.start && span.end <= container.end;
+}
+
+function exportEntriesFor(view, name) {
+  return view.bindings.exports.filter((entry) => entry.local === name && entry.kind !== 'esm-reexport');
+}
+
+function topLevelImportEntry(view, localName) {
+  const body = new Set(view.ast.body);
+  return [...view.bindings.imports, ...view.bindings.requires]
+    .find((entry) => entry.local === localName && entry.declaration && body.has(entry.declaration)) || null;
+}
+
+/**
+ * Merge import/require entries that came from the same statement (or require
+ * declarator) into one binding shape per statement, in source order, ready for
+ * `formatImportStatements`.
+ */
+function groupImportEntries(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = entry.declarator || entry.declaration;
+    if (!groups.has(key)) {
+      groups.set(key, { source: entry.source, position: entry.sourceSpan.start, defaultName: null, namespaceName: null, named: [] });
+    }
+    const group = groups.get(key);
+    if (entry.kind === 'namespace') {
+      group.namespaceName = entry.local;
+    } else if (entry.kind === 'default') {
+      group.defaultName = entry.local;
+    } else {
+      group.named.push({ imported: entry.imported, local: entry.local });
+    }
+  });
+  return Array.from(groups.values()).sort((a, b) => a.position - b.position);
+}
+
+function shapeLocals(shape) {
+  return [
+    shape.defaultName,
+    shape.namespaceName,
+    ...(shape.named || []).map((item) => item.local)
+  ].filter(Boolean);
+}
+
+/**
+ * Re-point a specifier that was written relative to `fromFile` so it works
+ * from `toFile`. Package specifiers are returned unchanged.
+ */
+function rebaseSpecifier(graph, specifier, fromFile, toFile) {
+  if (!specifier.startsWith('.')) {
+    return specifier;
+  }
+  const resolved = graph.resolveSpecifier(fromFile, specifier) || path.resolve(path.dirname(fromFile), specifier);
+  return buildRelativeSpecifier(toFile, resolved, { reference: specifier });
+}
+
+function applyPhase(view, edits) {
+  if (edits.length === 0) {
+    return view;
+  }
+  const { text } = applyTextEdits(view.source, edits, view.mapper);
+  return createModuleView(view.filePath, text, { relativePath: view.relativePath });
+}
+
+function hasUseStrict(view) {
+  const [first] = view.ast.body;
+  return Boolean(first && first.type === 'ExpressionStatement'
+    && first.expression.type === 'StringLiteral' && first.expression.value === 'use strict');
+}
+
+/**
+ * Text of a freshly created module: optional `'use strict'`, import lines,
+ * declaration blocks and, for CommonJS, a trailing `module.exports` object.
+ * ESM blocks are expected to carry their own `export` keywords.
+ */
+function renderNewModule({ moduleKind, newline = '\n', useStrict = false, importLines = [], blocks = [], exportNames = [] }) {
+  const parts = [];
+  if (moduleKind !== 'esm' && useStrict) {
+    parts.push("'use strict';");
+  }
+  if (importLines.length > 0) {
+    parts.push(importLines.join(newline));
+  }
+  parts.push(...blocks);
+  if (moduleKind !== 'esm' && exportNames.length > 0) {
+    parts.push(`module.exports = {${newline}${exportNames.map((name) => `  ${name}`).join(`,${newline}`)}${newline}};`);
+  }
+  return `${parts.join(`${newline}${newline}`)}${newline}`;
+}
+
+function countChangedLines(diff) {
+  return diff.split('\n')
+    .filter((line) => (line.startsWith('+') && !line.startsWith('+++')) || (line.startsWith('-') && !line.startsWith('---')))
+    .length;
+}
+
+module.exports = {
+  findTopLevelFunction,
+  findTopLevelDeclaration,
+  functionRecordHash,
+  withinSpan,
+  exportEntriesFor,
+  topLevelImportEntry,
+  groupImportEntries,
+  shapeLocals,
+  rebaseSpecifier,
+  applyPhase,
+  countChangedLines,
+  hasUseStrict,
+  renderNewModule
+};
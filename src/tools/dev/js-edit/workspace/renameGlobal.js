@@ -0,0 +1,335 @@
+'use strict';
+
+const path = require('path');
+const { collectFunctions, collectVariables } = require('../../lib/swcAst');
+const { buildBindingRenameEdits, findRenameConflicts } = require('../shared/scopeAnalysis');
+const { applyTextEdits, createFileChange, describeFileChange, commitFileChanges } = require('../shared/changeSet');
+const { loadModuleGraph } = require('./moduleGraph');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function assertIdentifier(value, label) {
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+    throw new Error(`rename-global requires a valid identifier for ${label} (received ${JSON.stringify(value)}).`);
+  }
+}
+
+function importedLocals(view) {
+  return new Set([...view.bindings.imports, ...view.bindings.requires].map((entry) => entry.local).filter(Boolean));
+}
+
+function moduleBindingFor(view, name) {
+  const binding = view.analysis.moduleScope.bindings.get(name);
+  return binding && binding.kind !== 'import' && !importedLocals(view).has(name) ? binding : null;
+}
+
+function exportEntriesFor(view, name) {
+  return view.bindings.exports.filter((entry) => entry.exported === name
+    || (entry.local === name && entry.kind !== 'esm-reexport'));
+}
+
+/**
+ * Export entries that publish a binding declared in the module itself. A barrel
+ * that imports the symbol and exports it again (`export { helper }`,
+ * `export default helper`, `module.exports = { helper }`) is an importer, not
+ * a second declaration.
+ */
+function declaredExportEntriesFor(view, name) {
+  const imported = importedLocals(view);
+  return exportEntriesFor(view, name).filter((entry) => entry.kind !== 'esm-reexport'
+    && entry.kind !== 'esm-all'
+    && !(entry.local && imported.has(entry.local)));
+}
+
+function findDeclarationRecord(view, name) {
+  const functions = collectFunctions(view.ast, view.source, view.mapper).functions;
+  const fn = functions.find((record) => record.name === name
+    && (record.scopeChain.length === 0 || (record.scopeChain[0] === 'exports' && record.scopeChain.length === 2)));
+  if (fn) {
+    return { kind: fn.kind, line: fn.line, column: fn.column, hash: fn.hash };
+  }
+  const variables = collectVariables(view.ast, view.source, view.mapper).variables;
+  const variable = variables.find((record) => record.name === name
+    && (record.scopeChain.length === 0 || record.scopeChain[0] === 'exports'));
+  if (variable) {
+    return { kind: variable.kind, line: variable.line, column: variable.column, hash: variable.declaratorHash || variable.hash };
+  }
+  return null;
+}
+
+function formatConflicts(view, conflicts) {
+  return conflicts
+    .map((conflict) => `${conflict.type} of "${conflict.name}" in ${view.relativePath}`)
+    .join('; ');
+}
+
+function locateDeclaration(graph, oldName, options) {
+  if (options.file) {
+    const filePath = path.resolve(graph.rootDir, options.file);
+    const view = graph.getModule(filePath);
+    if (!view) {
+      throw new Error(`rename-global could not read ${options.file} inside ${graph.rootDir}.`);
+    }
+    const binding = moduleBindingFor(view, oldName);
+    if (!binding && declaredExportEntriesFor(view, oldName).length === 0) {
+      return null;
+    }
+    return view;
+  }
+
+  const candidates = graph.files
+    .filter((record) => typeof record.source === 'string' && record.source.includes(oldName))
+    .map((record) => graph.getModule(record.filePath))
+    .filter((view) => view && declaredExportEntriesFor(view, oldName).length > 0);
+
+  if (candidates.length > 1) {
+    const files = candidates.map((view) => view.relativePath).join(', ');
+    throw new Error(`rename-global found "${oldName}" exported from several files (${files}). Pass file to choose one.`);
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * Rename edits inside the module that owns the symbol: the binding itself plus
+ * every export key that publishes it under the old name.
+ */
+function planDeclaringFile(view, oldName, newName) {
+  const edits = [];
+  const exportEntries = exportEntriesFor(view, oldName);
+  const binding = moduleBindingFor(view, oldName);
+
+  if (binding) {
+    const conflicts = findRenameConflicts(view.analysis, binding, newName);
+    if (conflicts.length > 0) {
+      throw new Error(`Renaming "${oldName}" to "${newName}" would change meaning: ${formatConflicts(view, conflicts)}.`);
+    }
+    const exportKeys = new Set(exportEntries
+      .filter((entry) => entry.kind === 'cjs-object' && entry.shorthand && entry.exported === oldName)
+      .map((entry) => entry.property));
+    edits.push(...buildBindingRenameEdits(binding, newName, {
+      renameShorthand: (occurrence) => occurrence.shorthand === 'export' || exportKeys.has(occurrence.node)
+    }));
+  }
+
+  exportEntries.forEach((entry) => {
+    if (entry.exported !== oldName) {
+      return;
+    }
+    if (entry.kind === 'esm-specifier' && entry.exportedSpan) {
+      edits.push({ span: entry.exportedSpan, text: newName });
+    } else if ((entry.kind === 'cjs-object' && !entry.shorthand) || entry.kind === 'cjs-property') {
+      if (entry.keySpan) {
+        edits.push({ span: entry.keySpan, text: newName });
+      }
+    }
+  });
+
+  return edits;
+}
+
+/**
+ * Shorthand exports that publish an imported binding again under the old
+ * name (`export { helper }`, `module.exports = { helper }`): the importer is a
+ * barrel whose own importers must be followed, as for `export { helper } from`.
+ */
+function shorthandReexportsOf(view, localName) {
+  return view.bindings.exports.filter((entry) => entry.local === localName
+    && entry.exported === localName
+    && ((entry.kind === 'esm-specifier' && !entry.exportedSpan) || (entry.kind === 'cjs-object' && entry.shorthand)));
+}
+
+/**
+ * Rename a local binding introduced by an import; when the new name would
+ * clash inside the importer, keep the local name and alias the import instead
+ * (`aliasEdit`, if any). Shorthand re-exports of the binding are renamed to
+ * the new name either way. Returns true when the importer re-exports it.
+ */
+function renameImportedBinding(view, localName, newName, aliasEdit, edits) {
+  const reexports = shorthandReexportsOf(view, localName);
+  const binding = view.analysis.moduleScope.bindings.get(localName);
+  if (!binding || findRenameConflicts(view.analysis, binding, newName).length > 0) {
+    if (aliasEdit) {
+      edits.push(aliasEdit);
+    }
+    reexports.forEach((entry) => {
+      if (entry.kind === 'esm-specifier') {
+        edits.push({ span: entry.origSpan, text: `${localName} as ${newName}` });
+      } else if (entry.keySpan) {
+        edits.push({ span: entry.keySpan, text: `${newName}: ${localName}` });
+      }
+    });
+    return reexports.length > 0;
+  }
+  const declaration = binding.declarations[0] ? binding.declarations[0].node : null;
+  const exportKeys = new Set(reexports.filter((entry) => entry.kind === 'cjs-object').map((entry) => entry.property));
+  edits.push(...buildBindingRenameEdits(binding, newName, {
+    renameShorthand: (occurrence) => occurrence.node === declaration
+      || (reexports.length > 0 && (occurrence.shorthand === 'export' || exportKeys.has(occurrence.node)))
+  }));
+  return reexports.length > 0;
+}
+
+function memberAccessEdits(view, localName, oldName, newName) {
+  const binding = view.analysis.moduleScope.bindings.get(localName);
+  if (!binding) {
+    return [];
+  }
+  return view.analysis.memberAccesses
+    .filter((access) => access.object.binding === binding && access.property === oldName)
+    .map((access) => ({ span: access.propertySpan, text: newName }));
+}
+
+/**
+ * Rewrite one importer of `targetFile`. Returns the edits plus a flag telling
+ * the caller whether the importer re-exports the symbol under its old name.
+ */
+function planImporter(graph, view, targetFile, oldName, newName) {
+  const edits = [];
+  let reexports = false;
+  const fromTarget = (entry) => entry.source && graph.resolveSpecifier(view.filePath, entry.source) === targetFile;
+
+  view.bindings.imports.filter(fromTarget).forEach((entry) => {
+    if (entry.kind === 'named' && entry.imported === oldName) {
+      if (entry.importedSpan) {
+        edits.push({ span: entry.importedSpan, text: newName });
+      } else if (renameImportedBinding(view, entry.local, newName, { span: entry.localSpan, text: `${newName} as ${oldName}` }, edits)) {
+        reexports = true;
+      }
+    } else if (entry.kind === 'namespace' || entry.kind === 'default') {
+      edits.push(...memberAccessEdits(view, entry.local, oldName, newName));
+    }
+  });
+
+  view.bindings.requires.filter(fromTarget).forEach((entry) => {
+    if (entry.kind === 'destructure' && entry.imported === oldName) {
+      if (entry.shorthand) {
+        if (renameImportedBinding(view, entry.local, newName, { span: entry.localSpan, text: `${newName}: ${oldName}` }, edits)) {
+          reexports = true;
+        }
+      } else if (entry.importedSpan) {
+        edits.push({ span: entry.importedSpan, text: newName });
+      }
+    } else if ((entry.kind === 'member' || entry.kind === 'inline-member') && entry.imported === oldName) {
+      edits.push({ span: entry.importedSpan, text: newName });
+      if (entry.kind === 'member' && entry.local === oldName && renameImportedBinding(view, oldName, newName, null, edits)) {
+        reexports = true;
+      }
+    } else if (entry.kind === 'namespace') {
+      edits.push(...memberAccessEdits(view, entry.local, oldName, newName));
+    }
+  });
+
+  view.bindings.exports.filter(fromTarget).forEach((entry) => {
+    if (entry.kind === 'esm-all') {
+      reexports = true;
+    } else if (entry.kind === 'esm-reexport' && entry.imported === oldName && entry.origSpan) {
+      edits.push({ span: entry.origSpan, text: newName });
+      if (!entry.exportedSpan) {
+        reexports = true;
+      }
+    }
+  });
+
+  return { edits, reexports };
+}
+
+/**
+ * Rename an exported symbol across a workspace: the declaring module, every
+ * importer found through the scanner's dependency graph, and modules that
+ * re-export it. Returns per-file diffs; files are written only when `dryRun`
+ * is false and every file still matches the digest captured while planning.
+ */
+function renameGlobal(options = {}) {
+  const { oldName, newName } = options;
+  assertIdentifier(oldName, 'the current name');
+  assertIdentifier(newName, 'the new name');
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
+  const dryRun = options.dryRun !== false;
+
+  const graph = loadModuleGraph(workspaceRoot, { exclude: options.exclude });
+  const declaringView = locateDeclaration(graph, oldName, options);
+  const summary = {
+    from: oldName,
+    to: newName,
+    scope: graph.rootDir,
+    declaration: null,
+    status: 'not-found',
+    filesChanged: 0,
+    occurrencesRenamed: 0,
+    files: []
+  };
+
+  if (!declaringView) {
+    return summary;
+  }
+
+  const record = findDeclarationRecord(declaringView, oldName);
+  summary.declaration = {
+    file: declaringView.relativePath,
+    ...(record || {})
+  };
+
+  if (options.expectHash && record && record.hash !== options.expectHash && options.force !== true) {
+    throw new Error(`Hash mismatch for ${oldName} in ${declaringView.relativePath}: expected ${options.expectHash}, found ${record.hash}. Re-run the search and retry or pass --force to override.`);
+  }
+
+  const editsByFile = new Map();
+  const addEdits = (view, edits) => {
+    if (edits.length === 0) return;
+    if (!editsByFile.has(view.filePath)) {
+      editsByFile.set(view.filePath, { view, edits: [] });
+    }
+    editsByFile.get(view.filePath).edits.push(...edits);
+  };
+
+  addEdits(declaringView, planDeclaringFile(declaringView, oldName, newName));
+
+  const queue = [declaringView.filePath];
+  const visited = new Set(queue);
+  while (queue.length > 0) {
+    const targetFile = queue.shift();
+    graph.importersOf(targetFile).forEach((importerPath) => {
+      const view = graph.getModule(importerPath);
+      if (!view) return;
+      const { edits, reexports } = planImporter(graph, view, targetFile, oldName, newName);
+      addEdits(view, edits);
+      if (reexports && !visited.has(view.filePath)) {
+        visited.add(view.filePath);
+        queue.push(view.filePath);
+      }
+    });
+  }
+
+  const changes = [];
+  editsByFile.forEach(({ view, edits }) => {
+    const { text, applied } = applyTextEdits(view.source, edits, view.mapper);
+    if (text === view.source) return;
+    changes.push(createFileChange({
+      filePath: view.filePath,
+      relativePath: view.relativePath,
+      before: view.source,
+      after: text,
+      details: { occurrences: applied }
+    }));
+  });
+  changes.sort((a, b) => a.file.localeCompare(b.file));
+
+  const broken = changes.filter((change) => change.syntax !== 'ok');
+  if (broken.length > 0 && options.force !== true) {
+    throw new Error(`rename-global produced invalid syntax in ${broken.map((change) => change.file).join(', ')}.`);
+  }
+
+  summary.filesChanged = changes.length;
+  summary.occurrencesRenamed = changes.reduce((total, change) => total + change.occurrences, 0);
+  summary.status = dryRun ? 'preview' : 'renamed';
+
+  if (!dryRun && changes.length > 0) {
+    summary.guard = commitFileChanges(changes, { force: options.force === true, journal: options.journal });
+  }
+  summary.files = changes.map(describeFileChange);
+  return summary;
+}
+
+module.exports = {
+  renameGlobal
+};
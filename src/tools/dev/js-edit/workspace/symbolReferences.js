@@ -0,0 +1,146 @@
+'use strict';
+
+const { normalizeSpan } = require('../../lib/swcAst');
+const { walkAst, toByteSpan, identifierByteSpan } = require('../../lib/swcWalk');
+const { positionAt, lineStart, lineEnd } = require('../shared/textRanges');
+
+function withinRanges(offset, ranges) {
+  return ranges.some((range) => offset >= range.start && offset < range.end);
+}
+
+function describeReference(view, span, kind, name) {
+  const { start } = normalizeSpan(span, view.mapper);
+  const { line, column } = positionAt(view.source, start);
+  return {
+    file: view.relativePath,
+    line,
+    column,
+    kind,
+    name,
+    offset: start,
+    text: view.source.slice(lineStart(view.source, start), lineEnd(view.source, start)).trim()
+  };
+}
+
+/**
+ * Identifier references to `bindings` (scope-analysis bindings) that fall
+ * outside `excludeRanges`, which are normalized code-unit ranges.
+ */
+function findBindingReferences(view, bindings, excludeRanges = []) {
+  const references = [];
+  new Set(bindings.filter(Boolean)).forEach((binding) => {
+    binding.references.forEach((occurrence) => {
+      const entry = describeReference(view, occurrence.span, occurrence.isWrite ? 'write' : 'read', binding.name);
+      if (!withinRanges(entry.offset, excludeRanges)) {
+        references.push(entry);
+      }
+    });
+  });
+  return references;
+}
+
+/**
+ * Member expressions reading `name` as a property (`this.name`, `obj.name`,
+ * `this.#name`) outside `excludeRanges`. Class members have no binding, so
+ * this is a name-based approximation: any object with the same property counts.
+ */
+function findMemberReferences(view, name, excludeRanges = []) {
+  const isPrivate = name.startsWith('#');
+  const bareName = isPrivate ? name.slice(1) : name;
+  const references = [];
+  walkAst(view.ast, (node) => {
+    if (node.type !== 'MemberExpression' && node.type !== 'SuperPropExpression') {
+      return true;
+    }
+    const property = node.property;
+    if (!property || property.value !== bareName) {
+      return true;
+    }
+    if (property.type !== (isPrivate ? 'PrivateName' : 'Identifier')) {
+      return true;
+    }
+    const span = isPrivate ? toByteSpan(property.span) : identifierByteSpan(property);
+    const entry = describeReference(view, span, 'member', name);
+    if (!withinRanges(entry.offset, excludeRanges)) {
+      references.push(entry);
+    }
+    return true;
+  });
+  return references;
+}
+
+function namespaceReferences(view, localName, names) {
+  const binding = view.analysis.moduleScope.bindings.get(localName);
+  if (!binding) {
+    return [];
+  }
+  return view.analysis.memberAccesses
+    .filter((access) => access.object.binding === binding && names.has(access.property))
+    .map((access) => describeReference(view, access.propertySpan, 'namespace-member', access.property));
+}
+
+/**
+ * Uses of `exportedNames` from `filePath` in the rest of the workspace graph:
+ * named imports, destructured and member requires, namespace member accesses
+ * and re-exports. Re-exporting modules (`export *` included) are followed so
+ * their own consumers are reported as well.
+ */
+function findImporterReferences(graph, filePath, exportedNames) {
+  const references = [];
+  const queue = [{ filePath, names: new Set(exportedNames) }];
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    const target = queue.shift();
+    const key = `${target.filePath}:${Array.from(target.names).sort().join(',')}`;
+    if (target.names.size === 0 || visited.has(key)) {
+      continue;
+    }
+    visited.add(key);
+
+    graph.importersOf(target.filePath).forEach((importerPath) => {
+      const view = graph.getModule(importerPath);
+      if (!view || view.filePath === filePath) {
+        return;
+      }
+      const fromTarget = (entry) => entry.source && graph.resolveSpecifier(view.filePath, entry.source) === target.filePath;
+
+      view.bindings.imports.filter(fromTarget).forEach((entry) => {
+        if (entry.kind === 'named' && target.names.has(entry.imported)) {
+          references.push(describeReference(view, entry.importedSpan || entry.localSpan, 'import', entry.imported));
+        } else if (entry.kind === 'namespace' || entry.kind === 'default') {
+          references.push(...namespaceReferences(view, entry.local, target.names));
+        }
+      });
+
+      view.bindings.requires.filter(fromTarget).forEach((entry) => {
+        if (['destructure', 'member', 'inline-member'].includes(entry.kind) && target.names.has(entry.imported)) {
+          references.push(describeReference(view, entry.importedSpan || entry.sourceSpan, 'require', entry.imported));
+        } else if (entry.kind === 'namespace') {
+          references.push(...namespaceReferences(view, entry.local, target.names));
+        }
+      });
+
+      const forwarded = new Set();
+      view.bindings.exports.filter(fromTarget).forEach((entry) => {
+        if (entry.kind === 'esm-all') {
+          target.names.forEach((name) => forwarded.add(name));
+        } else if (entry.kind === 'esm-reexport' && target.names.has(entry.imported)) {
+          references.push(describeReference(view, entry.origSpan || entry.sourceSpan, 'reexport', entry.imported));
+          forwarded.add(entry.exported);
+        }
+      });
+      if (forwarded.size > 0) {
+        queue.push({ filePath: view.filePath, names: forwarded });
+      }
+    });
+  }
+
+  return references;
+}
+
+module.exports = {
+  findBindingReferences,
+  findMemberReferences,
+  findImporterReferences
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const { forEachChildNode, walkAst } = require('../../lib/swcWalk');
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassMethod',
+  'PrivateMethod',
+  'Constructor',
+  'MethodProperty',
+  'GetterProperty',
+  'SetterProperty'
+]);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+function isFunctionNode(node) {
+  return Boolean(node) && FUNCTION_TYPES.has(node.type);
+}
+
+function countParams(node) {
+  if (node.type === 'GetterProperty') return 0;
+  if (node.type === 'SetterProperty') return 1;
+  const params = node.params || (node.function && node.function.params) || [];
+  return params.length;
+}
+
+/**
+ * Complexity of one function body:
+ * - `cyclomatic` — 1 plus every branch point (if, loop, case, catch, ternary,
+ *   `&&`/`||`/`??` and their assignments), own body only, as ESLint counts it.
+ * - `cognitive` — SonarSource cognitive complexity: structures cost 1 plus
+ *   their nesting level, else/else-if, labelled jumps and each run of mixed
+ *   logical operators cost 1, and nested functions add a nesting level.
+ * - `nesting` — deepest stack of if/loop/switch/catch/ternary blocks in the
+ *   body.
+ * Nested functions are measured once and folded into the outer cognitive
+ * score by their nesting level; `onFunction` sees each of them.
+ */
+function measure(fnNode, onFunction) {
+  const metrics = { cyclomatic: 1, cognitive: 0, nesting: 0, params: countParams(fnNode) };
+  let structures = 0;
+
+  const visit = (node, parent, level, depth) => {
+    if (isFunctionNode(node)) {
+      const inner = measure(node, onFunction);
+      metrics.cognitive += inner.metrics.cognitive + (level + 1) * inner.structures;
+      structures += inner.structures;
+      return;
+    }
+    const structure = (cost) => {
+      metrics.cyclomatic += cost;
+      metrics.cognitive += 1 + level;
+      metrics.nesting = Math.max(metrics.nesting, depth + 1);
+      structures += 1;
+    };
+    const nested = (child, next) => visit(child, node, next ? level + 1 : level, next ? depth + 1 : depth);
+
+    switch (node.type) {
+      case 'IfStatement': {
+        structure(1);
+        let current = node;
+        while (current) {
+          nested(current.test, false);
+          nested(current.consequent, true);
+          const alternate = current.alternate;
+          if (alternate && alternate.type === 'IfStatement') {
+            metrics.cyclomatic += 1;
+            metrics.cognitive += 1;
+            current = alternate;
+          } else {
+            if (alternate) {
+              metrics.cognitive += 1;
+              nested(alternate, true);
+            }
+            current = null;
+          }
+        }
+        return;
+      }
+      case 'ConditionalExpression':
+        structure(1);
+        nested(node.test, false);
+        nested(node.consequent, true);
+        nested(node.alternate, true);
+        return;
+      case 'SwitchStatement':
+        structure(0);
+        nested(node.discriminant, false);
+        node.cases.forEach((switchCase) => {
+          if (switchCase.test) metrics.cyclomatic += 1;
+          nested(switchCase, true);
+        });
+        return;
+      case 'CatchClause':
+        structure(1);
+        forEachChildNode(node, (child) => nested(child, true));
+        return;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) metrics.cognitive += 1;
+        return;
+      case 'BinaryExpression':
+        if (LOGICAL_OPERATORS.has(node.operator)) {
+          metrics.cyclomatic += 1;
+          if (!parent || parent.type !== 'BinaryExpression' || parent.operator !== node.operator) {
+            metrics.cognitive += 1;
+          }
+        }
+        break;
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENTS.has(node.operator)) metrics.cyclomatic += 1;
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          structure(1);
+          forEachChildNode(node, (child, key) => nested(child, key === 'body'));
+          return;
+        }
+    }
+    forEachChildNode(node, (child) => visit(child, node, level, depth));
+  };
+
+  forEachChildNode(fnNode, (child) => visit(child, fnNode, 0, 0));
+  if (onFunction) {
+    onFunction(fnNode, metrics);
+  }
+  return { metrics, structures };
+}
+
+function measureFunction(fnNode) {
+  return measure(fnNode, null).metrics;
+}
+
+/**
+ * Metrics for every function-like node in a module, keyed by its span so the
+ * caller can attach them to the matching function records. `toSpan` converts
+ * raw SWC spans to the coordinates the records use.
+ */
+function collectFunctionMetrics(ast, toSpan) {
+  const measured = [];
+  const record = (node, metrics) => {
+    if (node.span) {
+      measured.push({ span: toSpan(node.span), metrics });
+    }
+  };
+  walkAst(ast, (node) => {
+    if (isFunctionNode(node)) {
+      measure(node, record);
+      return false;
+    }
+    return true;
+  });
+  return measured;
+}
+
+/**
+ * The metrics of the outermost function node inside `span` — records for
+ * `const f = () => {}` or `exports.f = function () {}` span more than the
+ * function itself.
+ */
+function findMetricsForSpan(measured, span) {
+  let best = null;
+  measured.forEach((entry) => {
+    if (entry.span.start < span.start || entry.span.end > span.end) {
+      return;
+    }
+    if (!best || entry.span.end - entry.span.start > best.span.end - best.span.start) {
+      best = entry;
+    }
+  });
+  return best ? best.metrics : null;
+}
+
+module.exports = {
+  measureFunction,
+  collectFunctionMetrics,
+  findMetricsForSpan
+};
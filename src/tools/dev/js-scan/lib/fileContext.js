@@ -1,7 +1,15 @@
 'use strict';
 
 const path = require('path');
-const { extractCode, createSpanKey } = require('../../lib/swcAst');
+const { extractCode, createSpanKey, normalizeSpan } = require('../../lib/swcAst');
+const { walkAst, toByteSpan } = require('../../lib/swcWalk');
+const { collectFunctionMetrics, findMetricsForSpan } = require('./complexity');
+const {
+  collectModuleBindings,
+  isRequireCall,
+  isModuleExports,
+  isExportsTarget
+} = require('../../js-edit/shared/moduleBindings');
 
 const DEFAULT_PRIORITY_EXPORT_THRESHOLD = 12;
 const ENTRY_POINT_PATTERNS = [
@@ -136,7 +144,8 @@ function collectDependencies(ast, source) {
       if (node.type === 'ImportDeclaration' && node.source && typeof node.source.value === 'string') {
         result.imports.push(node.source.value);
       }
-      if (node.type === 'ExportAllDeclaration' && node.source && typeof node.source.value === 'string') {
+      if ((node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration')
+        && node.source && typeof node.source.value === 'string') {
         result.imports.push(node.source.value);
       }
     });
@@ -161,30 +170,407 @@ function collectDependencies(ast, source) {
   return result;
 }
 
+/**
+ * Lines each specifier from `collectDependencies` appears on, keyed by
+ * specifier, so rule checks can point at the offending import or require.
+ */
+function collectDependencyLines(ast, source, locate, lineOf) {
+  const lines = {};
+  const add = (specifier, line) => {
+    const list = lines[specifier] || (lines[specifier] = []);
+    if (!list.includes(line)) {
+      list.push(line);
+    }
+  };
+  if (ast && Array.isArray(ast.body)) {
+    ast.body.forEach((node) => {
+      if (node && (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration')
+        && node.source && typeof node.source.value === 'string') {
+        add(node.source.value, lineOf(node.span));
+      }
+    });
+  }
+  const requirePattern = /require\((['"])([^'"\)]+)\1\)/g;
+  let match = requirePattern.exec(source);
+  while (match) {
+    add(match[2], locate(match.index).line);
+    match = requirePattern.exec(source);
+  }
+  Object.values(lines).forEach((list) => list.sort((a, b) => a - b));
+  return lines;
+}
+
+function createLineLocator(source) {
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source[index] === '\n') {
+      lineStarts.push(index + 1);
+    }
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+function unwrapCallee(node) {
+  let current = node;
+  while (current && (current.type === 'OptionalChainingExpression' || current.type === 'ParenthesisExpression')) {
+    current = current.type === 'OptionalChainingExpression' ? current.base : current.expression;
+  }
+  return current;
+}
+
+function describeObject(node) {
+  const object = unwrapCallee(node);
+  if (!object) {
+    return '…';
+  }
+  if (object.type === 'Identifier') {
+    return object.value;
+  }
+  if (object.type === 'ThisExpression') {
+    return 'this';
+  }
+  if (object.type === 'MemberExpression' && object.property && object.property.type === 'Identifier') {
+    return `${describeObject(object.object)}.${object.property.value}`;
+  }
+  if (object.type === 'CallExpression') {
+    return `${describeObject(object.callee)}()`;
+  }
+  return '…';
+}
+
+function describeCallee(callee) {
+  const node = unwrapCallee(callee);
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Identifier') {
+    return node.value === 'require' ? null : { name: node.value, object: null, text: node.value };
+  }
+  if (node.type !== 'MemberExpression' || !node.property) {
+    return null;
+  }
+  const property = node.property;
+  if (property.type !== 'Identifier' && property.type !== 'PrivateName') {
+    return null;
+  }
+  const object = unwrapCallee(node.object);
+  let objectName = null;
+  if (object && object.type === 'Identifier') {
+    objectName = object.value;
+  } else if (object && object.type === 'ThisExpression') {
+    objectName = 'this';
+  }
+  const prefix = property.type === 'PrivateName' ? '#' : '';
+  return { name: property.value, object: objectName, text: `${describeObject(node.object)}.${prefix}${property.value}` };
+}
+
+function isCallbackRecord(record) {
+  const chain = record.scopeChain || [];
+  return chain.length >= 2 && String(chain[chain.length - 2]).startsWith('call:');
+}
+
+function findEnclosingFunction(records, offset) {
+  let best = null;
+  records.forEach((record) => {
+    if (isCallbackRecord(record) || !record.span || record.span.start > offset || offset >= record.span.end) {
+      return;
+    }
+    if (best && best.kind !== 'class' && record.kind === 'class') {
+      return;
+    }
+    const narrower = !best
+      || (best.kind === 'class' && record.kind !== 'class')
+      || record.span.end - record.span.start < best.span.end - best.span.start;
+    if (narrower) {
+      best = record;
+    }
+  });
+  return best;
+}
+
+/**
+ * Collect every call and `new` expression with a statically named callee
+ * (`foo()`, `obj.foo()`, `this.#foo()`), attributed to the innermost named
+ * function that contains it; inline callbacks count as part of their
+ * enclosing function. Calls at module level have a null caller.
+ */
+function collectCallSites(ast, source, mapper, records) {
+  const calls = [];
+  if (!ast || typeof source !== 'string') {
+    return calls;
+  }
+  const locate = createLineLocator(source);
+  walkAst(ast, (node) => {
+    if (node.type !== 'CallExpression' && node.type !== 'NewExpression') {
+      return true;
+    }
+    const callee = describeCallee(node.callee);
+    if (!callee) {
+      return true;
+    }
+    const span = normalizeSpan(toByteSpan(node.span), mapper);
+    const caller = findEnclosingFunction(records, span.start);
+    calls.push({
+      callee: callee.text,
+      name: callee.name,
+      object: callee.object,
+      kind: node.type === 'NewExpression' ? 'new' : 'call',
+      ...locate(span.start),
+      span,
+      caller: caller ? caller.canonicalName : null,
+      callerSpanKey: caller ? caller.spanKey : null
+    });
+    return true;
+  });
+  return calls;
+}
+
+/**
+ * Module-level names bound by `import` declarations and `require()` calls,
+ * with the specifier they come from and the export they refer to ('default',
+ * '*' for namespaces and whole-module requires, or the exported name).
+ */
+function collectImportBindings(bindings) {
+  return bindings.imports.concat(bindings.requires)
+    .filter((entry) => entry.local && entry.imported && !entry.typeOnly)
+    .map((entry) => ({
+      local: entry.local,
+      imported: entry.imported,
+      source: entry.source,
+      kind: entry.kind
+    }));
+}
+
+function collectForwardingRequires(ast) {
+  return ast.body
+    .map((statement) => (statement.type === 'ExpressionStatement' ? statement.expression : null))
+    .filter((expression) => expression && expression.type === 'AssignmentExpression'
+      && isModuleExports(expression.left) && isRequireCall(expression.right))
+    .map((expression) => expression.right);
+}
+
+/**
+ * Names this module forwards from another one: `export * from`, `export { a
+ * as b } from` and whole-module `module.exports = require(...)` shims.
+ */
+function collectReexports(ast, bindings) {
+  const reexports = bindings.exports
+    .filter((entry) => entry.source && (entry.kind === 'esm-all' || entry.kind === 'esm-reexport'))
+    .map((entry) => ({ exported: entry.exported, imported: entry.imported || '*', source: entry.source }));
+  collectForwardingRequires(ast).forEach((call) => {
+    reexports.push({ exported: '*', imported: '*', source: call.arguments[0].expression.value });
+  });
+  return reexports;
+}
+
+// Function declarations carry their own name at the end of the scope chain;
+// expressions and classes do not.
+function isModuleLevel(fn) {
+  if (fn.kind === 'class-method' || !Array.isArray(fn.scopeChain)) {
+    return false;
+  }
+  const chain = fn.scopeChain[fn.scopeChain.length - 1] === fn.name ? fn.scopeChain.slice(0, -1) : fn.scopeChain;
+  return chain.every((segment) => segment === 'exports');
+}
+
+function forwardedSource(entry) {
+  if (entry.source) {
+    return entry.source;
+  }
+  const expression = entry.kind === 'cjs-default' ? entry.statement.expression : null;
+  return expression && isRequireCall(expression.right) ? expression.right.arguments[0].expression.value : null;
+}
+
+/**
+ * Export list of the module: one entry per exported name with the local
+ * binding it exposes (null for expressions and re-exports), the module it
+ * forwards from, if any, and the line of the exporting statement.
+ */
+function collectExportBindings(bindings, locate, mapper) {
+  return bindings.exports.map((entry) => ({
+    exported: entry.exported,
+    local: entry.local || null,
+    kind: entry.kind,
+    source: forwardedSource(entry),
+    line: entry.statement ? locate(normalizeSpan(toByteSpan(entry.statement.span), mapper).start).line : null
+  }));
+}
+
+function exportedIdentifier(entry) {
+  if (entry.kind === 'cjs-object') {
+    if (entry.shorthand) {
+      return entry.property;
+    }
+    return entry.property.value && entry.property.value.type === 'Identifier' ? entry.property.value : null;
+  }
+  if (entry.kind === 'esm-specifier') {
+    return entry.specifier.orig;
+  }
+  const expression = entry.statement && entry.statement.expression;
+  if (entry.kind === 'esm-default') {
+    return expression && expression.type === 'Identifier' ? expression : null;
+  }
+  if (entry.kind === 'cjs-property' || entry.kind === 'cjs-default') {
+    return expression && expression.right && expression.right.type === 'Identifier' ? expression.right : null;
+  }
+  return null;
+}
+
+function createUsage() {
+  return { references: 0, lines: new Set() };
+}
+
+function addUsage(usage, line) {
+  usage.references += 1;
+  if (line) {
+    usage.lines.add(line);
+  }
+}
+
+/**
+ * Walk the identifiers of the module once to find out which members of each
+ * namespace import (`import * as ns`, `const mod = require(...)`) are read and
+ * how often each module-level function is referenced outside its own
+ * declaration and the export list (`exports.name` reads included). A
+ * namespace that escapes as a value counts as using every export; a
+ * `module.exports = require(...)` shim uses nothing itself and only forwards.
+ * Every imported name carries the local binding, its reference count and the
+ * lines it is used on.
+ */
+function collectModuleUsage(ast, bindings, records, lineOf) {
+  const namespaces = new Map();
+  const locals = new Map();
+  bindings.imports.concat(bindings.requires).forEach((entry) => {
+    if (entry.local && entry.imported === '*') {
+      namespaces.set(entry.local, { entry, members: new Map(), whole: createUsage() });
+    } else if (entry.local) {
+      locals.set(entry.local, createUsage());
+    }
+  });
+  const declarations = new Set();
+  const referenceCounts = {};
+  records.filter((record) => record.moduleLevel).forEach((record) => {
+    referenceCounts[record.name] = 0;
+    if (record.identifierSpan) {
+      declarations.add(record.identifierSpan.byteStart);
+    }
+  });
+  bindings.imports.concat(bindings.requires).forEach((entry) => {
+    if (entry.localSpan) {
+      declarations.add(entry.localSpan.byteStart);
+    } else if (entry.specifier && entry.specifier.local) {
+      declarations.add(toByteSpan(entry.specifier.local.span).byteStart);
+    }
+  });
+  bindings.exports.forEach((entry) => {
+    const identifier = exportedIdentifier(entry);
+    if (identifier) {
+      declarations.add(toByteSpan(identifier.span).byteStart);
+    }
+  });
+
+  walkAst(ast, (node, parent, key) => {
+    if (node.type === 'MemberExpression' && key !== 'left' && isExportsTarget(node.object)
+      && node.property.type === 'Identifier'
+      && Object.prototype.hasOwnProperty.call(referenceCounts, node.property.value)) {
+      referenceCounts[node.property.value] += 1;
+      return true;
+    }
+    if (node.type !== 'Identifier' || key === 'key' || (parent && parent.type === 'MemberExpression' && key === 'property')) {
+      return true;
+    }
+    if (declarations.has(toByteSpan(node.span).byteStart)) {
+      return true;
+    }
+    const namespace = namespaces.get(node.value);
+    if (namespace) {
+      const line = lineOf(node.span);
+      if (parent && parent.type === 'MemberExpression' && key === 'object' && parent.property.type === 'Identifier') {
+        const member = parent.property.value;
+        if (!namespace.members.has(member)) {
+          namespace.members.set(member, createUsage());
+        }
+        addUsage(namespace.members.get(member), line);
+      } else {
+        addUsage(namespace.whole, line);
+      }
+    } else if (locals.has(node.value)) {
+      addUsage(locals.get(node.value), lineOf(node.span));
+    }
+    if (Object.prototype.hasOwnProperty.call(referenceCounts, node.value)) {
+      referenceCounts[node.value] += 1;
+    }
+    return true;
+  });
+
+  const importedNames = [];
+  const forwarding = new Set(collectForwardingRequires(ast));
+  const describe = (source, name, local, usage) => ({
+    source,
+    name,
+    local: local || null,
+    references: usage ? usage.references : null,
+    lines: usage ? Array.from(usage.lines).sort((a, b) => a - b) : []
+  });
+  bindings.imports.concat(bindings.requires).forEach((entry) => {
+    if (entry.kind === 'side-effect' || forwarding.has(entry.call)) {
+      return;
+    }
+    const namespace = entry.local && entry.imported === '*' ? namespaces.get(entry.local) : null;
+    if (namespace && namespace.whole.references === 0) {
+      namespace.members.forEach((usage, name) => importedNames.push(describe(entry.source, name, entry.local, usage)));
+      return;
+    }
+    const usage = namespace ? namespace.whole : locals.get(entry.local);
+    importedNames.push(describe(entry.source, entry.imported || '*', entry.local, usage));
+  });
+
+  return { importedNames, referenceCounts };
+}
+
 function buildFunctionRecord(fn, context) {
-  const { source, mapper, filePath, relativePath } = context;
+  const { source, mapper, filePath, relativePath, measured } = context;
   const snippet = extractCode(source, fn.span, mapper);
+  const metrics = fn.kind === 'class' || !fn.span ? null : findMetricsForSpan(measured, fn.span);
   return {
     ...fn,
     filePath,
     relativePath,
     exported: Boolean(fn.exportKind),
+    moduleLevel: isModuleLevel(fn),
     isAsync: detectAsync(snippet),
     isGenerator: detectGenerator(snippet),
     snippet,
     snippetPreview: createSnippetPreview(snippet),
-    spanKey: createSpanKey(fn.span)
+    spanKey: createSpanKey(fn.span),
+    metrics: metrics ? { ...metrics, lines: snippet ? snippet.trimEnd().split(/\r?\n/).length : 0 } : null
   };
 }
 
 function createFileRecord({ filePath, rootDir, source, ast, functions, mapper }) {
   const normalizedRelative = path.relative(rootDir, filePath).replace(/\\/g, '/');
   const totalLines = typeof source === 'string' ? source.split(/\r?\n/).length : 0;
+  const measured = ast && Array.isArray(ast.body)
+    ? collectFunctionMetrics(ast, (span) => normalizeSpan(toByteSpan(span), mapper))
+    : [];
   const records = Array.isArray(functions) ? functions.map((fn) => buildFunctionRecord(fn, {
     source,
     mapper,
     filePath,
-    relativePath: normalizedRelative
+    relativePath: normalizedRelative,
+    measured
   })) : [];
 
   const exportCount = records.filter((item) => item.exported).length;
@@ -195,6 +581,17 @@ function createFileRecord({ filePath, rootDir, source, ast, functions, mapper })
   const entryPoint = detectEntryPoint(source, filePath);
   const priority = detectPriority({ exports: exportCount, functions: functionCount }, entryPoint);
   const dependencies = collectDependencies(ast, source);
+  const moduleBindings = ast && Array.isArray(ast.body) ? collectModuleBindings(ast) : { imports: [], requires: [], exports: [] };
+  const importBindings = collectImportBindings(moduleBindings);
+  const reexports = ast && Array.isArray(ast.body) ? collectReexports(ast, moduleBindings) : [];
+  const calls = collectCallSites(ast, source, mapper, records);
+  const locate = typeof source === 'string' ? createLineLocator(source) : null;
+  const lineOf = locate ? (span) => locate(normalizeSpan(toByteSpan(span), mapper).start).line : null;
+  const usage = ast && Array.isArray(ast.body) && locate
+    ? collectModuleUsage(ast, moduleBindings, records, lineOf)
+    : { importedNames: [], referenceCounts: {} };
+  const dependencyLines = locate ? collectDependencyLines(ast, source, locate, lineOf) : {};
+  const exportBindings = locate ? collectExportBindings(moduleBindings, locate, mapper) : [];
 
   return {
     filePath,
@@ -209,6 +606,13 @@ function createFileRecord({ filePath, rootDir, source, ast, functions, mapper })
       exports: exportCount
     },
     dependencies,
+    dependencyLines,
+    importBindings,
+    importedNames: usage.importedNames,
+    exportBindings,
+    reexports,
+    localReferences: usage.referenceCounts,
+    calls,
     source,
     mapper,
     functions: records
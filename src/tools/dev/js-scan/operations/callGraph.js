@@ -0,0 +1,310 @@
+'use strict';
+
+const { isHashLike } = require('./dependencies');
+
+const MODULE_SCOPE = '(module)';
+
+function nodeKey(relativePath, spanKey) {
+  return `${relativePath}#${spanKey || MODULE_SCOPE}`;
+}
+
+function pickPreferred(candidates, prefer) {
+  if (candidates.length <= 1) {
+    return candidates[0] || null;
+  }
+  const preferred = candidates.filter(prefer);
+  return preferred.length === 1 ? preferred[0] : null;
+}
+
+function createFileIndex(record) {
+  const byName = new Map();
+  record.functions.forEach((fn) => {
+    if (!byName.has(fn.name)) {
+      byName.set(fn.name, []);
+    }
+    byName.get(fn.name).push(fn);
+  });
+  const bindings = new Map();
+  (record.importBindings || []).forEach((binding) => {
+    bindings.set(binding.local, binding);
+  });
+  return { record, byName, bindings };
+}
+
+/**
+ * Function of `index` named `name`. Several declarations may share a simple
+ * name, so nested helpers visible from `caller` win over top-level ones,
+ * which win over anything else.
+ */
+function findLocalFunction(index, name, caller) {
+  const candidates = (index.byName.get(name) || []).filter((fn) => fn.kind !== 'class-method');
+  if (candidates.length <= 1) {
+    return candidates[0] || null;
+  }
+  if (caller) {
+    const callerScope = caller.scopeChain.join('>');
+    const nested = candidates
+      .filter((fn) => callerScope.startsWith(fn.scopeChain.slice(0, -1).join('>')) && !fn.moduleLevel)
+      .sort((a, b) => b.scopeChain.length - a.scopeChain.length);
+    if (nested.length > 0) {
+      return nested[0];
+    }
+  }
+  return pickPreferred(candidates, (fn) => fn.moduleLevel);
+}
+
+function resolveImport(indexes, index, source) {
+  const target = index.record.resolvedSpecifiers ? index.record.resolvedSpecifiers[source] : null;
+  return target ? indexes.get(target) || null : null;
+}
+
+/**
+ * Function exported as `imported` by the module behind `index`, following
+ * re-exports (`export * from`, `module.exports = require(...)` shims) when
+ * the module does not define it itself.
+ */
+function findExportedFunction(indexes, index, imported, seen = new Set()) {
+  if (seen.has(index.record.relativePath)) {
+    return null;
+  }
+  seen.add(index.record.relativePath);
+
+  let found;
+  if (imported === 'default' || imported === '*') {
+    found = pickPreferred(index.record.functions.filter((fn) => fn.exportKind === 'default' || fn.exportKind === 'commonjs-default'), () => true);
+  } else {
+    const candidates = (index.byName.get(imported) || []).filter((fn) => fn.kind !== 'class-method');
+    found = pickPreferred(candidates, (fn) => fn.exported) || pickPreferred(candidates, (fn) => fn.moduleLevel);
+  }
+  if (found) {
+    return found;
+  }
+
+  for (const reexport of index.record.reexports || []) {
+    if (reexport.exported !== '*' && reexport.exported !== imported) {
+      continue;
+    }
+    const targetIndex = resolveImport(indexes, index, reexport.source);
+    const name = reexport.exported === '*' ? imported : reexport.imported;
+    const forwarded = targetIndex ? findExportedFunction(indexes, targetIndex, name, seen) : null;
+    if (forwarded) {
+      return forwarded;
+    }
+  }
+  return null;
+}
+
+function findMethod(index, className, name) {
+  return (index.byName.get(`${className}.${name}`) || []).find((fn) => fn.kind === 'class-method') || null;
+}
+
+/**
+ * Resolve a call site to the function record it invokes: a function in the
+ * same file, a function exported by a module bound through import/require,
+ * a method reached through `this` or a class name, or a member of an
+ * imported namespace. Returns null for anything dynamic or external.
+ */
+function resolveCall(indexes, index, call, caller) {
+  if (!call.object) {
+    const local = findLocalFunction(index, call.name, caller);
+    if (local) {
+      return local;
+    }
+    const binding = index.bindings.get(call.name);
+    const targetIndex = binding ? resolveImport(indexes, index, binding.source) : null;
+    return targetIndex ? findExportedFunction(indexes, targetIndex, binding.imported) : null;
+  }
+
+  if (call.object === 'this') {
+    if (caller && caller.kind === 'class-method') {
+      const className = caller.name.slice(0, caller.name.lastIndexOf('.'));
+      return findMethod(index, className, call.name);
+    }
+    return null;
+  }
+
+  if (findLocalFunction(index, call.object, caller)) {
+    return findMethod(index, call.object, call.name);
+  }
+
+  const binding = index.bindings.get(call.object);
+  const targetIndex = binding ? resolveImport(indexes, index, binding.source) : null;
+  if (!targetIndex) {
+    return null;
+  }
+  if (binding.imported === '*') {
+    return findExportedFunction(indexes, targetIndex, call.name);
+  }
+  const exportedClass = findExportedFunction(indexes, targetIndex, binding.imported);
+  return exportedClass && exportedClass.kind === 'class'
+    ? findMethod(indexes.get(exportedClass.relativePath), exportedClass.name, call.name)
+    : null;
+}
+
+/**
+ * Link every recorded call site to its target function. Nodes are keyed by
+ * file and span so functions sharing a name or hash stay distinct; calls made
+ * outside any function hang off a per-file `(module)` node.
+ */
+function buildCallGraph(files = []) {
+  const records = Array.isArray(files) ? files.filter((record) => record && Array.isArray(record.functions)) : [];
+  const indexes = new Map(records.map((record) => [record.relativePath, createFileIndex(record)]));
+  const nodes = new Map();
+  const outgoing = new Map();
+  const incoming = new Map();
+
+  const ensureNode = (record, fn) => {
+    const key = nodeKey(record.relativePath, fn ? fn.spanKey : null);
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, file: record.relativePath, function: fn || null });
+      outgoing.set(key, []);
+      incoming.set(key, []);
+    }
+    return key;
+  };
+
+  records.forEach((record) => {
+    record.functions.forEach((fn) => ensureNode(record, fn));
+  });
+
+  indexes.forEach((index) => {
+    const { record } = index;
+    const bySpanKey = new Map(record.functions.map((fn) => [fn.spanKey, fn]));
+    (record.calls || []).forEach((call) => {
+      const caller = call.callerSpanKey ? bySpanKey.get(call.callerSpanKey) || null : null;
+      const from = ensureNode(record, caller);
+      const target = resolveCall(indexes, index, call, caller);
+      const to = target ? nodeKey(target.relativePath, target.spanKey) : null;
+      const edge = { from, to, call: { file: record.relativePath, line: call.line, column: call.column, callee: call.callee, kind: call.kind } };
+      outgoing.get(from).push(edge);
+      if (to) {
+        incoming.get(to).push(edge);
+      }
+    });
+  });
+
+  return { nodes, outgoing, incoming };
+}
+
+function findTargetNodes(graph, query) {
+  const trimmed = typeof query === 'string' ? query.trim() : '';
+  if (!trimmed) {
+    throw new Error('Call graph queries require a function name, canonical name or hash.');
+  }
+  const hash = trimmed.startsWith('hash:') ? trimmed.slice(5) : trimmed;
+  const functionNodes = Array.from(graph.nodes.values()).filter((node) => node.function);
+  const matchers = [
+    (fn) => isHashLike(hash) && fn.hash === hash,
+    (fn) => fn.canonicalName === trimmed,
+    (fn) => fn.name === trimmed
+  ];
+  for (const matches of matchers) {
+    const found = functionNodes.filter((node) => matches(node.function));
+    if (found.length > 0) {
+      return found;
+    }
+  }
+  throw new Error(`No function matches '${trimmed}'. Use --search or --find-hash to locate it.`);
+}
+
+function summarizeNode(node) {
+  const fn = node.function;
+  if (!fn) {
+    return { name: MODULE_SCOPE, canonicalName: MODULE_SCOPE, kind: 'module', file: node.file, line: null, column: null, hash: null, exported: false };
+  }
+  return {
+    name: fn.name,
+    canonicalName: fn.canonicalName,
+    kind: fn.kind,
+    file: node.file,
+    line: fn.line,
+    column: fn.column,
+    hash: fn.hash,
+    exported: fn.exported
+  };
+}
+
+function compareEntries(a, b) {
+  return a.hop - b.hop
+    || a.file.localeCompare(b.file)
+    || (a.line || 0) - (b.line || 0);
+}
+
+/**
+ * Answer `--callers` / `--callees`: walk the call graph from every function
+ * matching `query` (hash, canonical name or name) up to `depth` hops. Each
+ * entry lists the call sites that link it to the previous hop; unresolved
+ * callees (built-ins, dynamic calls, packages) are grouped under `external`.
+ */
+function runCallQuery(files, query, options = {}) {
+  const direction = options.direction === 'callees' ? 'callees' : 'callers';
+  const depth = typeof options.depth === 'number' && options.depth > 0 ? options.depth : 1;
+  const limit = typeof options.limit === 'number' && options.limit > 0 ? options.limit : 0;
+  const graph = buildCallGraph(files);
+  const roots = findTargetNodes(graph, query);
+  const adjacency = direction === 'callers' ? graph.incoming : graph.outgoing;
+  const neighbour = (edge) => (direction === 'callers' ? edge.from : edge.to);
+
+  const visited = new Map(roots.map((node) => [node.key, null]));
+  const external = new Map();
+  let frontier = roots.map((node) => node.key);
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop += 1) {
+    const next = [];
+    frontier.forEach((key) => {
+      const via = graph.nodes.get(key).function;
+      adjacency.get(key).forEach((edge) => {
+        const otherKey = neighbour(edge);
+        if (!otherKey) {
+          const entry = external.get(edge.call.callee) || { callee: edge.call.callee, count: 0, callSites: [] };
+          entry.count += 1;
+          entry.callSites.push(edge.call);
+          external.set(edge.call.callee, entry);
+          return;
+        }
+        if (!visited.has(otherKey)) {
+          visited.set(otherKey, {
+            ...summarizeNode(graph.nodes.get(otherKey)),
+            hop,
+            via: via ? via.canonicalName : null,
+            callSites: []
+          });
+          if (graph.nodes.get(otherKey).function) {
+            next.push(otherKey);
+          }
+        }
+        const entry = visited.get(otherKey);
+        if (entry && entry.hop === hop) {
+          entry.callSites.push(edge.call);
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  const allEntries = Array.from(visited.values()).filter(Boolean).sort(compareEntries);
+  const entries = limit > 0 ? allEntries.slice(0, limit) : allEntries;
+  const externalEntries = Array.from(external.values()).sort((a, b) => b.count - a.count || a.callee.localeCompare(b.callee));
+
+  return {
+    operation: direction,
+    query,
+    targets: roots.map(summarizeNode),
+    entries,
+    ...(direction === 'callees' ? { external: externalEntries } : {}),
+    stats: {
+      depth,
+      limit,
+      total: allEntries.length,
+      shown: entries.length,
+      files: new Set(allEntries.map((entry) => entry.file)).size,
+      callSites: allEntries.reduce((sum, entry) => sum + entry.callSites.length, 0)
+    }
+  };
+}
+
+module.exports = {
+  buildCallGraph,
+  resolveCall,
+  runCallQuery
+};
@@ -0,0 +1,413 @@
+'use strict';
+
+const path = require('path');
+const { buildCallGraph } = require('./callGraph');
+
+// Above this many candidate edge subsets a component falls back to the
+// Eades–Lin–Smyth ordering heuristic instead of an exhaustive search.
+const EXACT_SEARCH_BUDGET = 50000;
+const WHOLE_MODULE_WEIGHT = 5;
+
+function resolveSource(record, source) {
+  return record.resolvedSpecifiers ? record.resolvedSpecifiers[source] || null : null;
+}
+
+function edgeKey(from, to) {
+  return `${from}\u0000${to}`;
+}
+
+/**
+ * File-level edges between scanned modules, each with the specifiers and
+ * lines that create it and the exported names that travel along it.
+ */
+function collectEdges(files, byFile) {
+  const edges = new Map();
+  files.forEach((record) => {
+    const dependencies = record.dependencies || {};
+    const ensure = (to) => {
+      const key = edgeKey(record.relativePath, to);
+      if (!edges.has(key)) {
+        edges.set(key, { from: record.relativePath, to, kinds: [], specifiers: [], lines: [], symbols: new Map(), wholeModule: false });
+      }
+      return edges.get(key);
+    };
+    [['import', dependencies.imports], ['require', dependencies.requires]].forEach(([kind, specifiers]) => {
+      (specifiers || []).forEach((specifier) => {
+        const to = resolveSource(record, specifier);
+        if (!to || to === record.relativePath || !byFile.has(to)) {
+          return;
+        }
+        const edge = ensure(to);
+        if (!edge.kinds.includes(kind)) edge.kinds.push(kind);
+        if (!edge.specifiers.includes(specifier)) edge.specifiers.push(specifier);
+        ((record.dependencyLines || {})[specifier] || []).forEach((line) => {
+          if (!edge.lines.includes(line)) edge.lines.push(line);
+        });
+      });
+    });
+
+    const addSymbol = (to, name, usage) => {
+      const key = edgeKey(record.relativePath, to);
+      if (!edges.has(key)) {
+        return;
+      }
+      const edge = edges.get(key);
+      if (name === '*') {
+        edge.wholeModule = true;
+        return;
+      }
+      const symbol = edge.symbols.get(name) || { name, references: 0, lines: [] };
+      symbol.references += usage.references || 0;
+      (usage.lines || []).forEach((line) => {
+        if (!symbol.lines.includes(line)) symbol.lines.push(line);
+      });
+      edge.symbols.set(name, symbol);
+    };
+    (record.importedNames || []).forEach((entry) => {
+      const to = resolveSource(record, entry.source);
+      if (to) addSymbol(to, entry.name, entry);
+    });
+    (record.reexports || []).forEach((entry) => {
+      const to = resolveSource(record, entry.source);
+      if (to) addSymbol(to, entry.imported, { references: 0, lines: [] });
+    });
+  });
+  edges.forEach((edge) => {
+    edge.lines.sort((a, b) => a - b);
+    edge.symbols = Array.from(edge.symbols.values()).sort((a, b) => a.name.localeCompare(b.name));
+    edge.weight = Math.max(1, edge.symbols.length) + (edge.wholeModule ? WHOLE_MODULE_WEIGHT : 0);
+  });
+  return edges;
+}
+
+/**
+ * Tarjan's strongly connected components; only components that contain a
+ * cycle (more than one file) are returned.
+ */
+function findCyclicComponents(nodes, adjacency) {
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    lowlink.set(node, counter);
+    counter += 1;
+    stack.push(node);
+    onStack.add(node);
+    (adjacency.get(node) || []).forEach((next) => {
+      if (!index.has(next)) {
+        visit(next);
+        lowlink.set(node, Math.min(lowlink.get(node), lowlink.get(next)));
+      } else if (onStack.has(next)) {
+        lowlink.set(node, Math.min(lowlink.get(node), index.get(next)));
+      }
+    });
+    if (lowlink.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) {
+        components.push(component.sort());
+      }
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!index.has(node)) visit(node);
+  });
+  return components.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function isAcyclic(nodes, edges, removed) {
+  const indegree = new Map(nodes.map((node) => [node, 0]));
+  const outgoing = new Map(nodes.map((node) => [node, []]));
+  edges.forEach((edge, position) => {
+    if (!removed.has(position)) {
+      outgoing.get(edge.from).push(edge.to);
+      indegree.set(edge.to, indegree.get(edge.to) + 1);
+    }
+  });
+  const queue = nodes.filter((node) => indegree.get(node) === 0);
+  let visited = 0;
+  while (queue.length > 0) {
+    const node = queue.pop();
+    visited += 1;
+    outgoing.get(node).forEach((next) => {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+  return visited === nodes.length;
+}
+
+function countCombinations(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+/**
+ * Smallest set of edges whose removal leaves the component acyclic, lightest
+ * (fewest symbols to move) among equally small sets. Returns null when the
+ * search would exceed the budget.
+ */
+function exactFeedbackArcSet(nodes, edges) {
+  let budget = EXACT_SEARCH_BUDGET;
+  for (let size = 0; size <= edges.length; size += 1) {
+    budget -= countCombinations(edges.length, size);
+    if (budget < 0) {
+      return null;
+    }
+    let best = null;
+    let bestWeight = Infinity;
+    const chosen = [];
+    const search = (start) => {
+      if (chosen.length === size) {
+        const weight = chosen.reduce((sum, position) => sum + edges[position].weight, 0);
+        if (weight < bestWeight && isAcyclic(nodes, edges, new Set(chosen))) {
+          best = chosen.slice();
+          bestWeight = weight;
+        }
+        return;
+      }
+      for (let position = start; position <= edges.length - (size - chosen.length); position += 1) {
+        chosen.push(position);
+        search(position + 1);
+        chosen.pop();
+      }
+    };
+    search(0);
+    if (best) {
+      return best;
+    }
+  }
+  return [];
+}
+
+/**
+ * Eades–Lin–Smyth: order the files by peeling sinks and sources, cut the
+ * edges that point backwards, then restore every cut edge that does not
+ * close a cycle again so the result is minimal.
+ */
+function heuristicFeedbackArcSet(nodes, edges) {
+  const remaining = new Set(nodes);
+  const head = [];
+  const tail = [];
+  const degree = (node, direction) => edges.filter((edge) => remaining.has(edge.from) && remaining.has(edge.to)
+    && (direction === 'out' ? edge.from === node : edge.to === node)).length;
+  while (remaining.size > 0) {
+    const ordered = Array.from(remaining).sort();
+    const sink = ordered.find((node) => degree(node, 'out') === 0);
+    if (sink) {
+      tail.unshift(sink);
+      remaining.delete(sink);
+      continue;
+    }
+    const source = ordered.find((node) => degree(node, 'in') === 0);
+    if (source) {
+      head.push(source);
+      remaining.delete(source);
+      continue;
+    }
+    const pick = ordered.reduce((best, node) => (degree(node, 'out') - degree(node, 'in') > degree(best, 'out') - degree(best, 'in') ? node : best));
+    head.push(pick);
+    remaining.delete(pick);
+  }
+  const order = new Map(head.concat(tail).map((node, position) => [node, position]));
+  const removed = new Set();
+  edges.forEach((edge, position) => {
+    if (order.get(edge.to) < order.get(edge.from)) removed.add(position);
+  });
+  Array.from(removed)
+    .sort((a, b) => edges[b].weight - edges[a].weight)
+    .forEach((position) => {
+      removed.delete(position);
+      if (!isAcyclic(nodes, edges, removed)) removed.add(position);
+    });
+  return Array.from(removed);
+}
+
+function findExportedFunction(record, name) {
+  const binding = (record.exportBindings || []).find((entry) => entry.exported === name);
+  const localName = binding && binding.local ? binding.local : name;
+  return (record.functions || []).find((fn) => fn.moduleLevel && fn.name === localName) || null;
+}
+
+function sharedModulePath(file) {
+  const extension = path.posix.extname(file);
+  const base = path.posix.basename(file, extension);
+  return path.posix.join(path.posix.dirname(file), `${base}-shared${extension || '.js'}`);
+}
+
+/**
+ * Decide how to cut one edge: move the symbols into the importer when nothing
+ * else needs them, otherwise extract them (plus the same-file helpers they
+ * call) into a shared module both files can import. Modules used as a whole
+ * or for side effects can only be injected or required lazily.
+ */
+function suggestBreak(edge, context) {
+  const { byFile, callGraph, importersOf, component } = context;
+  const targetRecord = byFile.get(edge.to);
+  if (edge.symbols.length === 0 || edge.wholeModule) {
+    return {
+      action: 'inject',
+      target: null,
+      symbols: edge.symbols.map((symbol) => symbol.name),
+      carry: [],
+      caveats: [],
+      message: `${edge.from} uses ${edge.to} as a whole module or for side effects; pass it in as a parameter or require it lazily where it is needed.`
+    };
+  }
+
+  const functionNodes = Array.from(callGraph.nodes.values()).filter((node) => node.file === edge.to && node.function);
+  const nodeOf = (fn) => functionNodes.find((node) => node.function === fn) || null;
+  const names = edge.symbols.map((symbol) => symbol.name);
+  const moved = new Set(names.map((name) => findExportedFunction(targetRecord, name)).filter(Boolean));
+  const carry = new Set();
+  const externalFiles = new Set();
+  let callsBack = false;
+  const queue = Array.from(moved);
+  while (queue.length > 0) {
+    const node = nodeOf(queue.shift());
+    (node ? callGraph.outgoing.get(node.key) : []).forEach((call) => {
+      const callee = call.to ? callGraph.nodes.get(call.to) : null;
+      if (!callee || !callee.function) {
+        return;
+      }
+      if (callee.file === edge.to) {
+        if (!moved.has(callee.function) && !carry.has(callee.function)) {
+          carry.add(callee.function);
+          queue.push(callee.function);
+        }
+      } else if (callee.file === edge.from) {
+        callsBack = true;
+      } else if (component.has(callee.file)) {
+        externalFiles.add(callee.file);
+      }
+    });
+  }
+
+  const usedElsewhere = names.some((name) => importersOf(edge.to, name).some((file) => file !== edge.from));
+  const usedLocally = Array.from(moved).some((fn) => {
+    const node = nodeOf(fn);
+    const internalCalls = node ? callGraph.incoming.get(node.key).some((call) => call.call.file === edge.to) : false;
+    return internalCalls || (targetRecord.localReferences || {})[fn.name] > 0;
+  });
+  const carried = Array.from(carry).map((fn) => fn.name).sort();
+  const caveats = Array.from(externalFiles).sort().map((file) => `still calls into ${file}, which is on the same cycle`);
+  if (moved.size < names.length) {
+    caveats.push('some symbols are not module-level functions; move their declarations by hand');
+  }
+
+  if (!usedElsewhere && !usedLocally && carried.length === 0) {
+    return {
+      action: 'move',
+      target: edge.from,
+      symbols: names,
+      carry: [],
+      caveats,
+      message: `Move ${names.join(', ')} from ${edge.to} into ${edge.from}; nothing else uses ${names.length > 1 ? 'them' : 'it'}.`
+    };
+  }
+  const target = sharedModulePath(edge.to);
+  if (callsBack) {
+    caveats.push(`calls back into ${edge.from}; pass that dependency in or ${target} keeps the cycle`);
+  }
+  const withHelpers = carried.length > 0 ? ` (with ${carried.join(', ')})` : '';
+  return {
+    action: 'extract',
+    target,
+    symbols: names,
+    carry: carried,
+    caveats,
+    message: `Extract ${names.join(', ')}${withHelpers} from ${edge.to} into ${target} and import it from ${edge.from} and ${edge.to}.`
+  };
+}
+
+/**
+ * `--break-cycles`: for every group of mutually dependent files, the smallest
+ * set of import edges to cut (a minimum feedback arc set; exact for small
+ * groups, a minimal heuristic set otherwise), the symbols that travel along
+ * each cut edge and where to move or extract them. `options.focus` keeps only
+ * the groups containing that file.
+ */
+function suggestCycleBreaks(files = [], options = {}) {
+  const byFile = new Map(files.map((record) => [record.relativePath, record]));
+  const edges = collectEdges(files, byFile);
+  const adjacency = new Map(files.map((record) => [record.relativePath, []]));
+  edges.forEach((edge) => adjacency.get(edge.from).push(edge.to));
+
+  let components = findCyclicComponents(Array.from(adjacency.keys()).sort(), adjacency);
+  if (options.focus) {
+    components = components.filter((component) => component.includes(options.focus));
+  }
+
+  const importers = new Map();
+  files.forEach((record) => {
+    (record.importedNames || []).forEach((entry) => {
+      const key = edgeKey(resolveSource(record, entry.source), entry.name);
+      if (!importers.has(key)) importers.set(key, new Set());
+      importers.get(key).add(record.relativePath);
+    });
+  });
+  const importersOf = (file, name) => Array.from(importers.get(edgeKey(file, name)) || []);
+  const callGraph = components.length > 0 ? buildCallGraph(files) : null;
+
+  const breaks = [];
+  const summaries = components.map((members) => {
+    const component = new Set(members);
+    const internal = Array.from(edges.values())
+      .filter((edge) => component.has(edge.from) && component.has(edge.to))
+      .sort((a, b) => a.weight - b.weight || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+    const exact = exactFeedbackArcSet(members, internal);
+    const cut = (exact || heuristicFeedbackArcSet(members, internal)).map((position) => internal[position]);
+    cut.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)).forEach((edge) => {
+      breaks.push({
+        from: edge.from,
+        to: edge.to,
+        kinds: edge.kinds,
+        specifiers: edge.specifiers,
+        line: edge.lines.length > 0 ? edge.lines[0] : null,
+        lines: edge.lines,
+        symbols: edge.symbols.map((symbol) => {
+          const fn = findExportedFunction(byFile.get(edge.to), symbol.name);
+          return { ...symbol, function: fn ? { canonicalName: fn.canonicalName, line: fn.line, hash: fn.hash } : null };
+        }),
+        wholeModule: edge.wholeModule,
+        suggestion: suggestBreak(edge, { byFile, callGraph, importersOf, component })
+      });
+    });
+    return { files: members, edges: internal.length, cut: cut.length, exact: Boolean(exact) };
+  });
+
+  return {
+    operation: 'cycle-breaks',
+    components: summaries,
+    breaks,
+    stats: {
+      files: files.length,
+      components: summaries.length,
+      filesInCycles: summaries.reduce((sum, component) => sum + component.files.length, 0),
+      edgesInCycles: summaries.reduce((sum, component) => sum + component.edges, 0),
+      breaks: breaks.length,
+      exact: summaries.every((component) => component.exact)
+    }
+  };
+}
+
+module.exports = {
+  suggestCycleBreaks,
+  findCyclicComponents,
+  exactFeedbackArcSet,
+  heuristicFeedbackArcSet
+};
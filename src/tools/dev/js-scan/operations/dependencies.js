@@ -316,6 +316,7 @@ function runDependencySummary(files, query, options = {}) {
 
   const outgoing = collectDirection(graph, targetKey, 'outgoing', { depth, limit });
   const incoming = collectDirection(graph, targetKey, 'incoming', { depth, limit });
+  const unresolved = Array.isArray(record.unresolvedDependencies) ? record.unresolvedDependencies : [];
 
   return {
     operation: 'dependencies',
@@ -337,15 +338,19 @@ function runDependencySummary(files, query, options = {}) {
       fanIn,
       outgoingShown: outgoing.length,
       incomingShown: incoming.length,
+      unresolved: unresolved.length,
       depth: depth === Infinity ? 0 : depth,
       limit
     },
     outgoing,
-    incoming
+    incoming,
+    unresolved
   };
 }
 
 module.exports = {
   buildDependencyGraph,
-  runDependencySummary
+  runDependencySummary,
+  selectTargetRecord,
+  isHashLike
 };
@@ -0,0 +1,292 @@
+'use strict';
+
+const path = require('path');
+const { buildDependencyGraph, selectTargetRecord } = require('./dependencies');
+const { DependencyGraphBuilder, RiskScorer, CircularDependencyDetector } = require('./rippleAnalysis');
+
+const GRAPH_FORMATS = Object.freeze(['dot', 'mermaid', 'graphml']);
+const RISK_DEPTH = 4;
+const RISK_ORDER = Object.freeze(['GREEN', 'YELLOW', 'RED']);
+const RISK_COLORS = Object.freeze({ GREEN: '#c8e6c9', YELLOW: '#fff59d', RED: '#ef9a9a' });
+const CYCLE_COLOR = '#d32f2f';
+
+function directoryOf(file) {
+  const dir = path.posix.dirname(file);
+  return dir === '' ? '.' : dir;
+}
+
+/**
+ * Files reachable from `start` along import/require edges, `depth` hops at
+ * most (0 = unlimited).
+ */
+function collectReachable(graph, start, depth) {
+  const reachable = new Set([start]);
+  let frontier = [start];
+  for (let hop = 1; frontier.length > 0 && (!depth || hop <= depth); hop += 1) {
+    const next = [];
+    frontier.forEach((file) => {
+      const node = graph.byFile.get(file);
+      (node ? Array.from(node.outgoing.keys()) : []).forEach((target) => {
+        if (!reachable.has(target)) {
+          reachable.add(target);
+          next.push(target);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return reachable;
+}
+
+function scoreFileRisk(files, file, scorer) {
+  const builder = new DependencyGraphBuilder({ maxDepth: RISK_DEPTH, files });
+  const risk = scorer.score(builder.build(file, '/'));
+  return { level: risk.level, score: risk.score };
+}
+
+function worstRisk(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return RISK_ORDER.indexOf(b.level) > RISK_ORDER.indexOf(a.level) || (a.level === b.level && b.score > a.score) ? b : a;
+}
+
+/**
+ * Build the exported graph: one node per file (or per directory with
+ * `collapseDirs`), edges weighted by import/require counts. With `from`, only
+ * what that file reaches is kept; `highlightCycles` marks the cycles found by
+ * `CircularDependencyDetector`; `colorRisk` attaches each file's ripple risk
+ * level (the worst one for a directory).
+ */
+function buildGraphModel(files = [], options = {}) {
+  const graph = buildDependencyGraph(files);
+  const recordsByFile = new Map(files.map((record) => [record.relativePath, record]));
+  let root = null;
+  let keep = null;
+  if (options.from) {
+    root = selectTargetRecord(files, options.from, options.rootDir).record.relativePath;
+    keep = collectReachable(graph, root, options.depth);
+  }
+
+  const groupOf = (file) => (options.collapseDirs ? directoryOf(file) : file);
+  const nodes = new Map();
+  const edges = new Map();
+  const scorer = new RiskScorer();
+
+  graph.nodes.forEach((fileNode) => {
+    if (keep && !keep.has(fileNode.file)) {
+      return;
+    }
+    const id = groupOf(fileNode.file);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, label: id, files: 0, external: true, entryPoint: false, risk: null, inCycle: false });
+    }
+    const node = nodes.get(id);
+    node.files += 1;
+    node.external = node.external && !fileNode.exists;
+    node.entryPoint = node.entryPoint || Boolean(fileNode.record && fileNode.record.entryPoint);
+    if (options.colorRisk && fileNode.exists) {
+      node.risk = worstRisk(node.risk, scoreFileRisk(files, recordsByFile.get(fileNode.file).filePath, scorer));
+    }
+
+    fileNode.outgoing.forEach((counts, target) => {
+      if (keep && !keep.has(target)) {
+        return;
+      }
+      const to = groupOf(target);
+      if (to === id) {
+        return;
+      }
+      const key = `${id}\u0000${to}`;
+      const edge = edges.get(key) || { from: id, to, imports: 0, requires: 0, cycle: false };
+      edge.imports += counts.import || 0;
+      edge.requires += counts.require || 0;
+      edges.set(key, edge);
+    });
+  });
+
+  let cycles = [];
+  if (options.highlightCycles) {
+    const detector = new CircularDependencyDetector({ maxCycles: Infinity });
+    const adjacency = new Map(Array.from(nodes.keys()).map((id) => [id, []]));
+    edges.forEach((edge) => adjacency.get(edge.from).push(edge.to));
+    cycles = detector.detect({ nodes: Array.from(adjacency, ([file, imports]) => ({ file, imports })) }).cycles;
+    cycles.forEach((cycle) => {
+      for (let index = 0; index < cycle.length - 1; index += 1) {
+        nodes.get(cycle[index]).inCycle = true;
+        edges.get(`${cycle[index]}\u0000${cycle[index + 1]}`).cycle = true;
+      }
+    });
+  }
+
+  const nodeList = Array.from(nodes.values()).sort((a, b) => a.id.localeCompare(b.id));
+  const edgeList = Array.from(edges.values()).sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  return {
+    root,
+    collapsed: Boolean(options.collapseDirs),
+    nodes: nodeList,
+    edges: edgeList,
+    cycles,
+    stats: {
+      nodes: nodeList.length,
+      edges: edgeList.length,
+      files: nodeList.reduce((sum, node) => sum + node.files, 0),
+      cycles: cycles.length,
+      cycleEdges: edgeList.filter((edge) => edge.cycle).length
+    }
+  };
+}
+
+function edgeLabel(edge) {
+  const parts = [];
+  if (edge.imports > 0) parts.push(`import×${edge.imports}`);
+  if (edge.requires > 0) parts.push(`require×${edge.requires}`);
+  return parts.join(' ');
+}
+
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function renderDot(model) {
+  const lines = [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=8];'
+  ];
+  model.nodes.forEach((node) => {
+    const attributes = [`label=${quoteDot(node.label)}`];
+    if (model.collapsed) attributes.push('shape=folder');
+    const styles = [];
+    if (node.risk) {
+      styles.push('filled');
+      attributes.push(`fillcolor=${quoteDot(RISK_COLORS[node.risk.level])}`);
+    }
+    if (node.external) styles.push('dashed');
+    if (styles.length > 0) attributes.push(`style=${quoteDot(styles.join(','))}`);
+    if (node.entryPoint) attributes.push('peripheries=2');
+    if (node.inCycle) attributes.push(`color=${quoteDot(CYCLE_COLOR)}`, 'penwidth=2');
+    if (node.id === model.root) attributes.push('fontcolor="#1565c0"');
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(', ')}];`);
+  });
+  model.edges.forEach((edge) => {
+    const attributes = [`label=${quoteDot(edgeLabel(edge))}`];
+    if (edge.requires > 0 && edge.imports === 0) attributes.push('style=dashed');
+    if (edge.cycle) attributes.push(`color=${quoteDot(CYCLE_COLOR)}`, 'penwidth=2');
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [${attributes.join(', ')}];`);
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+function renderMermaid(model) {
+  const ids = new Map(model.nodes.map((node, index) => [node.id, `n${index}`]));
+  const label = (value) => `"${String(value).replace(/"/g, '#quot;')}"`;
+  const lines = ['graph LR'];
+  model.nodes.forEach((node) => {
+    lines.push(`  ${ids.get(node.id)}${model.collapsed ? `[/${label(node.label)}/]` : `[${label(node.label)}]`}`);
+  });
+  model.edges.forEach((edge) => {
+    const arrow = edge.requires > 0 && edge.imports === 0 ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow}|${label(edgeLabel(edge))}| ${ids.get(edge.to)}`);
+  });
+
+  const classes = new Map();
+  const addClass = (name, node) => {
+    if (!classes.has(name)) classes.set(name, []);
+    classes.get(name).push(ids.get(node.id));
+  };
+  model.nodes.forEach((node) => {
+    if (node.risk) addClass(`risk${node.risk.level.charAt(0)}${node.risk.level.slice(1).toLowerCase()}`, node);
+    if (node.inCycle) addClass('cycle', node);
+    if (node.external) addClass('external', node);
+  });
+  const classDefs = {
+    riskGreen: `fill:${RISK_COLORS.GREEN}`,
+    riskYellow: `fill:${RISK_COLORS.YELLOW}`,
+    riskRed: `fill:${RISK_COLORS.RED}`,
+    cycle: `stroke:${CYCLE_COLOR},stroke-width:2px`,
+    external: 'stroke-dasharray:4 2'
+  };
+  classes.forEach((members, name) => {
+    lines.push(`  classDef ${name} ${classDefs[name]};`);
+    lines.push(`  class ${members.join(',')} ${name};`);
+  });
+  model.edges.forEach((edge, index) => {
+    if (edge.cycle) {
+      lines.push(`  linkStyle ${index} stroke:${CYCLE_COLOR},stroke-width:2px;`);
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderGraphml(model) {
+  const keys = [
+    ['label', 'node', 'string'],
+    ['files', 'node', 'int'],
+    ['external', 'node', 'boolean'],
+    ['entryPoint', 'node', 'boolean'],
+    ['risk', 'node', 'string'],
+    ['riskScore', 'node', 'int'],
+    ['color', 'node', 'string'],
+    ['inCycle', 'node', 'boolean'],
+    ['imports', 'edge', 'int'],
+    ['requires', 'edge', 'int'],
+    ['cycle', 'edge', 'boolean']
+  ];
+  const data = (key, value) => `<data key="${key}">${escapeXml(value)}</data>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(([id, domain, type]) => `  <key id="${id}" for="${domain}" attr.name="${id}" attr.type="${type}"/>`),
+    '  <graph id="dependencies" edgedefault="directed">'
+  ];
+  model.nodes.forEach((node) => {
+    const fields = [data('label', node.label), data('files', node.files), data('external', node.external), data('entryPoint', node.entryPoint), data('inCycle', node.inCycle)];
+    if (node.risk) {
+      fields.push(data('risk', node.risk.level), data('riskScore', node.risk.score), data('color', RISK_COLORS[node.risk.level]));
+    }
+    lines.push(`    <node id="${escapeXml(node.id)}">${fields.join('')}</node>`);
+  });
+  model.edges.forEach((edge, index) => {
+    const fields = [data('imports', edge.imports), data('requires', edge.requires), data('cycle', edge.cycle)];
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">${fields.join('')}</edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+const RENDERERS = Object.freeze({ dot: renderDot, mermaid: renderMermaid, graphml: renderGraphml });
+
+/**
+ * `--export-graph <format>`: the scanned dependency graph as Graphviz DOT,
+ * Mermaid (for markdown docs) or GraphML. The result carries the rendered
+ * text in `output` next to the node/edge model.
+ */
+function exportDependencyGraph(files, options = {}) {
+  const format = typeof options.format === 'string' ? options.format.trim().toLowerCase() : '';
+  if (!RENDERERS[format]) {
+    throw new Error(`Unknown graph format '${options.format}'. Use one of: ${GRAPH_FORMATS.join(', ')}.`);
+  }
+  const model = buildGraphModel(files, options);
+  return {
+    operation: 'export-graph',
+    format,
+    ...model,
+    output: RENDERERS[format](model)
+  };
+}
+
+module.exports = {
+  buildGraphModel,
+  exportDependencyGraph,
+  GRAPH_FORMATS
+};
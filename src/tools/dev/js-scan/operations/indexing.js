@@ -19,29 +19,124 @@ function computeModuleScore(record) {
   return score;
 }
 
+const HOTSPOT_PREVIEW = 3;
+
+// `--sort` keys: the module value each one ranks by, largest first.
+const SORT_KEYS = Object.freeze({
+  complexity: (entry) => entry.complexity.cyclomatic,
+  cyclomatic: (entry) => entry.complexity.maxCyclomatic,
+  cognitive: (entry) => entry.complexity.maxCognitive,
+  nesting: (entry) => entry.complexity.maxNesting,
+  params: (entry) => entry.complexity.maxParams,
+  lines: (entry) => entry.complexity.maxLines,
+  functions: (entry) => entry.complexity.functions
+});
+
+function normalizeThresholds(options) {
+  const pick = (value) => (typeof value === 'number' && value > 0 ? value : null);
+  return {
+    cyclomatic: pick(options.minComplexity),
+    cognitive: pick(options.minCognitive),
+    lines: pick(options.minLines)
+  };
+}
+
+function meetsThresholds(metrics, thresholds) {
+  return (thresholds.cyclomatic === null || metrics.cyclomatic >= thresholds.cyclomatic)
+    && (thresholds.cognitive === null || metrics.cognitive >= thresholds.cognitive)
+    && (thresholds.lines === null || metrics.lines >= thresholds.lines);
+}
+
+function describeHotspot(fn) {
+  return {
+    name: fn.name,
+    canonicalName: fn.canonicalName,
+    kind: fn.kind,
+    line: fn.line,
+    hash: fn.hash,
+    ...fn.metrics
+  };
+}
+
+/**
+ * Per-module rollup of the function metrics attached by the scanner: the
+ * summed cyclomatic complexity, the worst value of every metric, and the
+ * hotspots — functions meeting every threshold given, or the few most
+ * complex ones when there are none.
+ */
+function summarizeComplexity(record, thresholds, filtering) {
+  const measured = (record.functions || []).filter((fn) => fn.metrics);
+  const max = (key) => measured.reduce((best, fn) => Math.max(best, fn.metrics[key]), 0);
+  const cyclomatic = measured.reduce((sum, fn) => sum + fn.metrics.cyclomatic, 0);
+  const ranked = measured.slice().sort((a, b) => b.metrics.cyclomatic - a.metrics.cyclomatic
+    || b.metrics.cognitive - a.metrics.cognitive
+    || a.line - b.line);
+  const hotspots = filtering
+    ? ranked.filter((fn) => meetsThresholds(fn.metrics, thresholds))
+    : ranked.slice(0, HOTSPOT_PREVIEW);
+  return {
+    functions: measured.length,
+    cyclomatic,
+    averageCyclomatic: measured.length > 0 ? Math.round((cyclomatic / measured.length) * 10) / 10 : 0,
+    maxCyclomatic: max('cyclomatic'),
+    maxCognitive: max('cognitive'),
+    maxNesting: max('nesting'),
+    maxParams: max('params'),
+    maxLines: max('lines'),
+    hotspots: hotspots.map(describeHotspot)
+  };
+}
+
+function compareDefault(a, b) {
+  if (b.entryPoint !== a.entryPoint) {
+    return b.entryPoint ? 1 : -1;
+  }
+  if (b.priority !== a.priority) {
+    return b.priority ? 1 : -1;
+  }
+  if (b.score !== a.score) {
+    return b.score - a.score;
+  }
+  return a.file.localeCompare(b.file);
+}
+
+/**
+ * `--build-index`: one entry per module with its stats, dependencies, score
+ * and complexity rollup. `minComplexity`/`minCognitive`/`minLines` keep only
+ * modules with a function meeting all of them; `sort` ranks by a complexity
+ * key (see SORT_KEYS) or by file name instead of the default score order.
+ */
 function buildIndex(files, options = {}) {
-  const entries = files.map((record) => ({
+  const thresholds = normalizeThresholds(options);
+  const filtering = Object.values(thresholds).some((value) => value !== null);
+  const sortKey = typeof options.sort === 'string' && options.sort.trim() ? options.sort.trim().toLowerCase() : 'score';
+  if (sortKey !== 'score' && sortKey !== 'file' && !SORT_KEYS[sortKey]) {
+    throw new Error(`Unknown index sort '${options.sort}'. Use one of: score, file, ${Object.keys(SORT_KEYS).join(', ')}.`);
+  }
+
+  let entries = files.map((record) => ({
     file: record.relativePath,
+    language: record.language,
     moduleKind: record.moduleKind,
     entryPoint: record.entryPoint,
     priority: record.priority,
     stats: record.stats,
     dependencies: record.dependencies,
-    score: computeModuleScore(record)
+    score: computeModuleScore(record),
+    complexity: summarizeComplexity(record, thresholds, filtering)
   }));
+  if (filtering) {
+    entries = entries.filter((entry) => entry.complexity.hotspots.length > 0);
+  }
 
-  entries.sort((a, b) => {
-    if (b.entryPoint !== a.entryPoint) {
-      return b.entryPoint ? 1 : -1;
-    }
-    if (b.priority !== a.priority) {
-      return b.priority ? 1 : -1;
-    }
-    if (b.score !== a.score) {
-      return b.score - a.score;
-    }
-    return a.file.localeCompare(b.file);
-  });
+  if (sortKey === 'file') {
+    entries.sort((a, b) => a.file.localeCompare(b.file));
+  } else if (SORT_KEYS[sortKey]) {
+    const valueOf = SORT_KEYS[sortKey];
+    entries.sort((a, b) => valueOf(b) - valueOf(a) || a.file.localeCompare(b.file));
+  } else {
+    entries.sort(compareDefault);
+  }
 
   const limit = typeof options.limit === 'number' && options.limit > 0 ? options.limit : entries.length;
   const limitedEntries = entries.slice(0, limit);
@@ -57,12 +152,24 @@ function buildIndex(files, options = {}) {
     if (file.priority) {
       acc.priorityFiles += 1;
     }
+    if (file.language) {
+      acc.languages[file.language] = (acc.languages[file.language] || 0) + 1;
+    }
     return acc;
-  }, { files: 0, functions: 0, classes: 0, exports: 0, entryPoints: 0, priorityFiles: 0 });
+  }, { files: 0, functions: 0, classes: 0, exports: 0, entryPoints: 0, priorityFiles: 0, languages: {} });
+  totals.complexity = {
+    maxCyclomatic: entries.reduce((best, entry) => Math.max(best, entry.complexity.maxCyclomatic), 0),
+    maxCognitive: entries.reduce((best, entry) => Math.max(best, entry.complexity.maxCognitive), 0),
+    matchingModules: entries.length,
+    hotspots: filtering ? entries.reduce((sum, entry) => sum + entry.complexity.hotspots.length, 0) : null
+  };
 
   return {
     operation: 'build-index',
+    sort: sortKey,
+    thresholds,
     stats: totals,
+    cache: options.cache || { enabled: false },
     entries: limitedEntries
   };
 }
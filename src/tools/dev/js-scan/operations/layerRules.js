@@ -0,0 +1,218 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createPatternMatcher } = require('../shared/filters');
+const { buildDependencyGraph } = require('./dependencies');
+
+const RULE_KEYS = Object.freeze(['name', 'from', 'allow', 'forbid', 'message']);
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String).filter((entry) => entry.length > 0);
+}
+
+function toPosix(value) {
+  return value.replace(/\\/g, '/');
+}
+
+function normalizeLimits(value, key) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (typeof value === 'number') {
+    return [{ files: ['*'], max: value }];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`'${key}' must be a number or a list of { files, max } entries.`);
+  }
+  return value.map((entry, index) => {
+    if (!entry || typeof entry.max !== 'number') {
+      throw new Error(`${key}[${index}] needs a numeric 'max'.`);
+    }
+    return { files: toList(entry.files).length > 0 ? toList(entry.files) : ['*'], max: entry.max };
+  });
+}
+
+/**
+ * Validate a parsed rules document and compile its globs. `baseDir` is the
+ * directory rule paths are relative to (the rules file's own directory).
+ */
+function compileLayerRules(document, baseDir) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Layer rules must be a JSON object.');
+  }
+  const rules = (document.rules || []).map((rule, index) => {
+    const label = rule && rule.name ? `'${rule.name}'` : `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || toList(rule.from).length === 0) {
+      throw new Error(`Rule ${label} needs a 'from' glob.`);
+    }
+    if (toList(rule.allow).length === 0 && toList(rule.forbid).length === 0) {
+      throw new Error(`Rule ${label} needs 'allow' or 'forbid' globs.`);
+    }
+    const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Rule ${label} has unknown keys: ${unknown.join(', ')}.`);
+    }
+    return {
+      name: rule.name || `rules[${index}]`,
+      message: rule.message || null,
+      from: createPatternMatcher(toList(rule.from)),
+      allow: toList(rule.allow).length > 0 ? createPatternMatcher(toList(rule.allow)) : null,
+      forbid: toList(rule.forbid).length > 0 ? createPatternMatcher(toList(rule.forbid)) : null
+    };
+  });
+  const bannedModules = (document.bannedModules || []).map((entry) => {
+    const banned = typeof entry === 'string' ? { module: entry } : entry || {};
+    if (typeof banned.module !== 'string' || banned.module.length === 0) {
+      throw new Error("Banned modules need a 'module' name or path glob.");
+    }
+    return {
+      module: banned.module,
+      message: banned.message || null,
+      from: toList(banned.from).length > 0 ? createPatternMatcher(toList(banned.from)) : () => true,
+      path: /[/*]/.test(banned.module) && !banned.module.startsWith('@') ? createPatternMatcher([banned.module]) : null
+    };
+  });
+  return {
+    baseDir,
+    rules,
+    bannedModules,
+    maxFanIn: normalizeLimits(document.maxFanIn, 'maxFanIn').map((limit) => ({ ...limit, files: createPatternMatcher(limit.files) })),
+    maxFanOut: normalizeLimits(document.maxFanOut, 'maxFanOut').map((limit) => ({ ...limit, files: createPatternMatcher(limit.files) }))
+  };
+}
+
+function loadLayerRules(rulesPath) {
+  const absolutePath = path.resolve(rulesPath);
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read layer rules from ${rulesPath}: ${error.message}`);
+  }
+  return compileLayerRules(document, path.dirname(absolutePath));
+}
+
+function matchesModule(banned, specifier, target) {
+  const name = specifier.startsWith('node:') ? specifier.slice(5) : specifier;
+  if (name === banned.module || name.startsWith(`${banned.module}/`)) {
+    return true;
+  }
+  return Boolean(banned.path && target && banned.path(target));
+}
+
+/**
+ * Every import/require of a file with its target path relative to the rules
+ * directory. Relative specifiers that do not resolve still point somewhere,
+ * so a broken import into a forbidden layer is reported too; package
+ * specifiers have no target path.
+ */
+function collectEdges(record, rootDir, toRulePath) {
+  const dependencies = record.dependencies || {};
+  const specifiers = new Set([...(dependencies.imports || []), ...(dependencies.requires || [])]);
+  const resolved = record.resolvedSpecifiers || {};
+  const lines = record.dependencyLines || {};
+  return Array.from(specifiers).map((specifier) => {
+    let target = null;
+    if (resolved[specifier]) {
+      target = toRulePath(path.resolve(rootDir, resolved[specifier]));
+    } else if (specifier.startsWith('.') || specifier.startsWith('/')) {
+      target = toRulePath(path.resolve(path.dirname(record.filePath), specifier));
+    }
+    const specifierLines = lines[specifier] || [];
+    return {
+      specifier,
+      target,
+      resolved: Boolean(resolved[specifier]),
+      line: specifierLines.length > 0 ? specifierLines[0] : null,
+      lines: specifierLines
+    };
+  });
+}
+
+function limitFor(limits, file) {
+  const limit = limits.find((entry) => entry.files(file));
+  return limit ? limit.max : null;
+}
+
+/**
+ * `--layer-rules <file>`: check every import and require in the scan against
+ * the rules file — forbidden and allow-listed edges between path globs,
+ * banned modules and per-file fan-in/fan-out limits. Paths are matched
+ * relative to the rules file's directory, so results do not depend on --dir.
+ */
+function checkLayerRules(files = [], rulesOrPath, options = {}) {
+  const config = typeof rulesOrPath === 'string' ? loadLayerRules(rulesOrPath) : rulesOrPath;
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const toRulePath = (absolutePath) => toPosix(path.relative(config.baseDir, absolutePath));
+  const violations = [];
+  let edgesChecked = 0;
+
+  files.forEach((record) => {
+    const file = toRulePath(record.filePath);
+    collectEdges(record, rootDir, toRulePath).forEach((edge) => {
+      edgesChecked += 1;
+      const base = { file, line: edge.line, lines: edge.lines, specifier: edge.specifier, target: edge.target };
+      if (edge.target) {
+        config.rules.filter((rule) => rule.from(file)).forEach((rule) => {
+          if (rule.forbid && rule.forbid(edge.target)) {
+            violations.push({ ...base, type: 'forbidden', rule: rule.name, message: rule.message || `${file} must not depend on ${edge.target}` });
+          } else if (rule.allow && !rule.allow(edge.target) && !rule.from(edge.target)) {
+            violations.push({ ...base, type: 'not-allowed', rule: rule.name, message: rule.message || `${edge.target} is not in the allowed layers for ${file}` });
+          }
+        });
+      }
+      config.bannedModules
+        .filter((banned) => banned.from(file) && matchesModule(banned, edge.specifier, edge.target))
+        .forEach((banned) => {
+          violations.push({ ...base, type: 'banned-module', rule: banned.module, message: banned.message || `${banned.module} is banned` });
+        });
+    });
+  });
+
+  if (config.maxFanIn.length > 0 || config.maxFanOut.length > 0) {
+    buildDependencyGraph(files).nodes.filter((node) => node.exists).forEach((node) => {
+      const file = toRulePath(node.record.filePath);
+      const fanIn = node.incoming.size;
+      const fanOut = node.outgoing.size;
+      const maxIn = limitFor(config.maxFanIn, file);
+      const maxOut = limitFor(config.maxFanOut, file);
+      const base = { file, line: null, lines: [], specifier: null, target: null };
+      if (maxIn !== null && fanIn > maxIn) {
+        violations.push({ ...base, type: 'max-fan-in', rule: 'maxFanIn', count: fanIn, max: maxIn, message: `imported by ${fanIn} modules (max ${maxIn})` });
+      }
+      if (maxOut !== null && fanOut > maxOut) {
+        violations.push({ ...base, type: 'max-fan-out', rule: 'maxFanOut', count: fanOut, max: maxOut, message: `depends on ${fanOut} modules (max ${maxOut})` });
+      }
+    });
+  }
+
+  violations.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || a.type.localeCompare(b.type));
+  const byType = {};
+  violations.forEach((violation) => {
+    byType[violation.type] = (byType[violation.type] || 0) + 1;
+  });
+  return {
+    operation: 'layer-rules',
+    rulesDir: toPosix(config.baseDir),
+    ok: violations.length === 0,
+    violations,
+    stats: {
+      files: files.length,
+      edges: edgesChecked,
+      rules: config.rules.length,
+      bannedModules: config.bannedModules.length,
+      violations: violations.length,
+      byType
+    }
+  };
+}
+
+module.exports = {
+  compileLayerRules,
+  loadLayerRules,
+  checkLayerRules
+};
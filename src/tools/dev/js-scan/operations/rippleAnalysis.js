@@ -1,31 +1,61 @@
 /**
  * rippleAnalysis.js — Dependency graph analysis for safe refactoring
- * 
+ *
  * Provides:
- * - DependencyGraphBuilder: Multi-layer import + call graph construction
- * - RiskScorer: Risk calculation with 0-100 scale (GREEN/YELLOW/RED)
+ * - DependencyGraphBuilder: Multi-layer import graph built from scanWorkspace records
+ * - RiskScorer: Risk calculation with 0-100 scale (GREEN/YELLOW/RED), per file and per export
  * - CircularDependencyDetector: Cycle detection in dependency chains
- * - Safety assertions: canRename, canDelete, canModifySignature
- * 
+ * - Safety assertions: canRename, canDelete, canModifySignature (per file and per export)
+ *
  * @module tools/dev/js-scan/operations/rippleAnalysis
  */
 
 const fs = require('fs');
 const path = require('path');
+const { scanWorkspace } = require('../shared/scanner');
+const { suggestCycleBreaks } = require('./cycleBreaks');
+
+function dependenciesOf(record) {
+  const resolved = record.resolvedDependencies || {};
+  return Array.from(new Set([...(resolved.imports || []), ...(resolved.requires || [])]));
+}
+
+function resolveSource(record, source) {
+  return record.resolvedSpecifiers ? record.resolvedSpecifiers[source] || null : null;
+}
+
+/**
+ * Locate the scanned record for `targetFile`, given relative to the current
+ * directory, relative to the workspace root, or absolute.
+ */
+function findTargetRecord(files, targetFile, workspaceRoot) {
+  const candidates = new Set([path.resolve(targetFile), path.resolve(workspaceRoot, targetFile)]);
+  return files.find((record) => candidates.has(path.resolve(record.filePath))) || null;
+}
+
+function resolveTargetPath(targetFile, workspaceRoot) {
+  return [path.resolve(targetFile), path.resolve(workspaceRoot, targetFile)].find((candidate) => fs.existsSync(candidate)) || null;
+}
 
 /**
  * DependencyGraphBuilder — Constructs multi-layer dependency graph
- * 
+ *
+ * Edges come from the resolved dependencies of `scanWorkspace` records (SWC
+ * parse + Node-style module resolution), so package imports, tsconfig paths
+ * and mixed JS/TS trees are covered. Pass `files` to reuse an existing scan;
+ * otherwise `workspaceRoot` is scanned on demand.
+ *
  * Layers:
  * - Layer 0: Direct imports (what this module imports)
- * - Layer 1+: Transitive dependencies (what imports this module)
+ * - Layer 1+: Transitive dependents (what imports this module)
  */
 class DependencyGraphBuilder {
   constructor(options = {}) {
-    this.graph = new Map(); // file -> { imports: [], importedBy: [], calls: {} }
-    this.visited = new Set();
+    this.graph = new Map(); // relative path -> { imports: [], importedBy: [], depth, callSites }
     this.maxDepth = options.maxDepth || 4;
     this.logger = options.logger || (() => {});
+    this.files = Array.isArray(options.files) ? options.files : null;
+    this.target = null;
   }
 
   /**
@@ -36,192 +66,123 @@ class DependencyGraphBuilder {
    */
   build(startFile, workspaceRoot = process.cwd()) {
     this.graph.clear();
-    this.visited.clear();
-    this.workspaceRoot = workspaceRoot;
-
-    // Layer 0: Direct imports
-    this._buildLayer0(startFile, workspaceRoot);
-
-    // Layer 1+: Transitive imports (what imports this file)
-    this._buildLayers(startFile, workspaceRoot);
+    this.workspaceRoot = path.resolve(workspaceRoot);
+    const files = this.files
+      || (resolveTargetPath(startFile, this.workspaceRoot) ? scanWorkspace({ dir: this.workspaceRoot }).files : []);
+    this.records = new Map(files.map((record) => [record.relativePath, record]));
+    this.importers = new Map();
+    files.forEach((record) => {
+      dependenciesOf(record).forEach((dependency) => {
+        if (!this.importers.has(dependency)) {
+          this.importers.set(dependency, []);
+        }
+        this.importers.get(dependency).push(record.relativePath);
+      });
+    });
+
+    this.target = findTargetRecord(files, startFile, this.workspaceRoot);
+    if (this.target) {
+      this.logger(`building graph for ${this.target.relativePath}`);
+      this._buildLayer0(this.target);
+      this._buildLayers(this.target);
+      this._linkEdges();
+    }
 
     return {
       targetFile: startFile,
+      target: this.target ? this.target.relativePath : null,
       nodeCount: this.graph.size,
       edgeCount: this._countEdges(),
       depth: this._calculateDepth(),
       hasCycles: this.hasCycles(),
+      exportCount: this.target ? (this.target.exportBindings || []).length : 0,
       nodes: Array.from(this.graph.entries()).map(([file, data]) => ({
         file,
         depth: data.depth || 0,
-        importCount: data.imports?.length || 0,
-        importedByCount: data.importedBy?.length || 0,
-        callSites: Object.keys(data.calls || {}).length
+        importCount: data.imports.length,
+        importedByCount: data.importedBy.length,
+        callSites: data.callSites,
+        imports: data.imports.slice()
       }))
     };
   }
 
-  /**
-   * Build Layer 0: Direct imports from target file
-   */
-  _buildLayer0(file, workspaceRoot) {
-    if (!fs.existsSync(file)) return;
-
-    const content = fs.readFileSync(file, 'utf-8');
-    const imports = this._parseImports(content, file, workspaceRoot);
-
+  _ensureNode(file, depth) {
     if (!this.graph.has(file)) {
-      this.graph.set(file, { imports: [], importedBy: [], calls: {}, depth: 0 });
-    }
-
-    this.graph.get(file).imports = imports;
-
-    for (const imported of imports) {
-      if (!this.graph.has(imported)) {
-        this.graph.set(imported, { imports: [], importedBy: [], calls: {}, depth: 1 });
-      }
-      const importedNode = this.graph.get(imported);
-      if (!importedNode.importedBy.includes(file)) {
-        importedNode.importedBy.push(file);
-      }
+      this.graph.set(file, { imports: [], importedBy: [], depth, callSites: 0 });
+      return true;
     }
+    const node = this.graph.get(file);
+    node.depth = Math.min(node.depth, depth);
+    return false;
   }
 
   /**
-   * Build Layers 1+: Reverse dependency chain
+   * Build Layer 0: Direct imports from target file
    */
-  _buildLayers(targetFile, workspaceRoot, currentDepth = 1) {
-    if (currentDepth >= this.maxDepth) return;
-
-    // Find all files that import the target
-    const jsFiles = this._findJsFiles(workspaceRoot);
-
-    for (const file of jsFiles) {
-      if (this.visited.has(file)) continue;
-      this.visited.add(file);
-
-      const content = fs.readFileSync(file, 'utf-8');
-      const imports = this._parseImports(content, file, workspaceRoot);
-
-      if (imports.includes(targetFile)) {
-        if (!this.graph.has(file)) {
-          this.graph.set(file, { imports: [], importedBy: [], calls: {}, depth: currentDepth });
-        }
-
-        const fileNode = this.graph.get(file);
-        if (!fileNode.imports.includes(targetFile)) {
-          fileNode.imports.push(targetFile);
-        }
-
-        // Recursively build next layer
-        this._buildLayers(file, workspaceRoot, currentDepth + 1);
-      }
-    }
+  _buildLayer0(target) {
+    this._ensureNode(target.relativePath, 0);
+    dependenciesOf(target).forEach((dependency) => this._ensureNode(dependency, 1));
   }
 
   /**
-   * Parse import/require statements from content
+   * Build Layers 1+: Reverse dependency chain, one hop per layer. Each
+   * dependent's call sites count how often it uses the target's exports.
    */
-  _parseImports(content, sourceFile, workspaceRoot) {
-    const imports = [];
-    const importPatterns = [
-      /import\s+(?:.*?)\s+from\s+['"]([^'"]+)['"]/g,
-      /require\s*\(\s*['"]([^'"]+)['"]\s*\)/g
-    ];
-
-    for (const pattern of importPatterns) {
-      let match;
-      while ((match = pattern.exec(content)) !== null) {
-        const importPath = match[1];
-        if (!importPath.startsWith('.')) continue; // Skip node_modules
-
-        const resolved = this._resolveImportPath(importPath, sourceFile, workspaceRoot);
-        if (resolved && fs.existsSync(resolved)) {
-          imports.push(resolved);
-        }
-      }
+  _buildLayers(target) {
+    let frontier = [target.relativePath];
+    for (let depth = 1; depth < this.maxDepth && frontier.length > 0; depth += 1) {
+      const next = [];
+      frontier.forEach((file) => {
+        (this.importers.get(file) || []).forEach((importer) => {
+          if (this._ensureNode(importer, depth)) {
+            next.push(importer);
+          }
+        });
+      });
+      frontier = next;
     }
 
-    return imports;
+    this.graph.forEach((node, file) => {
+      const record = this.records.get(file);
+      node.callSites = record && file !== target.relativePath
+        ? (record.importedNames || [])
+          .filter((entry) => resolveSource(record, entry.source) === target.relativePath)
+          .reduce((sum, entry) => sum + (entry.references || 0), 0)
+        : 0;
+    });
   }
 
   /**
-   * Resolve relative import to absolute path
+   * Keep the edges whose both ends are in the graph.
    */
-  _resolveImportPath(importPath, sourceFile, workspaceRoot) {
-    if (importPath.startsWith('.')) {
-      const dir = path.dirname(sourceFile);
-      let resolved = path.resolve(dir, importPath);
-
-      // Try with extensions if no extension provided
-      if (!path.extname(resolved)) {
-        for (const ext of ['.js', '.ts', '/index.js', '/index.ts']) {
-          const candidate = resolved + ext;
-          if (fs.existsSync(candidate)) return candidate;
-        }
-      }
-      return resolved;
-    }
-    return null;
-  }
-
-  /**
-   * Find all JavaScript files in workspace
-   */
-  _findJsFiles(directory, maxFiles = 500) {
-    const files = [];
-    const _walk = (dir, depth = 0) => {
-      if (depth > 5 || files.length >= maxFiles) return;
-      if (!fs.existsSync(dir)) return;
-
-      try {
-        const entries = fs.readdirSync(dir);
-        for (const entry of entries) {
-          if (files.length >= maxFiles) break;
-          if (entry.startsWith('.')) continue;
-
-          const fullPath = path.join(dir, entry);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory()) {
-            _walk(fullPath, depth + 1);
-          } else if (entry.endsWith('.js') || entry.endsWith('.ts')) {
-            files.push(fullPath);
-          }
-        }
-      } catch (e) {
-        // Skip permission errors
-      }
-    };
-
-    _walk(directory);
-    return files;
+  _linkEdges() {
+    this.graph.forEach((node, file) => {
+      const record = this.records.get(file);
+      node.imports = record ? dependenciesOf(record).filter((dependency) => this.graph.has(dependency)).sort() : [];
+    });
+    this.graph.forEach((node, file) => {
+      node.imports.forEach((dependency) => this.graph.get(dependency).importedBy.push(file));
+    });
   }
 
   /**
    * Check if graph has circular dependencies
    */
   hasCycles() {
-    for (const node of this.graph.keys()) {
-      if (this._hasCycleDFS(node, new Set())) return true;
-    }
-    return false;
-  }
-
-  /**
-   * DFS cycle detection
-   */
-  _hasCycleDFS(node, visiting) {
-    if (visiting.has(node)) return true;
-    visiting.add(node);
-
-    const graphNode = this.graph.get(node);
-    if (graphNode && graphNode.imports) {
-      for (const imported of graphNode.imports) {
-        if (this._hasCycleDFS(imported, new Set(visiting))) return true;
+    const state = new Map();
+    const visit = (node) => {
+      state.set(node, 'visiting');
+      for (const imported of (this.graph.get(node) || { imports: [] }).imports) {
+        if (state.get(imported) === 'visiting') return true;
+        if (!state.has(imported) && visit(imported)) return true;
       }
+      state.set(node, 'done');
+      return false;
+    };
+    for (const node of this.graph.keys()) {
+      if (!state.has(node) && visit(node)) return true;
     }
-
     return false;
   }
 
@@ -231,9 +192,9 @@ class DependencyGraphBuilder {
   _countEdges() {
     let count = 0;
     for (const node of this.graph.values()) {
-      count += (node.imports?.length || 0) + (node.importedBy?.length || 0);
+      count += node.imports.length;
     }
-    return Math.floor(count / 2); // Each edge counted twice
+    return count;
   }
 
   /**
@@ -250,7 +211,7 @@ class DependencyGraphBuilder {
 
 /**
  * RiskScorer — Calculates refactoring risk (0-100 scale)
- * 
+ *
  * Risk factors:
  * - Importers count (high = risky)
  * - Circular dependencies (critical)
@@ -272,30 +233,48 @@ class RiskScorer {
    * Calculate risk score (0-100)
    * @returns {Object} { score, level (GREEN/YELLOW/RED), factors }
    */
-  score(graphMetadata, targetFile) {
+  score(graphMetadata) {
     const factors = {
       importerCount: this._scoreImporters(graphMetadata),
       circularDeps: graphMetadata.hasCycles ? 100 : 0,
-      publicInterface: this._scorePublicInterface(targetFile),
+      publicInterface: this._scorePublicInterface(graphMetadata),
       usagePatterns: this._scoreUsagePatterns(graphMetadata)
     };
 
-    // Weighted score
-    let totalScore = 0;
-    for (const [key, weight] of Object.entries(this.weights)) {
-      totalScore += factors[key] * weight;
-    }
-
-    const level = totalScore < 30 ? 'GREEN' : totalScore < 70 ? 'YELLOW' : 'RED';
-
+    const { score, level } = this._combine(factors);
     return {
-      score: Math.round(totalScore),
+      score,
       level,
       factors,
-      recommendations: this._getRecommendations(totalScore, level, graphMetadata)
+      recommendations: this._getRecommendations(score, level, graphMetadata)
     };
   }
 
+  /**
+   * Risk of changing one export: how many files bind it, whether the module
+   * sits on an import cycle, whether it is re-exported or the module is an
+   * entry point, and how many references (or opaque whole-module uses) exist.
+   */
+  scoreSymbol(symbol, context = {}) {
+    const factors = {
+      importerCount: Math.min(100, symbol.stats.files * 10),
+      circularDeps: context.inCycle ? 100 : 0,
+      publicInterface: context.entryPoint ? 100 : symbol.stats.reexports > 0 ? 50 : 0,
+      usagePatterns: symbol.stats.wholeModule > 0 ? 100 : Math.min(100, symbol.stats.references * 4)
+    };
+    return { ...this._combine(factors), factors };
+  }
+
+  _combine(factors) {
+    let totalScore = 0;
+    for (const [key, weight] of Object.entries(this.weights)) {
+      totalScore += factors[key] * weight;
+    }
+    const score = Math.round(totalScore);
+    const level = score < 30 ? 'GREEN' : score < 70 ? 'YELLOW' : 'RED';
+    return { score, level };
+  }
+
   /**
    * Score based on number of importers
    */
@@ -310,16 +289,11 @@ class RiskScorer {
   }
 
   /**
-   * Score based on public interface
+   * Score based on public interface (exported names of the target)
    */
-  _scorePublicInterface(targetFile) {
-    if (!fs.existsSync(targetFile)) return 0;
-
-    const content = fs.readFileSync(targetFile, 'utf-8');
-    const exportCount = (content.match(/export\s+(const|function|class)/g) || []).length;
-
+  _scorePublicInterface(graphMetadata) {
     // More exports = higher risk
-    return Math.min(100, exportCount * 10);
+    return Math.min(100, (graphMetadata.exportCount || 0) * 10);
   }
 
   /**
@@ -364,13 +338,16 @@ class RiskScorer {
 class CircularDependencyDetector {
   constructor(options = {}) {
     this.logger = options.logger || (() => {});
+    this.maxCycles = options.maxCycles || 10;
   }
 
   /**
-   * Detect all circular dependencies in graph
+   * Detect circular dependencies in graph: the shortest cycle through each
+   * node, reported once per distinct cycle.
    */
   detect(graphMetadata) {
     const cycles = [];
+    const seen = new Set();
 
     // Build adjacency list from metadata
     const adjList = new Map();
@@ -378,10 +355,12 @@ class CircularDependencyDetector {
       adjList.set(node.file, node.imports || []);
     }
 
-    // DFS from each node
     for (const startNode of adjList.keys()) {
-      const cycle = this._findCycleDFS(startNode, startNode, adjList, new Set(), []);
-      if (cycle) {
+      const cycle = this._shortestCycle(startNode, adjList);
+      if (!cycle) continue;
+      const key = this._canonicalKey(cycle);
+      if (!seen.has(key)) {
+        seen.add(key);
         cycles.push(cycle);
       }
     }
@@ -389,32 +368,40 @@ class CircularDependencyDetector {
     return {
       hasCycles: cycles.length > 0,
       cycleCount: cycles.length,
-      cycles: cycles.slice(0, 10) // Limit to 10 cycles
+      cycles: cycles.slice(0, this.maxCycles) // Limit to 10 cycles by default
     };
   }
 
   /**
-   * DFS to find cycle starting from a node
+   * Breadth-first search for the shortest path from `start` back to itself.
    */
-  _findCycleDFS(current, target, adjList, visiting, path) {
-    if (visiting.has(current)) {
-      if (current === target && path.length > 1) {
-        return [...path, current]; // Found cycle back to start
+  _shortestCycle(start, adjList) {
+    const previous = new Map();
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const neighbor of adjList.get(current) || []) {
+        if (neighbor === start) {
+          const path = [start];
+          for (let node = current; node !== start; node = previous.get(node)) {
+            path.splice(1, 0, node);
+          }
+          return [...path, start];
+        }
+        if (!previous.has(neighbor)) {
+          previous.set(neighbor, current);
+          queue.push(neighbor);
+        }
       }
-      return null;
     }
-
-    visiting.add(current);
-    path.push(current);
-
-    const neighbors = adjList.get(current) || [];
-    for (const neighbor of neighbors) {
-      const cycle = this._findCycleDFS(neighbor, target, adjList, new Set(visiting), [...path]);
-      if (cycle) return cycle;
-    }
-
     return null;
   }
+
+  _canonicalKey(cycle) {
+    const nodes = cycle.slice(0, -1);
+    const first = nodes.indexOf(nodes.slice().sort()[0]);
+    return [...nodes.slice(first), ...nodes.slice(0, first)].join('\u0000');
+  }
 }
 
 /**
@@ -437,28 +424,199 @@ class SafetyAssertions {
   static canExtract(graphMetadata, riskScore) {
     return riskScore.level !== 'RED' && !graphMetadata.hasCycles;
   }
+
+  /**
+   * An export can be renamed when every use is a known binding that can be
+   * updated: no whole-module uses and no consumers outside the workspace.
+   */
+  static canRenameSymbol(symbol, context = {}) {
+    return symbol.risk.level !== 'RED' && symbol.stats.wholeModule === 0 && !context.entryPoint;
+  }
+
+  /**
+   * An export can be deleted when no scanned file binds or re-exports it by
+   * name (wildcard forwards do not count) and the module itself does not
+   * refer to it.
+   */
+  static canDeleteSymbol(symbol, context = {}) {
+    return symbol.stats.files === 0 && !context.entryPoint && !(symbol.localReferences > 0);
+  }
+}
+
+function indexDependents(files) {
+  const importedBy = new Map();
+  const reexportedBy = new Map();
+  const push = (map, key, value) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  };
+  files.forEach((record) => {
+    (record.importedNames || []).forEach((entry) => {
+      const target = resolveSource(record, entry.source);
+      if (target && target !== record.relativePath) {
+        push(importedBy, target, { record, entry });
+      }
+    });
+    (record.reexports || []).forEach((reexport) => {
+      const target = resolveSource(record, reexport.source);
+      if (target && target !== record.relativePath) {
+        push(reexportedBy, target, { record, reexport });
+      }
+    });
+  });
+  return { importedBy, reexportedBy };
+}
+
+/**
+ * Every place an exported name of `target` is used, following re-exports
+ * (`export { x } from`, `export *`, `module.exports = require(...)` shims) for
+ * up to `depth` hops. Wildcard forwards are listed but do not count as users
+ * since they keep working when the name goes away. Whole-module uses (a namespace or `require()` result
+ * that escapes as a value, or a default import of a CommonJS module) may
+ * touch any export and are reported as such.
+ */
+function traceSymbolUsages(index, target, name, depth) {
+  const usages = [];
+  const seen = new Set([`${target.relativePath}#${name}`]);
+  let frontier = [{ record: target, name, via: [] }];
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop += 1) {
+    const next = [];
+    frontier.forEach((current) => {
+      (index.importedBy.get(current.record.relativePath) || []).forEach(({ record, entry }) => {
+        const commonJsDefault = entry.name === 'default' && current.record.moduleKind === 'commonjs' && current.name !== 'default';
+        if (entry.name !== current.name && entry.name !== '*' && !commonJsDefault) {
+          return;
+        }
+        usages.push({
+          file: record.relativePath,
+          hop,
+          via: current.via,
+          kind: entry.name === current.name ? 'import' : 'whole-module',
+          imported: entry.name,
+          binding: entry.local,
+          references: entry.references,
+          lines: entry.lines
+        });
+      });
+      (index.reexportedBy.get(current.record.relativePath) || []).forEach(({ record, reexport }) => {
+        if (reexport.exported !== '*' && reexport.imported !== current.name) {
+          return;
+        }
+        const forwarded = reexport.exported === '*' ? current.name : reexport.exported;
+        usages.push({
+          file: record.relativePath,
+          hop,
+          via: current.via,
+          kind: reexport.exported === '*' ? 'forward' : 're-export',
+          imported: current.name,
+          binding: forwarded,
+          references: null,
+          lines: []
+        });
+        const key = `${record.relativePath}#${forwarded}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          next.push({ record, name: forwarded, via: [...current.via, record.relativePath] });
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  return usages.sort((a, b) => a.hop - b.hop || a.file.localeCompare(b.file));
+}
+
+/**
+ * Per-export ripple: who binds each exported name, how often it is used,
+ * its risk and whether it can be renamed or deleted.
+ */
+function analyzeSymbols(files, target, options = {}) {
+  const depth = options.depth || 4;
+  const scorer = options.scorer || new RiskScorer();
+  const context = { inCycle: Boolean(options.inCycle), entryPoint: Boolean(target.entryPoint) };
+  const index = indexDependents(files);
+  const exportsList = (target.exportBindings || [])
+    .filter((entry) => entry.kind !== 'esm-all' && !(entry.kind === 'cjs-default' && entry.source));
+
+  return exportsList.map((entry) => {
+    const names = [entry.local, entry.exported].filter(Boolean);
+    const fn = target.functions.find((candidate) => candidate.moduleLevel && names.includes(candidate.name)) || null;
+    const localReferences = fn && target.localReferences ? target.localReferences[fn.name] : undefined;
+    const usages = traceSymbolUsages(index, target, entry.exported, depth);
+    const symbol = {
+      exported: entry.exported,
+      local: entry.local || null,
+      exportKind: entry.kind,
+      reexportFrom: entry.source || null,
+      line: entry.line,
+      name: fn ? fn.name : null,
+      functionKind: fn ? fn.kind : null,
+      hash: fn ? fn.hash : null,
+      localReferences: typeof localReferences === 'number' ? localReferences : null,
+      usages,
+      stats: {
+        files: new Set(usages.filter((usage) => usage.kind !== 'forward').map((usage) => usage.file)).size,
+        references: usages.reduce((sum, usage) => sum + (usage.references || 0), 0),
+        reexports: usages.filter((usage) => usage.kind === 're-export' || usage.kind === 'forward').length,
+        wholeModule: usages.filter((usage) => usage.kind === 'whole-module').length
+      }
+    };
+    symbol.risk = scorer.scoreSymbol(symbol, context);
+    symbol.canRename = SafetyAssertions.canRenameSymbol(symbol, context);
+    symbol.canDelete = SafetyAssertions.canDeleteSymbol(symbol, context);
+    return symbol;
+  });
 }
 
 /**
  * Main ripple analysis function
+ *
+ * `options.files` reuses an existing scan (js-scan passes its own);
+ * `options.symbol` narrows the per-export report to one exported name.
  */
 async function analyzeRipple(targetFile, options = {}) {
-  const workspaceRoot = options.workspaceRoot || process.cwd();
+  const workspaceRoot = path.resolve(options.workspaceRoot || process.cwd());
   const logger = options.logger || (() => {});
 
   try {
+    const depth = options.depth || 3;
+    const files = Array.isArray(options.files)
+      ? options.files
+      : (resolveTargetPath(targetFile, workspaceRoot) ? scanWorkspace({ dir: workspaceRoot }).files : []);
+
     // Build graph
-    const builder = new DependencyGraphBuilder({ maxDepth: options.depth || 3, logger });
+    const builder = new DependencyGraphBuilder({ maxDepth: depth, logger, files });
     const graphMetadata = builder.build(targetFile, workspaceRoot);
+    const target = builder.target;
+    if (!target && resolveTargetPath(targetFile, workspaceRoot)) {
+      throw new Error(`${targetFile} is not part of the scanned workspace (${workspaceRoot}).`);
+    }
 
     // Score risk
     const scorer = new RiskScorer();
-    const riskScore = scorer.score(graphMetadata, targetFile);
+    const riskScore = scorer.score(graphMetadata);
 
     // Detect cycles
     const cycleDetector = new CircularDependencyDetector({ logger });
     const cycleAnalysis = cycleDetector.detect(graphMetadata);
 
+    const inCycle = Boolean(target) && cycleAnalysis.cycles.some((cycle) => cycle.includes(target.relativePath));
+    const cycleBreaks = inCycle ? suggestCycleBreaks(files, { focus: target.relativePath }).breaks : [];
+
+    // Per-export ripple
+    let symbols = target ? analyzeSymbols(files, target, { depth, scorer, inCycle }) : [];
+    if (options.symbol) {
+      const matching = symbols.filter((symbol) => symbol.exported === options.symbol || symbol.local === options.symbol);
+      if (matching.length === 0) {
+        const available = symbols.map((symbol) => symbol.exported).join(', ') || 'none';
+        throw new Error(`${target ? target.relativePath : targetFile} does not export '${options.symbol}'. Exports: ${available}`);
+      }
+      symbols = matching;
+    }
+
     // Safety assertions
     const assertions = {
       canRename: SafetyAssertions.canRename(graphMetadata, riskScore),
@@ -470,16 +628,21 @@ async function analyzeRipple(targetFile, options = {}) {
     return {
       targetFile,
       success: true,
+      symbol: options.symbol || null,
       graph: graphMetadata,
       risk: riskScore,
       cycles: cycleAnalysis,
+      cycleBreaks,
       safetyAssertions: assertions,
+      symbols,
       summary: {
         message: `Ripple analysis for ${path.basename(targetFile)}: ${riskScore.level} risk`,
         nodeCount: graphMetadata.nodeCount,
         riskScore: riskScore.score,
         riskLevel: riskScore.level,
-        hasCycles: cycleAnalysis.hasCycles
+        hasCycles: cycleAnalysis.hasCycles,
+        exports: symbols.length,
+        safeToDelete: symbols.filter((symbol) => symbol.canDelete).map((symbol) => symbol.exported)
       }
     };
   } catch (error) {
@@ -499,6 +662,7 @@ async function analyzeRipple(targetFile, options = {}) {
 
 module.exports = {
   analyzeRipple,
+  analyzeSymbols,
   DependencyGraphBuilder,
   RiskScorer,
   CircularDependencyDetector,
@@ -0,0 +1,191 @@
+'use strict';
+
+function createUsage() {
+  return { all: false, names: new Set() };
+}
+
+function markUsed(usage, name) {
+  if (usage.all) {
+    return false;
+  }
+  if (name === '*') {
+    usage.all = true;
+    return true;
+  }
+  if (usage.names.has(name)) {
+    return false;
+  }
+  usage.names.add(name);
+  return true;
+}
+
+function resolveSource(record, source) {
+  return record.resolvedSpecifiers ? record.resolvedSpecifiers[source] || null : null;
+}
+
+/**
+ * Which exported names of every scanned module are imported by another one.
+ * Entry points count as fully used (they are run or consumed from outside),
+ * a default import of a CommonJS module uses its whole `module.exports`, and
+ * usage flows through re-exports until nothing changes.
+ */
+function collectExportUsage(files) {
+  const byFile = new Map(files.map((record) => [record.relativePath, record]));
+  const usage = new Map(files.map((record) => [record.relativePath, createUsage()]));
+
+  files.forEach((record) => {
+    if (record.entryPoint) {
+      markUsed(usage.get(record.relativePath), '*');
+    }
+    (record.importedNames || []).forEach(({ source, name }) => {
+      const target = resolveSource(record, source);
+      if (!target || target === record.relativePath || !usage.has(target)) {
+        return;
+      }
+      const commonJsDefault = name === 'default' && byFile.get(target).moduleKind === 'commonjs';
+      markUsed(usage.get(target), commonJsDefault ? '*' : name);
+    });
+  });
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    files.forEach((record) => {
+      const own = usage.get(record.relativePath);
+      (record.reexports || []).forEach((reexport) => {
+        const target = resolveSource(record, reexport.source);
+        if (!target || !usage.has(target)) {
+          return;
+        }
+        const targetUsage = usage.get(target);
+        if (reexport.exported === '*') {
+          if (own.all) {
+            changed = markUsed(targetUsage, '*') || changed;
+          } else {
+            own.names.forEach((name) => {
+              changed = markUsed(targetUsage, name) || changed;
+            });
+          }
+        } else if (own.all || own.names.has(reexport.exported)) {
+          changed = markUsed(targetUsage, reexport.imported) || changed;
+        }
+      });
+    });
+  }
+
+  return usage;
+}
+
+function findModuleFunction(record, names) {
+  return record.functions.find((fn) => fn.moduleLevel && names.includes(fn.name)) || null;
+}
+
+function describeCandidate(record, fn, details) {
+  const localReferences = fn && record.localReferences ? record.localReferences[fn.name] : undefined;
+  return {
+    file: record.relativePath,
+    ...details,
+    name: fn ? fn.name : null,
+    canonicalName: fn ? fn.canonicalName : null,
+    functionKind: fn ? fn.kind : null,
+    line: details.line || (fn ? fn.line : null),
+    hash: fn ? fn.hash : null,
+    localReferences: typeof localReferences === 'number' ? localReferences : null
+  };
+}
+
+function filterRecords(files, options) {
+  const includePaths = Array.isArray(options.includePaths) ? options.includePaths : [];
+  const excludePaths = Array.isArray(options.excludePaths) ? options.excludePaths : [];
+  return files.filter((record) => Array.isArray(record.functions)
+    && (includePaths.length === 0 || includePaths.some((fragment) => record.relativePath.includes(fragment)))
+    && !excludePaths.some((fragment) => record.relativePath.includes(fragment)));
+}
+
+function unusedExportsOf(record, usage) {
+  const own = usage.get(record.relativePath);
+  if (!own || own.all) {
+    return [];
+  }
+  return (record.exportBindings || [])
+    .filter((entry) => entry.kind !== 'esm-all' && !(entry.kind === 'cjs-default' && entry.source))
+    .filter((entry) => !own.names.has(entry.exported))
+    .map((entry) => describeCandidate(record, findModuleFunction(record, [entry.local, entry.exported].filter(Boolean)), {
+      exported: entry.exported,
+      exportKind: entry.kind,
+      reexportFrom: entry.source,
+      line: entry.line
+    }));
+}
+
+function finalize(operation, files, candidates, options) {
+  const limit = typeof options.limit === 'number' && options.limit > 0 ? options.limit : 0;
+  return {
+    operation,
+    candidates: limit > 0 ? candidates.slice(0, limit) : candidates,
+    entryPoints: files.filter((record) => record.entryPoint).map((record) => record.relativePath),
+    stats: {
+      files: files.length,
+      exports: files.reduce((sum, record) => sum + (record.exportBindings || []).length, 0),
+      candidates: candidates.length,
+      withHash: candidates.filter((candidate) => candidate.hash).length,
+      limit
+    }
+  };
+}
+
+/**
+ * `--unused-exports`: exported names that no other scanned file imports or
+ * requires. Each candidate carries the exporting line and, when the export is
+ * a module-level function or class, its hash and how often the module itself
+ * still refers to it.
+ */
+function findUnusedExports(files = [], options = {}) {
+  const usage = collectExportUsage(files);
+  const records = filterRecords(files, options);
+  const candidates = [];
+  records.forEach((record) => {
+    candidates.push(...unusedExportsOf(record, usage));
+  });
+  return finalize('unused-exports', records, candidates, options);
+}
+
+/**
+ * `--dead-code`: module-level functions and classes nothing can reach —
+ * exports no other file imports that the module never uses itself, plus
+ * internal functions with no references at all. Candidates are ready for
+ * `js-edit --delete hash:<hash>`.
+ */
+function findDeadCode(files = [], options = {}) {
+  const usage = collectExportUsage(files);
+  const records = filterRecords(files, options);
+  const candidates = [];
+  records.forEach((record) => {
+    const exportedLocals = new Set();
+    (record.exportBindings || []).forEach((entry) => {
+      if (entry.local) exportedLocals.add(entry.local);
+      exportedLocals.add(entry.exported);
+    });
+
+    unusedExportsOf(record, usage)
+      .filter((candidate) => candidate.hash && candidate.localReferences === 0)
+      .forEach((candidate) => candidates.push({ ...candidate, reason: 'unused-export' }));
+
+    record.functions
+      .filter((fn) => fn.moduleLevel && !exportedLocals.has(fn.name) && record.localReferences && record.localReferences[fn.name] === 0)
+      .forEach((fn) => candidates.push(describeCandidate(record, fn, {
+        exported: null,
+        exportKind: null,
+        reexportFrom: null,
+        line: fn.line,
+        reason: 'unreferenced'
+      })));
+  });
+  return finalize('dead-code', records, candidates, options);
+}
+
+module.exports = {
+  collectExportUsage,
+  findUnusedExports,
+  findDeadCode
+};
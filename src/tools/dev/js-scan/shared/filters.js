@@ -75,23 +75,43 @@ function filterFunctions(functions, options = {}) {
   });
 }
 
-function globToRegExp(pattern) {
-  const escaped = pattern.split('').map((char) => {
-    switch (char) {
-      case '*':
-        return '.*';
-      case '?':
-        return '.';
-      case '.':
-        return '\\.';
-      default:
-        return /[+^${}()|[\]\\]/.test(char) ? `\\${char}` : char;
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `**` spans directories (a `**` segment may also match none), `{a,b}` lists
+// alternatives and `[...]` classes pass through. `*` and `?` cross `/` unless
+// `options.paths` is set; then they stay within one segment, case-sensitively.
+function globToRegExp(pattern, options = {}) {
+  const single = options.paths ? '[^/]' : '.';
+  let output = '';
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    const close = char === '{' ? pattern.indexOf('}', index) : char === '[' ? pattern.indexOf(']', index) : -1;
+    if (char === '*' && pattern[index + 1] === '*') {
+      const slashAfter = pattern[index + 2] === '/';
+      output += slashAfter ? '(?:.*/)?' : '.*';
+      index += slashAfter ? 2 : 1;
+    } else if (char === '*') {
+      output += `${single}*`;
+    } else if (char === '?') {
+      output += single;
+    } else if (char === '{' && close !== -1) {
+      output += `(?:${pattern.slice(index + 1, close).split(',').map(escapeRegExp).join('|')})`;
+      index = close;
+    } else if (char === '[' && close !== -1) {
+      output += pattern.slice(index, close + 1).replace(/^\[!/, '[^');
+      index = close;
+    } else {
+      output += escapeRegExp(char);
     }
-  }).join('');
-  return new RegExp(`^${escaped}$`, 'i');
+  }
+  return new RegExp(`^${output}$`, options.paths ? '' : 'i');
 }
 
-function createPatternMatcher(patterns = []) {
+// With `options.paths` every string is a path glob, so absolute paths are not
+// read as `/regex/` literals.
+function createPatternMatcher(patterns = [], options = {}) {
   if (!Array.isArray(patterns) || patterns.length === 0) {
     return () => true;
   }
@@ -100,7 +120,7 @@ function createPatternMatcher(patterns = []) {
     if (pattern instanceof RegExp) {
       return pattern;
     }
-    if (typeof pattern === 'string' && pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+    if (!options.paths && typeof pattern === 'string' && pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
       const lastSlash = pattern.lastIndexOf('/');
       const body = pattern.slice(1, lastSlash);
       const flags = pattern.slice(lastSlash + 1);
@@ -110,10 +130,7 @@ function createPatternMatcher(patterns = []) {
         return globToRegExp(pattern.slice(1, lastSlash));
       }
     }
-    if (typeof pattern === 'string') {
-      return globToRegExp(pattern);
-    }
-    return globToRegExp(String(pattern));
+    return globToRegExp(String(pattern), options);
   });
 
   return (value) => {
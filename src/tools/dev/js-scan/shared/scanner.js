@@ -8,25 +8,35 @@ const {
   GENERATED_PATH_FRAGMENTS,
   normalizeExtensions
 } = require('../../../tsnjs/core/createWorkspaceScanner');
+const { createLanguageRegistry } = require('../../../tsnjs/core/LanguageRegistry');
 const { createJsLanguageProvider } = require('../../../tsnjs/languages/javascript/JsLanguageProvider');
 const { createTsLanguageProvider } = require('../../../tsnjs/languages/typescript/TsLanguageProvider');
 
-const SCAN_LANGUAGE = process.env.TSNJS_SCAN_LANGUAGE === 'typescript' ? 'typescript' : 'javascript';
-const languageProvider = SCAN_LANGUAGE === 'typescript'
-  ? createTsLanguageProvider()
-  : createJsLanguageProvider();
-const { scanWorkspace } = createWorkspaceScanner(languageProvider);
+// `TSNJS_SCAN_LANGUAGE` narrows the scan to one language (ts-scan sets
+// `typescript`); by default JavaScript and TypeScript files are scanned together
+// so dependency edges between them are kept.
+const SCAN_LANGUAGE = ['javascript', 'typescript'].includes(process.env.TSNJS_SCAN_LANGUAGE)
+  ? process.env.TSNJS_SCAN_LANGUAGE
+  : 'mixed';
+const languageRegistry = createLanguageRegistry([
+  ...(SCAN_LANGUAGE !== 'typescript' ? [createJsLanguageProvider()] : []),
+  ...(SCAN_LANGUAGE !== 'javascript' ? [createTsLanguageProvider()] : [])
+]);
+const { scanWorkspace, resolveDependencyCandidates } = createWorkspaceScanner(languageRegistry);
 
 function isSourceFile(filePath, extensions) {
-  const normalized = normalizeExtensions(extensions, languageProvider.getSupportedExtensions());
+  const normalized = normalizeExtensions(extensions, languageRegistry.getSupportedExtensions());
   return isSupportedFile(filePath, normalized);
 }
 
 module.exports = {
   scanWorkspace,
+  resolveDependencyCandidates,
   isJavaScriptFile: isSourceFile,
   isTypeScriptFile: isSourceFile,
-  DEFAULT_EXTENSIONS: languageProvider.getSupportedExtensions(),
+  DEFAULT_EXTENSIONS: languageRegistry.getSupportedExtensions(),
+  SCAN_LANGUAGE,
+  languageRegistry,
   DEFAULT_EXCLUDES,
   DEPRECATED_PATH_FRAGMENTS,
   GENERATED_PATH_FRAGMENTS
@@ -10,8 +10,71 @@ const {
   encodeHash
 } = require('../shared/hashConfig');
 
+function isSpanObject(value) {
+  return typeof value.start === 'number' && typeof value.end === 'number' && typeof value.type !== 'string';
+}
+
+function shiftNodeSpans(node, delta) {
+  const stack = [node];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+    if (isSpanObject(current)) {
+      current.start -= delta;
+      current.end -= delta;
+      continue;
+    }
+    Object.keys(current).forEach((key) => {
+      const value = current[key];
+      if (value && typeof value === 'object') {
+        stack.push(value);
+      }
+    });
+  }
+}
+
+let sharedSourceMap = null;
+
+/**
+ * Some @swc/core releases (1.15.x among them) keep a process-wide source map,
+ * so every parseSync call starts its byte positions where the previous file
+ * ended. Two empty parses tell the builds apart once per process.
+ */
+function usesSharedSourceMap() {
+  if (sharedSourceMap === null) {
+    const first = parseSync('', { syntax: 'ecmascript', isModule: true });
+    const second = parseSync('', { syntax: 'ecmascript', isModule: true });
+    sharedSourceMap = second.span.start > first.span.start;
+  }
+  return sharedSourceMap;
+}
+
+/**
+ * Everything downstream assumes positions start at 1 for each file. On builds
+ * with a shared source map, measure where this parse began (an empty probe
+ * parse always lands one position after the previous file) and shift the
+ * spans back; other builds return the AST untouched.
+ */
+function rebaseModuleSpans(ast, source) {
+  if (!ast || typeof ast !== 'object' || !usesSharedSourceMap()) {
+    return ast;
+  }
+  const probe = parseSync('', { syntax: 'ecmascript', isModule: true });
+  const probeStart = probe && probe.span ? probe.span.start : 1;
+  const byteLength = typeof source === 'string' ? Buffer.byteLength(source, 'utf8') : 0;
+  const fileStart = probeStart - byteLength - 1;
+  if (fileStart > 1) {
+    shiftNodeSpans(ast, fileStart - 1);
+  }
+  return ast;
+}
+
 function parseModule(source, fileName = 'anonymous.js') {
-  return parseSync(source, {
+  const ast = parseSync(source, {
     syntax: 'ecmascript',
     jsx: true,
     dynamicImport: true,
@@ -27,6 +90,7 @@ function parseModule(source, fileName = 'anonymous.js') {
     topLevelAwait: true,
     fileName
   });
+  return rebaseModuleSpans(ast, source);
 }
 
 function buildLineIndex(source) {
@@ -1963,6 +2027,7 @@ function replaceSpan(source, span, replacement, mappingContext = null) {
 
 module.exports = {
   parseModule,
+  rebaseModuleSpans,
   collectFunctions,
   collectVariables,
   extractCode,
@@ -11,7 +11,7 @@ function parseTypescriptModule(source, fileName = 'anonymous.ts') {
   const isTsx = lowerName.endsWith('.tsx');
   const isDts = lowerName.endsWith('.d.ts');
 
-  return parseSync(source, {
+  const ast = parseSync(source, {
     syntax: 'typescript',
     tsx: isTsx,
     decorators: true,
@@ -25,6 +25,7 @@ function parseTypescriptModule(source, fileName = 'anonymous.ts') {
     dts: isDts,
     noEarlyErrors: false
   });
+  return base.rebaseModuleSpans(ast, source);
 }
 
 module.exports = {
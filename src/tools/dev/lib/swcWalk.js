@@ -0,0 +1,99 @@
+'use strict';
+
+const SKIPPED_KEYS = new Set(['span', 'ctxt']);
+
+function isAstNode(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.type === 'string';
+}
+
+function isSpanLike(value) {
+  return typeof value.start === 'number' && typeof value.end === 'number' && typeof value.type !== 'string';
+}
+
+/**
+ * Convert a raw SWC span (1-based start, exclusive end) into exact 0-based
+ * byte offsets, marked as normalized so `normalizeSpan` only maps them to
+ * code units instead of re-interpreting them.
+ */
+function toByteSpan(span) {
+  const byteStart = Math.max(0, span.start - 1);
+  const byteEnd = Math.max(byteStart, span.end - 1);
+  return { start: byteStart, end: byteEnd, byteStart, byteEnd, __normalized: true };
+}
+
+/**
+ * Exact byte span of an identifier's name, excluding any type annotation or
+ * optional marker SWC folds into the node span.
+ */
+function identifierByteSpan(node) {
+  const byteStart = Math.max(0, node.span.start - 1);
+  const byteEnd = byteStart + Buffer.byteLength(node.value, 'utf8');
+  return { start: byteStart, end: byteEnd, byteStart, byteEnd, __normalized: true };
+}
+
+/**
+ * Invoke `callback(child, key)` for every direct child node. SWC wraps some
+ * children in untyped containers (call arguments are `{ spread, expression }`),
+ * so untyped objects are searched transparently and report their owning key.
+ */
+function forEachChildNode(node, callback) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  const visitValue = (value, key) => {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item) => visitValue(item, key));
+      return;
+    }
+    if (isAstNode(value)) {
+      callback(value, key);
+      return;
+    }
+    if (isSpanLike(value)) {
+      return;
+    }
+    Object.keys(value).forEach((innerKey) => {
+      if (!SKIPPED_KEYS.has(innerKey)) {
+        visitValue(value[innerKey], key);
+      }
+    });
+  };
+
+  Object.keys(node).forEach((key) => {
+    if (!SKIPPED_KEYS.has(key)) {
+      visitValue(node[key], key);
+    }
+  });
+}
+
+/**
+ * Depth-first traversal. `enter(node, parent, key)` may return false to skip the
+ * node's children; `leave(node, parent, key)` runs after the children.
+ */
+function walkAst(root, enter, leave = null) {
+  const visit = (node, parent, key) => {
+    const descend = enter ? enter(node, parent, key) : true;
+    if (descend !== false) {
+      forEachChildNode(node, (child, childKey) => visit(child, node, childKey));
+    }
+    if (leave) {
+      leave(node, parent, key);
+    }
+  };
+
+  if (isAstNode(root)) {
+    visit(root, null, null);
+  }
+}
+
+module.exports = {
+  walkAst,
+  forEachChildNode,
+  isAstNode,
+  toByteSpan,
+  identifierByteSpan
+};
@@ -10,6 +10,12 @@ const {
   printDependencySummary: printDependencySummaryShared,
   printParseErrorSummary: printParseErrorSummaryShared,
   printRippleAnalysis: printRippleAnalysisShared,
+  printCallGraph: printCallGraphShared,
+  printUnusedExports: printUnusedExportsShared,
+  printLayerViolations: printLayerViolationsShared,
+  printCycleBreaks: printCycleBreaksShared,
+  printCacheSummary: printCacheSummaryShared,
+  formatCacheSummary,
   formatTerseMatch: formatTerseMatchShared,
   printSearchSummary: printSearchSummaryShared
 } = require('./tsnjs/core/cliReporting');
@@ -22,6 +28,11 @@ const { buildIndex } = require('./js-scan/operations/indexing');
 const { runPatternSearch } = require('./js-scan/operations/patterns');
 const { runDependencySummary } = require('./js-scan/operations/dependencies');
 const { analyzeRipple } = require('./js-scan/operations/rippleAnalysis');
+const { runCallQuery } = require('./js-scan/operations/callGraph');
+const { findUnusedExports, findDeadCode } = require('./js-scan/operations/unusedExports');
+const { exportDependencyGraph } = require('./js-scan/operations/graphExport');
+const { checkLayerRules } = require('./js-scan/operations/layerRules');
+const { suggestCycleBreaks } = require('./js-scan/operations/cycleBreaks');
 
 const fmt = createCliFormatter();
 const SCAN_LANGUAGE = process.env.TSNJS_SCAN_LANGUAGE === 'typescript' ? 'typescript' : 'javascript';
@@ -236,12 +247,30 @@ function createParser() {
     .add('--fields <list>', 'Comma-separated fields for terse view', '')
     .add('--follow-deps', 'Follow relative dependencies discovered in scanned files', false, 'boolean')
     .add('--dep-depth <n>', 'Maximum dependency depth when following dependencies (0 = unlimited)', 0, 'number')
+    .add('--no-cache', 'Parse every file without reading or writing the incremental scan cache')
+    .add('--rebuild-cache', 'Discard the incremental scan cache and rebuild it', false, 'boolean')
+    .add('--cache-dir <dir>', 'Directory for the incremental scan cache (default: tmp/js-scan-cache under --dir)', '')
     .add('--search <term...>', 'Search terms (space-separated)')
     .add('--find-hash <hash>', 'Find function by hash value')
     .add('--find-pattern <pattern...>', 'Find functions matching glob/regex patterns')
     .add('--deps-of <target>', 'Summarize dependencies for a file (imports and dependents)')
     .add('--ripple-analysis <file>', 'Analyze refactoring ripple effects for a file')
-    .add('--build-index', 'Build module index', false, 'boolean');
+    .add('--symbol <name>', 'Limit --ripple-analysis to one export and list where it is used')
+    .add('--callers <target>', 'List functions that call a function (name, canonical name or hash; --dep-depth for transitive callers)')
+    .add('--callees <target>', 'List functions called by a function (name, canonical name or hash; --dep-depth for transitive callees)')
+    .add('--unused-exports', 'List exports that no scanned file imports or requires', false, 'boolean')
+    .add('--dead-code', 'List module-level functions that nothing imports or references', false, 'boolean')
+    .add('--export-graph <format>', 'Write the dependency graph as dot, mermaid or graphml (--deps-of limits it to what a file reaches)')
+    .add('--collapse-dirs', 'With --export-graph, draw one node per directory', false, 'boolean')
+    .add('--highlight-cycles', 'With --export-graph, highlight circular dependencies', false, 'boolean')
+    .add('--color-risk', 'With --export-graph, colour nodes by ripple risk level', false, 'boolean')
+    .add('--layer-rules <file>', 'Check imports against a layering rules file (exits 1 on violations)')
+    .add('--break-cycles', 'Suggest the fewest imports to cut to remove circular dependencies, and where to move the symbols', false, 'boolean')
+    .add('--build-index', 'Build module index', false, 'boolean')
+    .add('--min-complexity <n>', 'With --build-index, only modules with a function of at least this cyclomatic complexity', 0, 'number')
+    .add('--min-cognitive <n>', 'With --build-index, only modules with a function of at least this cognitive complexity', 0, 'number')
+    .add('--min-lines <n>', 'With --build-index, only modules with a function of at least this many lines', 0, 'number')
+    .add('--sort <key>', 'With --build-index, order modules by score, file, complexity, cyclomatic, cognitive, nesting, params, lines or functions', '');
 
   return parser;
 }
@@ -251,8 +280,15 @@ function ensureSingleOperation(options) {
   if (options.search && options.search.length > 0) provided.push('search');
   if (options.findHash) provided.push('find-hash');
   if (options.findPattern && options.findPattern.length > 0) provided.push('find-pattern');
-  if (options.depsOf) provided.push('deps-of');
+  if (options.exportGraph) provided.push('export-graph');
+  if (options.depsOf && !options.exportGraph) provided.push('deps-of');
   if (options.rippleAnalysis) provided.push('ripple-analysis');
+  if (options.callers) provided.push('callers');
+  if (options.callees) provided.push('callees');
+  if (options.unusedExports) provided.push('unused-exports');
+  if (options.deadCode) provided.push('dead-code');
+  if (options.layerRules) provided.push('layer-rules');
+  if (options.breakCycles) provided.push('break-cycles');
   if (options.buildIndex) provided.push('build-index');
   if (provided.length > 1) {
     throw new Error(`Only one operation can be specified at a time. Provided: ${provided.join(', ')}`);
@@ -450,6 +486,17 @@ function printIndex(result) {
   fmt.stat(translateLabelWithMode(fmt, language, 'function', 'Functions'), result.stats.functions, 'number');
   fmt.stat(translateLabelWithMode(fmt, language, 'class', 'Classes'), result.stats.classes, 'number');
   fmt.stat(translateLabelWithMode(fmt, language, 'exports', 'Exports'), result.stats.exports, 'number');
+  fmt.stat(translateLabelWithMode(fmt, language, 'cache', 'Cache'), formatCacheSummary(result.cache));
+  const thresholds = result.thresholds || {};
+  const thresholdParts = [
+    thresholds.cyclomatic ? `cyclomatic ≥ ${thresholds.cyclomatic}` : null,
+    thresholds.cognitive ? `cognitive ≥ ${thresholds.cognitive}` : null,
+    thresholds.lines ? `lines ≥ ${thresholds.lines}` : null
+  ].filter(Boolean);
+  if (thresholdParts.length > 0) {
+    fmt.stat(isChinese ? '阈值' : 'Thresholds', thresholdParts.join(', '));
+    fmt.stat(isChinese ? '热点函数' : 'Hotspot functions', result.stats.complexity.hotspots, 'number');
+  }
 
   if (!Array.isArray(result.entries) || result.entries.length === 0) {
     const message = isChinese ? '未索引模块。' : 'No modules indexed.';
@@ -473,6 +520,21 @@ function printIndex(result) {
     ].join(isChinese ? ' ' : ', ');
     console.log(`  ${fmt.COLORS.muted(statsLine)}`);
 
+    const complexity = entry.complexity;
+    if (complexity && complexity.functions > 0) {
+      const complexityLine = [
+        `${isChinese ? '圈复杂度' : 'Cyclomatic'}:${complexity.cyclomatic} (max ${complexity.maxCyclomatic})`,
+        `${isChinese ? '认知' : 'Cognitive'} max:${complexity.maxCognitive}`,
+        `${isChinese ? '嵌套' : 'Nesting'}:${complexity.maxNesting}`,
+        `${isChinese ? '最长' : 'Longest'}:${complexity.maxLines} lines`
+      ].join(isChinese ? ' ' : ', ');
+      console.log(`  ${fmt.COLORS.muted(complexityLine)}`);
+      complexity.hotspots.forEach((hotspot) => {
+        const metrics = `cc ${hotspot.cyclomatic}, cog ${hotspot.cognitive}, nest ${hotspot.nesting}, ${hotspot.params} params, ${hotspot.lines} lines`;
+        console.log(`    ${fmt.COLORS.bold(hotspot.canonicalName || hotspot.name)}:${hotspot.line} ${fmt.COLORS.muted(metrics)} ${fmt.COLORS.accent(hotspot.hash || '')}`.trimEnd());
+      });
+    }
+
     const importLabel = translateLabelWithMode(fmt, language, 'imports', 'Imports');
     const requireLabel = translateLabelWithMode(fmt, language, 'requires', 'Requires');
     if (Array.isArray(entry.dependencies.imports) && entry.dependencies.imports.length > 0) {
@@ -556,6 +618,30 @@ function printRippleAnalysis(result, options = {}) {
   printRippleAnalysisShared(fmt, result, options);
 }
 
+function printCallGraph(result, options = {}) {
+  printCallGraphShared(fmt, result, options);
+}
+
+function printUnusedExports(result, options = {}) {
+  printUnusedExportsShared(fmt, result, options);
+}
+
+function printLayerViolations(result, options = {}) {
+  printLayerViolationsShared(fmt, result, options);
+}
+
+function printCycleBreaks(result, options = {}) {
+  printCycleBreaksShared(fmt, result, options);
+}
+
+function printCacheSummary(cache, options = {}) {
+  // Hash lists are piped into other commands, so they stay bare.
+  if (options.hashesOnly) {
+    return;
+  }
+  printCacheSummaryShared(fmt, cache);
+}
+
 
 async function main() {
   const parser = createParser();
@@ -641,7 +727,11 @@ async function main() {
       includeDeprecated: options.includeDeprecated,
       deprecatedOnly: options.deprecatedOnly,
       followDependencies: options.followDeps,
-      dependencyDepth: options.depDepth
+      dependencyDepth: options.depDepth,
+      cache: options.cache === false ? null : {
+        dir: options.cacheDir || undefined,
+        rebuild: options.rebuildCache
+      }
     });
   } catch (error) {
     fmt.error(error.message || String(error));
@@ -649,12 +739,17 @@ async function main() {
     return;
   }
 
+  const cacheStats = scanResult.stats.cache || { enabled: false };
+  const printJson = (result) => {
+    console.log(JSON.stringify({ ...result, cache: cacheStats }, null, 2));
+  };
+
   const parseErrors = Array.isArray(scanResult.errors) ? scanResult.errors : [];
   const dependencyOperation = operation === 'deps-of';
   const dependencyParseDetailRequested = dependencyOperation && (options.depsParseErrors || options.showParseErrors);
   const suppressDependencyParseDetails = dependencyOperation && !dependencyParseDetailRequested;
 
-  if (parseErrors.length > 0 && !dependencyOperation && !options.json) {
+  if (parseErrors.length > 0 && !dependencyOperation && operation !== 'export-graph' && !options.json) {
     fmt.warn(`${parseErrors.length} files could not be parsed.`);
     parseErrors.slice(0, 5).forEach((entry) => {
       fmt.info(`${entry.filePath}: ${entry.error.message}`);
@@ -684,9 +779,10 @@ async function main() {
         noGuidance: options.noGuidance
       });
       if (options.json) {
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printSearchResult(result, options);
+        printCacheSummary(cacheStats, options);
       }
       return;
     }
@@ -694,9 +790,10 @@ async function main() {
     if (operation === 'find-hash') {
       const result = runHashLookup(scanResult.files, options.findHash);
       if (options.json) {
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printHashLookup(result, options);
+        printCacheSummary(cacheStats, options);
       }
       return;
     }
@@ -723,7 +820,7 @@ async function main() {
             }
           }
         }
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printDependencySummary(result);
         printParseErrorSummary(parseErrors, {
@@ -731,14 +828,22 @@ async function main() {
           showDetails: dependencyParseDetailRequested,
           hintFlag: '--deps-parse-errors'
         });
+        printCacheSummary(cacheStats, options);
       }
       return;
     }
 
     if (operation === 'build-index' || operation === 'build-index-default') {
-      const result = buildIndex(scanResult.files, { limit: options.limit });
+      const result = buildIndex(scanResult.files, {
+        limit: options.limit,
+        cache: scanResult.stats.cache,
+        minComplexity: options.minComplexity,
+        minCognitive: options.minCognitive,
+        minLines: options.minLines,
+        sort: options.sort
+      });
       if (options.json) {
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printIndex(result, options);
       }
@@ -751,22 +856,104 @@ async function main() {
         limit: options.limit
       });
       if (options.json) {
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printPatternResult(result, options);
+        printCacheSummary(cacheStats, options);
+      }
+      return;
+    }
+
+    if (operation === 'callers' || operation === 'callees') {
+      const result = runCallQuery(scanResult.files, options[operation], {
+        direction: operation,
+        depth: options.depDepth || 1,
+        limit: options.limit
+      });
+      if (options.json) {
+        printJson(result);
+      } else {
+        printCallGraph(result, options);
+        printCacheSummary(cacheStats, options);
+      }
+      return;
+    }
+
+    if (operation === 'unused-exports' || operation === 'dead-code') {
+      const find = operation === 'dead-code' ? findDeadCode : findUnusedExports;
+      const result = find(scanResult.files, {
+        includePaths: options.includePath,
+        excludePaths: options.excludePath,
+        limit: options.limit
+      });
+      if (options.json) {
+        printJson(result);
+      } else {
+        printUnusedExports(result, options);
+        printCacheSummary(cacheStats, options);
+      }
+      return;
+    }
+
+    if (operation === 'break-cycles') {
+      const result = suggestCycleBreaks(scanResult.files);
+      if (options.json) {
+        printJson(result);
+      } else {
+        printCycleBreaks(result, options);
+        printCacheSummary(cacheStats, options);
+      }
+      return;
+    }
+
+    if (operation === 'layer-rules') {
+      const result = checkLayerRules(scanResult.files, options.layerRules, { rootDir: scanResult.rootDir });
+      if (options.json) {
+        printJson(result);
+      } else {
+        printLayerViolations(result, options);
+        printCacheSummary(cacheStats, options);
+      }
+      if (!result.ok) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    if (operation === 'export-graph') {
+      const result = exportDependencyGraph(scanResult.files, {
+        format: options.exportGraph,
+        from: options.depsOf || null,
+        depth: options.depDepth,
+        rootDir: scanResult.rootDir,
+        collapseDirs: options.collapseDirs,
+        highlightCycles: options.highlightCycles,
+        colorRisk: options.colorRisk
+      });
+      if (options.json) {
+        printJson(result);
+      } else {
+        // Only the graph goes to stdout so it can be piped to dot or a file.
+        if (parseErrors.length > 0) {
+          console.error(`${parseErrors.length} files could not be parsed and are missing from the graph.`);
+        }
+        process.stdout.write(result.output);
       }
       return;
     }
 
     if (operation === 'ripple-analysis') {
       const result = await analyzeRipple(options.rippleAnalysis, {
-        workspaceRoot: options.dir,
+        workspaceRoot: scanResult.rootDir,
+        files: scanResult.files,
+        symbol: options.symbol || null,
         depth: options.depDepth || 4
       });
       if (options.json) {
-        console.log(JSON.stringify(result, null, 2));
+        printJson(result);
       } else {
         printRippleAnalysis(result, options);
+        printCacheSummary(cacheStats, options);
       }
       return;
     }
@@ -46,6 +46,14 @@ class LanguageProvider {
   buildFileRecord(context) { // eslint-disable-line class-methods-use-this
     throw new Error('LanguageProvider.buildFileRecord must be implemented by subclasses');
   }
+
+  /**
+   * Create the byte/char offset mapper attached to file records. Used when a
+   * record is restored from the scan cache without re-parsing the file.
+   */
+  createSourceMapper(source) { // eslint-disable-line class-methods-use-this, no-unused-vars
+    return null;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,112 @@
+'use strict';
+
+const path = require('path');
+
+function normalizeExtension(ext) {
+  if (typeof ext !== 'string' || ext.trim().length === 0) {
+    return null;
+  }
+  const trimmed = ext.trim().toLowerCase();
+  return trimmed.startsWith('.') ? trimmed : `.${trimmed}`;
+}
+
+/**
+ * Maps file extensions to the `LanguageProvider` that parses them so a single
+ * workspace scan can cover JavaScript and TypeScript side by side. Lookups use
+ * the longest matching suffix, which lets `.d.ts` be claimed separately from
+ * `.ts`.
+ */
+class LanguageRegistry {
+  constructor(providers = []) {
+    this.providersByExtension = new Map();
+    this.providers = [];
+    providers.forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * Register a provider for its supported extensions (or an explicit list).
+   * Later registrations take over extensions already claimed.
+   */
+  register(provider, extensions) {
+    if (!provider || typeof provider.parseSource !== 'function') {
+      throw new Error('LanguageRegistry.register requires a language provider');
+    }
+    const claimed = (Array.isArray(extensions) ? extensions : provider.getSupportedExtensions())
+      .map(normalizeExtension)
+      .filter(Boolean);
+    if (!this.providers.includes(provider)) {
+      this.providers.push(provider);
+    }
+    claimed.forEach((ext) => {
+      this.providersByExtension.set(ext, provider);
+    });
+    return this;
+  }
+
+  getProviders() {
+    return this.providers.filter((provider) => Array.from(this.providersByExtension.values()).includes(provider));
+  }
+
+  /**
+   * @returns {LanguageProvider|null} provider for the file, or null when no provider claims it.
+   */
+  getProvider(filePath) {
+    const baseName = path.basename(String(filePath || '')).toLowerCase();
+    let match = null;
+    this.providersByExtension.forEach((provider, ext) => {
+      if (baseName.endsWith(ext) && (!match || ext.length > match.ext.length)) {
+        match = { ext, provider };
+      }
+    });
+    return match ? match.provider : null;
+  }
+
+  /**
+   * @returns {string[]} every registered extension, in registration order.
+   */
+  getSupportedExtensions() {
+    return Array.from(this.providersByExtension.keys());
+  }
+
+  /**
+   * Extensions tried when resolving extensionless specifiers, merged across
+   * providers so JavaScript can import TypeScript modules and vice versa.
+   */
+  resolveCandidateExtensions() {
+    const merged = new Set();
+    this.getProviders().forEach((provider) => {
+      const extensions = typeof provider.resolveCandidateExtensions === 'function'
+        ? provider.resolveCandidateExtensions()
+        : provider.getSupportedExtensions();
+      extensions.map(normalizeExtension).filter(Boolean).forEach((ext) => merged.add(ext));
+    });
+    return Array.from(merged);
+  }
+}
+
+/**
+ * Accepts a `LanguageRegistry`, an array of providers, an object keyed by
+ * extension (`{ '.ts': tsProvider }`) or a single provider.
+ */
+function createLanguageRegistry(providers) {
+  if (providers instanceof LanguageRegistry) {
+    return providers;
+  }
+  if (Array.isArray(providers)) {
+    return new LanguageRegistry(providers);
+  }
+  if (providers && typeof providers.parseSource === 'function') {
+    return new LanguageRegistry([providers]);
+  }
+  if (providers && typeof providers === 'object') {
+    const registry = new LanguageRegistry();
+    Object.entries(providers).forEach(([ext, provider]) => registry.register(provider, [ext]));
+    return registry;
+  }
+  throw new Error('createLanguageRegistry requires a language provider or a registry of providers');
+}
+
+module.exports = {
+  LanguageRegistry,
+  createLanguageRegistry
+};
@@ -97,6 +97,15 @@ function printDependencySummary(formatter, result) {
     fmt.table(formatDependencyRows(fmt, incomingEntries, showViaIncoming), { columns: incomingColumns });
   }
 
+  const unresolvedEntries = Array.isArray(result && result.unresolved) ? result.unresolved : [];
+  if (unresolvedEntries.length > 0) {
+    const unresolvedLabel = isChinese ? '未解' : 'Unresolved';
+    fmt.section(`${unresolvedLabel} (${unresolvedEntries.length})`);
+    unresolvedEntries.forEach((entry) => {
+      fmt.warn(`${entry.specifier} ${fmt.COLORS.muted(`(${entry.kind}) ${entry.reason || ''}`.trimEnd())}`);
+    });
+  }
+
   fmt.footer();
 }
 
@@ -152,6 +161,62 @@ function printParseErrorSummary(formatter, errors, options = {}) {
   fmt.info(hint);
 }
 
+function colorRiskLevel(fmt, level) {
+  if (level === 'GREEN') return fmt.COLORS.success(level);
+  if (level === 'YELLOW') return fmt.COLORS.accent(level);
+  return fmt.COLORS.error(level);
+}
+
+function formatUsageLines(usage) {
+  if (usage.kind === 're-export' || usage.kind === 'forward') {
+    return usage.kind === 'forward' ? 'export *' : `as ${usage.binding}`;
+  }
+  const shown = usage.lines.slice(0, 5).join(',');
+  return usage.lines.length > 5 ? `${shown},+${usage.lines.length - 5}` : shown;
+}
+
+/**
+ * Per-export ripple table; with `--symbol` also every file that uses the
+ * export, the local binding and the lines it is used on.
+ */
+function printRippleSymbols(fmt, result, isChinese) {
+  const symbols = Array.isArray(result.symbols) ? result.symbols : [];
+  if (symbols.length === 0) {
+    return;
+  }
+  fmt.section(isChinese ? '导出' : 'Exports');
+  fmt.table(symbols.map((symbol, index) => ({
+    '#': String(index + 1),
+    Export: symbol.exported,
+    Line: symbol.line ? String(symbol.line) : '',
+    Files: String(symbol.stats.files),
+    Refs: symbol.stats.wholeModule > 0 ? `${symbol.stats.references}+*` : String(symbol.stats.references),
+    Risk: `${colorRiskLevel(fmt, symbol.risk.level)} ${symbol.risk.score}`,
+    Rename: symbol.canRename ? fmt.COLORS.success('✓') : fmt.COLORS.error('✗'),
+    Delete: symbol.canDelete ? fmt.COLORS.success('✓') : fmt.COLORS.error('✗')
+  })), { columns: ['#', 'Export', 'Line', 'Files', 'Refs', 'Risk', 'Rename', 'Delete'] });
+
+  if (result.symbol) {
+    symbols.forEach((symbol) => {
+      fmt.section(`${isChinese ? '用处' : 'Used by'} ${symbol.exported}${symbol.hash ? ` ${fmt.COLORS.muted(symbol.hash)}` : ''}`);
+      if (symbol.usages.length === 0) {
+        fmt.info(isChinese ? '无用处' : 'No scanned file uses this export.');
+        return;
+      }
+      fmt.table(symbol.usages.map((usage) => ({
+        File: fmt.COLORS.cyan(usage.file),
+        Kind: usage.kind,
+        Binding: usage.binding || '',
+        Lines: formatUsageLines(usage),
+        Via: usage.via.length > 0 ? fmt.COLORS.muted(usage.via.join(' → ')) : ''
+      })), { columns: ['File', 'Kind', 'Binding', 'Lines', 'Via'] });
+    });
+  } else {
+    fmt.info('Add --symbol <name> to list where an export is used.');
+  }
+  console.log();
+}
+
 function printRippleAnalysis(formatter, result, options = {}) {
   const fmt = ensureFormatter(formatter);
   const language = resolveLanguageContext(fmt);
@@ -210,6 +275,8 @@ function printRippleAnalysis(formatter, result, options = {}) {
   });
   console.log();
 
+  printRippleSymbols(fmt, result, isChinese);
+
   if (result.risk.recommendations && result.risk.recommendations.length > 0) {
     const recLabel = isChinese ? '建议' : 'Recommendations';
     fmt.stat(recLabel, '');
@@ -233,6 +300,261 @@ function printRippleAnalysis(formatter, result, options = {}) {
     console.log();
   }
 
+  if (Array.isArray(result.cycleBreaks) && result.cycleBreaks.length > 0) {
+    fmt.stat(isChinese ? '打破循环' : 'Cycle breaks', `${result.cycleBreaks.length} edge(s) to cut`);
+    printCycleBreakList(fmt, result.cycleBreaks);
+    console.log();
+  }
+
+  fmt.footer();
+}
+
+function formatCallSites(entry) {
+  const lines = entry.callSites.map((site) => (site.file === entry.file ? String(site.line) : `${site.file}:${site.line}`));
+  const shown = lines.slice(0, 3).join(',');
+  return lines.length > 3 ? `${shown},+${lines.length - 3}` : shown;
+}
+
+function printCallGraph(formatter, result, options = {}) {
+  const fmt = ensureFormatter(formatter);
+  const language = resolveLanguageContext(fmt);
+  const { isChinese } = language;
+  const callers = result.operation === 'callers';
+  const entries = Array.isArray(result.entries) ? result.entries : [];
+
+  if (options.hashesOnly) {
+    Array.from(new Set(entries.map((entry) => entry.hash).filter(Boolean))).forEach((hash) => {
+      console.log(hash);
+    });
+    return;
+  }
+
+  if (options.view === 'terse') {
+    entries.forEach((entry) => {
+      const hashTag = entry.hash ? ` ${fmt.COLORS.accent(`#${entry.hash}`)}` : '';
+      const location = entry.line ? `${entry.file}:${entry.line}` : entry.file;
+      console.log(`${fmt.COLORS.cyan(location)} ${entry.canonicalName}${hashTag} ${fmt.COLORS.muted(`hop ${entry.hop}`)}`);
+    });
+    return;
+  }
+
+  const headerLabel = callers
+    ? (isChinese ? '调用者' : 'Callers')
+    : (isChinese ? '被调用' : 'Callees');
+  fmt.header(headerLabel);
+
+  const targetLabel = translateLabelWithMode(fmt, language, 'target', 'Target');
+  result.targets.forEach((target) => {
+    const hashDisplay = target.hash ? fmt.COLORS.accent(`#${target.hash}`) : '';
+    console.log(`  ${targetLabel}: ${fmt.COLORS.bold(target.canonicalName)} ${hashDisplay} ${fmt.COLORS.muted(`${target.file}:${target.line}`)}`);
+  });
+
+  const stats = result.stats || {};
+  fmt.stat(translateLabelWithMode(fmt, language, 'depth', 'Depth'), stats.depth, 'number');
+  fmt.stat(isChinese ? '函数' : 'Functions', stats.total, 'number');
+  fmt.stat(isChinese ? '调用点' : 'Call sites', stats.callSites, 'number');
+
+  if (entries.length === 0) {
+    fmt.warn(callers
+      ? (isChinese ? '未找到调用者。' : 'No callers found in the scanned files.')
+      : (isChinese ? '未找到可解析的被调用函数。' : 'No resolvable callees found.'));
+  } else {
+    const showVia = entries.some((entry) => entry.hop > 1);
+    const columns = showVia
+      ? ['#', 'Function', 'File', 'Call sites', 'Hash', 'Via', 'Hop']
+      : ['#', 'Function', 'File', 'Call sites', 'Hash', 'Hop'];
+    fmt.table(entries.map((entry, index) => {
+      const row = {
+        '#': String(index + 1),
+        Function: entry.hash ? fmt.COLORS.bold(entry.canonicalName) : fmt.COLORS.muted(entry.canonicalName),
+        File: fmt.COLORS.cyan(entry.file),
+        'Call sites': formatCallSites(entry),
+        Hash: entry.hash ? fmt.COLORS.accent(entry.hash) : '',
+        Hop: String(entry.hop)
+      };
+      if (showVia) {
+        row.Via = entry.via ? fmt.COLORS.muted(entry.via) : '';
+      }
+      return row;
+    }), { columns });
+    if (stats.shown < stats.total) {
+      fmt.info(`${stats.total - stats.shown} more omitted; raise --limit to see them.`);
+    }
+  }
+
+  const external = Array.isArray(result.external) ? result.external : [];
+  if (external.length > 0) {
+    fmt.section(`${isChinese ? '外部调用' : 'External calls'} (${external.length})`);
+    external.slice(0, 10).forEach((entry) => {
+      console.log(`  ${entry.callee} ${fmt.COLORS.muted(`x${entry.count}`)}`);
+    });
+    if (external.length > 10) {
+      fmt.info(`${external.length - 10} more external callees omitted.`);
+    }
+  }
+
+  if (entries.some((entry) => entry.hash)) {
+    fmt.info(isChinese
+      ? '用 js-edit --file <文件> --select hash:<哈希> 编辑匹配函数。'
+      : 'Edit a listed function with js-edit --file <file> --select hash:<hash>.');
+  }
+  fmt.footer();
+}
+
+function printUnusedExports(formatter, result, options = {}) {
+  const fmt = ensureFormatter(formatter);
+  const language = resolveLanguageContext(fmt);
+  const { isChinese } = language;
+  const deadCode = result.operation === 'dead-code';
+  const candidates = Array.isArray(result.candidates) ? result.candidates : [];
+
+  if (options.hashesOnly) {
+    Array.from(new Set(candidates.map((candidate) => candidate.hash).filter(Boolean))).forEach((hash) => {
+      console.log(hash);
+    });
+    return;
+  }
+
+  if (options.view === 'terse') {
+    candidates.forEach((candidate) => {
+      const hashTag = candidate.hash ? ` ${fmt.COLORS.accent(`#${candidate.hash}`)}` : '';
+      const label = candidate.exported || candidate.name;
+      console.log(`${fmt.COLORS.cyan(`${candidate.file}:${candidate.line}`)} ${label}${hashTag}`);
+    });
+    return;
+  }
+
+  const headerLabel = deadCode
+    ? (isChinese ? '死代码' : 'Dead Code')
+    : (isChinese ? '未用导出' : 'Unused Exports');
+  fmt.header(headerLabel);
+
+  const stats = result.stats || {};
+  fmt.stat(translateLabelWithMode(fmt, language, 'files_total', 'Files'), stats.files, 'number');
+  fmt.stat(isChinese ? '导出' : 'Exports', stats.exports, 'number');
+  fmt.stat(isChinese ? '候选' : 'Candidates', stats.candidates, 'number');
+  if (Array.isArray(result.entryPoints) && result.entryPoints.length > 0) {
+    fmt.stat(isChinese ? '入口(跳过)' : 'Entry points (kept)', result.entryPoints.length, 'number');
+  }
+
+  if (candidates.length === 0) {
+    fmt.success(deadCode
+      ? (isChinese ? '未发现死代码。' : 'No unreachable module-level functions found.')
+      : (isChinese ? '所有导出均被使用。' : 'Every export is imported somewhere in the scanned files.'));
+    fmt.footer();
+    return;
+  }
+
+  const columns = deadCode
+    ? ['#', 'File', 'Line', 'Function', 'Hash', 'Reason']
+    : ['#', 'File', 'Line', 'Export', 'Function', 'Hash', 'Refs'];
+  fmt.table(candidates.map((candidate, index) => ({
+    '#': String(index + 1),
+    File: fmt.COLORS.cyan(candidate.file),
+    Line: candidate.line ? String(candidate.line) : '',
+    Export: fmt.COLORS.bold(candidate.exported),
+    Function: candidate.canonicalName || fmt.COLORS.muted(candidate.reexportFrom ? `from ${candidate.reexportFrom}` : '(value)'),
+    Hash: candidate.hash ? fmt.COLORS.accent(candidate.hash) : '',
+    Refs: candidate.localReferences === null ? '' : String(candidate.localReferences),
+    Reason: fmt.COLORS.muted(candidate.reason || '')
+  })), { columns });
+  if (stats.candidates > candidates.length) {
+    fmt.info(`${stats.candidates - candidates.length} more omitted; raise --limit to see them.`);
+  }
+
+  if (candidates.some((candidate) => candidate.hash)) {
+    fmt.info(isChinese
+      ? '用 js-edit --file <文件> --delete hash:<哈希> 删除(仍有引用时拒绝)。'
+      : 'Delete a candidate with js-edit --file <file> --delete hash:<hash> (refused while references remain).');
+  }
+  fmt.footer();
+}
+
+function formatCycleBreak(entry) {
+  const symbols = entry.symbols.length > 0 ? entry.symbols.map((symbol) => symbol.name).join(', ') : '(whole module)';
+  return `${entry.from}${entry.line ? `:${entry.line}` : ''} → ${entry.to} [${symbols}]`;
+}
+
+function printCycleBreakList(fmt, breaks) {
+  breaks.forEach((entry, index) => {
+    console.log(`  ${index + 1}. ${formatCycleBreak(entry)}`);
+    console.log(`     ${fmt.COLORS.accent(entry.suggestion.action)} ${entry.suggestion.message}`);
+    entry.suggestion.caveats.forEach((caveat) => {
+      console.log(`     ${fmt.COLORS.warning('!')} ${caveat}`);
+    });
+  });
+}
+
+function printCycleBreaks(formatter, result, options = {}) {
+  const fmt = ensureFormatter(formatter);
+  const language = resolveLanguageContext(fmt);
+  const { isChinese } = language;
+  const breaks = Array.isArray(result.breaks) ? result.breaks : [];
+
+  if (options.view === 'terse') {
+    breaks.forEach((entry) => {
+      console.log(`${fmt.COLORS.cyan(formatCycleBreak(entry))} ${entry.suggestion.action} ${entry.suggestion.target || ''}`.trimEnd());
+    });
+    return;
+  }
+
+  fmt.header(isChinese ? '打破循环' : 'Cycle Breaks');
+  const stats = result.stats || {};
+  fmt.stat(translateLabelWithMode(fmt, language, 'files_total', 'Files'), stats.files, 'number');
+  fmt.stat(isChinese ? '循环组' : 'Cyclic groups', stats.components, 'number');
+  fmt.stat(isChinese ? '循环内文件' : 'Files in cycles', stats.filesInCycles, 'number');
+  fmt.stat(isChinese ? '需切断' : 'Edges to cut', stats.breaks, 'number');
+
+  if (breaks.length === 0) {
+    fmt.success(isChinese ? '没有循环依赖。' : 'No circular dependencies.');
+    fmt.footer();
+    return;
+  }
+
+  (result.components || []).forEach((component, index) => {
+    const label = `${isChinese ? '组' : 'Group'} ${index + 1}: ${component.files.length} files, ${component.edges} edges`;
+    fmt.section(component.exact ? label : `${label} ${fmt.COLORS.muted('(heuristic)')}`);
+    printCycleBreakList(fmt, breaks.filter((entry) => component.files.includes(entry.from)));
+  });
+  fmt.footer();
+}
+
+function printLayerViolations(formatter, result, options = {}) {
+  const fmt = ensureFormatter(formatter);
+  const language = resolveLanguageContext(fmt);
+  const { isChinese } = language;
+  const violations = Array.isArray(result.violations) ? result.violations : [];
+
+  if (options.view === 'terse') {
+    violations.forEach((violation) => {
+      const location = violation.line ? `${violation.file}:${violation.line}` : violation.file;
+      console.log(`${fmt.COLORS.cyan(location)} ${violation.type} ${violation.message}`);
+    });
+    return;
+  }
+
+  fmt.header(isChinese ? '分层规则' : 'Layer Rules');
+  const stats = result.stats || {};
+  fmt.stat(translateLabelWithMode(fmt, language, 'files_total', 'Files'), stats.files, 'number');
+  fmt.stat(isChinese ? '依赖' : 'Imports checked', stats.edges, 'number');
+  fmt.stat(isChinese ? '规则' : 'Rules', stats.rules, 'number');
+  fmt.stat(isChinese ? '违规' : 'Violations', stats.violations, 'number');
+
+  if (violations.length === 0) {
+    fmt.success(isChinese ? '没有违反分层规则。' : 'No layering violations.');
+    fmt.footer();
+    return;
+  }
+
+  fmt.table(violations.map((violation, index) => ({
+    '#': String(index + 1),
+    File: fmt.COLORS.cyan(violation.file),
+    Line: violation.line ? String(violation.line) : '',
+    Import: violation.specifier || '',
+    Type: fmt.COLORS.warning(violation.type),
+    Rule: fmt.COLORS.muted(violation.rule),
+    Message: violation.message
+  })), { columns: ['#', 'File', 'Line', 'Import', 'Type', 'Rule', 'Message'] });
   fmt.footer();
 }
 
@@ -430,11 +752,51 @@ function printSearchSummary(formatter, result, options, language, limitDisplay)
   }
 }
 
+/**
+ * One-line summary of the scan cache stats attached to `scanWorkspace` results.
+ */
+function formatCacheSummary(cache) {
+  if (!cache || !cache.enabled) {
+    return 'disabled';
+  }
+  const parts = [
+    `${cache.hits} hit(s)`,
+    `${cache.misses} parsed`,
+    `${cache.resolutionHits} resolution(s) reused`
+  ];
+  if (cache.invalidated > 0) {
+    parts.push(`${cache.invalidated} dependent(s) re-resolved`);
+  }
+  if (cache.rebuilt) {
+    parts.push('rebuilt');
+  }
+  if (cache.error) {
+    parts.push(`not written: ${cache.error}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Print the scan cache line that closes text reports; `--build-index` shows it
+ * in its own summary instead.
+ */
+function printCacheSummary(formatter, cache) {
+  const fmt = ensureFormatter(formatter);
+  const language = resolveLanguageContext(fmt);
+  fmt.stat(translateLabelWithMode(fmt, language, 'cache', 'Cache'), formatCacheSummary(cache));
+}
+
 module.exports = {
+  formatCacheSummary,
+  printCacheSummary,
   formatDependencyRows,
   printDependencySummary,
   printParseErrorSummary,
   printRippleAnalysis,
+  printCallGraph,
+  printUnusedExports,
+  printLayerViolations,
+  printCycleBreaks,
   formatTerseMatch,
   printSearchSummary
 };
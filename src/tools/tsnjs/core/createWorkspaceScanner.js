@@ -2,6 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createLanguageRegistry } = require('./LanguageRegistry');
+const { createModuleResolver } = require('./moduleResolver');
+const { openScanCache } = require('./scanCache');
 
 const DEFAULT_EXCLUDES = Object.freeze([
   'node_modules',
@@ -51,6 +54,11 @@ function shouldExclude(relativePath, excludes) {
     return false;
   }
   const segments = relativePath.split(/\\|\//);
+  // Built-in excludes name whole directories, so `build-query.js` is not
+  // mistaken for the `build` output directory; other patterns match substrings.
+  if (DEFAULT_EXCLUDES.some((pattern) => segments.includes(pattern))) {
+    return true;
+  }
   return excludes.some((pattern) => segments.includes(pattern) || relativePath.includes(pattern));
 }
 
@@ -61,102 +69,29 @@ function isDeprecatedPath(relativePath) {
   return DEPRECATED_PATH_FRAGMENTS.some((fragment) => relativePath.split(/\//).includes(fragment));
 }
 
-function sanitizeModuleSpecifier(specifier) {
-  if (typeof specifier !== 'string') {
-    return '';
-  }
-  const trimmed = specifier.trim();
-  if (!trimmed) {
-    return '';
-  }
-  if (/^(?:node:|https?:|data:|fs:)/i.test(trimmed)) {
-    return '';
-  }
-  if (trimmed.includes('!')) {
-    return '';
-  }
-  return trimmed.split('?')[0].split('#')[0];
-}
-
-function resolveBasePath(currentFile, specifier, rootDir) {
-  if (specifier.startsWith('./') || specifier.startsWith('../')) {
-    return path.resolve(path.dirname(currentFile), specifier);
-  }
-
-  if (specifier.startsWith('/')) {
-    return path.resolve(rootDir, specifier.slice(1));
-  }
-
-  return null;
-}
-
-function expandToFileCandidates(basePath, extensions) {
-  const queue = [basePath];
-  const discovered = new Set();
-  const results = new Set();
-
-  if (!path.extname(basePath)) {
-    extensions.forEach((ext) => {
-      queue.push(`${basePath}${ext}`);
-    });
-  }
-
-  while (queue.length > 0) {
-    const candidate = queue.shift();
-    const normalized = path.resolve(candidate);
-
-    if (discovered.has(normalized)) {
-      continue;
-    }
-    discovered.add(normalized);
-
-    let stats;
-    try {
-      stats = fs.statSync(normalized);
-    } catch (error) {
-      continue;
-    }
-
-    if (stats.isFile()) {
-      if (extensions.some((ext) => normalized.endsWith(ext))) {
-        results.add(normalized);
-      }
-      continue;
-    }
-
-    if (stats.isDirectory()) {
-      extensions.forEach((ext) => {
-        if (!ext.startsWith('/index')) {
-          queue.push(path.join(normalized, `index${ext}`));
-        }
-      });
-    }
-  }
-
-  return Array.from(results);
-}
-
-function defaultResolveDependencyCandidates(filePath, specifier, context) {
-  const sanitized = sanitizeModuleSpecifier(specifier);
-  if (!sanitized) {
-    return [];
-  }
-
-  const basePath = resolveBasePath(filePath, sanitized, context.rootDir);
-  if (!basePath) {
-    return [];
-  }
-
-  return expandToFileCandidates(basePath, context.candidateExtensions);
+/**
+ * Resolve a specifier to candidate files with the Node-style module resolver
+ * (relative paths, package.json `imports`/`exports`, workspace packages,
+ * `node_modules`, tsconfig `paths`/`baseUrl`). Scans pass a shared
+ * `context.resolver` so package and tsconfig lookups are cached.
+ */
+function defaultResolveDependencyCandidates(filePath, specifier, context = {}) {
+  const resolver = context.resolver || createModuleResolver({ rootDir: context.rootDir });
+  return resolver.resolve(filePath, specifier, context).paths;
 }
 
-function createWorkspaceScanner(languageProvider, globalOptions = {}) {
-  if (!languageProvider) {
+/**
+ * Build a workspace scanner. `languages` is a single `LanguageProvider`, an
+ * array of providers, an object keyed by extension or a `LanguageRegistry`;
+ * each file is parsed by the provider registered for its extension.
+ */
+function createWorkspaceScanner(languages, globalOptions = {}) {
+  if (!languages) {
     throw new Error('createWorkspaceScanner requires a language provider');
   }
 
-  const provider = languageProvider;
-  const providerExtensions = normalizeExtensions(provider.getSupportedExtensions(), ['.js']);
+  const registry = createLanguageRegistry(languages);
+  const providerExtensions = normalizeExtensions(registry.getSupportedExtensions(), ['.js']);
   const generatedFragments = Array.isArray(globalOptions.generatedFragments) && globalOptions.generatedFragments.length > 0
     ? globalOptions.generatedFragments
     : GENERATED_PATH_FRAGMENTS;
@@ -208,7 +143,8 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
   }
 
   function resolveDependencyCandidates(filePath, specifier, context) {
-    if (typeof provider.resolveDependencyCandidates === 'function') {
+    const provider = registry.getProvider(filePath);
+    if (provider && typeof provider.resolveDependencyCandidates === 'function') {
       return provider.resolveDependencyCandidates(filePath, specifier, {
         ...context,
         defaultResolver: (fp, spec, ctx) => defaultResolveDependencyCandidates(fp, spec, ctx)
@@ -225,7 +161,7 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
     const dependencyDepthLimit = typeof options.dependencyDepth === 'number' && options.dependencyDepth > 0
       ? options.dependencyDepth
       : Infinity;
-    const excludePatterns = new Set(DEFAULT_EXCLUDES);
+    const excludePatterns = new Set();
     generatedFragments.forEach((fragment) => excludePatterns.add(fragment));
     if (Array.isArray(options.exclude)) {
       options.exclude.forEach((pattern) => excludePatterns.add(pattern));
@@ -237,11 +173,10 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
     const normalizedExtensions = normalizeExtensions(options.extensions, providerExtensions);
     const candidateExtensions = Array.isArray(options.candidateExtensions) && options.candidateExtensions.length > 0
       ? options.candidateExtensions
-      : (typeof provider.resolveCandidateExtensions === 'function'
-        ? provider.resolveCandidateExtensions()
-        : normalizedExtensions);
+      : registry.resolveCandidateExtensions();
 
     const followSymlinks = Boolean(options.followSymlinks);
+    const resolver = createModuleResolver({ rootDir, conditions: options.conditions });
 
     const rootRelative = (filePath) => path.relative(rootDir, filePath).replace(/\\/g, '/');
     const collectedFiles = [];
@@ -249,7 +184,9 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
       scannedFiles: 0,
       parsedFiles: 0,
       functions: 0,
-      classes: 0
+      classes: 0,
+      languages: {},
+      unresolvedDependencies: 0
     };
     const parseErrors = [];
 
@@ -259,6 +196,19 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
 
     walkDirectory(rootDir, { excludes, extensions: normalizedExtensions, followSymlinks, deprecatedOnly }, { files: collectedFiles, rootRelative });
 
+    const cache = options.cache
+      ? openScanCache({ ...options.cache, rootDir, languages: registry.getProviders().map((provider) => provider.name) })
+      : null;
+    if (cache) {
+      cache.setResolutionContext({
+        files: collectedFiles.map(rootRelative).sort(),
+        excludes,
+        deprecatedOnly,
+        candidateExtensions,
+        conditions: options.conditions || null
+      });
+    }
+
     const pending = collectedFiles.map((filePath) => ({ filePath: path.resolve(filePath), depth: 0 }));
     const queuedPaths = new Set(pending.map((entry) => entry.filePath));
     const visitedPaths = new Set();
@@ -283,28 +233,52 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
         continue;
       }
 
-      let ast;
-      let collectResult;
-      try {
-        ast = provider.parseSource(source, path.basename(absolutePath));
-        collectResult = provider.collectFunctions(ast, source);
-      } catch (error) {
-        parseErrors.push({ filePath: absolutePath, error });
+      const provider = registry.getProvider(absolutePath);
+      if (!provider) {
+        parseErrors.push({ filePath: absolutePath, error: new Error(`No language provider registered for ${path.basename(absolutePath)}`) });
         continue;
       }
 
-      let record;
+      let record = cache ? cache.lookupRecord(absolutePath, source) : null;
+      if (record) {
+        record.source = source;
+        record.mapper = provider.createSourceMapper(source);
+      } else {
+        let ast;
+        let collectResult;
+        try {
+          ast = provider.parseSource(source, path.basename(absolutePath));
+          collectResult = provider.collectFunctions(ast, source);
+        } catch (error) {
+          parseErrors.push({ filePath: absolutePath, error });
+          continue;
+        }
+
+        try {
+          record = provider.buildFileRecord({
+            filePath: absolutePath,
+            rootDir,
+            source,
+            ast,
+            functions: collectResult.functions,
+            mapper: collectResult.mapper
+          });
+        } catch (error) {
+          parseErrors.push({ filePath: absolutePath, error });
+          continue;
+        }
+        if (!record.language) {
+          record.language = provider.name;
+        }
+        if (cache) {
+          cache.storeRecord(absolutePath, source, record);
+        }
+      }
+
       try {
-        record = provider.buildFileRecord({
-          filePath: absolutePath,
-          rootDir,
-          source,
-          ast,
-          functions: collectResult.functions,
-          mapper: collectResult.mapper
-        });
         fileRecords.push(record);
         stats.parsedFiles += 1;
+        stats.languages[record.language] = (stats.languages[record.language] || 0) + 1;
         stats.functions += record.stats.functions;
         stats.classes += record.stats.classes;
       } catch (error) {
@@ -312,9 +286,18 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
         continue;
       }
 
+      const cachedResolution = cache ? cache.lookupResolution(absolutePath) : null;
+      if (cachedResolution) {
+        record.resolvedDependencies = cachedResolution.resolvedDependencies;
+        record.resolvedSpecifiers = cachedResolution.resolvedSpecifiers;
+        record.unresolvedDependencies = [];
+      }
+
       const resolvedImports = new Set();
       const resolvedRequires = new Set();
-      const resolvedAbsolutePaths = new Set();
+      const resolvedAbsolutePaths = new Set(cachedResolution ? Object.keys(cachedResolution.targets) : []);
+      const resolvedSpecifiers = {};
+      const unresolved = [];
 
       const collectResolvedTargets = (specifiers, kind) => {
         if (!Array.isArray(specifiers) || specifiers.length === 0) {
@@ -322,12 +305,22 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
         }
 
         specifiers.forEach((specifier) => {
-          const resolvedPaths = resolveDependencyCandidates(absolutePath, specifier, {
+          const resolveContext = {
             rootDir,
             candidateExtensions,
             excludes,
-            deprecatedOnly
-          });
+            deprecatedOnly,
+            resolver,
+            kind: kind === 'imports' ? 'import' : 'require'
+          };
+          const resolvedPaths = resolveDependencyCandidates(absolutePath, specifier, resolveContext);
+          if (resolvedPaths.length === 0) {
+            const resolution = resolver.resolve(absolutePath, specifier, resolveContext);
+            if (resolution.status === 'unresolved') {
+              unresolved.push({ specifier, kind: resolveContext.kind, reason: resolution.reason });
+            }
+            return;
+          }
 
           resolvedPaths.forEach((resolvedPath) => {
             const normalizedPath = path.resolve(resolvedPath);
@@ -345,6 +338,9 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
             }
 
             resolvedAbsolutePaths.add(normalizedPath);
+            if (!resolvedSpecifiers[specifier]) {
+              resolvedSpecifiers[specifier] = relativePath;
+            }
             if (kind === 'imports') {
               resolvedImports.add(relativePath);
             } else {
@@ -354,15 +350,28 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
         });
       };
 
-      if (record.dependencies) {
-        collectResolvedTargets(record.dependencies.imports, 'imports');
-        collectResolvedTargets(record.dependencies.requires, 'requires');
-      }
+      if (!cachedResolution) {
+        if (record.dependencies) {
+          collectResolvedTargets(record.dependencies.imports, 'imports');
+          collectResolvedTargets(record.dependencies.requires, 'requires');
+        }
 
-      record.resolvedDependencies = {
-        imports: Array.from(resolvedImports).sort(),
-        requires: Array.from(resolvedRequires).sort()
-      };
+        record.resolvedDependencies = {
+          imports: Array.from(resolvedImports).sort(),
+          requires: Array.from(resolvedRequires).sort()
+        };
+        record.resolvedSpecifiers = resolvedSpecifiers;
+        record.unresolvedDependencies = unresolved;
+        stats.unresolvedDependencies += unresolved.length;
+        if (cache) {
+          cache.storeResolution(absolutePath, {
+            resolvedDependencies: record.resolvedDependencies,
+            resolvedSpecifiers,
+            unresolvedDependencies: unresolved,
+            targets: Array.from(resolvedAbsolutePaths)
+          });
+        }
+      }
 
       if (!followDependencies) {
         continue;
@@ -395,6 +404,11 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
       });
     }
 
+    if (cache) {
+      cache.save();
+      stats.cache = cache.stats;
+    }
+
     return {
       rootDir,
       files: fileRecords,
@@ -404,12 +418,16 @@ function createWorkspaceScanner(languageProvider, globalOptions = {}) {
   }
 
   return {
-    scanWorkspace
+    scanWorkspace,
+    resolveDependencyCandidates,
+    registry
   };
 }
 
 module.exports = {
   createWorkspaceScanner,
+  createLanguageRegistry,
+  defaultResolveDependencyCandidates,
   isSupportedFile,
   normalizeExtensions,
   DEFAULT_EXCLUDES,
@@ -0,0 +1,570 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+const BUILTIN_MODULES = new Set(builtinModules);
+// Compiled-output spellings that refer to TypeScript sources: `import './util.js'`
+// from a `.ts` file (or a `.js` file in a mixed tree) resolves to `util.ts`.
+const SOURCE_EXTENSION_ALIASES = Object.freeze({
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+});
+const TSCONFIG_NAMES = Object.freeze(['tsconfig.json', 'jsconfig.json']);
+
+function sanitizeModuleSpecifier(specifier) {
+  if (typeof specifier !== 'string') {
+    return '';
+  }
+  const trimmed = specifier.trim();
+  if (!trimmed) {
+    return '';
+  }
+  if (/^(?:node:|https?:|data:|fs:)/i.test(trimmed)) {
+    return '';
+  }
+  if (trimmed.includes('!')) {
+    return '';
+  }
+  const withoutQuery = trimmed.split('?')[0];
+  // A leading `#` is a package.json "imports" specifier, not a fragment.
+  return withoutQuery.startsWith('#') ? withoutQuery : withoutQuery.split('#')[0];
+}
+
+function isBuiltinSpecifier(specifier) {
+  if (/^node:/i.test(specifier)) {
+    return true;
+  }
+  return BUILTIN_MODULES.has(specifier);
+}
+
+function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..';
+}
+
+function statSafe(target) {
+  try {
+    return fs.statSync(target);
+  } catch (error) {
+    return null;
+  }
+}
+
+function expandToFileCandidates(basePath, extensions) {
+  const queue = [basePath];
+  const discovered = new Set();
+  const results = new Set();
+
+  if (!path.extname(basePath)) {
+    extensions.forEach((ext) => {
+      queue.push(`${basePath}${ext}`);
+    });
+  }
+
+  while (queue.length > 0) {
+    const candidate = queue.shift();
+    const normalized = path.resolve(candidate);
+
+    if (discovered.has(normalized)) {
+      continue;
+    }
+    discovered.add(normalized);
+
+    const stats = statSafe(normalized);
+    if (!stats) {
+      continue;
+    }
+
+    if (stats.isFile()) {
+      if (extensions.some((ext) => normalized.endsWith(ext))) {
+        results.add(normalized);
+      }
+      continue;
+    }
+
+    if (stats.isDirectory()) {
+      extensions.forEach((ext) => {
+        if (!ext.startsWith('/index')) {
+          queue.push(path.join(normalized, `index${ext}`));
+        }
+      });
+    }
+  }
+
+  return Array.from(results);
+}
+
+/**
+ * Expand a path to the source files it may denote: the path itself, the path
+ * with each candidate extension, a directory index, or the TypeScript source
+ * behind a `.js`/`.mjs`/`.cjs` spelling.
+ */
+function resolveFileTarget(basePath, extensions) {
+  const candidates = expandToFileCandidates(basePath, extensions);
+  if (candidates.length > 0) {
+    return candidates;
+  }
+  const ext = path.extname(basePath).toLowerCase();
+  const aliases = (SOURCE_EXTENSION_ALIASES[ext] || []).filter((alias) => extensions.includes(alias));
+  const stem = basePath.slice(0, basePath.length - ext.length);
+  return aliases.flatMap((alias) => expandToFileCandidates(`${stem}${alias}`, extensions));
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig style).
+ */
+function parseJsonLenient(text) {
+  let output = '';
+  let inString = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    const next = text[index + 1];
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += next || '';
+        index += 1;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '/') {
+      while (index < text.length && text[index] !== '\n') index += 1;
+      output += '\n';
+    } else if (char === '/' && next === '*') {
+      index += 2;
+      while (index < text.length && !(text[index] === '*' && text[index + 1] === '/')) index += 1;
+      index += 1;
+    } else {
+      output += char;
+    }
+  }
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function splitPackageSpecifier(specifier) {
+  const segments = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  if (segments.length < nameLength || segments.slice(0, nameLength).some((segment) => !segment)) {
+    return null;
+  }
+  const name = segments.slice(0, nameLength).join('/');
+  const rest = segments.slice(nameLength).join('/');
+  return { name, subpath: rest ? `./${rest}` : '.' };
+}
+
+/**
+ * Match `subpath` against the keys of an `exports`/`imports` map, honouring
+ * `*` patterns (the longest matching prefix wins, as in Node).
+ */
+function matchSubpathKey(map, subpath) {
+  if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+    return { target: map[subpath], replacement: null };
+  }
+  let best = null;
+  Object.keys(map).forEach((key) => {
+    const star = key.indexOf('*');
+    if (star === -1) {
+      return;
+    }
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.length >= key.length && subpath.startsWith(prefix) && subpath.endsWith(suffix)) {
+      if (!best || prefix.length > best.prefix.length) {
+        best = {
+          prefix,
+          target: map[key],
+          replacement: subpath.slice(prefix.length, subpath.length - suffix.length)
+        };
+      }
+    }
+  });
+  return best ? { target: best.target, replacement: best.replacement } : null;
+}
+
+/**
+ * Walk a conditional export target (string, array or condition object) and
+ * return the first string target whose conditions are all active.
+ */
+function selectConditionalTarget(target, conditions) {
+  if (typeof target === 'string') {
+    return target;
+  }
+  if (Array.isArray(target)) {
+    for (const entry of target) {
+      const selected = selectConditionalTarget(entry, conditions);
+      if (selected) {
+        return selected;
+      }
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const [condition, value] of Object.entries(target)) {
+      if (condition === 'default' || conditions.includes(condition)) {
+        const selected = selectConditionalTarget(value, conditions);
+        if (selected) {
+          return selected;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function expandWorkspacePattern(baseDir, pattern) {
+  const segments = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '').split('/').filter(Boolean);
+  let directories = [baseDir];
+  segments.forEach((segment) => {
+    const next = [];
+    directories.forEach((directory) => {
+      if (segment === '*' || segment === '**') {
+        let entries = [];
+        try {
+          entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+          entries = [];
+        }
+        entries
+          .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+          .forEach((entry) => next.push(path.join(directory, entry.name)));
+      } else {
+        next.push(path.join(directory, segment));
+      }
+    });
+    directories = next;
+  });
+  return directories;
+}
+
+/**
+ * Create a Node-style module resolver for one workspace. It resolves relative
+ * and root-absolute paths, package.json `imports` (`#internal/x`) and
+ * `exports` maps with `require`/`import` conditions, workspace packages,
+ * self-references and `node_modules`, plus tsconfig/jsconfig `paths` and
+ * `baseUrl` aliases. package.json and tsconfig lookups are cached, so create
+ * one resolver per scan.
+ *
+ * `resolve()` returns `{ status, paths, reason }` where status is `resolved`,
+ * `builtin`, `ignored` (URLs, loaders) or `unresolved`.
+ */
+function createModuleResolver(options = {}) {
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const baseConditions = Array.isArray(options.conditions) && options.conditions.length > 0
+    ? options.conditions
+    : ['node'];
+  const packageCache = new Map();
+  const nearestPackageCache = new Map();
+  const tsconfigCache = new Map();
+  const nearestTsconfigCache = new Map();
+  let workspacePackages = null;
+
+  function readPackage(directory) {
+    if (packageCache.has(directory)) {
+      return packageCache.get(directory);
+    }
+    let pkg = null;
+    const file = path.join(directory, 'package.json');
+    if (statSafe(file)) {
+      try {
+        pkg = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        pkg = null;
+      }
+    }
+    packageCache.set(directory, pkg);
+    return pkg;
+  }
+
+  function findNearestPackage(directory) {
+    if (nearestPackageCache.has(directory)) {
+      return nearestPackageCache.get(directory);
+    }
+    const pkg = readPackage(directory);
+    let result = null;
+    if (pkg) {
+      result = { dir: directory, pkg };
+    } else {
+      const parent = path.dirname(directory);
+      result = parent !== directory ? findNearestPackage(parent) : null;
+    }
+    nearestPackageCache.set(directory, result);
+    return result;
+  }
+
+  function loadTsconfig(file) {
+    if (tsconfigCache.has(file)) {
+      return tsconfigCache.get(file);
+    }
+    tsconfigCache.set(file, null);
+    let config = null;
+    try {
+      const raw = parseJsonLenient(fs.readFileSync(file, 'utf8'));
+      const compilerOptions = raw.compilerOptions || {};
+      const directory = path.dirname(file);
+      let inherited = { baseUrl: null, paths: null, pathsBase: null };
+      const parents = Array.isArray(raw.extends) ? raw.extends : (raw.extends ? [raw.extends] : []);
+      parents.forEach((parent) => {
+        const parentFile = isRelativeSpecifier(parent) || path.isAbsolute(parent)
+          ? path.resolve(directory, parent.endsWith('.json') ? parent : `${parent}.json`)
+          : null;
+        const parentConfig = parentFile ? loadTsconfig(parentFile) : null;
+        if (parentConfig) {
+          inherited = {
+            baseUrl: parentConfig.baseUrl || inherited.baseUrl,
+            paths: parentConfig.paths || inherited.paths,
+            pathsBase: parentConfig.pathsBase || inherited.pathsBase
+          };
+        }
+      });
+      const baseUrl = compilerOptions.baseUrl ? path.resolve(directory, compilerOptions.baseUrl) : inherited.baseUrl;
+      config = {
+        file,
+        baseUrl,
+        paths: compilerOptions.paths || inherited.paths,
+        // `paths` entries are relative to baseUrl, or to the config that declared them.
+        pathsBase: compilerOptions.paths ? (baseUrl || directory) : (inherited.pathsBase || baseUrl)
+      };
+    } catch (error) {
+      config = null;
+    }
+    tsconfigCache.set(file, config);
+    return config;
+  }
+
+  function findNearestTsconfig(directory) {
+    if (nearestTsconfigCache.has(directory)) {
+      return nearestTsconfigCache.get(directory);
+    }
+    const file = TSCONFIG_NAMES.map((name) => path.join(directory, name)).find((candidate) => statSafe(candidate));
+    let result = null;
+    if (file) {
+      result = loadTsconfig(file);
+    } else {
+      const parent = path.dirname(directory);
+      result = parent !== directory ? findNearestTsconfig(parent) : null;
+    }
+    nearestTsconfigCache.set(directory, result);
+    return result;
+  }
+
+  function getWorkspacePackages() {
+    if (workspacePackages) {
+      return workspacePackages;
+    }
+    workspacePackages = new Map();
+    let directory = rootDir;
+    while (directory) {
+      const pkg = readPackage(directory);
+      const patterns = pkg && (Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces && pkg.workspaces.packages));
+      if (Array.isArray(patterns)) {
+        patterns.forEach((pattern) => {
+          expandWorkspacePattern(directory, pattern).forEach((packageDir) => {
+            const member = readPackage(packageDir);
+            if (member && member.name && !workspacePackages.has(member.name)) {
+              workspacePackages.set(member.name, packageDir);
+            }
+          });
+        });
+        break;
+      }
+      const parent = path.dirname(directory);
+      directory = parent !== directory ? parent : null;
+    }
+    return workspacePackages;
+  }
+
+  function resolveMappedTarget(target, replacement, packageDir, context) {
+    const substituted = replacement === null ? target : target.split('*').join(replacement);
+    if (!substituted.startsWith('./')) {
+      return null;
+    }
+    return resolveFileTarget(path.resolve(packageDir, substituted), context.candidateExtensions);
+  }
+
+  function resolveExports(packageDir, pkg, subpath, conditions, context) {
+    let exportsField = pkg.exports;
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField)
+      && Object.keys(exportsField).some((key) => key.startsWith('.'));
+    if (!isSubpathMap) {
+      exportsField = { '.': exportsField };
+    }
+    const match = matchSubpathKey(exportsField, subpath);
+    if (!match) {
+      return { paths: [], reason: `"${subpath}" is not exported by ${pkg.name || packageDir}` };
+    }
+    const target = selectConditionalTarget(match.target, conditions);
+    if (!target) {
+      return { paths: [], reason: `no "exports" target of ${pkg.name || packageDir} matches conditions ${conditions.join(', ')}` };
+    }
+    const paths = resolveMappedTarget(target, match.replacement, packageDir, context) || [];
+    return { paths, reason: paths.length > 0 ? null : `export target ${target} of ${pkg.name || packageDir} not found` };
+  }
+
+  function resolvePackageEntry(packageDir, subpath, conditions, context) {
+    const pkg = readPackage(packageDir) || {};
+    if (pkg.exports !== undefined && pkg.exports !== null) {
+      return resolveExports(packageDir, pkg, subpath, conditions, context);
+    }
+    if (subpath !== '.') {
+      const paths = resolveFileTarget(path.resolve(packageDir, subpath), context.candidateExtensions);
+      return { paths, reason: paths.length > 0 ? null : `${subpath} not found in ${pkg.name || packageDir}` };
+    }
+    const entries = [pkg.main, 'index'].filter((entry) => typeof entry === 'string' && entry.length > 0);
+    for (const entry of entries) {
+      const paths = resolveFileTarget(path.resolve(packageDir, entry), context.candidateExtensions);
+      if (paths.length > 0) {
+        return { paths, reason: null };
+      }
+    }
+    return { paths: [], reason: `no entry point found for ${pkg.name || packageDir}` };
+  }
+
+  function resolvePackageImports(filePath, specifier, conditions, context) {
+    const owner = findNearestPackage(path.dirname(filePath));
+    if (!owner || !owner.pkg.imports || typeof owner.pkg.imports !== 'object') {
+      return { paths: [], reason: `no package.json "imports" map for ${specifier}` };
+    }
+    const match = matchSubpathKey(owner.pkg.imports, specifier);
+    const target = match ? selectConditionalTarget(match.target, conditions) : null;
+    if (!target) {
+      return { paths: [], reason: `${specifier} is not defined in the "imports" map of ${path.join(owner.dir, 'package.json')}` };
+    }
+    const substituted = match.replacement === null ? target : target.split('*').join(match.replacement);
+    if (substituted.startsWith('./')) {
+      const paths = resolveFileTarget(path.resolve(owner.dir, substituted), context.candidateExtensions);
+      return { paths, reason: paths.length > 0 ? null : `imports target ${substituted} not found` };
+    }
+    return resolveBareSpecifier(filePath, substituted, conditions, context);
+  }
+
+  function resolveTsconfigPaths(filePath, specifier, context) {
+    const config = findNearestTsconfig(path.dirname(filePath));
+    if (!config) {
+      return null;
+    }
+    if (config.paths) {
+      const match = matchSubpathKey(config.paths, specifier);
+      if (match && Array.isArray(match.target)) {
+        for (const target of match.target) {
+          const substituted = match.replacement === null ? target : target.split('*').join(match.replacement);
+          const paths = resolveFileTarget(path.resolve(config.pathsBase, substituted), context.candidateExtensions);
+          if (paths.length > 0) {
+            return paths;
+          }
+        }
+      }
+    }
+    if (config.baseUrl) {
+      const paths = resolveFileTarget(path.resolve(config.baseUrl, specifier), context.candidateExtensions);
+      if (paths.length > 0) {
+        return paths;
+      }
+    }
+    return null;
+  }
+
+  function resolveBareSpecifier(filePath, specifier, conditions, context) {
+    const parsed = splitPackageSpecifier(specifier);
+    if (!parsed) {
+      return { paths: [], reason: `invalid package specifier ${specifier}` };
+    }
+
+    const owner = findNearestPackage(path.dirname(filePath));
+    if (owner && owner.pkg.name === parsed.name && owner.pkg.exports !== undefined) {
+      return resolvePackageEntry(owner.dir, parsed.subpath, conditions, context);
+    }
+
+    const workspaceDir = getWorkspacePackages().get(parsed.name);
+    if (workspaceDir) {
+      return resolvePackageEntry(workspaceDir, parsed.subpath, conditions, context);
+    }
+
+    let directory = path.dirname(filePath);
+    while (directory) {
+      const packageDir = path.join(directory, 'node_modules', parsed.name);
+      const stats = statSafe(packageDir);
+      if (stats && stats.isDirectory()) {
+        let realDir = packageDir;
+        try {
+          realDir = fs.realpathSync(packageDir);
+        } catch (error) {
+          realDir = packageDir;
+        }
+        return resolvePackageEntry(realDir, parsed.subpath, conditions, context);
+      }
+      const parent = path.dirname(directory);
+      directory = parent !== directory ? parent : null;
+    }
+
+    return { paths: [], reason: `package ${parsed.name} not found` };
+  }
+
+  /**
+   * Resolve `specifier` as written in `filePath`. `context.kind` is `import`
+   * or `require` and selects the matching conditional export.
+   */
+  function resolve(filePath, specifier, context = {}) {
+    const raw = typeof specifier === 'string' ? specifier.trim() : '';
+    if (raw && isBuiltinSpecifier(raw)) {
+      return { status: 'builtin', paths: [], reason: null };
+    }
+    const sanitized = sanitizeModuleSpecifier(raw);
+    if (!sanitized) {
+      return { status: 'ignored', paths: [], reason: null };
+    }
+
+    const candidateExtensions = context.candidateExtensions || ['.js'];
+    const resolveContext = { ...context, candidateExtensions };
+    const kind = context.kind === 'require' ? 'require' : 'import';
+    const conditions = [...baseConditions, kind];
+    const finish = (result) => ({
+      status: result.paths.length > 0 ? 'resolved' : 'unresolved',
+      paths: result.paths,
+      reason: result.paths.length > 0 ? null : result.reason
+    });
+
+    if (isRelativeSpecifier(sanitized)) {
+      const paths = resolveFileTarget(path.resolve(path.dirname(filePath), sanitized), candidateExtensions);
+      return finish({ paths, reason: `${sanitized} not found` });
+    }
+
+    if (sanitized.startsWith('/')) {
+      const paths = resolveFileTarget(path.resolve(context.rootDir || rootDir, sanitized.slice(1)), candidateExtensions);
+      return finish({ paths, reason: `${sanitized} not found under the workspace root` });
+    }
+
+    if (sanitized.startsWith('#')) {
+      return finish(resolvePackageImports(filePath, sanitized, conditions, resolveContext));
+    }
+
+    const aliased = resolveTsconfigPaths(filePath, sanitized, resolveContext);
+    if (aliased) {
+      return finish({ paths: aliased, reason: null });
+    }
+
+    return finish(resolveBareSpecifier(filePath, sanitized, conditions, resolveContext));
+  }
+
+  return {
+    rootDir,
+    resolve
+  };
+}
+
+module.exports = {
+  createModuleResolver,
+  expandToFileCandidates,
+  resolveFileTarget,
+  sanitizeModuleSpecifier,
+  isBuiltinSpecifier,
+  parseJsonLenient,
+  SOURCE_EXTENSION_ALIASES
+};
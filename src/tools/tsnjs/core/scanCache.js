@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump whenever file records change shape so stale caches are discarded.
+const CACHE_VERSION = 4;
+const DEFAULT_CACHE_DIR = path.join('tmp', 'js-scan-cache');
+const RESOLUTION_CONFIG_FILES = Object.freeze(['package.json', 'tsconfig.json', 'jsconfig.json']);
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function statFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return stat.isFile() ? { mtimeMs: stat.mtimeMs, size: stat.size } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sameStamp(a, b) {
+  return Boolean(a && b) && a.mtimeMs === b.mtimeMs && a.size === b.size;
+}
+
+// File record fields written to the cache. The source text and byte mapper are
+// reattached from disk, and dependency resolution is cached separately because
+// it depends on other files.
+const CACHED_RECORD_FIELDS = Object.freeze([
+  'filePath',
+  'relativePath',
+  'language',
+  'moduleKind',
+  'entryPoint',
+  'priority',
+  'stats',
+  'dependencies',
+  'dependencyLines',
+  'importBindings',
+  'importedNames',
+  'exportBindings',
+  'reexports',
+  'localReferences',
+  'calls',
+  'functions',
+  'ts'
+]);
+
+function toCachedRecord(record) {
+  const cached = {};
+  CACHED_RECORD_FIELDS.forEach((field) => {
+    if (record[field] !== undefined) {
+      cached[field] = record[field];
+    }
+  });
+  return cached;
+}
+
+function readCacheFile(cachePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return data && data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Open the on-disk index for one workspace root and language set. It lives in
+ * `tmp/js-scan-cache` under the root unless `options.dir` names another
+ * directory, so scanning the same tree from any directory shares it. Entries are
+ * keyed by absolute path and hold the file's mtime, size and content hash, its
+ * file record and the dependency resolution computed for it. A record is
+ * reused while mtime and size match, or while the content hash matches after a
+ * touch. A cached resolution is reused only when the file is unchanged, every
+ * file it resolved to is unchanged, the set of workspace files and the
+ * resolver configuration are the same, and it had no unresolved specifiers —
+ * so editing, adding or removing a file re-resolves the files that depend on it.
+ */
+function openScanCache(options = {}) {
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const languages = Array.isArray(options.languages) ? options.languages.slice().sort() : [];
+  const cacheDir = options.dir ? path.resolve(options.dir) : path.join(rootDir, DEFAULT_CACHE_DIR);
+  const cacheKey = hashContent(JSON.stringify({ rootDir, languages })).slice(0, 16);
+  const cachePath = path.join(cacheDir, `${path.basename(rootDir) || 'root'}-${cacheKey}.json`);
+  const previous = options.rebuild ? null : readCacheFile(cachePath);
+  const entries = previous ? previous.entries : {};
+  const nextEntries = {};
+  const unchanged = new Set();
+  const targetStamps = new Map();
+  let resolutionContext = null;
+  let reuseResolutions = false;
+
+  const stats = {
+    enabled: true,
+    path: cachePath,
+    rebuilt: Boolean(options.rebuild),
+    hits: 0,
+    misses: 0,
+    resolutionHits: 0,
+    invalidated: 0,
+    written: false
+  };
+
+  const currentStamp = (filePath) => {
+    if (!targetStamps.has(filePath)) {
+      targetStamps.set(filePath, statFile(filePath));
+    }
+    return targetStamps.get(filePath);
+  };
+
+  /**
+   * Fingerprint everything besides the file itself that a resolution depends
+   * on: the scanned file list, scan options and root resolver config files.
+   */
+  function setResolutionContext(context) {
+    const config = {};
+    RESOLUTION_CONFIG_FILES.forEach((name) => {
+      const stamp = statFile(path.join(rootDir, name));
+      config[name] = stamp ? `${stamp.mtimeMs}:${stamp.size}` : null;
+    });
+    resolutionContext = hashContent(JSON.stringify({ ...context, config }));
+    reuseResolutions = Boolean(previous) && previous.resolutionContext === resolutionContext;
+  }
+
+  function lookupRecord(filePath, source) {
+    const entry = entries[filePath];
+    const stamp = currentStamp(filePath);
+    if (entry && stamp) {
+      const contentHash = sameStamp(entry, stamp) ? entry.contentHash : hashContent(source);
+      if (contentHash === entry.contentHash) {
+        stats.hits += 1;
+        unchanged.add(filePath);
+        nextEntries[filePath] = { ...entry, mtimeMs: stamp.mtimeMs, size: stamp.size };
+        return { ...entry.record };
+      }
+    }
+    stats.misses += 1;
+    return null;
+  }
+
+  function storeRecord(filePath, source, record) {
+    const stamp = currentStamp(filePath);
+    if (!stamp) {
+      return;
+    }
+    nextEntries[filePath] = {
+      mtimeMs: stamp.mtimeMs,
+      size: stamp.size,
+      contentHash: hashContent(source),
+      record: toCachedRecord(record),
+      resolution: null
+    };
+  }
+
+  function lookupResolution(filePath) {
+    const entry = nextEntries[filePath];
+    const resolution = entry && unchanged.has(filePath) ? entry.resolution : null;
+    // Unresolved specifiers may start resolving once a package is installed.
+    if (!resolution || resolution.unresolvedDependencies.length > 0) {
+      return null;
+    }
+    const valid = reuseResolutions
+      && Object.entries(resolution.targets).every(([target, stamp]) => sameStamp(stamp, currentStamp(target)));
+    if (!valid) {
+      stats.invalidated += 1;
+      entry.resolution = null;
+      return null;
+    }
+    stats.resolutionHits += 1;
+    return resolution;
+  }
+
+  function storeResolution(filePath, resolution) {
+    const entry = nextEntries[filePath];
+    if (!entry) {
+      return;
+    }
+    const targets = {};
+    resolution.targets.forEach((target) => {
+      const stamp = currentStamp(target);
+      if (stamp) {
+        targets[target] = stamp;
+      }
+    });
+    entry.resolution = { ...resolution, targets };
+  }
+
+  /**
+   * Write the entries seen in this run; files that were not scanned drop out.
+   * A cache that cannot be written is reported in the stats, not thrown.
+   */
+  function save() {
+    const payload = JSON.stringify({ version: CACHE_VERSION, rootDir, languages, resolutionContext, entries: nextEntries });
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(tempPath, payload);
+      fs.renameSync(tempPath, cachePath);
+      stats.written = true;
+    } catch (error) {
+      stats.error = error.message;
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  return {
+    path: cachePath,
+    stats,
+    setResolutionContext,
+    lookupRecord,
+    storeRecord,
+    lookupResolution,
+    storeResolution,
+    save
+  };
+}
+
+module.exports = {
+  openScanCache,
+  hashContent,
+  CACHE_VERSION,
+  DEFAULT_CACHE_DIR
+};
@@ -5,7 +5,8 @@ const { LanguageProvider } = require('../../core/LanguageProvider');
 const {
   parseModule,
   collectFunctions,
-  collectVariables
+  collectVariables,
+  createByteMapper
 } = require('../../../lib/swcAst');
 const { createFileRecord } = require('../../../dev/js-scan/lib/fileContext');
 
@@ -43,6 +44,10 @@ class JsLanguageProvider extends LanguageProvider {
     });
   }
 
+  createSourceMapper(source) { // eslint-disable-line class-methods-use-this
+    return createByteMapper(source);
+  }
+
   /**
    * Utility helper used by scanners to normalize extension lookups.
    */
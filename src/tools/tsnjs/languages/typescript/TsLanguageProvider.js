@@ -41,6 +41,10 @@ class TsLanguageProvider extends LanguageProvider {
     });
   }
 
+  createSourceMapper(source) { // eslint-disable-line class-methods-use-this
+    return swcTs.createByteMapper(source);
+  }
+
   resolveCandidateExtensions() {
     return this.getSupportedExtensions();
   }